@@ -8,7 +8,8 @@ const createUploadDir = (uploadDir) => {
   }
 };
 
-const getMulterUpload = (uploadDir) => {
+// options: extra multer options (e.g. { limits: { fileSize } })
+const getMulterUpload = (uploadDir, options = {}) => {
   createUploadDir(uploadDir);
 
   const storage = multer.diskStorage({
@@ -25,7 +26,7 @@ const getMulterUpload = (uploadDir) => {
     },
   });
 
-  return multer({ storage });
+  return multer({ storage, ...options });
 };
 
 module.exports = { getMulterUpload };
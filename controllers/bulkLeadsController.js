@@ -1,9 +1,8 @@
 "use strict";
 
-const { Op, literal, Sequelize } = require("sequelize");
+const { Op, Sequelize } = require("sequelize");
 const {
   Lead,
-  LeadAssignment,
   User,
   Role,
   Team,
@@ -14,9 +13,16 @@ const {
 } = require("../models");
 const { sequelize } = require("../config/database");
 const { resSuccess, resError } = require("../utils/responseUtil");
+const { runBulkAssign, runBulkFieldUpdate, runBulkDelete } = require("../utils/bulkLeadOpsUtil");
+const { enqueueJob } = require("../utils/jobQueue");
+const { isAsync } = require("../utils/requestUtil");
+const { resolveSavedFilter, sendSavedFilterError } = require("../utils/leadFilterUtil");
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+const { planLeadRouting, applyLeadRouting } = require("../utils/leadRoutingUtil");
 
-// Subquery: latest assignment row id per lead (re-using style in your leadController)
-const LATEST_ASSIGNMENT_IDS = literal(`(SELECT MAX(id) FROM lead_assignments GROUP BY lead_id)`);
+// Upper bound on leads a saved filter may target in one bulk action (background jobs: MAX_JOB_FILTER_LEADS)
+const MAX_FILTER_LEADS = 10000;
+const MAX_JOB_FILTER_LEADS = parseInt(process.env.NODE_LEADHIVE_JOB_MAX_LEADS || "100000", 10) || 100000;
 
 // --- Helpers ---------------------------------------------------------------
 
@@ -52,46 +58,67 @@ async function isRepUnderManager(managerId, repId) {
   return !!membership;
 }
 
-// Fetch latest assignment for a batch of leads in one call
-async function getLatestAssignmentsMap(leadIds) {
-  if (!leadIds.length) return new Map();
-
-  const latestRows = await LeadAssignment.findAll({
-    where: {
-      id: { [Op.in]: LATEST_ASSIGNMENT_IDS },
-      lead_id: { [Op.in]: leadIds },
-    },
-    attributes: ["id", "lead_id", "assignee_id"],
+// Target leads: explicit lead_ids[], or every lead matching a saved filter (filter_id, up to `limit` leads).
+// Returns { leadIds } or { status, error, details? }
+async function resolveTargetLeadIds(req, limit = MAX_FILTER_LEADS) {
+  const { lead_ids, filter_id } = req.body || {};
+  if (Array.isArray(lead_ids) && lead_ids.length) return { leadIds: lead_ids };
+  if (!filter_id) return { status: 400, error: "lead_ids[] or filter_id is required." };
+
+  const resolved = await resolveSavedFilter({
+    filterId: filter_id,
+    user: req.user,
+    customFields: await getActiveCustomFields(),
   });
+  if (resolved.error) return resolved;
 
-  const map = new Map();
-  for (const row of latestRows) {
-    map.set(row.lead_id, row.assignee_id);
+  const rows = await Lead.findAll({
+    where: resolved.where,
+    attributes: ["id"],
+    order: [["id", "ASC"]],
+    limit: limit + 1,
+  });
+  if (!rows.length) return { status: 400, error: "Saved filter matches no leads." };
+  if (rows.length > limit) {
+    return { status: 400, error: `Saved filter matches more than ${limit} leads; narrow it down.` };
   }
-  return map;
+  return { leadIds: rows.map((r) => Number(r.id)) };
+}
+
+// Queue a validated bulk action; 202 with the job to poll at GET /api/v1/jobs/:id
+async function enqueueBulkJob(req, res, type, payload) {
+  const job = await enqueueJob({
+    type,
+    payload: { ...payload, actor: { id: req.user.id, role: req.user.role } },
+    totalItems: payload.lead_ids.length,
+    userId: req.user.id,
+  });
+  return resSuccess(res, { job_id: job.id, type, status: job.status, total_items: job.total_items }, 202);
 }
 
 // --- Controllers -----------------------------------------------------------
 
 /**
  * POST /api/v1/leads/bulk-assign
- * Body: { lead_ids: number[], assignee_id: number, overwrite?: boolean }
+ * Body: { lead_ids: number[] | filter_id: number, assignee_id: number, overwrite?: boolean, async?: boolean }
  * Rules:
  *  - admin  -> assignee can be any user
  *  - manager-> assignee must be sales_rep AND within manager's teams
  * Effect:
- *  - append rows to lead_assignments (no DB schema change)
+ *  - append rows to lead_assignments and sync Lead.current_assignee_id
  *  - if overwrite=false, skip leads whose latest assignee is someone else
+ *  - async=true: validated here, then run as a background job (202 { job_id }; see GET /api/v1/jobs/:id)
  */
 const bulkAssign = async (req, res) => {
   try {
-    const { lead_ids = [], assignee_id, overwrite = false, status_id } = req.body || {};
+    const { assignee_id, overwrite = false, status_id } = req.body || {};
     const actorId = req.user?.id;
     const actorRole = req.user?.role; // "admin" | "manager" | "sales_rep"
+    const runAsync = isAsync(req);
 
-    if (!Array.isArray(lead_ids) || !lead_ids.length) {
-      return resError(res, "lead_ids[] is required.", 400);
-    }
+    const target = await resolveTargetLeadIds(req, runAsync ? MAX_JOB_FILTER_LEADS : MAX_FILTER_LEADS);
+    if (target.error) return sendSavedFilterError(res, target);
+    const lead_ids = target.leadIds;
     if (!assignee_id) return resError(res, "assignee_id is required.", 400);
 
     // Optional: validate status if provided
@@ -116,78 +143,18 @@ const bulkAssign = async (req, res) => {
       return resError(res, "Forbidden.", 403);
     }
 
-    // Validate that requested leads exist
-    const leads = await Lead.findAll({
-      where: { id: { [Op.in]: lead_ids } },
-      attributes: ["id"],
-    });
-    const foundIds = new Set(leads.map((l) => l.id));
-    const missing = lead_ids.filter((id) => !foundIds.has(id));
-
-    // Latest assignees for found leads
-    const latestMap = await getLatestAssignmentsMap([...foundIds]);
-
-    // Build worklist (which leads will actually receive a new assignment row)
-    const toCreate = [];
-    const idsToAffect = []; // IDs that will get the new assignment (and thus optional status update)
-    const skipped = []; // { id, reason }
-
-    for (const id of foundIds) {
-      const current = latestMap.get(id) ?? null;
-
-      // If overwrite=false and a different assignee exists, skip
-      if (!overwrite && current && current !== assignee_id) {
-        skipped.push({ id, reason: "already_assigned" });
-        continue;
-      }
-      // If overwrite=false and already assigned to target, skip (no-op)
-      if (!overwrite && current === assignee_id) {
-        skipped.push({ id, reason: "already_assigned_to_target" });
-        continue;
-      }
-
-      toCreate.push({
-        lead_id: id,
-        assignee_id,
-        assigned_by: actorId,
-      });
-      idsToAffect.push(id);
-    }
-
-    let created = 0;
-    let statusUpdated = 0;
-
-    if (toCreate.length) {
-      await sequelize.transaction(async (t) => {
-        // 1) Insert assignment history rows (chunked)
-        const CHUNK = 1000;
-        for (let i = 0; i < toCreate.length; i += CHUNK) {
-          const slice = toCreate.slice(i, i + CHUNK);
-          await LeadAssignment.bulkCreate(slice, { transaction: t });
-          created += slice.length;
-        }
-
-        // 2) Optional: update status for exactly those leads we just assigned
-        if (status_id !== undefined && status_id !== null) {
-          const [count] = await Lead.update(
-            { status_id, updated_by: actorId },
-            { where: { id: { [Op.in]: idsToAffect } }, transaction: t }
-          );
-          statusUpdated = count;
-        }
-      });
+    if (runAsync) {
+      return enqueueBulkJob(req, res, "bulk_assign", { lead_ids, assignee_id, overwrite: !!overwrite, status_id });
     }
 
-    return resSuccess(res, {
-      total_requested: lead_ids.length,
-      updated: created,
-      status_updated: statusUpdated, // how many had status changed
-      skipped,
-      missing,
-      assignee_id,
-      overwrite: !!overwrite,
-      ...(status_id !== undefined ? { status_id } : {}),
+    const result = await runBulkAssign({
+      leadIds: lead_ids,
+      assigneeId: assignee_id,
+      overwrite,
+      statusId: status_id,
+      actorId,
     });
+    return resSuccess(res, result);
   } catch (err) {
     console.error("BulkAssign Error:", err);
     return resError(res, "Bulk assign failed.", 500);
@@ -254,7 +221,7 @@ const getAssignableTargets = async (req, res) => {
 
 /**
  * DELETE /api/v1/leads/bulk-delete
- * Body: { lead_ids: number[] }
+ * Body: { lead_ids: number[] | filter_id: number, async?: boolean }
  *
  * Rules:
  *  - admin  -> may delete any of the provided leads
@@ -262,215 +229,159 @@ const getAssignableTargets = async (req, res) => {
  *  - sales_rep -> forbidden
  *
  * Effect:
- *  - Hard delete leads and their LeadAssignments (no schema change).
- *  - Returns: { requested, deleted, missing }
+ *  - Soft delete: leads are moved to the trash (deleted_at/deleted_by); assignments are kept for restore.
+ *  - Returns: { requested, deleted, missing } (async=true: 202 { job_id })
  */
 const bulkDeleteLeads = async (req, res) => {
-  const t = await sequelize.transaction();
   try {
-    const { lead_ids = [] } = req.body || {};
     const actorRole = req.user?.role; // "admin" | "manager" | "sales_rep"
+    const runAsync = isAsync(req);
 
-    if (!Array.isArray(lead_ids) || lead_ids.length === 0) {
-      await t.rollback();
-      return resError(res, "lead_ids[] is required.", 400);
-    }
+    const target = await resolveTargetLeadIds(req, runAsync ? MAX_JOB_FILTER_LEADS : MAX_FILTER_LEADS);
+    if (target.error) return sendSavedFilterError(res, target);
+    const lead_ids = target.leadIds;
 
-    if (actorRole === "sales_rep") {
-      await t.rollback();
-      return resError(res, "Forbidden.", 403);
-    }
-
-    // 1) Load the leads that exist
-    const leads = await Lead.findAll({
-      where: { id: { [Op.in]: lead_ids } },
-      attributes: ["id"],
-      transaction: t,
-    });
-
-    const foundIds = new Set(leads.map((l) => l.id));
-    const missing = lead_ids.filter((id) => !foundIds.has(id));
-
-    if (foundIds.size === 0) {
-      await t.rollback();
-      return resSuccess(res, {
-        requested: lead_ids.length,
-        deleted: 0,
-        missing,
-      });
-    }
-
-    const idsToDelete = [...foundIds];
+    if (actorRole === "sales_rep") return resError(res, "Forbidden.", 403);
 
-    // 2) Hard-delete: remove assignments, then leads
-    //    If you have ON DELETE CASCADE on lead_assignments.lead_id, you can omit the first destroy.
-    await LeadAssignment.destroy({
-      where: { lead_id: { [Op.in]: idsToDelete } },
-      transaction: t,
-    });
-
-    const deletedCount = await Lead.destroy({
-      where: { id: { [Op.in]: idsToDelete } },
-      transaction: t,
-    });
-
-    await t.commit();
+    if (runAsync) return enqueueBulkJob(req, res, "bulk_delete", { lead_ids });
 
-    return resSuccess(res, {
-      requested: lead_ids.length,
-      deleted: deletedCount,
-      missing,
-    });
+    const result = await runBulkDelete({ leadIds: lead_ids, actorId: req.user?.id });
+    return resSuccess(res, result);
   } catch (err) {
     console.error("BulkDeleteLeads Error:", err);
-    try {
-      await t.rollback();
-    } catch (_) {}
     return resError(res, "Bulk delete failed.", 500);
   }
 };
 
+/**
+ * POST /api/v1/bulk/status
+ * Body: { lead_ids: number[] | filter_id: number, status_id: number, async?: boolean }
+ * Returns: { requested, updated, missing, skipped, status_id } (async=true: 202 { job_id })
+ */
 const bulkUpdateStatus = async (req, res) => {
-  const t = await sequelize.transaction();
   try {
-    const { lead_ids = [], status_id } = req.body || {};
-    const actorId = req.user?.id;
+    const { status_id } = req.body || {};
+    const runAsync = isAsync(req);
 
-    if (!Array.isArray(lead_ids) || lead_ids.length === 0) {
-      await t.rollback();
-      return resError(res, "lead_ids[] is required.", 400);
-    }
-    if (!status_id) {
-      await t.rollback();
-      return resError(res, "status_id is required.", 400);
-    }
+    const target = await resolveTargetLeadIds(req, runAsync ? MAX_JOB_FILTER_LEADS : MAX_FILTER_LEADS);
+    if (target.error) return sendSavedFilterError(res, target);
+    const lead_ids = target.leadIds;
+    if (!status_id) return resError(res, "status_id is required.", 400);
 
     // Validate FK target to give a clear message instead of a generic DB error
-    const status = await LeadStatus.findByPk(status_id, { transaction: t });
-    if (!status) {
-      await t.rollback();
-      return resError(res, "Target status not found.", 404);
-    }
+    const status = await LeadStatus.findByPk(status_id);
+    if (!status) return resError(res, "Target status not found.", 404);
 
-    // Load existing leads
-    const leads = await Lead.findAll({
-      where: { id: { [Op.in]: lead_ids } },
-      attributes: ["id", "status_id"],
-      transaction: t,
+    if (runAsync) return enqueueBulkJob(req, res, "bulk_status", { lead_ids, status_id });
+
+    const result = await runBulkFieldUpdate({
+      leadIds: lead_ids,
+      field: "status_id",
+      value: status_id,
+      origin: "bulk_status",
+      actorId: req.user?.id,
     });
+    return resSuccess(res, result);
+  } catch (err) {
+    console.error("bulkUpdateStatus Error:", err);
+    return resError(res, "Bulk status update failed.", 500);
+  }
+};
 
-    const foundIds = new Set(leads.map((l) => l.id));
-    const missing = lead_ids.filter((id) => !foundIds.has(id));
+/**
+ * POST /api/v1/bulk/source
+ * Body: { lead_ids: number[] | filter_id: number, source_id: number, async?: boolean }
+ * Returns: { requested, updated, missing, skipped, source_id } (async=true: 202 { job_id })
+ */
+const bulkUpdateSource = async (req, res) => {
+  try {
+    const { source_id } = req.body || {};
+    const runAsync = isAsync(req);
 
-    // Partition into already_set vs to_update
-    const byId = new Map(leads.map((l) => [l.id, l]));
-    const skipped = [];
-    const idsToUpdate = [];
-    for (const id of foundIds) {
-      const rec = byId.get(id);
-      if (Number(rec.status_id) === Number(status_id)) {
-        skipped.push({ id, reason: "already_set" });
-      } else {
-        idsToUpdate.push(id);
-      }
-    }
+    const target = await resolveTargetLeadIds(req, runAsync ? MAX_JOB_FILTER_LEADS : MAX_FILTER_LEADS);
+    if (target.error) return sendSavedFilterError(res, target);
+    const lead_ids = target.leadIds;
+    if (!source_id) return resError(res, "source_id is required.", 400);
 
-    // Apply update
-    let updated = 0;
-    if (idsToUpdate.length > 0) {
-      const [count] = await Lead.update(
-        { status_id, updated_by: actorId },
-        { where: { id: { [Op.in]: idsToUpdate } }, transaction: t }
-      );
-      updated = count;
-    }
+    // Validate FK target
+    const source = await LeadSource.findByPk(source_id);
+    if (!source) return resError(res, "Target source not found.", 404);
 
-    await t.commit();
-    return resSuccess(res, {
-      requested: lead_ids.length,
-      updated,
-      missing,
-      skipped,
-      status_id,
+    if (runAsync) return enqueueBulkJob(req, res, "bulk_source", { lead_ids, source_id });
+
+    const result = await runBulkFieldUpdate({
+      leadIds: lead_ids,
+      field: "source_id",
+      value: source_id,
+      origin: "bulk_source",
+      actorId: req.user?.id,
     });
+    return resSuccess(res, result);
   } catch (err) {
-    console.error("bulkUpdateStatus Error:", err);
-    try {
-      await t.rollback();
-    } catch {}
-    return resError(res, "Bulk status update failed.", 500);
+    console.error("bulkUpdateSource Error:", err);
+    return resError(res, "Bulk source update failed.", 500);
   }
 };
 
-const bulkUpdateSource = async (req, res) => {
+/**
+ * POST /api/v1/bulk/reroute
+ * Body: { lead_ids: number[] | filter_id: number }
+ * Re-run the active routing rules against existing leads.
+ * - Leads matching no rule keep their current assignee (unmatched)
+ * - Leads whose routed assignee is already the current one are skipped (no new assignment row)
+ * - Returns: { requested, rerouted, unmatched, skipped, missing, by_rule: [{ rule_id, assignee_id, lead_ids }] }
+ */
+const bulkReroute = async (req, res) => {
   const t = await sequelize.transaction();
   try {
-    const { lead_ids = [], source_id } = req.body || {};
     const actorId = req.user?.id;
 
-    if (!Array.isArray(lead_ids) || lead_ids.length === 0) {
-      await t.rollback();
-      return resError(res, "lead_ids[] is required.", 400);
-    }
-    if (!source_id) {
-      await t.rollback();
-      return resError(res, "source_id is required.", 400);
-    }
-
-    // Validate FK target
-    const source = await LeadSource.findByPk(source_id, { transaction: t });
-    if (!source) {
+    const target = await resolveTargetLeadIds(req);
+    if (target.error) {
       await t.rollback();
-      return resError(res, "Target source not found.", 404);
+      return sendSavedFilterError(res, target);
     }
+    const lead_ids = target.leadIds.map(Number);
 
-    // Load existing leads
     const leads = await Lead.findAll({
       where: { id: { [Op.in]: lead_ids } },
-      attributes: ["id", "source_id"],
+      attributes: ["id", "current_assignee_id"],
       transaction: t,
     });
+    const currentMap = new Map(leads.map((l) => [Number(l.id), l.current_assignee_id]));
+    const missing = lead_ids.filter((id) => !currentMap.has(id));
 
-    const foundIds = new Set(leads.map((l) => l.id));
-    const missing = lead_ids.filter((id) => !foundIds.has(id));
+    const plan = await planLeadRouting({ leadIds: [...currentMap.keys()], transaction: t });
 
-    // Partition into already_set vs to_update
-    const byId = new Map(leads.map((l) => [l.id, l]));
+    const unmatched = [];
     const skipped = [];
-    const idsToUpdate = [];
-    for (const id of foundIds) {
-      const rec = byId.get(id);
-      if (Number(rec.source_id) === Number(source_id)) {
-        skipped.push({ id, reason: "already_set" });
-      } else {
-        idsToUpdate.push(id);
+    for (const id of currentMap.keys()) {
+      const routed = plan.get(id);
+      if (!routed) {
+        unmatched.push(id);
+      } else if (routed.assignee_id === currentMap.get(id)) {
+        skipped.push({ id, reason: "already_assigned_to_target" });
+        plan.delete(id);
       }
     }
 
-    // Apply update
-    let updated = 0;
-    if (idsToUpdate.length > 0) {
-      const [count] = await Lead.update(
-        { source_id, updated_by: actorId },
-        { where: { id: { [Op.in]: idsToUpdate } }, transaction: t }
-      );
-      updated = count;
-    }
+    const byRule = await applyLeadRouting(plan, { assignedBy: actorId, transaction: t });
 
     await t.commit();
     return resSuccess(res, {
       requested: lead_ids.length,
-      updated,
-      missing,
+      rerouted: plan.size,
+      unmatched,
       skipped,
-      source_id,
+      missing,
+      by_rule: byRule,
     });
   } catch (err) {
-    console.error("bulkUpdateSource Error:", err);
+    console.error("bulkReroute Error:", err);
     try {
       await t.rollback();
-    } catch {}
-    return resError(res, "Bulk source update failed.", 500);
+    } catch (_) {}
+    return resError(res, "Bulk re-route failed.", 500);
   }
 };
 
@@ -482,4 +393,5 @@ module.exports = {
   bulkDeleteLeads,
   bulkUpdateStatus,
   bulkUpdateSource,
+  bulkReroute,
 };
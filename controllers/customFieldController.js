@@ -0,0 +1,202 @@
+// controllers/customFieldController.js
+const { LeadCustomField, LeadCustomFieldValue } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { CUSTOM_FIELD_TYPES, RESERVED_KEYS } = require("../utils/customFieldUtil");
+
+// ---------- helpers ----------
+const toSnakeKey = (label) => {
+  if (!label) return null;
+  return String(label)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+};
+
+const SELECT_TYPES = ["select", "multi_select"];
+
+/** Validate/normalize select options; returns { options } or { error } */
+const normalizeOptions = (type, options) => {
+  if (!SELECT_TYPES.includes(type)) return { options: null };
+  if (!Array.isArray(options)) return { error: "options[] is required for select fields." };
+
+  const cleaned = [];
+  const seen = new Set();
+  for (const o of options) {
+    const label = String(o ?? "").trim();
+    if (!label) continue;
+    if (label.includes(";")) return { error: `Option "${label}" must not contain ';'.` };
+    const k = label.toLowerCase();
+    if (seen.has(k)) continue;
+    seen.add(k);
+    cleaned.push(label.slice(0, 120));
+  }
+  if (!cleaned.length) return { error: "options[] must contain at least one value." };
+  return { options: cleaned };
+};
+
+// ==========================
+// Custom Field Definitions
+// ==========================
+
+/**
+ * GET /api/v1/custom-fields
+ * Query: include_inactive? (admin only)
+ * - All roles can read active definitions (needed to render lead forms/filters)
+ */
+const listCustomFields = async (req, res) => {
+  try {
+    const where = {};
+    const includeInactive = req.user.role === "admin" && String(req.query.include_inactive) === "true";
+    if (!includeInactive) where.is_active = true;
+
+    const fields = await LeadCustomField.findAll({
+      where,
+      order: [
+        ["sort_order", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+    return resSuccess(res, fields);
+  } catch (err) {
+    console.error("listCustomFields Error:", err);
+    return resError(res, "Failed to list custom fields.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/custom-fields/:id
+ */
+const getCustomField = async (req, res) => {
+  try {
+    const field = await LeadCustomField.findByPk(req.params.id);
+    if (!field) return resError(res, "Custom field not found.", 404);
+    return resSuccess(res, field);
+  } catch (err) {
+    console.error("getCustomField Error:", err);
+    return resError(res, "Failed to fetch custom field.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/custom-fields
+ * Body: { label, type, key?, options?, is_required?, sort_order? }
+ * - key defaults to snake_case(label) and cannot be changed later
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const { type, options, is_required = false, sort_order = 0 } = req.body || {};
+    const label = req.body?.label ? String(req.body.label).trim() : "";
+    if (!label) return resError(res, "Label is required.", 400);
+
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      return resError(res, `type must be one of: ${CUSTOM_FIELD_TYPES.join(", ")}.`, 400);
+    }
+
+    const key = toSnakeKey(req.body?.key || label);
+    if (!key) return resError(res, "Invalid key.", 400);
+    if (RESERVED_KEYS.includes(key)) return resError(res, `Key "${key}" is reserved.`, 400);
+
+    const normalized = normalizeOptions(type, options);
+    if (normalized.error) return resError(res, normalized.error, 400);
+
+    const existing = await LeadCustomField.findOne({ where: { key }, attributes: ["id"] });
+    if (existing) return resError(res, "A custom field with this key already exists.", 409);
+
+    const created = await LeadCustomField.create({
+      key,
+      label: label.slice(0, 120),
+      type,
+      options: normalized.options,
+      is_required: !!is_required,
+      sort_order: Number(sort_order) || 0,
+    });
+    return resSuccess(res, created, 201);
+  } catch (err) {
+    console.error("createCustomField Error:", err);
+    return resError(res, "Failed to create custom field.", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/custom-fields/:id
+ * Body: { label?, type?, options?, is_required?, is_active?, sort_order? }
+ * - type can only change while no lead has a value for this field
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const field = await LeadCustomField.findByPk(req.params.id);
+    if (!field) return resError(res, "Custom field not found.", 404);
+
+    const { label, type, options, is_required, is_active, sort_order } = req.body || {};
+
+    if (label !== undefined) {
+      const trimmed = String(label).trim();
+      if (!trimmed) return resError(res, "Label is required.", 400);
+      field.label = trimmed.slice(0, 120);
+    }
+
+    if (type !== undefined && type !== field.type) {
+      if (!CUSTOM_FIELD_TYPES.includes(type)) {
+        return resError(res, `type must be one of: ${CUSTOM_FIELD_TYPES.join(", ")}.`, 400);
+      }
+      const inUse = await LeadCustomFieldValue.count({ where: { field_id: field.id } });
+      if (inUse > 0) {
+        return resError(res, "Cannot change type: field already has values on leads.", 409);
+      }
+      field.type = type;
+    }
+
+    if (options !== undefined || SELECT_TYPES.includes(field.type)) {
+      const normalized = normalizeOptions(field.type, options !== undefined ? options : field.options);
+      if (normalized.error) return resError(res, normalized.error, 400);
+      field.options = normalized.options;
+    }
+
+    if (typeof is_required === "boolean") field.is_required = is_required;
+    if (typeof is_active === "boolean") field.is_active = is_active;
+    if (sort_order !== undefined) field.sort_order = Number(sort_order) || 0;
+    field.updated_at = new Date();
+
+    await field.save();
+    return resSuccess(res, field);
+  } catch (err) {
+    console.error("updateCustomField Error:", err);
+    return resError(res, "Failed to update custom field.", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/custom-fields/:id
+ * - Blocks delete if any lead has a value for this field (409); deactivate it instead
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await LeadCustomField.findByPk(req.params.id);
+    if (!field) return resError(res, "Custom field not found.", 404);
+
+    const inUse = await LeadCustomFieldValue.count({ where: { field_id: field.id } });
+    if (inUse > 0) {
+      return res.status(409).json({
+        code: "ERROR",
+        error: "Cannot delete: custom field has values on existing leads. Set is_active=false instead.",
+        details: { in_use_count: inUse },
+      });
+    }
+
+    await field.destroy();
+    return resSuccess(res, { message: "Custom field deleted." });
+  } catch (err) {
+    console.error("deleteCustomField Error:", err);
+    return resError(res, "Failed to delete custom field.", 500);
+  }
+};
+
+module.exports = {
+  listCustomFields,
+  getCustomField,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+};
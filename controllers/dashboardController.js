@@ -4,11 +4,11 @@ const {
   LeadSource,
   LeadAssignment,
   Team,
-  TeamMember, // through table for team membership
-  TeamManager, // ⬅ added for multi-manager lookup
 } = require("../models");
 const { Op, fn, col, literal } = require("sequelize");
 const { resSuccess, resError } = require("../utils/responseUtil");
+const { resolveManagerAssignees } = require("../utils/teamScopeUtil");
+const { countOpenTasks } = require("../utils/taskUtil");
 
 // ==============================
 // Shared helpers
@@ -155,30 +155,6 @@ const buildSummary = async ({
   };
 };
 
-/** Resolve manager's assignee scope: self + all users in teams they manage (via TeamManager) */
-const resolveManagerAssignees = async (managerId) => {
-  // Teams managed by this user
-  const tmRows = await TeamManager.findAll({
-    where: { manager_id: managerId },
-    attributes: ["team_id"],
-    raw: true,
-  });
-  const teamIds = tmRows.map((r) => r.team_id);
-  if (teamIds.length === 0) return [managerId];
-
-  // Members of those teams
-  const memberRows = await TeamMember.findAll({
-    where: { team_id: { [Op.in]: teamIds } },
-    attributes: ["user_id"],
-    raw: true,
-  });
-
-  const memberIds = memberRows.map((r) => r.user_id);
-
-  // De-dupe and include the manager themselves
-  return Array.from(new Set([managerId, ...memberIds]));
-};
-
 // ==============================
 // Role-specific summaries
 // ==============================
@@ -204,7 +180,8 @@ const getAdminSummary = async (req, res) => {
 
 /**
  * GET /api/v1/dashboard/summary/manager?recentLimit=5
- * Returns: { self_leads, team_leads, leads_by_member, recent_team_leads }
+ * Returns: { self_leads, team_leads, leads_by_member, recent_team_leads, self_tasks, team_tasks }
+ * (task counts are open tasks: { open, dueToday, overdue })
  * NOTE: leads_by_member includes ALL team members (zero-filled).
  */
 const getManagerSummary = async (req, res) => {
@@ -215,42 +192,16 @@ const getManagerSummary = async (req, res) => {
     // Resolve manager scope (self + team members)
     const assignee_ids = await resolveManagerAssignees(manager_id);
 
-    // Subquery: lead_ids whose LATEST assignment belongs to assignee_ids
-    const inScopeLeadIds = (() => {
-      if (!assignee_ids?.length) return literal("(SELECT 0)");
-      const ids = assignee_ids.join(",");
-      return literal(`
-        (
-          SELECT la.lead_id
-          FROM lead_assignments la
-          INNER JOIN (
-            SELECT lead_id, MAX(id) AS max_id
-            FROM lead_assignments
-            GROUP BY lead_id
-          ) t ON t.max_id = la.id
-          WHERE la.assignee_id IN (${ids})
-        )
-      `);
-    })();
-
-    // Subquery: lead_ids whose latest assignment is the manager (self pipeline)
-    const selfLeadIds = literal(`
-      (
-        SELECT la.lead_id
-        FROM lead_assignments la
-        INNER JOIN (
-          SELECT lead_id, MAX(id) AS max_id
-          FROM lead_assignments
-          GROUP BY lead_id
-        ) t ON t.max_id = la.id
-        WHERE la.assignee_id = ${manager_id}
-      )
-    `);
+    // Leads whose current assignee is in scope / is the manager (self pipeline)
+    const inScopeWhere = { current_assignee_id: { [Op.in]: assignee_ids } };
+    const selfWhere = { current_assignee_id: manager_id };
 
     // Counts
-    const [self_leads, team_leads] = await Promise.all([
-      Lead.count({ where: { id: { [Op.in]: selfLeadIds } } }),
-      Lead.count({ where: { id: { [Op.in]: inScopeLeadIds } } }),
+    const [self_leads, team_leads, self_tasks, team_tasks] = await Promise.all([
+      Lead.count({ where: selfWhere }),
+      Lead.count({ where: inScopeWhere }),
+      countOpenTasks([manager_id]),
+      countOpenTasks(assignee_ids),
     ]);
 
     // ------- Leads by member (normalize to include ALL team members with 0s) -------
@@ -264,16 +215,14 @@ const getManagerSummary = async (req, res) => {
       raw: true,
     });
 
-    // Count only latest assignment per lead, grouped by assignee_id (within team)
-    const latestGroupedRows = await LeadAssignment.findAll({
-      attributes: ["assignee_id", [fn("COUNT", col("LeadAssignment.lead_id")), "count"]],
-      where: {
-        id: {
-          [Op.in]: literal(`(SELECT MAX(id) FROM lead_assignments GROUP BY lead_id)`),
-        },
-        assignee_id: { [Op.in]: assignee_ids },
-      },
-      group: ["assignee_id"],
+    // Count leads by current assignee (within team)
+    const latestGroupedRows = await Lead.findAll({
+      attributes: [
+        [col("current_assignee_id"), "assignee_id"],
+        [fn("COUNT", col("Lead.id")), "count"],
+      ],
+      where: inScopeWhere,
+      group: ["current_assignee_id"],
       raw: true,
     });
 
@@ -296,7 +245,7 @@ const getManagerSummary = async (req, res) => {
     // Recent team leads (by created_at) within current team scope
     const recent_team_leads = await Lead.findAll({
       attributes: ["id", "first_name", "last_name", "email", "company", "created_at"],
-      where: { id: { [Op.in]: inScopeLeadIds } },
+      where: inScopeWhere,
       include: [
         { model: LeadStatus, attributes: ["id", "value", "label"] },
         { model: LeadSource, attributes: ["id", "value", "label"] },
@@ -310,6 +259,8 @@ const getManagerSummary = async (req, res) => {
       team_leads,
       leads_by_member,
       recent_team_leads,
+      self_tasks,
+      team_tasks,
     });
   } catch (err) {
     console.error("Dashboard Manager Summary Error:", err);
@@ -319,25 +270,15 @@ const getManagerSummary = async (req, res) => {
 
 /**
  * GET /api/v1/dashboard/summary/sales_rep?recentLimit=8
+ * tasks: my open task counts { open, dueToday, overdue }
  */
 const getSalesRepSummary = async (req, res) => {
   try {
     const recentLimit = Number(req.query.recentLimit) > 0 ? Number(req.query.recentLimit) : 8;
     const userId = req.user.id;
 
-    // Subquery: lead_ids whose LATEST assignment belongs to this user
-    const latestAssignedToMeLeadIds = literal(`
-      (
-        SELECT la.lead_id
-        FROM lead_assignments la
-        INNER JOIN (
-          SELECT lead_id, MAX(id) AS max_id
-          FROM lead_assignments
-          GROUP BY lead_id
-        ) t ON t.max_id = la.id
-        WHERE la.assignee_id = ${userId}
-      )
-    `);
+    // Leads whose current assignee is this user
+    const myPipelineWhere = { current_assignee_id: userId };
 
     // Master lists (for zero-filling + metadata)
     const [allStatuses, allSources] = await Promise.all([
@@ -355,13 +296,13 @@ const getSalesRepSummary = async (req, res) => {
 
     // Total in my pipeline (latest assignment = me)
     const assigned = await Lead.count({
-      where: { id: { [Op.in]: latestAssignedToMeLeadIds } },
+      where: myPipelineWhere,
     });
 
     // New this week (by created_at) in my pipeline
     const newThisWeek = await Lead.count({
       where: {
-        id: { [Op.in]: latestAssignedToMeLeadIds },
+        ...myPipelineWhere,
         created_at: { [Op.gte]: sevenDaysAgo },
       },
     });
@@ -370,7 +311,7 @@ const getSalesRepSummary = async (req, res) => {
     const inboxNew = newStatusId
       ? await Lead.count({
           where: {
-            id: { [Op.in]: latestAssignedToMeLeadIds },
+            ...myPipelineWhere,
             status_id: newStatusId,
           },
         })
@@ -379,22 +320,25 @@ const getSalesRepSummary = async (req, res) => {
     // Avg age (days) of leads in my pipeline
     const avgAgeRow = await Lead.findOne({
       attributes: [[fn("AVG", literal("DATEDIFF(NOW(), created_at)")), "avg_days"]],
-      where: { id: { [Op.in]: latestAssignedToMeLeadIds } },
+      where: myPipelineWhere,
       raw: true,
     });
     const avgAgeDays = Number(avgAgeRow?.avg_days || 0);
 
+    // Open follow-up tasks (overdue / due today)
+    const tasks = await countOpenTasks([userId]);
+
     // ---------- Breakdown: by Status / by Source ----------
     const rawStatusRows = await Lead.findAll({
       attributes: ["status_id", [fn("COUNT", literal("*")), "count"]],
-      where: { id: { [Op.in]: latestAssignedToMeLeadIds } },
+      where: myPipelineWhere,
       group: ["status_id"],
       raw: true,
     });
 
     const rawSourceRows = await Lead.findAll({
       attributes: ["source_id", [fn("COUNT", literal("*")), "count"]],
-      where: { id: { [Op.in]: latestAssignedToMeLeadIds } },
+      where: myPipelineWhere,
       group: ["source_id"],
       raw: true,
     });
@@ -418,31 +362,40 @@ const getSalesRepSummary = async (req, res) => {
       LeadSource: { id: s.id, value: s.value, label: s.label },
     }));
 
-    // ---------- Recent assigned to me (latest assignment per lead) ----------
-    const recentAssigned = await LeadAssignment.findAll({
-      attributes: ["id", "lead_id", "assignee_id", "assigned_at"],
-      where: {
-        assignee_id: userId,
-        id: { [Op.in]: literal(`(SELECT MAX(id) FROM lead_assignments GROUP BY lead_id)`) },
-      },
+    // ---------- Recent assigned to me (current assignment per lead) ----------
+    const recentAssignedLeads = await Lead.findAll({
+      attributes: [
+        "id",
+        "first_name",
+        "last_name",
+        "email",
+        "company",
+        "created_at",
+        "updated_at",
+        "current_assignee_id",
+        "current_assigned_at",
+      ],
+      where: myPipelineWhere,
       include: [
-        {
-          model: Lead,
-          attributes: ["id", "first_name", "last_name", "email", "company", "created_at", "updated_at"],
-          include: [
-            { model: LeadStatus, attributes: ["id", "value", "label"] },
-            { model: LeadSource, attributes: ["id", "value", "label"] },
-          ],
-        },
+        { model: LeadStatus, attributes: ["id", "value", "label"] },
+        { model: LeadSource, attributes: ["id", "value", "label"] },
       ],
-      order: [["assigned_at", "DESC"]],
+      order: [["current_assigned_at", "DESC"]],
       limit: recentLimit,
     });
 
+    // Keep the assignment-shaped payload ({ lead_id, assignee_id, assigned_at, Lead })
+    const recentAssigned = recentAssignedLeads.map((lead) => ({
+      lead_id: lead.id,
+      assignee_id: lead.current_assignee_id,
+      assigned_at: lead.current_assigned_at,
+      Lead: lead,
+    }));
+
     // ---------- Recent updates in my pipeline ----------
     const recentUpdates = await Lead.findAll({
       attributes: ["id", "first_name", "last_name", "email", "company", "created_at", "updated_at"],
-      where: { id: { [Op.in]: latestAssignedToMeLeadIds } },
+      where: myPipelineWhere,
       include: [
         { model: LeadStatus, attributes: ["id", "value", "label"] },
         { model: LeadSource, attributes: ["id", "value", "label"] },
@@ -461,7 +414,7 @@ const getSalesRepSummary = async (req, res) => {
         [fn("COUNT", literal("*")), "count"],
       ],
       where: {
-        id: { [Op.in]: latestAssignedToMeLeadIds },
+        ...myPipelineWhere,
         created_at: { [Op.gte]: fourteenDaysAgo },
       },
       group: [literal("DATE(created_at)")],
@@ -476,6 +429,7 @@ const getSalesRepSummary = async (req, res) => {
 
     return resSuccess(res, {
       totals: { assigned, newThisWeek, inboxNew, avgAgeDays },
+      tasks,
       byStatus,
       bySource,
       recentAssigned,
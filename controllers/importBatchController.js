@@ -0,0 +1,151 @@
+// controllers/importBatchController.js
+const fs = require("fs");
+const { ImportBatch, ImportPreset, Lead, User } = require("../models");
+const { sequelize } = require("../config/database");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { revertImportBatch, getImportErrorReportPath } = require("../utils/importBatchUtil");
+
+const BATCH_INCLUDE = [
+  { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
+  { model: User, as: "undoer", attributes: ["id", "full_name", "email"] },
+  { model: ImportPreset, as: "preset", attributes: ["id", "name", "vendor"] },
+];
+
+/**
+ * GET /api/v1/leads/upload/batches
+ * Query: status?, created_by?, page=1, limit=10
+ * Import history, newest first (without the per-row notes; see GET /batches/:id)
+ */
+const listImportBatches = async (req, res) => {
+  try {
+    const { status, created_by, page = 1, limit = 10 } = req.query;
+
+    const where = {};
+    if (status) where.status = String(status);
+    if (created_by) where.created_by = created_by;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, parseInt(limit, 10) || 10);
+
+    const { count, rows } = await ImportBatch.findAndCountAll({
+      where,
+      attributes: { exclude: ["notes_json"] },
+      include: BATCH_INCLUDE,
+      order: [["id", "DESC"]],
+      limit: pageLimit,
+      offset: (pageNum - 1) * pageLimit,
+    });
+
+    return resSuccess(res, {
+      batches: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(count / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("listImportBatches Error:", err);
+    return resError(res, "Failed to list import batches.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/leads/upload/batches/:id
+ * Batch with its skipped-row notes and the number of its leads still live (not in the trash).
+ * The leads themselves: GET /api/v1/leads?import_batch_id=:id
+ */
+const getImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findByPk(req.params.id, { include: BATCH_INCLUDE });
+    if (!batch) return resError(res, "Import batch not found.", 404);
+
+    const liveLeads = await Lead.count({ where: { import_batch_id: batch.id } });
+    return resSuccess(res, { ...batch.toJSON(), live_leads: liveLeads });
+  } catch (err) {
+    console.error("getImportBatch Error:", err);
+    return resError(res, "Failed to fetch import batch.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/leads/upload/batches/:id/errors
+ * CSV of the batch's rejected rows: the original columns plus row_number, reason and existing_lead_id.
+ * 404 when the batch had no rejected rows, 410 once the report is past its retention
+ * (NODE_LEADHIVE_IMPORT_ERROR_RETENTION_DAYS, see error_report_expires_at).
+ */
+const downloadImportErrors = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findByPk(req.params.id, {
+      attributes: ["id", "error_report_file", "error_report_expires_at"],
+    });
+    if (!batch) return resError(res, "Import batch not found.", 404);
+    if (!batch.error_report_expires_at) return resError(res, "This import has no rejected rows.", 404);
+
+    const filePath = getImportErrorReportPath(batch);
+    const available =
+      filePath &&
+      new Date(batch.error_report_expires_at) > new Date() &&
+      (await fs.promises.access(filePath).then(
+        () => true,
+        () => false
+      ));
+    if (!available) return resError(res, "The rejected-rows report has expired.", 410);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="import-${batch.id}-rejected-rows.csv"`);
+    fs.createReadStream(filePath)
+      .on("error", (err) => {
+        console.error("downloadImportErrors Stream Error:", err);
+        res.end();
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error("downloadImportErrors Error:", err);
+    return resError(res, "Failed to download rejected rows.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/leads/upload/batches/:id/undo
+ * Moves the batch's leads to the trash (restorable) unless they were touched since the import
+ * (edited, reassigned, new notes, calls or tasks). Touched leads are kept and listed in `kept`.
+ * Leads updated by the batch (mode=update) are not reverted.
+ */
+const undoImportBatch = async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const result = await revertImportBatch({ batchId: req.params.id, actorId: req.user.id, transaction: t });
+    if (result.error) {
+      await t.rollback();
+      return resError(res, result.error, result.status);
+    }
+    await t.commit();
+
+    const { batch, removed, kept } = result;
+    return resSuccess(res, {
+      message: kept.length
+        ? `${removed} leads moved to trash; ${kept.length} kept because they changed since the import.`
+        : `${removed} leads moved to trash.`,
+      batch_id: batch.id,
+      status: batch.status,
+      removed,
+      kept,
+      not_reverted_updates: batch.updated_count,
+    });
+  } catch (err) {
+    console.error("undoImportBatch Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Failed to undo import batch.", 500);
+  }
+};
+
+module.exports = {
+  listImportBatches,
+  getImportBatch,
+  downloadImportErrors,
+  undoImportBatch,
+};
@@ -0,0 +1,137 @@
+// controllers/importPresetController.js
+const { ImportPreset } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+const { validateMapping } = require("../utils/importMappingUtil");
+
+// 400 response listing mapping errors ([{ target, error }])
+const mappingError = (res, errors) =>
+  res.status(400).json({ code: "ERROR", error: "Invalid mapping_json.", details: errors });
+
+/**
+ * GET /api/v1/leads/upload/presets
+ * Query: vendor?
+ */
+const listImportPresets = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.vendor) where.vendor = String(req.query.vendor).trim();
+
+    const presets = await ImportPreset.findAll({
+      where,
+      order: [
+        ["vendor", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+    return resSuccess(res, presets);
+  } catch (err) {
+    console.error("listImportPresets Error:", err);
+    return resError(res, "Failed to list import presets.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/leads/upload/presets/:id
+ */
+const getImportPreset = async (req, res) => {
+  try {
+    const preset = await ImportPreset.findByPk(req.params.id);
+    if (!preset) return resError(res, "Import preset not found.", 404);
+    return resSuccess(res, preset);
+  } catch (err) {
+    console.error("getImportPreset Error:", err);
+    return resError(res, "Failed to fetch import preset.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/leads/upload/presets
+ * Body: { name, vendor?, mapping_json: { [target]: "Header" | { column } | { value } | { columns, separator? } } }
+ */
+const createImportPreset = async (req, res) => {
+  try {
+    const { vendor, mapping_json } = req.body || {};
+    const name = req.body?.name ? String(req.body.name).trim() : "";
+    if (!name) return resError(res, "Name is required.", 400);
+
+    const errors = validateMapping(mapping_json, await getActiveCustomFields());
+    if (errors.length) return mappingError(res, errors);
+
+    const existing = await ImportPreset.findOne({ where: { name }, attributes: ["id"] });
+    if (existing) return resError(res, "An import preset with this name already exists.", 409);
+
+    const created = await ImportPreset.create({
+      name: name.slice(0, 120),
+      vendor: vendor ? String(vendor).trim().slice(0, 120) : null,
+      mapping_json,
+      created_by: req.user.id,
+    });
+    return resSuccess(res, created, 201);
+  } catch (err) {
+    console.error("createImportPreset Error:", err);
+    return resError(res, "Failed to create import preset.", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/leads/upload/presets/:id
+ * Body: { name?, vendor?, mapping_json? } (mapping_json replaces the stored mapping)
+ */
+const updateImportPreset = async (req, res) => {
+  try {
+    const preset = await ImportPreset.findByPk(req.params.id);
+    if (!preset) return resError(res, "Import preset not found.", 404);
+
+    const { name, vendor, mapping_json } = req.body || {};
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) return resError(res, "Name is required.", 400);
+      if (trimmed !== preset.name) {
+        const existing = await ImportPreset.findOne({ where: { name: trimmed }, attributes: ["id"] });
+        if (existing) return resError(res, "An import preset with this name already exists.", 409);
+      }
+      preset.name = trimmed.slice(0, 120);
+    }
+
+    if (vendor !== undefined) preset.vendor = vendor ? String(vendor).trim().slice(0, 120) : null;
+
+    if (mapping_json !== undefined) {
+      const errors = validateMapping(mapping_json, await getActiveCustomFields());
+      if (errors.length) return mappingError(res, errors);
+      preset.mapping_json = mapping_json;
+    }
+    preset.updated_at = new Date();
+
+    await preset.save();
+    return resSuccess(res, preset);
+  } catch (err) {
+    console.error("updateImportPreset Error:", err);
+    return resError(res, "Failed to update import preset.", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/leads/upload/presets/:id
+ */
+const deleteImportPreset = async (req, res) => {
+  try {
+    const preset = await ImportPreset.findByPk(req.params.id);
+    if (!preset) return resError(res, "Import preset not found.", 404);
+
+    await preset.destroy();
+    return resSuccess(res, { message: "Import preset deleted." });
+  } catch (err) {
+    console.error("deleteImportPreset Error:", err);
+    return resError(res, "Failed to delete import preset.", 500);
+  }
+};
+
+module.exports = {
+  listImportPresets,
+  getImportPreset,
+  createImportPreset,
+  updateImportPreset,
+  deleteImportPreset,
+};
@@ -0,0 +1,106 @@
+// controllers/importSettingsController.js
+const { ImportSetting, LeadStatus, LeadSource } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const {
+  UNKNOWN_SOURCE_POLICIES,
+  INVALID_EMAIL_POLICIES,
+  SETTINGS_ID,
+  loadImportSettings,
+  findActiveUser,
+  resolveImportDefaults,
+  describeImportDefaults,
+} = require("../utils/importDefaultsUtil");
+
+const SETTING_FIELDS = [
+  "fallback_status_id",
+  "fallback_source_id",
+  "unknown_sources",
+  "default_assignee_id",
+  "invalid_email",
+];
+
+/** Validate the given setting fields; returns { values } or { error } (null ids reset to the built-in default) */
+const buildSettingValues = async (body) => {
+  const values = {};
+  for (const field of SETTING_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field] === "" ? null : body[field];
+  }
+
+  if (values.fallback_status_id != null && !(await LeadStatus.findByPk(values.fallback_status_id))) {
+    return { error: "fallback_status_id not found." };
+  }
+  if (values.fallback_source_id != null && !(await LeadSource.findByPk(values.fallback_source_id))) {
+    return { error: "fallback_source_id not found." };
+  }
+  if (values.default_assignee_id != null && !(await findActiveUser(values.default_assignee_id))) {
+    return { error: "default_assignee_id must be an active user." };
+  }
+  if ("unknown_sources" in values) {
+    values.unknown_sources = values.unknown_sources || "create";
+    if (!UNKNOWN_SOURCE_POLICIES.includes(values.unknown_sources)) {
+      return { error: `unknown_sources must be one of: ${UNKNOWN_SOURCE_POLICIES.join(", ")}.` };
+    }
+  }
+  if ("invalid_email" in values) {
+    values.invalid_email = values.invalid_email || "skip";
+    if (!INVALID_EMAIL_POLICIES.includes(values.invalid_email)) {
+      return { error: `invalid_email must be one of: ${INVALID_EMAIL_POLICIES.join(", ")}.` };
+    }
+  }
+  return { values };
+};
+
+// Stored settings plus the defaults imports actually use (built-ins filled in)
+const settingsResponse = async () => {
+  const settings = await loadImportSettings();
+  const stored = {};
+  for (const field of SETTING_FIELDS) stored[field] = settings ? settings[field] : null;
+  return {
+    ...stored,
+    updated_by: settings ? settings.updated_by : null,
+    updated_at: settings ? settings.updated_at : null,
+    effective: describeImportDefaults(await resolveImportDefaults()),
+  };
+};
+
+/**
+ * GET /api/v1/leads/upload/settings
+ * Admin-level import defaults (null = built-in default) and the effective defaults
+ */
+const getImportSettings = async (req, res) => {
+  try {
+    return resSuccess(res, await settingsResponse());
+  } catch (err) {
+    console.error("getImportSettings Error:", err);
+    return resError(res, "Failed to fetch import settings.", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/leads/upload/settings
+ * Body (all optional): { fallback_status_id?, fallback_source_id?, unknown_sources? (create | reject),
+ *                        default_assignee_id?, invalid_email? (skip | blank) }
+ * null resets a setting to the built-in default ('new', 'facebook', create, the importing user, skip).
+ * Each import can still override them (see POST /import).
+ */
+const updateImportSettings = async (req, res) => {
+  try {
+    const { values, error } = await buildSettingValues(req.body || {});
+    if (error) return resError(res, error, 400);
+
+    const settings = await loadImportSettings();
+    const changes = { ...values, updated_by: req.user.id, updated_at: new Date() };
+    if (settings) await settings.update(changes);
+    else await ImportSetting.create({ id: SETTINGS_ID, ...changes });
+
+    return resSuccess(res, await settingsResponse());
+  } catch (err) {
+    console.error("updateImportSettings Error:", err);
+    return resError(res, "Failed to update import settings.", 500);
+  }
+};
+
+module.exports = {
+  getImportSettings,
+  updateImportSettings,
+};
@@ -0,0 +1,121 @@
+// controllers/jobController.js
+const { Job, User, ImportBatch } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { JOB_TYPES, removeJobFile } = require("../utils/jobQueue");
+
+// Payloads (server file paths) and resume state (all rejected rows so far) are internal; never sent back
+const JOB_ATTRIBUTES = { exclude: ["payload_json", "resume_state_json"] };
+
+// Admins see every job; other users only the jobs they started
+const canSeeJob = (user, job) => user.role === "admin" || Number(job.created_by) === Number(user.id);
+
+const withProgress = (job) => {
+  const plain = job.toJSON();
+  plain.progress = job.total_items ? Math.min(100, Math.round((job.processed_items / job.total_items) * 100)) : null;
+  return plain;
+};
+
+/**
+ * GET /api/v1/jobs
+ * Query: status?, type?, created_by? (admin only), page=1, limit=10
+ * Newest first, without results and failures (see GET /jobs/:id)
+ */
+const listJobs = async (req, res) => {
+  try {
+    const { status, type, created_by, page = 1, limit = 10 } = req.query;
+
+    const where = {};
+    if (status) where.status = String(status);
+    if (type) {
+      if (!JOB_TYPES.includes(type)) return resError(res, `type must be one of: ${JOB_TYPES.join(", ")}.`, 400);
+      where.type = type;
+    }
+    if (req.user.role !== "admin") where.created_by = req.user.id;
+    else if (created_by) where.created_by = created_by;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, parseInt(limit, 10) || 10);
+
+    const { count, rows } = await Job.findAndCountAll({
+      where,
+      attributes: { exclude: ["payload_json", "result_json", "failures_json"] },
+      include: [{ model: User, as: "creator", attributes: ["id", "full_name", "email"] }],
+      order: [["id", "DESC"]],
+      limit: pageLimit,
+      offset: (pageNum - 1) * pageLimit,
+    });
+
+    return resSuccess(res, {
+      jobs: rows.map(withProgress),
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(count / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("listJobs Error:", err);
+    return resError(res, "Failed to list jobs.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/jobs/:id
+ * Status, progress (processed/failed/total items, percent), per-item failures and, once finished, the result
+ * (same shape as the synchronous endpoint's data). Import jobs include their import batch.
+ */
+const getJob = async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id, {
+      attributes: JOB_ATTRIBUTES,
+      include: [
+        { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
+        { model: ImportBatch, as: "importBatch", attributes: ["id", "status", "file_name", "inserted_count"] },
+      ],
+    });
+    if (!job || !canSeeJob(req.user, job)) return resError(res, "Job not found.", 404);
+
+    return resSuccess(res, withProgress(job));
+  } catch (err) {
+    console.error("getJob Error:", err);
+    return resError(res, "Failed to fetch job.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/jobs/:id/cancel
+ * Queued jobs are cancelled right away (a queued file import's upload is deleted); running jobs stop after their
+ * current chunk (work already committed stays, the partial result is kept).
+ */
+const cancelJob = async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id, { attributes: JOB_ATTRIBUTES });
+    if (!job || !canSeeJob(req.user, job)) return resError(res, "Job not found.", 404);
+
+    const now = new Date();
+    if (job.status === "queued") {
+      const [cancelled] = await Job.update(
+        { status: "cancelled", cancel_requested: true, finished_at: now, updated_at: now },
+        { where: { id: job.id, status: "queued" } }
+      );
+      if (!cancelled) return resError(res, "Job has just started; try again to stop it.", 409);
+      await removeJobFile(await Job.findByPk(job.id, { attributes: ["id", "payload_json"] }));
+      await job.reload({ attributes: JOB_ATTRIBUTES });
+    } else if (job.status === "running") {
+      await job.update({ cancel_requested: true, updated_at: now });
+    } else {
+      return resError(res, `Job is already ${job.status}.`, 409);
+    }
+    return resSuccess(res, withProgress(job));
+  } catch (err) {
+    console.error("cancelJob Error:", err);
+    return resError(res, "Failed to cancel job.", 500);
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJob,
+  cancelJob,
+};
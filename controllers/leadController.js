@@ -6,50 +6,106 @@ const {
   User,
   LeadAssignment,
   LeadNote, // NEW: for multi-notes
+  LeadCall,
+  LeadChange,
 } = require("../models");
 const { sequelize } = require("../config/database");
 const { resSuccess, resError } = require("../utils/responseUtil");
+const { assignLeads } = require("../utils/leadAssignmentUtil");
+const { TRACKED_FIELDS, diffLeadFields, recordLeadChanges, recordLeadCreation } = require("../utils/leadChangeUtil");
+const {
+  getActiveCustomFields,
+  validateCustomFieldInput,
+  saveCustomFieldValues,
+  loadCustomFieldMap,
+  attachCustomFields,
+  formatCustomValue,
+} = require("../utils/customFieldUtil");
+const { CALL_DIRECTIONS, CALL_OUTCOMES } = require("../utils/leadCallUtil");
+const { buildLeadListWhere, sendSavedFilterError } = require("../utils/leadFilterUtil");
+const { routeNewLeads } = require("../utils/leadRoutingUtil");
 
-/** Subquery: latest LeadAssignment row id per lead */
-const LATEST_ASSIGNMENT_IDS = literal(`(SELECT MAX(id) FROM lead_assignments GROUP BY lead_id)`);
-
-/** Build include that joins ONLY the latest assignment per lead; optionally filter by assignee_id and/or assigned_at range */
-const buildLatestAssignmentInclude = (
-  assigneeId = null,
-  assignedFrom = null,
-  assignedTo = null,
-  forceRequired = false
-) => {
-  const where = { id: { [Op.in]: LATEST_ASSIGNMENT_IDS } };
-
-  if (assigneeId) where.assignee_id = Number(assigneeId);
-
-  if (assignedFrom || assignedTo) {
-    where.assigned_at = {};
-    if (assignedFrom) where.assigned_at[Op.gte] = assignedFrom;
-    if (assignedTo) where.assigned_at[Op.lte] = assignedTo;
+/**
+ * Set lead.LeadAssignments = [latest assignment with assignee] ([] when never assigned), the response shape
+ * clients read. Only the given leads' assignments are looked at (not a scan of the whole table).
+ */
+const attachLatestAssignments = async (leads, assigneeAttributes) => {
+  const list = (Array.isArray(leads) ? leads : [leads]).filter(Boolean);
+  const leadIds = list.map((l) => Number(l.id)).filter(Number.isInteger);
+  const latest = leadIds.length
+    ? await LeadAssignment.findAll({
+        where: {
+          id: {
+            [Op.in]: literal(
+              `(SELECT MAX(id) FROM lead_assignments WHERE lead_id IN (${leadIds.join(",")}) GROUP BY lead_id)`
+            ),
+          },
+        },
+        include: [{ model: User, as: "assignee", attributes: assigneeAttributes }],
+      })
+    : [];
+  const byLead = new Map(latest.map((a) => [Number(a.lead_id), a]));
+  for (const lead of list) {
+    const assignment = byLead.get(Number(lead.id));
+    lead.setDataValue("LeadAssignments", assignment ? [assignment] : []);
   }
+  return list;
+};
 
-  return {
-    model: LeadAssignment,
-    as: "LeadAssignments",
-    required: forceRequired || !!assigneeId || !!(assignedFrom || assignedTo),
-    where,
-    include: [
-      {
-        model: User,
-        as: "assignee",
-        attributes: ["id", "full_name", "email", "role_id"],
-      },
-    ],
+/**
+ * Serialize LeadChange rows; status_id/source_id changes also get old_label/new_label
+ */
+const withChangeLabels = async (changes) => {
+  const idsFor = (field) => {
+    const ids = new Set();
+    for (const c of changes) {
+      if (c.field !== field) continue;
+      if (c.old_value) ids.add(Number(c.old_value));
+      if (c.new_value) ids.add(Number(c.new_value));
+    }
+    return [...ids];
   };
+
+  const statusIds = idsFor("status_id");
+  const sourceIds = idsFor("source_id");
+  const [statuses, sources] = await Promise.all([
+    statusIds.length ? LeadStatus.findAll({ where: { id: { [Op.in]: statusIds } }, attributes: ["id", "label"] }) : [],
+    sourceIds.length ? LeadSource.findAll({ where: { id: { [Op.in]: sourceIds } }, attributes: ["id", "label"] }) : [],
+  ]);
+  const labelMaps = {
+    status_id: new Map(statuses.map((s) => [String(s.id), s.label])),
+    source_id: new Map(sources.map((s) => [String(s.id), s.label])),
+  };
+
+  return changes.map((c) => {
+    const plain = c.toJSON();
+    const labels = labelMaps[c.field];
+    if (labels) {
+      plain.old_label = c.old_value ? labels.get(c.old_value) ?? null : null;
+      plain.new_label = c.new_value ? labels.get(c.new_value) ?? null : null;
+    }
+    return plain;
+  });
 };
 
+/** 400 response listing per-field custom field errors ([{ key, error }]) */
+const customFieldError = (res, errors) =>
+  res.status(400).json({ code: "ERROR", error: "Invalid custom fields.", details: errors });
+
+/** Event types returned by the lead timeline */
+const TIMELINE_TYPES = ["created", "note", "call", "assignment", "status_change", "source_change"];
+
+/** LeadChange origins that record a lead's initial values rather than an edit */
+const CREATION_ORIGINS = ["create", "import"];
+
 /**
  * Create a new lead
- * Body: { first_name?, last_name?, company?, email?, phone?, country?, status_id, source_id?, value_decimal?, notes? }
+ * Body: { first_name?, last_name?, company?, email?, phone?, country?, status_id, source_id?, value_decimal?, notes?,
+ *         custom_fields?: { [key]: value } }
  * - If 'notes' is provided (non-empty string), a LeadNote is created with author = req.user.id
- * - Initial assignment is created to the creator
+ * - Initial assignment comes from the first matching routing rule; without a match it goes to the creator
+ *   (response includes routing_rule_id, null when not routed)
+ * - Required custom fields must be present
  */
 const createLead = async (req, res) => {
   const t = await sequelize.transaction();
@@ -62,6 +118,13 @@ const createLead = async (req, res) => {
       return resError(res, "status_id is required", 400);
     }
 
+    const customFields = await getActiveCustomFields({ transaction: t });
+    const custom = validateCustomFieldInput(customFields, req.body.custom_fields, { requireAll: true });
+    if (custom.errors.length) {
+      await t.rollback();
+      return customFieldError(res, custom.errors);
+    }
+
     // 1) Create lead
     const lead = await Lead.create(
       {
@@ -79,17 +142,24 @@ const createLead = async (req, res) => {
       { transaction: t }
     );
 
-    // 2) Initial assignment to creator
-    await LeadAssignment.create(
-      {
-        lead_id: lead.id,
-        assignee_id: req.user.id,
-        assigned_by: req.user.id,
-      },
-      { transaction: t }
-    );
+    // 2) Custom field values (before routing, rules may match on them)
+    await saveCustomFieldValues({ leadId: lead.id, values: custom.values, transaction: t });
+
+    // 3) Initial assignment: routing rules, else the creator (also sets current_assignee_id)
+    const routing = await routeNewLeads({
+      leadIds: [lead.id],
+      fallbackAssigneeId: req.user.id,
+      assignedBy: req.user.id,
+      transaction: t,
+    });
+    await lead.reload({ transaction: t });
+    lead.setDataValue("routing_rule_id", routing.get(Number(lead.id))?.rule_id ?? null);
 
-    // 3) Optional: create initial note (back-compat for clients still sending "notes")
+    // 4) History: initial status/source
+    await recordLeadCreation({ leads: [lead], origin: "create", actorId: req.user.id, transaction: t });
+    await attachCustomFields(lead, customFields, { transaction: t });
+
+    // 5) Optional: create initial note (back-compat for clients still sending "notes")
     if (typeof notes === "string" && notes.trim().length > 0) {
       const note = await LeadNote.create(
         {
@@ -123,84 +193,31 @@ const createLead = async (req, res) => {
  *  - search, orderBy, orderDir
  *  - page=1, limit=10
  *  - assigned_from=YYYY-MM-DD, assigned_to=YYYY-MM-DD   (both inclusive)
+ *  - cf_<key>=value, cf_<key>_from / cf_<key>_to   (custom fields; see buildLeadListWhere)
+ *  - filter_id   (saved filter applied server-side, ANDed with the params above; also GET /filters/:filterId/leads)
+ *  - import_batch_id   (leads created by that import; see GET /leads/upload/batches)
  */
 const getLeads = async (req, res) => {
   try {
-    const { role, id: userId } = req.user;
-    const {
-      status_ids,
-      source_ids, // <-- comma-separated string of IDs
-      assignee_id,
-      orderBy,
-      orderDir,
-      search,
-      page = 1,
-      limit = 10,
-      assigned_from,
-      assigned_to,
-    } = req.query;
-
-    const where = {};
-
-    // Status filter
-    if (status_ids) {
-      const ids = status_ids
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-      if (ids.length > 0) {
-        where.status_id = { [Op.in]: ids };
-      }
-    }
-
-    // Multi-source filter (comma separated string)
-    if (source_ids) {
-      const ids = source_ids
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-      if (ids.length > 0) {
-        where.source_id = { [Op.in]: ids };
-      }
-    }
-
-    // Search
-    if (search) {
-      const digitsOnly = String(search).replace(/\D+/g, "");
-      const orClauses = [
-        { first_name: { [Op.like]: `%${search}%` } },
-        { last_name: { [Op.like]: `%${search}%` } },
-        { email: { [Op.like]: `%${search}%` } },
-        { phone: { [Op.like]: `%${search}%` } },
-      ];
-      if (digitsOnly.length >= 3 && digitsOnly.length <= 5) {
-        orClauses.push({ phone: { [Op.like]: `%${digitsOnly}` } });
-      }
-      where[Op.or] = orClauses;
-    }
-
-    // Parse date range
-    let assignedFrom = null;
-    let assignedTo = null;
-    if (assigned_from) {
-      const d = new Date(assigned_from);
-      if (!isNaN(d)) {
-        assignedFrom = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
-      }
-    }
-    if (assigned_to) {
-      const d = new Date(assigned_to);
-      if (!isNaN(d)) {
-        assignedTo = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 23, 59, 59, 999));
-      }
-    }
+    const { orderBy, orderDir, page = 1, limit = 10 } = req.query;
+
+    // Filters (status/source/assignee/search/assigned range/custom fields/saved filter/import batch) + role scoping
+    const customFields = await getActiveCustomFields();
+    const built = await buildLeadListWhere(req.query, {
+      user: req.user,
+      customFields,
+      filterId: req.params.filterId || req.query.filter_id,
+    });
+    if (built.error) return sendSavedFilterError(res, built);
+    const { where } = built;
 
     // Ordering
     let order = [["id", "ASC"]];
     if (orderBy) {
       const dir = (orderDir || "ASC").toUpperCase() === "DESC" ? "DESC" : "ASC";
       if (orderBy === "assigned_at") {
-        order = [[{ model: LeadAssignment, as: "LeadAssignments" }, "assigned_at", dir]];
+        // = the latest LeadAssignment's assigned_at (kept in sync by assignLeads)
+        order = [["current_assigned_at", dir]];
       } else {
         order = [[orderBy, dir]];
       }
@@ -211,13 +228,6 @@ const getLeads = async (req, res) => {
     const pageLimit = parseInt(limit, 10);
     const offset = (pageNum - 1) * pageLimit;
 
-    // Role-based scoping
-    const needDateFilter = !!(assignedFrom || assignedTo);
-    const latestInclude =
-      role === "sales_rep"
-        ? buildLatestAssignmentInclude(userId, assignedFrom, assignedTo, true)
-        : buildLatestAssignmentInclude(assignee_id || null, assignedFrom, assignedTo, needDateFilter || !!assignee_id);
-
     const { count, rows: leads } = await Lead.findAndCountAll({
       where,
       include: [
@@ -225,7 +235,6 @@ const getLeads = async (req, res) => {
         { model: LeadSource, attributes: ["id", "value", "label"] },
         { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
         { model: User, as: "updater", attributes: ["id", "full_name", "email"] },
-        latestInclude,
       ],
       distinct: true,
       col: "id",
@@ -233,6 +242,8 @@ const getLeads = async (req, res) => {
       limit: pageLimit,
       offset,
     });
+    await attachLatestAssignments(leads, ["id", "full_name", "email", "role_id"]);
+    await attachCustomFields(leads, customFields);
 
     return resSuccess(res, {
       leads,
@@ -250,7 +261,7 @@ const getLeads = async (req, res) => {
 };
 
 /**
- * Get single lead by ID (with current assignee + notes with author)
+ * Get single lead by ID (with current assignee, notes with author and custom fields)
  */
 const getLeadById = async (req, res) => {
   try {
@@ -262,13 +273,6 @@ const getLeadById = async (req, res) => {
         { model: LeadSource, attributes: ["id", "value", "label"] },
         { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
         { model: User, as: "updater", attributes: ["id", "full_name", "email"] },
-        {
-          model: LeadAssignment,
-          as: "LeadAssignments",
-          required: false,
-          where: { id: { [Op.in]: LATEST_ASSIGNMENT_IDS } },
-          include: [{ model: User, as: "assignee", attributes: ["id", "full_name", "email"] }],
-        },
         {
           model: LeadNote,
           as: "notes",
@@ -281,6 +285,9 @@ const getLeadById = async (req, res) => {
     });
 
     if (!lead) return resError(res, "Lead not found", 404);
+
+    await attachLatestAssignments(lead, ["id", "full_name", "email"]);
+    await attachCustomFields(lead, await getActiveCustomFields());
     return resSuccess(res, lead);
   } catch (err) {
     console.error("GetLeadById Error:", err);
@@ -292,6 +299,8 @@ const getLeadById = async (req, res) => {
  * Update lead
  * - Sales reps may only update leads currently assigned to them (latest assignment)
  * - If request contains "notes" (non-empty string), append a new LeadNote (author = current user)
+ * - custom_fields: { [key]: value } sets only the given keys; an empty value clears it
+ * - Every changed field is recorded in lead_changes (old value, new value, actor); custom fields as "custom:<key>"
  */
 const updateLead = async (req, res) => {
   const t = await sequelize.transaction();
@@ -305,13 +314,7 @@ const updateLead = async (req, res) => {
     }
 
     if (req.user.role === "sales_rep") {
-      const latest = await LeadAssignment.findOne({
-        where: { lead_id: id },
-        order: [["id", "DESC"]],
-        attributes: ["assignee_id"],
-        transaction: t,
-      });
-      const currentAssigneeId = latest?.assignee_id ?? null;
+      const currentAssigneeId = lead.current_assignee_id ?? null;
       if (currentAssigneeId !== req.user.id) {
         await t.rollback();
         return resError(res, "Sales rep can only update leads assigned to them", 403);
@@ -321,6 +324,18 @@ const updateLead = async (req, res) => {
     const { first_name, last_name, company, email, phone, country, status_id, source_id, value_decimal, notes } =
       req.body;
 
+    const customFields = await getActiveCustomFields({ transaction: t });
+    const custom = validateCustomFieldInput(customFields, req.body.custom_fields);
+    if (custom.errors.length) {
+      await t.rollback();
+      return customFieldError(res, custom.errors);
+    }
+
+    // Snapshot tracked fields before applying the update (for lead_changes)
+    const before = {};
+    for (const field of TRACKED_FIELDS) before[field] = lead.get(field);
+    const customBefore = (await loadCustomFieldMap([lead.id], customFields, { transaction: t })).get(lead.id) || {};
+
     if (first_name !== undefined) lead.first_name = first_name;
     if (last_name !== undefined) lead.last_name = last_name;
     if (company !== undefined) lead.company = company;
@@ -334,6 +349,21 @@ const updateLead = async (req, res) => {
     lead.updated_by = req.user.id;
     await lead.save({ transaction: t });
 
+    await saveCustomFieldValues({ leadId: lead.id, values: custom.values, clears: custom.clears, transaction: t });
+
+    const diffs = diffLeadFields(before, lead.get({ plain: true }));
+    for (const { field, value } of [...custom.values, ...custom.clears.map((field) => ({ field, value: null }))]) {
+      const oldValue = formatCustomValue(field, customBefore[field.key]) || null;
+      const newValue = formatCustomValue(field, value) || null;
+      if (oldValue !== newValue) diffs.push({ field: `custom:${field.key}`, old_value: oldValue, new_value: newValue });
+    }
+    await recordLeadChanges({
+      changes: diffs.map((d) => ({ lead_id: lead.id, ...d })),
+      origin: "update",
+      actorId: req.user.id,
+      transaction: t,
+    });
+
     if (typeof notes === "string" && notes.trim().length > 0) {
       const note = await LeadNote.create(
         {
@@ -347,6 +377,7 @@ const updateLead = async (req, res) => {
       await lead.update({ updated_at: note.created_at }, { transaction: t });
     }
 
+    await attachCustomFields(lead, customFields, { transaction: t });
     await t.commit();
     return resSuccess(res, lead);
   } catch (err) {
@@ -359,7 +390,7 @@ const updateLead = async (req, res) => {
 };
 
 /**
- * Delete lead (hard delete)
+ * Delete lead (soft delete: moves it to the trash, restorable by admins)
  */
 const deleteLead = async (req, res) => {
   try {
@@ -368,8 +399,8 @@ const deleteLead = async (req, res) => {
     const lead = await Lead.findByPk(id);
     if (!lead) return resError(res, "Lead not found", 404);
 
-    await lead.destroy();
-    return resSuccess(res, { message: "Lead deleted successfully" });
+    await lead.update({ deleted_at: new Date(), deleted_by: req.user.id });
+    return resSuccess(res, { message: "Lead moved to trash" });
   } catch (err) {
     console.error("DeleteLead Error:", err);
     return resError(res, "Internal server error", 500);
@@ -381,25 +412,43 @@ const deleteLead = async (req, res) => {
  * Body: { assignee_id }
  */
 const assignLead = async (req, res) => {
+  const t = await sequelize.transaction();
   try {
     const { id } = req.params; // lead_id
     const { assignee_id } = req.body;
 
-    const lead = await Lead.findByPk(id);
-    if (!lead) return resError(res, "Lead not found", 404);
+    const lead = await Lead.findByPk(id, { transaction: t });
+    if (!lead) {
+      await t.rollback();
+      return resError(res, "Lead not found", 404);
+    }
+
+    const user = await User.findByPk(assignee_id, { transaction: t });
+    if (!user) {
+      await t.rollback();
+      return resError(res, "Assignee not found", 404);
+    }
 
-    const user = await User.findByPk(assignee_id);
-    if (!user) return resError(res, "Assignee not found", 404);
+    await assignLeads({
+      leadIds: [lead.id],
+      assigneeId: user.id,
+      assignedBy: req.user.id,
+      transaction: t,
+    });
 
-    const assignment = await LeadAssignment.create({
-      lead_id: id,
-      assignee_id,
-      assigned_by: req.user.id,
+    const assignment = await LeadAssignment.findOne({
+      where: { lead_id: lead.id },
+      order: [["id", "DESC"]],
+      transaction: t,
     });
 
+    await t.commit();
     return resSuccess(res, assignment, 201);
   } catch (err) {
     console.error("AssignLead Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
     return resError(res, "Internal server error", 500);
   }
 };
@@ -430,6 +479,212 @@ const getLeadAssignments = async (req, res) => {
   }
 };
 
+/**
+ * Get field-level change history for a lead (newest first)
+ * - Same access rules as getLeadById
+ * - status_id/source_id changes also carry old_label/new_label
+ */
+const getLeadHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await Lead.findByPk(id, { attributes: ["id"] });
+    if (!lead) return resError(res, "Lead not found", 404);
+
+    const changes = await LeadChange.findAll({
+      where: { lead_id: id },
+      include: [{ model: User, as: "actor", attributes: ["id", "full_name", "email"] }],
+      order: [
+        ["changed_at", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    const history = await withChangeLabels(changes);
+
+    return resSuccess(res, history);
+  } catch (err) {
+    console.error("GetLeadHistory Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Get a single chronological activity stream for a lead
+ * - Same access rules as getLeadById
+ * Query params:
+ *  - types=note,call,assignment,status_change,source_change,created   (default: all)
+ *  - order=desc|asc   (default: desc, newest first)
+ *  - page=1, limit=20
+ * Each event: { type, at, actor: { id, full_name, email } | null, data }
+ */
+const getLeadTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { types, order = "desc", page = 1, limit = 20 } = req.query;
+
+    const lead = await Lead.findByPk(id, {
+      attributes: ["id", "created_at", "created_by"],
+      include: [{ model: User, as: "creator", attributes: ["id", "full_name", "email"] }],
+    });
+    if (!lead) return resError(res, "Lead not found", 404);
+
+    let wanted = TIMELINE_TYPES;
+    if (types) {
+      wanted = String(types)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      const unknown = wanted.filter((t) => !TIMELINE_TYPES.includes(t));
+      if (unknown.length) {
+        return resError(
+          res,
+          `Unknown event type(s): ${unknown.join(", ")}. Allowed: ${TIMELINE_TYPES.join(", ")}`,
+          400
+        );
+      }
+    }
+    const want = (type) => wanted.includes(type);
+
+    const actorAttrs = ["id", "full_name", "email"];
+    const changeFields = [];
+    if (want("status_change")) changeFields.push("status_id");
+    if (want("source_change")) changeFields.push("source_id");
+
+    const [notes, calls, assignments, changes, initialChanges] = await Promise.all([
+      want("note")
+        ? LeadNote.findAll({
+            where: { lead_id: id },
+            include: [{ model: User, as: "author", attributes: actorAttrs }],
+          })
+        : [],
+      want("call")
+        ? LeadCall.findAll({
+            where: { lead_id: id },
+            include: [{ model: User, as: "caller", attributes: actorAttrs }],
+          })
+        : [],
+      want("assignment")
+        ? LeadAssignment.findAll({
+            where: { lead_id: id },
+            include: [
+              { model: User, as: "assignee", attributes: actorAttrs },
+              { model: User, as: "assigner", attributes: actorAttrs },
+            ],
+          })
+        : [],
+      changeFields.length
+        ? LeadChange.findAll({
+            // create/import rows are the initial values -> part of the "created" event
+            where: { lead_id: id, field: { [Op.in]: changeFields }, origin: { [Op.notIn]: CREATION_ORIGINS } },
+            include: [{ model: User, as: "actor", attributes: actorAttrs }],
+          })
+        : [],
+      want("created")
+        ? LeadChange.findAll({
+            where: {
+              lead_id: id,
+              field: { [Op.in]: ["status_id", "source_id"] },
+              origin: { [Op.in]: CREATION_ORIGINS },
+            },
+          })
+        : [],
+    ]);
+
+    const events = [];
+
+    if (want("created")) {
+      const initial = await withChangeLabels(initialChanges);
+      const initialOf = (field) => initial.find((c) => c.field === field) || null;
+      const st = initialOf("status_id");
+      const src = initialOf("source_id");
+      events.push({
+        type: "created",
+        at: lead.created_at,
+        actor: lead.creator || null,
+        data: {
+          origin: st?.origin || src?.origin || null,
+          status: st ? { id: Number(st.new_value), label: st.new_label } : null,
+          source: src ? { id: Number(src.new_value), label: src.new_label } : null,
+        },
+      });
+    }
+
+    for (const n of notes) {
+      events.push({
+        type: "note",
+        at: n.created_at,
+        actor: n.author || null,
+        data: { id: n.id, body: n.body },
+      });
+    }
+
+    for (const c of calls) {
+      events.push({
+        type: "call",
+        at: c.called_at,
+        actor: c.caller || null,
+        data: {
+          id: c.id,
+          direction: c.direction,
+          outcome: c.outcome,
+          duration_seconds: c.duration_seconds,
+          note: c.note,
+        },
+      });
+    }
+
+    for (const a of assignments) {
+      events.push({
+        type: "assignment",
+        at: a.assigned_at,
+        actor: a.assigner || null,
+        data: { id: a.id, assignee: a.assignee || null },
+      });
+    }
+
+    for (const c of await withChangeLabels(changes)) {
+      events.push({
+        type: c.field === "status_id" ? "status_change" : "source_change",
+        at: c.changed_at,
+        actor: c.actor || null,
+        data: {
+          id: c.id,
+          origin: c.origin,
+          from: c.old_value ? { id: Number(c.old_value), label: c.old_label } : null,
+          to: c.new_value ? { id: Number(c.new_value), label: c.new_label } : null,
+        },
+      });
+    }
+
+    // Chronological merge; ties keep a stable, logical order (created first)
+    const dir = String(order).toLowerCase() === "asc" ? 1 : -1;
+    events.sort((a, b) => {
+      const diff = new Date(a.at).getTime() - new Date(b.at).getTime();
+      if (diff !== 0) return diff * dir;
+      return (TIMELINE_TYPES.indexOf(a.type) - TIMELINE_TYPES.indexOf(b.type)) * dir;
+    });
+
+    // Pagination
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit, 10) || 20));
+    const offset = (pageNum - 1) * pageLimit;
+
+    return resSuccess(res, {
+      events: events.slice(offset, offset + pageLimit),
+      pagination: {
+        total: events.length,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(events.length / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("GetLeadTimeline Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
 /**
  * Delete a specific note for a lead
  * Only Admins and Managers are allowed to perform this action
@@ -461,6 +716,111 @@ const deleteLeadNote = async (req, res) => {
   }
 };
 
+/**
+ * Get logged calls for a lead (newest first)
+ * - Same access rules as getLeadById
+ */
+const getLeadCalls = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await Lead.findByPk(id, { attributes: ["id"] });
+    if (!lead) return resError(res, "Lead not found", 404);
+
+    const calls = await LeadCall.findAll({
+      where: { lead_id: id },
+      include: [{ model: User, as: "caller", attributes: ["id", "full_name", "email"] }],
+      order: [
+        ["called_at", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+
+    return resSuccess(res, calls);
+  } catch (err) {
+    console.error("GetLeadCalls Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Log a call on a lead (caller = current user)
+ * Body: { outcome, direction?='outbound', duration_seconds?=0, note?, called_at?=now }
+ * - outcome: no_answer | voicemail | connected | wrong_number
+ * - Sales reps may only log calls on leads currently assigned to them
+ * - Counts as contact: bumps the lead's updated_at ("last contacted")
+ */
+const logLeadCall = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, direction = "outbound", duration_seconds = 0, note, called_at } = req.body || {};
+
+    if (!CALL_OUTCOMES.includes(outcome)) {
+      return resError(res, `outcome must be one of: ${CALL_OUTCOMES.join(", ")}`, 400);
+    }
+    if (!CALL_DIRECTIONS.includes(direction)) {
+      return resError(res, `direction must be one of: ${CALL_DIRECTIONS.join(", ")}`, 400);
+    }
+
+    const duration = Number(duration_seconds);
+    if (!Number.isInteger(duration) || duration < 0) {
+      return resError(res, "duration_seconds must be a non-negative integer", 400);
+    }
+
+    const calledAt = called_at ? new Date(called_at) : new Date();
+    if (isNaN(calledAt) || calledAt > new Date()) {
+      return resError(res, "called_at must be a valid date that is not in the future", 400);
+    }
+
+    const lead = await Lead.findByPk(id);
+    if (!lead) return resError(res, "Lead not found", 404);
+
+    if (req.user.role === "sales_rep" && lead.current_assignee_id !== req.user.id) {
+      return resError(res, "Sales rep can only log calls on leads assigned to them", 403);
+    }
+
+    const call = await LeadCall.create({
+      lead_id: lead.id,
+      caller_id: req.user.id,
+      direction,
+      outcome,
+      duration_seconds: duration,
+      note: typeof note === "string" && note.trim().length > 0 ? note.trim() : null,
+      called_at: calledAt,
+    });
+
+    if (!lead.updated_at || calledAt > lead.updated_at) {
+      await lead.update({ updated_at: calledAt });
+    }
+
+    return resSuccess(res, call, 201);
+  } catch (err) {
+    console.error("LogLeadCall Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * Delete a logged call for a lead
+ * Only Admins and Managers are allowed to perform this action
+ */
+const deleteLeadCall = async (req, res) => {
+  try {
+    const { leadId, callId } = req.params;
+
+    const call = await LeadCall.findOne({
+      where: { id: callId, lead_id: leadId },
+    });
+    if (!call) return resError(res, "Call not found.", 404);
+
+    await call.destroy();
+    return resSuccess(res, { message: "Call deleted successfully." });
+  } catch (err) {
+    console.error("DeleteLeadCall Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
 // =============================
 // Exports
 // =============================
@@ -472,5 +832,10 @@ module.exports = {
   deleteLead,
   assignLead,
   getLeadAssignments,
+  getLeadHistory,
+  getLeadTimeline,
   deleteLeadNote,
+  getLeadCalls,
+  logLeadCall,
+  deleteLeadCall,
 };
@@ -0,0 +1,307 @@
+// controllers/leadDuplicateController.js
+const { Op } = require("sequelize");
+const { Lead, LeadStatus, LeadSource, User, LeadNote, LeadCall, LeadAssignment, Task } = require("../models");
+const { sequelize } = require("../config/database");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { DUPLICATE_MATCHES, findDuplicateGroups } = require("../utils/leadDuplicateUtil");
+const { diffLeadFields, recordLeadChanges } = require("../utils/leadChangeUtil");
+const { assignLeads } = require("../utils/leadAssignmentUtil");
+const {
+  getActiveCustomFields,
+  loadCustomFieldMap,
+  bulkSaveCustomFieldValues,
+  formatCustomValue,
+} = require("../utils/customFieldUtil");
+
+// ---------- helpers ----------
+const MAX_MERGE_LEADS = 50;
+
+// Survivor keeps its value; if empty, the most recently updated merged lead with a value fills it
+const FILL_EMPTY_FIELDS = ["first_name", "last_name", "company", "email", "phone", "country"];
+
+// Fields a client may pick explicitly from any lead in the group (Body.fields)
+const OVERRIDABLE_FIELDS = [...FILL_EMPTY_FIELDS, "status_id", "source_id", "value_decimal"];
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+const DUPLICATE_LEAD_ATTRIBUTES = [
+  "id",
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "value_decimal",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Build the survivor's merged values.
+ * - FILL_EMPTY_FIELDS: survivor first, then others by updated_at DESC
+ * - value_decimal: highest value in the group
+ * - status_id/source_id: survivor's
+ * - overrides: { field: lead_id } take that lead's value instead
+ */
+const buildMergedValues = (survivor, others, overrides) => {
+  const ordered = [...others].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  const values = {};
+
+  for (const field of FILL_EMPTY_FIELDS) {
+    if (!isBlank(survivor[field])) continue;
+    const donor = ordered.find((l) => !isBlank(l[field]));
+    if (donor) values[field] = donor[field];
+  }
+
+  const maxValue = Math.max(...[survivor, ...others].map((l) => Number(l.value_decimal) || 0));
+  if (maxValue !== (Number(survivor.value_decimal) || 0)) values.value_decimal = maxValue;
+
+  const byId = new Map([survivor, ...others].map((l) => [Number(l.id), l]));
+  for (const [field, leadId] of Object.entries(overrides)) {
+    values[field] = byId.get(Number(leadId))[field];
+  }
+
+  return values;
+};
+
+// ==========================
+// Duplicate scan
+// ==========================
+
+/**
+ * GET /api/v1/leads/duplicates
+ * Query: match=email,phone,name_company (default: all), page=1, limit=20 (per match type, max 100)
+ * Groups live leads by:
+ *  - email: lowercased/trimmed
+ *  - phone: digits-only (at least 7 digits)
+ *  - name_company: first+last name and company, lowercased alphanumerics; company suffixes (Inc, LLC, ...) ignored
+ * Returns: { [match]: { total_groups, groups: [{ key, count, leads }] }, pagination }
+ */
+const getDuplicateGroups = async (req, res) => {
+  try {
+    const { match, page = 1, limit = 20 } = req.query;
+
+    let matches = DUPLICATE_MATCHES;
+    if (match) {
+      matches = String(match)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+      const unknown = matches.filter((m) => !DUPLICATE_MATCHES.includes(m));
+      if (unknown.length) {
+        return resError(
+          res,
+          `Unknown match type(s): ${unknown.join(", ")}. Allowed: ${DUPLICATE_MATCHES.join(", ")}`,
+          400
+        );
+      }
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, Math.min(100, parseInt(limit, 10) || 20));
+    const offset = (pageNum - 1) * pageLimit;
+
+    const results = {};
+    for (const m of matches) {
+      results[m] = await findDuplicateGroups({ match: m, limit: pageLimit, offset });
+    }
+
+    // Load lead details once for every group on this page
+    const allIds = [...new Set(Object.values(results).flatMap((r) => r.groups.flatMap((g) => g.lead_ids)))];
+    const leads = allIds.length
+      ? await Lead.findAll({
+          where: { id: { [Op.in]: allIds } },
+          attributes: DUPLICATE_LEAD_ATTRIBUTES,
+          include: [
+            { model: LeadStatus, attributes: ["id", "value", "label"] },
+            { model: LeadSource, attributes: ["id", "value", "label"] },
+            { model: User, as: "currentAssignee", attributes: ["id", "full_name", "email"] },
+          ],
+        })
+      : [];
+    const leadById = new Map(leads.map((l) => [Number(l.id), l]));
+
+    const data = {};
+    for (const [m, { total, groups }] of Object.entries(results)) {
+      data[m] = {
+        total_groups: total,
+        groups: groups.map((g) => ({
+          key: g.key,
+          count: g.lead_ids.length,
+          leads: g.lead_ids.map((id) => leadById.get(id)).filter(Boolean),
+        })),
+      };
+    }
+
+    return resSuccess(res, { ...data, pagination: { page: pageNum, limit: pageLimit } });
+  } catch (err) {
+    console.error("GetDuplicateGroups Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+// ==========================
+// Merge
+// ==========================
+
+/**
+ * POST /api/v1/leads/merge
+ * Body: { survivor_id, lead_ids: number[], fields?: { [field]: lead_id } }
+ * - lead_ids are merged INTO survivor_id and moved to the trash afterwards
+ * - Field rules: see buildMergedValues; custom fields missing on the survivor are filled the same way
+ * - Notes, calls, tasks and assignment history move to the survivor (its current assignee is kept)
+ * - Recorded in lead_changes with origin "merge" (merged_from on the survivor, merged_into on each merged lead)
+ * Returns: { survivor, merged_ids, moved: { notes, calls, tasks, assignments } }
+ */
+const mergeLeads = async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { survivor_id, lead_ids, fields = {} } = req.body || {};
+    const survivorId = Number(survivor_id);
+
+    if (!survivorId) {
+      await t.rollback();
+      return resError(res, "survivor_id is required.", 400);
+    }
+    if (!Array.isArray(lead_ids) || lead_ids.length === 0) {
+      await t.rollback();
+      return resError(res, "lead_ids[] is required.", 400);
+    }
+
+    const mergedIds = [...new Set(lead_ids.map(Number))].filter((id) => id && id !== survivorId);
+    if (!mergedIds.length || mergedIds.length > MAX_MERGE_LEADS) {
+      await t.rollback();
+      return resError(res, `lead_ids must contain 1-${MAX_MERGE_LEADS} leads other than the survivor.`, 400);
+    }
+
+    const groupIds = [survivorId, ...mergedIds];
+    const badOverride = Object.entries(fields || {}).find(
+      ([field, leadId]) => !OVERRIDABLE_FIELDS.includes(field) || !groupIds.includes(Number(leadId))
+    );
+    if (badOverride) {
+      await t.rollback();
+      return resError(
+        res,
+        `Invalid fields.${badOverride[0]}: field must be one of ${OVERRIDABLE_FIELDS.join(", ")} ` +
+          "and point at a lead being merged.",
+        400
+      );
+    }
+
+    const leads = await Lead.findAll({ where: { id: { [Op.in]: groupIds } }, transaction: t });
+    const survivor = leads.find((l) => Number(l.id) === survivorId);
+    const others = leads.filter((l) => Number(l.id) !== survivorId);
+    const missing = groupIds.filter((id) => !leads.some((l) => Number(l.id) === id));
+    if (missing.length) {
+      await t.rollback();
+      return res.status(404).json({ code: "ERROR", error: "Some leads were not found.", details: { missing } });
+    }
+
+    const now = new Date();
+    const actorId = req.user.id;
+
+    // 1) Survivor field values
+    const before = { ...survivor.get({ plain: true }) };
+    survivor.set(buildMergedValues(survivor, others, fields || {}));
+    survivor.updated_by = actorId;
+    await survivor.save({ transaction: t });
+    const changes = diffLeadFields(before, survivor.get({ plain: true })).map((d) => ({ lead_id: survivorId, ...d }));
+
+    // 2) Custom fields the survivor lacks
+    const customFields = await getActiveCustomFields({ transaction: t });
+    const customMap = await loadCustomFieldMap(groupIds, customFields, { transaction: t });
+    const survivorCustom = customMap.get(survivorId) || {};
+    const othersByRecency = [...others].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    const customRows = [];
+    for (const field of customFields) {
+      if (!isBlank(formatCustomValue(field, survivorCustom[field.key]))) continue;
+      const donor = othersByRecency.find((l) => {
+        const v = (customMap.get(Number(l.id)) || {})[field.key];
+        return !isBlank(formatCustomValue(field, v));
+      });
+      if (!donor) continue;
+      const value = customMap.get(Number(donor.id))[field.key];
+      customRows.push({ lead_id: survivorId, field, value });
+      changes.push({
+        lead_id: survivorId,
+        field: `custom:${field.key}`,
+        old_value: null,
+        new_value: formatCustomValue(field, value),
+      });
+    }
+    await bulkSaveCustomFieldValues(customRows, { transaction: t });
+
+    // 3) Move activity to the survivor
+    const moveWhere = { where: { lead_id: { [Op.in]: mergedIds } }, transaction: t };
+    const [notes] = await LeadNote.update({ lead_id: survivorId }, moveWhere);
+    const [calls] = await LeadCall.update({ lead_id: survivorId }, moveWhere);
+    const [tasks] = await Task.update({ lead_id: survivorId }, moveWhere);
+    const [assignments] = await LeadAssignment.update({ lead_id: survivorId }, moveWhere);
+
+    // 4) Keep the survivor's current assignee as its latest assignment
+    if (assignments) {
+      const latest = await LeadAssignment.findOne({
+        where: { lead_id: survivorId },
+        order: [["id", "DESC"]],
+        transaction: t,
+      });
+      if (latest && latest.assignee_id !== survivor.current_assignee_id) {
+        if (survivor.current_assignee_id) {
+          await assignLeads({
+            leadIds: [survivorId],
+            assigneeId: survivor.current_assignee_id,
+            assignedBy: actorId,
+            assignedAt: now,
+            transaction: t,
+          });
+        } else {
+          await survivor.update(
+            { current_assignee_id: latest.assignee_id, current_assigned_at: latest.assigned_at },
+            { transaction: t }
+          );
+        }
+      }
+    }
+
+    // 5) Merged leads go to the trash
+    await Lead.update(
+      { deleted_at: now, deleted_by: actorId },
+      { where: { id: { [Op.in]: mergedIds } }, transaction: t }
+    );
+
+    // 6) History
+    for (const id of mergedIds) {
+      changes.push({ lead_id: survivorId, field: "merged_from", old_value: null, new_value: id });
+      changes.push({ lead_id: id, field: "merged_into", old_value: null, new_value: survivorId });
+    }
+    await recordLeadChanges({ changes, origin: "merge", actorId, changedAt: now, transaction: t });
+
+    await t.commit();
+
+    const merged = await Lead.findByPk(survivorId, {
+      include: [
+        { model: LeadStatus, attributes: ["id", "value", "label"] },
+        { model: LeadSource, attributes: ["id", "value", "label"] },
+        { model: User, as: "currentAssignee", attributes: ["id", "full_name", "email"] },
+      ],
+    });
+
+    return resSuccess(res, {
+      survivor: merged,
+      merged_ids: mergedIds,
+      moved: { notes, calls, tasks, assignments },
+    });
+  } catch (err) {
+    console.error("MergeLeads Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Lead merge failed.", 500);
+  }
+};
+
+module.exports = {
+  getDuplicateGroups,
+  mergeLeads,
+};
@@ -0,0 +1,177 @@
+// controllers/leadTrashController.js
+const { Op } = require("sequelize");
+const { Lead, LeadStatus, LeadSource, User } = require("../models");
+const { sequelize } = require("../config/database");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { getTrashRetentionDays, purgeTrashedLeads } = require("../utils/leadTrashUtil");
+
+const TrashedLead = Lead.scope("trashed");
+
+/**
+ * GET /api/v1/leads/trash
+ * Query: search?, page=1, limit=10
+ * Lists trashed leads (most recently deleted first) with who deleted them and when they become purgeable.
+ */
+const getTrashedLeads = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+
+    const where = {};
+    if (search) {
+      where[Op.or] = [
+        { first_name: { [Op.like]: `%${search}%` } },
+        { last_name: { [Op.like]: `%${search}%` } },
+        { email: { [Op.like]: `%${search}%` } },
+        { phone: { [Op.like]: `%${search}%` } },
+      ];
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, parseInt(limit, 10) || 10);
+    const offset = (pageNum - 1) * pageLimit;
+
+    const { count, rows } = await TrashedLead.findAndCountAll({
+      where,
+      include: [
+        { model: LeadStatus, attributes: ["id", "value", "label"] },
+        { model: LeadSource, attributes: ["id", "value", "label"] },
+        { model: User, as: "deleter", attributes: ["id", "full_name", "email"] },
+      ],
+      distinct: true,
+      col: "id",
+      order: [["deleted_at", "DESC"]],
+      limit: pageLimit,
+      offset,
+    });
+
+    const retentionDays = getTrashRetentionDays();
+    const leads = rows.map((lead) => {
+      const plain = lead.toJSON();
+      const purgeAt = new Date(lead.deleted_at);
+      purgeAt.setDate(purgeAt.getDate() + retentionDays);
+      plain.purgeable_at = purgeAt;
+      return plain;
+    });
+
+    return resSuccess(res, {
+      leads,
+      retention_days: retentionDays,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(count / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("GetTrashedLeads Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * POST /api/v1/leads/trash/:id/restore
+ */
+const restoreLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await TrashedLead.findByPk(id);
+    if (!lead) return resError(res, "Lead not found in trash", 404);
+
+    await lead.update({ deleted_at: null, deleted_by: null, updated_by: req.user.id });
+    return resSuccess(res, { message: "Lead restored successfully" });
+  } catch (err) {
+    console.error("RestoreLead Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * POST /api/v1/leads/trash/restore
+ * Body: { lead_ids: number[] }
+ * Returns: { requested, restored, missing }
+ */
+const restoreLeads = async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { lead_ids = [] } = req.body || {};
+
+    if (!Array.isArray(lead_ids) || lead_ids.length === 0) {
+      await t.rollback();
+      return resError(res, "lead_ids[] is required.", 400);
+    }
+
+    const ids = lead_ids.map(Number);
+    const leads = await TrashedLead.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ["id"],
+      transaction: t,
+    });
+    const foundIds = new Set(leads.map((l) => l.id));
+    const missing = ids.filter((id) => !foundIds.has(id));
+
+    let restored = 0;
+    if (foundIds.size) {
+      const [count] = await TrashedLead.update(
+        { deleted_at: null, deleted_by: null, updated_by: req.user.id },
+        { where: { id: { [Op.in]: [...foundIds] } }, transaction: t }
+      );
+      restored = count;
+    }
+
+    await t.commit();
+    return resSuccess(res, {
+      requested: lead_ids.length,
+      restored,
+      missing,
+    });
+  } catch (err) {
+    console.error("RestoreLeads Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Bulk restore failed.", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/leads/trash/purge
+ * Body: { lead_ids?: number[] }
+ * Permanently deletes trashed leads older than the retention period
+ * (NODE_LEADHIVE_TRASH_RETENTION_DAYS). Leads still inside the retention window are kept.
+ * Returns: { purged, retention_days, cutoff }
+ */
+const purgeTrash = async (req, res) => {
+  const t = await sequelize.transaction();
+  try {
+    const { lead_ids } = req.body || {};
+
+    if (lead_ids !== undefined && !Array.isArray(lead_ids)) {
+      await t.rollback();
+      return resError(res, "lead_ids must be an array.", 400);
+    }
+
+    const { purged, cutoff } = await purgeTrashedLeads({ leadIds: lead_ids ?? null, transaction: t });
+
+    await t.commit();
+    return resSuccess(res, {
+      purged,
+      retention_days: getTrashRetentionDays(),
+      cutoff,
+    });
+  } catch (err) {
+    console.error("PurgeTrash Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Trash purge failed.", 500);
+  }
+};
+
+module.exports = {
+  getTrashedLeads,
+  restoreLead,
+  restoreLeads,
+  purgeTrash,
+};
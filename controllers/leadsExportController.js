@@ -1,98 +1,33 @@
 // controllers/leadsExportController.js
-const { Op } = require("sequelize");
-const { Lead, LeadStatus, LeadSource } = require("../models");
+const { Lead } = require("../models");
 const { resSuccess, resError } = require("../utils/responseUtil");
-
-// ---- filters: ONLY status_ids and source_ids ----
-function buildExportQueryParts(req) {
-  const { status_ids, source_ids } =
-    req.body?.filters && typeof req.body.filters === "object" ? req.body.filters : req.body || {};
-
-  const where = {};
-
-  if (status_ids) {
-    const ids = String(status_ids)
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
-    if (ids.length) where.status_id = { [Op.in]: ids };
-  }
-
-  if (source_ids) {
-    const ids = String(source_ids)
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
-    if (ids.length) where.source_id = { [Op.in]: ids };
-  }
-
-  // Always include status/source so we can export their labels
-  const include = [
-    { model: LeadStatus, attributes: ["id", "value", "label"] },
-    { model: LeadSource, attributes: ["id", "value", "label"] },
-  ];
-
-  // No explicit order -> DB default
-  return { where, include };
-}
-
-// ---- CSV helpers ----
-const CSV_DELIM = ",";
-const CRLF = "\r\n";
-
-function csvEscape(value) {
-  if (value === null || value === undefined) return "";
-  const s = String(value);
-  if (s === "") return "";
-  const needsQuote = /[",\r\n]/.test(s);
-  const safe = s.replace(/"/g, '""');
-  return needsQuote ? `"${safe}"` : safe;
-}
-
-function writeCsvHeader(res) {
-  const header =
-    ["first_name", "last_name", "company", "email", "phone", "country", "status", "source", "value_decimal"].join(
-      CSV_DELIM
-    ) + CRLF;
-  // UTF-8 BOM for Excel
-  res.write("\uFEFF" + header);
-}
-
-function leadToCsvRow(l) {
-  const cells = [
-    csvEscape(l.first_name || ""),
-    csvEscape(l.last_name || ""),
-    csvEscape(l.company || ""),
-    csvEscape(l.email || ""),
-    csvEscape(l.phone || ""),
-    csvEscape(l.country || ""),
-    csvEscape(l?.LeadStatus?.label || ""),
-    csvEscape(l?.LeadSource?.label || ""),
-    (typeof l.value_decimal === "number" ? l.value_decimal : l.value_decimal ? Number(l.value_decimal) : 0) || 0,
-  ];
-  return cells.join(CSV_DELIM) + CRLF;
-}
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+const { sendSavedFilterError } = require("../utils/leadFilterUtil");
+const {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  buildExportWhere,
+  writeLeadExport,
+  createExportWriter,
+} = require("../utils/leadExportUtil");
+
+// Body: { filters: { ... } } or the filter params at the top level of the body (see buildExportWhere)
+const exportFilterParams = (req) =>
+  req.body?.filters && typeof req.body.filters === "object" ? req.body.filters : req.body || {};
 
 /**
  * POST /api/v1/leads/export/count
- * Body: { filters: { status_ids?: "1,2", source_ids?: "3,4" } }
- * Response: { code: "OK", data: { count } }
- *
- * NOTE: Count is computed the same way your getLeads controller does:
- * use include + distinct with findAndCountAll to avoid overcount with joins.
+ * Body: { filters: { status_ids?: "1,2", source_ids?: "3,4", assignee_id?, search?, assigned_from?, assigned_to?,
+ *                    import_batch_id?, cf_<key>?, filter_id?: 12 } }  (same filters as GET /api/v1/leads)
+ * Response: { code: "OK", data: { count } } (managers: leads assigned within their teams)
  */
 const exportCount = async (req, res) => {
   try {
-    const { where, include } = buildExportQueryParts(req);
+    const customFields = await getActiveCustomFields();
+    const built = await buildExportWhere(exportFilterParams(req), { user: req.user, customFields });
+    if (built.error) return sendSavedFilterError(res, built);
 
-    const { count } = await Lead.findAndCountAll({
-      where,
-      include,
-      distinct: true,
-      col: "id",
-      // tiny limit to make Sequelize issue the count query without fetching rows
-      limit: 1,
-    });
+    const count = await Lead.count({ where: built.where });
 
     return resSuccess(res, { count });
   } catch (err) {
@@ -103,70 +38,47 @@ const exportCount = async (req, res) => {
 
 /**
  * POST /api/v1/leads/export/download
- * Body: { filters: { status_ids?: "1,2", source_ids?: "3,4" } }
- * Streams CSV with columns: first_name,last_name,company,email,phone,country,status,source,value_decimal
+ * Body: { filters (see exportCount), format?: csv | xlsx | json | ndjson, columns?: ["first_name", "assignee", ...] }
+ * Streams the file (default csv), one row per lead in id order. columns picks and orders the columns: built-in
+ * columns (id, name/contact fields, status, source, value_decimal, assignee, assignee_email, assigned_at, creator,
+ * created_at, updated_at, note_count, latest_note, latest_note_at) and custom field keys. Default:
+ * first_name,last_name,company,email,phone,country,status,source,value_decimal + every active custom field.
+ * Admins export all leads, managers the leads assigned within their teams (see utils/leadExportUtil).
  */
 const exportDownload = async (req, res) => {
   try {
-    const { where, include } = buildExportQueryParts(req);
+    const format = String(req.body?.format || req.query?.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return resError(res, `format must be one of: ${EXPORT_FORMATS.join(", ")}.`, 400);
+    }
+
+    const customFields = await getActiveCustomFields();
+    const picked = resolveExportColumns(req.body?.columns, customFields);
+    if (picked.error) return resError(res, picked.error, 400);
+    const { columns } = picked;
+
+    const built = await buildExportWhere(exportFilterParams(req), { user: req.user, customFields });
+    if (built.error) return sendSavedFilterError(res, built);
+    const { where } = built;
 
-    // Quick zero-check (same join context as download)
-    const { count } = await Lead.findAndCountAll({
-      where,
-      include,
-      distinct: true,
-      col: "id",
-      limit: 1,
-    });
+    // Quick zero-check (same where as download)
+    const count = await Lead.count({ where });
     if (!count) return resSuccess(res, { message: "No leads match the filters", rows: 0 });
 
-    // CSV headers
+    const writer = createExportWriter(format, res, columns);
+
+    // File headers
     const now = new Date();
     const pad = (n) => String(n).padStart(2, "0");
     const fname = `leads_export_${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(
       now.getHours()
-    )}${pad(now.getMinutes())}.csv`;
+    )}${pad(now.getMinutes())}.${writer.extension}`;
 
-    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Type", writer.contentType);
     res.setHeader("Content-Disposition", `attachment; filename="${fname}"`);
 
-    // Header row + BOM
-    writeCsvHeader(res);
-
-    const PAGE_SIZE = 5000;
-    let offset = 0;
-
-    while (true) {
-      const rows = await Lead.findAll({
-        where,
-        include,
-        // default DB order (no 'order' passed)
-        limit: PAGE_SIZE,
-        offset,
-        attributes: [
-          "id",
-          "first_name",
-          "last_name",
-          "company",
-          "email",
-          "phone",
-          "country",
-          "status_id",
-          "source_id",
-          "value_decimal",
-        ],
-      });
-
-      if (!rows.length) break;
-
-      for (const l of rows) {
-        res.write(leadToCsvRow(l));
-      }
-
-      offset += PAGE_SIZE;
-    }
-
-    res.end();
+    await writeLeadExport(writer, { where, columns, customFields });
+    await writer.end();
   } catch (err) {
     console.error("ExportDownload Error:", err);
     if (!res.headersSent) {
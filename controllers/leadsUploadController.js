@@ -1,325 +1,360 @@
-const { Op, fn, col, where } = require("sequelize");
-const validator = require("validator");
-const { Lead, LeadStatus, LeadSource, LeadAssignment, LeadNote } = require("../models");
+const fs = require("fs");
+const { ImportPreset, ImportBatch } = require("../models");
+const { IMPORT_MODES, MATCH_BY, MATCHABLE_CUSTOM_TYPES, resolveImportOptions } = require("../utils/leadImportUtil");
+const { sanitizeStr, importLeadRows } = require("../utils/leadImportRowsUtil");
+const { enqueueJob } = require("../utils/jobQueue");
+const { readFlag, isAsync } = require("../utils/requestUtil");
+const {
+  UNKNOWN_SOURCE_POLICIES,
+  INVALID_EMAIL_POLICIES,
+  resolveImportDefaults,
+  describeImportDefaults,
+} = require("../utils/importDefaultsUtil");
+const { getActiveCustomFields, MULTI_SEPARATOR } = require("../utils/customFieldUtil");
+const { detectLeadFileFormat, parseLeadFile, writeLeadRowsFile } = require("../utils/leadFileParser");
+const {
+  IMPORT_FIELDS,
+  FULL_NAME,
+  collectHeaders,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+} = require("../utils/importMappingUtil");
 
 // --- helpers ---
-const sanitizeStr = (v) =>
-  v === undefined || v === null
-    ? ""
-    : String(v)
-        .replace(/\u00A0/g, " ")
-        .trim();
+// mode / match_by / update_strategy (validated by resolveImportOptions) and the import's own defaults
+// (validated by resolveImportDefaults) from the body
+const pickImportOptions = (body) => ({
+  mode: body?.mode,
+  match_by: body?.match_by,
+  update_strategy: body?.update_strategy,
+  fallback_status: body?.fallback_status,
+  fallback_source: body?.fallback_source,
+  unknown_sources: body?.unknown_sources,
+  default_assignee_id: body?.default_assignee_id,
+  invalid_email: body?.invalid_email,
+});
+
+// dry_run flag: preview the import without saving anything
+const isDryRun = (req) => readFlag(req, "dry_run");
 
-const toSnakeValue = (label) => {
-  if (!label) return null;
-  return String(label)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "_")
-    .replace(/^_+|_+$/g, "")
-    .slice(0, 40);
+/**
+ * Column mapping for an import from body.preset_id and/or body.mapping (object or JSON string, e.g. multipart).
+ * Entries in body.mapping override the preset's. Without either, rows are used as-is ({ mapping: null }).
+ * Returns { mapping, preset } or { status, body } for the caller to send.
+ */
+const resolveImportMapping = async (body, headers, customFields) => {
+  const { preset_id } = body || {};
+  let { mapping } = body || {};
+
+  if (typeof mapping === "string" && mapping.trim()) {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (_) {
+      return { status: 400, body: { success: false, error: "mapping must be valid JSON." } };
+    }
+  }
+  if (mapping === null || (typeof mapping === "string" && !mapping.trim())) mapping = undefined;
+
+  let preset = null;
+  if (preset_id) {
+    preset = await ImportPreset.findByPk(preset_id);
+    if (!preset) return { status: 404, body: { success: false, error: "Import preset not found." } };
+  }
+  if (!preset && mapping === undefined) return { mapping: null, preset };
+
+  let merged = mapping;
+  if (mapping === undefined) merged = preset.mapping_json;
+  else if (preset && typeof mapping === "object" && !Array.isArray(mapping)) {
+    merged = { ...preset.mapping_json, ...mapping };
+  }
+  const errors = validateMapping(merged, customFields, headers);
+  if (errors.length) {
+    return { status: 400, body: { success: false, error: "Invalid mapping.", details: errors } };
+  }
+  return { mapping: merged, preset };
 };
 
-const normalizePhoneDigits = (p) => (p ? String(p) : "").replace(/\D+/g, "").slice(0, 32); // digits-only, capped
+/**
+ * Queue an import as a background job (async=true); options are validated now, rows are imported in chunks
+ * by the worker (see utils/jobHandlers). payload: { file } (the upload, or the JSON rows saved to disk) plus mapping
+ * and batch_info.
+ * Returns { status, body } for the caller to send (202 { job_id } to poll at GET /api/v1/jobs/:id).
+ */
+const enqueueImportJob = async ({ req, payload, totalRows }) => {
+  if (isDryRun(req)) {
+    return { status: 400, body: { success: false, error: "dry_run cannot be combined with async." } };
+  }
+  if (!totalRows) return { status: 400, body: { success: false, error: "No leads provided." } };
+
+  const options = pickImportOptions(req.body);
+  const resolved = resolveImportOptions(options, await getActiveCustomFields());
+  if (resolved.error) return { status: 400, body: { success: false, error: resolved.error } };
+  const defaults = await resolveImportDefaults(options);
+  if (defaults.error) return { status: 400, body: { success: false, error: defaults.error } };
+
+  const job = await enqueueJob({
+    type: "import_leads",
+    payload: { ...payload, options, actor: { id: req.user.id, role: req.user.role } },
+    totalItems: totalRows,
+    userId: req.user.id,
+  });
+  return {
+    status: 202,
+    body: { success: true, message: "Import queued.", job_id: job.id, status: job.status, total_items: totalRows },
+  };
+};
 
 /**
  * Bulk insert leads from frontend-processed file (CSV parsed to JSON).
- * Body: { leads: [ { first_name?, last_name?, company?, email?, phone?, country?, status?, source?, value_decimal?, notes? } ] }
- * Rules:
- *  - status fallback -> 'new' (by label or value, case-insensitive)
- *  - source fallback -> 'facebook' (by label or value, case-insensitive) and auto-create unknown sources
- *  - duplicate detection -> by email OR phone (digits-only normalization)
- *  - invalid email rows -> SKIP (record note)
- *  - create initial LeadAssignment to req.user.id for each inserted lead
- *  - if a row includes "notes", it becomes an initial LeadNote authored by the importing user
+ * Body: { leads: [ <row> ], mapping?, preset_id?, dry_run?, mode?, match_by?, update_strategy?, file_name?, async? }
+ *       (see importLeadRows for the row shape and rules)
+ * - With mapping/preset_id, rows are keyed by the file's own headers and re-keyed before import
+ * - dry_run=true: nothing is saved; returns per-row outcomes (see utils/leadImportRowsUtil buildImportPreview)
+ * - mode: skip (default) | update | create_anyway; match_by: both (default) | email | phone | custom:<key>;
+ *   update_strategy: fill (default) | overwrite
+ * - fallback_status?, fallback_source? (id, value or label), unknown_sources? (create | reject),
+ *   default_assignee_id?, invalid_email? (skip | blank): override the admin import settings for this import
+ * - Each run is recorded as an ImportBatch (file_name = name of the file the rows came from); see batch_id
+ * - async=true: 202 { job_id }; the rows are saved to a file in the import upload dir and imported from it by the
+ *   background worker (see enqueueImportJob)
  */
 const importLeads = async (req, res) => {
-  let t;
+  let rowsFile = null;
+  let keepFile = false;
   try {
-    const { leads } = req.body;
-    if (!Array.isArray(leads) || leads.length === 0) {
-      return res.status(400).json({ success: false, error: "No leads provided." });
+    const sourceRows = req.body?.leads;
+    let leads = sourceRows;
+    let headers = null;
+    let mapping = null;
+    let preset = null;
+    if (Array.isArray(leads) && leads.length) {
+      headers = collectHeaders(leads);
+      const resolved = await resolveImportMapping(req.body, headers, await getActiveCustomFields());
+      if (resolved.status) return res.status(resolved.status).json(resolved.body);
+      if (resolved.mapping) leads = applyMapping(leads, resolved.mapping);
+      ({ mapping, preset } = resolved);
     }
 
-    const sequelizeInstance = Lead.sequelize;
-    t = await sequelizeInstance.transaction();
-
-    // ---- STEP 1: Ensure all referenced sources exist (including default 'facebook')
-    const incomingSourceLabels = new Set();
-    for (const r of leads) {
-      const src = sanitizeStr(r?.source);
-      if (src) incomingSourceLabels.add(src);
+    const fileName = sanitizeStr(req.body?.file_name).slice(0, 255);
+    const batchInfo = { file_name: fileName || null, format: "json", preset_id: preset ? preset.id : null };
+
+    if (isAsync(req)) {
+      // The rows wait on disk (like an uploaded file) rather than in the job's payload
+      const totalRows = Array.isArray(leads) ? leads.length : 0;
+      if (totalRows) rowsFile = await writeLeadRowsFile(sourceRows);
+      const queued = await enqueueImportJob({
+        req,
+        payload: {
+          file: { path: rowsFile, name: batchInfo.file_name, format: "json" },
+          mapping,
+          batch_info: batchInfo,
+        },
+        totalRows,
+      });
+      keepFile = queued.status === 202;
+      return res.status(queued.status).json(queued.body);
     }
-    incomingSourceLabels.add("facebook");
 
-    if (incomingSourceLabels.size) {
-      const candidateRows = Array.from(incomingSourceLabels)
-        .map((label) => ({
-          value: toSnakeValue(label),
-          label: String(label).trim().slice(0, 80),
-        }))
-        .filter((r) => r.value && r.label);
-
-      const seenVals = new Set();
-      const uniqueRows = [];
-      for (const r of candidateRows) {
-        if (!seenVals.has(r.value)) {
-          seenVals.add(r.value);
-          uniqueRows.push(r);
-        }
-      }
+    const { status, body } = await importLeadRows({
+      leads,
+      user: req.user,
+      dryRun: isDryRun(req),
+      options: pickImportOptions(req.body),
+      batchInfo,
+      sourceRows,
+      headers,
+    });
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error("Import Error:", err);
+    return res.status(500).json({ success: false, error: "Error importing leads." });
+  } finally {
+    if (rowsFile && !keepFile) fs.promises.unlink(rowsFile).catch(() => {});
+  }
+};
 
-      if (uniqueRows.length) {
-        await LeadSource.bulkCreate(uniqueRows, {
-          ignoreDuplicates: true,
-          transaction: t,
-        });
-      }
-    }
+/** Parse req.file; returns { format, headers, rows } or { status, body } */
+const readUploadedFile = async (file) => {
+  if (!file) return { status: 400, body: { success: false, error: "No file uploaded (field 'file')." } };
 
-    // ---- STEP 2: Preload statuses/sources once (now that sources are ensured)
-    const [statuses, sources] = await Promise.all([
-      LeadStatus.findAll({ transaction: t }),
-      LeadSource.findAll({ transaction: t }),
-    ]);
+  const format = detectLeadFileFormat(file.originalname);
+  if (!format) {
+    return { status: 400, body: { success: false, error: "Unsupported file type; upload a .csv or .xlsx file." } };
+  }
 
-    const statusMap = new Map();
-    for (const s of statuses) {
-      if (s.label) statusMap.set(sanitizeStr(s.label).toLowerCase(), s);
-      if (s.value) statusMap.set(sanitizeStr(s.value).toLowerCase(), s);
-    }
-    const defaultStatus = statusMap.get("new") || null;
+  try {
+    const { headers, rows } = await parseLeadFile(file.path, format);
+    return { format, headers, rows };
+  } catch (err) {
+    console.error("Import File Parse Error:", err);
+    return { status: 400, body: { success: false, error: `Could not parse ${format.toUpperCase()} file.` } };
+  }
+};
 
-    const sourceMap = new Map();
-    for (const s of sources) {
-      if (s.label) sourceMap.set(sanitizeStr(s.label).toLowerCase(), s);
-      if (s.value) sourceMap.set(sanitizeStr(s.value).toLowerCase(), s);
+/**
+ * POST /api/v1/leads/upload/detect (multipart/form-data, field "file"; optional preset_id)
+ * Preview a file before importing: detected headers, suggested mapping (or the preset's), sample rows.
+ * - suggestions: { [header]: target | null }; mapping: { [target]: header } ready to send back to /file
+ * - missing_columns: preset columns not found in this file
+ */
+const detectImportColumns = async (req, res) => {
+  const file = req.file;
+  try {
+    const parsed = await readUploadedFile(file);
+    if (parsed.status) return res.status(parsed.status).json(parsed.body);
+    const { format, headers, rows } = parsed;
+
+    const customFields = await getActiveCustomFields();
+    const { suggestions, mapping } = suggestMapping(headers, customFields);
+
+    let preset = null;
+    let missingColumns = [];
+    if (req.body?.preset_id) {
+      preset = await ImportPreset.findByPk(req.body.preset_id);
+      if (!preset) return res.status(404).json({ success: false, error: "Import preset not found." });
+      missingColumns = validateMapping(preset.mapping_json, customFields, headers)
+        .filter((e) => e.error === "unknown_column")
+        .flatMap((e) => e.columns);
     }
-    const defaultSource = sourceMap.get("facebook") || null;
-
-    // ---- STEP 3: Normalize inputs; in-file duplicate detection by email OR phone
-    const prepared = [];
-    const notes = []; // [{ index, email?, phone?, note }]
-    const seenEmails = new Set();
-    const seenPhones = new Set(); // normalized digits-only
-
-    leads.forEach((row, idx) => {
-      const r = row || {};
-
-      // sanitize & normalize fields
-      let email = sanitizeStr(r.email).toLowerCase();
-      if (email === "") email = null; // treat empty as null
-
-      const phoneRaw = sanitizeStr(r.phone) || null;
-      const phoneNorm = phoneRaw ? normalizePhoneDigits(phoneRaw) : null;
-
-      // Email format check (if provided)
-      if (email && !validator.isEmail(email)) {
-        notes.push({ index: idx, email, note: "invalid_email_format" });
-        return; // SKIP this row as requested
-      }
-
-      // In-file duplicate by email
-      if (email && seenEmails.has(email)) {
-        notes.push({ index: idx, email, note: "duplicate_email_in_file" });
-        return;
-      }
-      if (email) seenEmails.add(email);
-
-      // In-file duplicate by phone (digits-only)
-      if (phoneNorm && seenPhones.has(phoneNorm)) {
-        notes.push({ index: idx, phone: phoneRaw, note: "duplicate_phone_in_file" });
-        return;
-      }
-      if (phoneNorm) seenPhones.add(phoneNorm);
 
-      // Resolve status (fallback 'new')
-      let st = null;
-      const rStatus = sanitizeStr(r.status).toLowerCase();
-      if (rStatus) st = statusMap.get(rStatus);
-      if (!st) st = defaultStatus;
-
-      // Resolve source (fallback 'facebook')
-      let src = null;
-      const rSource = sanitizeStr(r.source).toLowerCase();
-      if (rSource) src = sourceMap.get(rSource);
-      if (!src) src = defaultSource;
-
-      // value_decimal normalization
-      let valueDecimal = 0;
-      if (r.value_decimal !== undefined && r.value_decimal !== null && String(r.value_decimal) !== "") {
-        const num = Number(r.value_decimal);
-        valueDecimal = Number.isFinite(num) ? num : 0;
-      }
-
-      const noteBody = sanitizeStr(r.notes);
-      prepared.push({
-        _rowIndex: idx,
-        first_name: sanitizeStr(r.first_name) || null,
-        last_name: sanitizeStr(r.last_name) || null,
-        company: sanitizeStr(r.company) || null,
-        email, // may be null
-        phone: phoneRaw, // store original raw, compare using normalized set
-        _phoneNorm: phoneNorm, // internal use only
-        country: sanitizeStr(r.country) || null,
-        status_id: st ? st.id : null,
-        source_id: src ? src.id : null,
-        value_decimal: valueDecimal,
-        _noteBody: noteBody, // keep separate; will become LeadNote later
-        created_by: req.user?.id || null,
-        updated_by: req.user?.id || null,
-      });
+    return res.json({
+      success: true,
+      file: { name: file.originalname, format, rows: rows.length },
+      headers,
+      suggestions,
+      mapping: preset ? preset.mapping_json : mapping,
+      ...(preset ? { preset: { id: preset.id, name: preset.name }, missing_columns: missingColumns } : {}),
+      targets: [...IMPORT_FIELDS, FULL_NAME, ...customFields.map((f) => f.key)],
+      sample: rows.slice(0, 5),
     });
+  } catch (err) {
+    console.error("Detect Import Columns Error:", err);
+    return res.status(500).json({ success: false, error: "Could not read lead file." });
+  } finally {
+    if (file?.path) fs.promises.unlink(file.path).catch(() => {});
+  }
+};
 
-    if (prepared.length === 0) {
-      await t.rollback();
-      return res.status(400).json({
-        success: false,
-        error: "No valid rows to import.",
-        details: { notes },
-      });
-    }
-
-    // ---- STEP 4: DB duplicate detection by email OR phone (digits-only)
-    const emails = prepared.map((p) => p.email).filter(Boolean);
-    const phoneNorms = Array.from(new Set(prepared.map((p) => p._phoneNorm).filter(Boolean)));
-
-    const whereClauses = [];
-    if (emails.length) {
-      whereClauses.push({ email: { [Op.in]: emails } });
-    }
-    if (phoneNorms.length) {
-      // MySQL 8+: REGEXP_REPLACE(phone, '[^0-9]', '') IN (:phoneNorms)
-      const normalizedDbPhone = fn("REGEXP_REPLACE", col("phone"), "[^0-9]", "");
-      whereClauses.push(where(normalizedDbPhone, { [Op.in]: phoneNorms }));
-    }
-
-    const existing = whereClauses.length
-      ? await Lead.findAll({
-          where: { [Op.or]: whereClauses },
-          attributes: ["email", "phone"],
-          transaction: t,
-        })
-      : [];
-
-    const existingEmails = new Set(
-      existing
-        .map((e) => e.email)
-        .filter(Boolean)
-        .map((e) => String(e).toLowerCase())
-    );
-
-    const existingPhoneNorms = new Set(existing.map((e) => normalizePhoneDigits(e.phone)).filter(Boolean));
-
-    const toInsert = [];
-    for (const p of prepared) {
-      if (p.email && existingEmails.has(p.email)) {
-        notes.push({ index: p._rowIndex, email: p.email, note: "duplicate_email_in_db" });
-        continue;
-      }
-      if (p._phoneNorm && existingPhoneNorms.has(p._phoneNorm)) {
-        notes.push({ index: p._rowIndex, phone: p.phone, note: "duplicate_phone_in_db" });
-        continue;
-      }
-      toInsert.push(p);
-    }
-
-    if (toInsert.length === 0) {
-      await t.rollback();
-      return res.status(409).json({
-        success: false,
-        error: "All rows are duplicates or invalid (by email/phone).",
-        details: { notes },
+/**
+ * POST /api/v1/leads/upload/file
+ * multipart/form-data: file, mapping? (JSON string), preset_id?, dry_run?, mode?, match_by?, update_strategy?,
+ * fallback_status?, fallback_source?, unknown_sources?, default_assignee_id?, invalid_email?, async? (see importLeads)
+ * - Accepts .csv (delimiter auto-detected: , ; tab |; quoted fields; UTF-8 BOM) and .xlsx (first worksheet)
+ * - The first row holds column names: the JSON row keys, or the file's own headers when a mapping/preset is given
+ * - Rows then go through importLeadRows; the uploaded file is removed once processed
+ *   (async=true: kept until the background job has read it)
+ */
+const importLeadsFile = async (req, res) => {
+  const file = req.file;
+  let keepFile = false;
+  try {
+    const parsed = await readUploadedFile(file);
+    if (parsed.status) return res.status(parsed.status).json(parsed.body);
+    const { format, headers } = parsed;
+    let { rows } = parsed;
+
+    const resolved = await resolveImportMapping(req.body, headers, await getActiveCustomFields());
+    if (resolved.status) return res.status(resolved.status).json(resolved.body);
+    if (resolved.mapping) rows = applyMapping(rows, resolved.mapping);
+
+    const batchInfo = {
+      file_name: file.originalname.slice(0, 255),
+      format,
+      preset_id: resolved.preset ? resolved.preset.id : null,
+    };
+    const fileInfo = { name: file.originalname, format, rows: rows.length };
+
+    if (isAsync(req)) {
+      const queued = await enqueueImportJob({
+        req,
+        payload: {
+          file: { path: file.path, name: file.originalname, format },
+          mapping: resolved.mapping,
+          batch_info: batchInfo,
+        },
+        totalRows: rows.length,
       });
+      keepFile = queued.status === 202;
+      return res.status(queued.status).json({ ...queued.body, file: fileInfo });
     }
 
-    // ---- STEP 5: Insert leads (omit internals and _noteBody)
-    const createdLeads = await Lead.bulkCreate(
-      toInsert.map(({ _rowIndex, _phoneNorm, _noteBody, ...rest }) => rest),
-      { validate: true, returning: true, transaction: t }
-    );
-
-    // ---- STEP 6: Create initial assignments to creator
-    if (req.user?.id && createdLeads.length) {
-      const assignments = createdLeads.map((l) => ({
-        lead_id: l.id,
-        assignee_id: req.user.id,
-        assigned_by: req.user.id,
-      }));
-      await LeadAssignment.bulkCreate(assignments, { transaction: t });
-    }
-
-    // ---- STEP 7: Create initial LeadNotes (if provided per row)
-    // Map in-order: createdLeads[i] corresponds to toInsert[i]
-    const notesPayload = [];
-    for (let i = 0; i < createdLeads.length; i++) {
-      const noteBody = toInsert[i]._noteBody;
-      if (typeof noteBody === "string" && noteBody.trim().length > 0) {
-        notesPayload.push({
-          lead_id: createdLeads[i].id,
-          author_id: req.user?.id || null,
-          body: noteBody.trim(),
-        });
-      }
-    }
-    if (notesPayload.length) {
-      await LeadNote.bulkCreate(notesPayload, { transaction: t });
-    }
-
-    await t.commit();
-
-    return res.status(201).json({
-      success: true,
-      message: `${createdLeads.length} leads imported successfully.`,
-      summary: {
-        attempted: leads.length,
-        inserted: createdLeads.length,
-        duplicates_or_skipped: notes.length,
-      },
-      notes, // includes: invalid_email_format, duplicate_*_in_file, duplicate_*_in_db
-      data: createdLeads,
+    const { status, body } = await importLeadRows({
+      leads: rows,
+      user: req.user,
+      dryRun: isDryRun(req),
+      options: pickImportOptions(req.body),
+      batchInfo,
+      sourceRows: parsed.rows,
+      headers,
     });
+    return res.status(status).json({ ...body, file: fileInfo });
   } catch (err) {
-    console.error("Import Error:", err);
-    if (t) {
-      try {
-        await t.rollback();
-      } catch (_) {}
-    }
-    return res.status(500).json({ success: false, error: "Error importing leads." });
+    console.error("Import File Error:", err);
+    return res.status(500).json({ success: false, error: "Error importing lead file." });
+  } finally {
+    if (file?.path && !keepFile) fs.promises.unlink(file.path).catch(() => {});
   }
 };
 
 /**
- * Return the expected schema for frontend reference
+ * Return the expected schema for frontend reference (active custom fields are appended as extra columns)
+ * defaults: the effective import defaults (admin import settings, else built-in; see GET /settings)
  */
 const getTemplateSchema = async (req, res) => {
   try {
+    const customFields = await getActiveCustomFields();
+    const defaults = await resolveImportDefaults();
+    const statusName = defaults.status ? `'${defaults.status.value}'` : "no status";
+    const sourceName = defaults.source ? `'${defaults.source.value}'` : "no source";
+
     return res.json({
-      fields: [
-        "first_name",
-        "last_name",
-        "company",
-        "email",
-        "phone",
-        "country",
-        "status", // accepts label or value; fallback 'new'
-        "source", // accepts label or value; fallback 'facebook' (auto-created if missing)
-        "value_decimal",
-        "notes", // optional: becomes an initial note attached to the lead (authored by the importing user)
-      ],
-      defaults: {
-        status: "new",
-        source: "facebook",
+      fields: [...IMPORT_FIELDS, ...customFields.map((f) => f.key)],
+      custom_fields: customFields.map((f) => ({
+        key: f.key,
+        label: f.label,
+        type: f.type,
+        options: f.options,
+        is_required: f.is_required,
+      })),
+      defaults: describeImportDefaults(defaults),
+      default_options: {
+        fallback_status: "status id, value or label",
+        fallback_source: "source id, value or label",
+        unknown_sources: UNKNOWN_SOURCE_POLICIES,
+        default_assignee_id: "active user id",
+        invalid_email: INVALID_EMAIL_POLICIES,
       },
-      duplicate_check: "email_or_phone (phone compared by digits-only)",
+      duplicate_check: "email_or_phone (phone compared by digits-only); configurable via match_by",
+      modes: IMPORT_MODES,
+      match_by: [
+        ...MATCH_BY,
+        ...customFields.filter((f) => MATCHABLE_CUSTOM_TYPES.includes(f.type)).map((f) => `custom:${f.key}`),
+      ],
       notes: [
-        "If status is missing or invalid, 'new' is used.",
-        "If source is missing or invalid, 'facebook' is used.",
-        "Unknown sources are created automatically (value = lowercase_with_underscores, label = original).",
+        `If status is missing or invalid, ${statusName} is used.`,
+        `If source is missing, ${sourceName} is used.`,
+        defaults.unknownSources === "create"
+          ? "Unknown sources are created automatically (value = lowercase_with_underscores, label = original)."
+          : "Rows with an unknown source are skipped (unknown_source).",
         "Duplicates are detected by email OR phone; phone is normalized to digits-only for comparison.",
-        "Rows with invalid email format are skipped.",
+        "mode=update updates the matched lead instead (update_strategy fill or overwrite) and appends the row's notes.",
+        "mode=create_anyway skips duplicate detection; match_by picks email, phone, both or a custom field.",
+        defaults.invalidEmail === "skip"
+          ? "Rows with invalid email format are skipped."
+          : "Rows with invalid email format are imported without the email.",
+        defaults.assignee
+          ? `Leads no routing rule matches are assigned to ${defaults.assignee.full_name}.`
+          : "Leads no routing rule matches are assigned to the importing user.",
+        "Each import can override these defaults (default_options); admins set them at /settings.",
         "If a row includes 'notes', it is saved as the first note on that lead.",
+        `Custom fields use their key as column name; multi_select values are separated by '${MULTI_SEPARATOR}'.`,
+        "Rows with an invalid custom field value or a missing required custom field are skipped.",
+        "Files can be uploaded as .csv (any of , ; tab | as delimiter) or .xlsx (first sheet); row 1 holds the fields.",
+        "Files with other headers can be imported with a column mapping or a saved import preset (see /detect).",
+        "Every import is recorded as a batch (see /batches); a batch's untouched leads can be undone in one step.",
+        "Skipped rows can be downloaded as CSV (error_report_url) with their original columns and the reason.",
+        "async=true imports in a background job in chunks; poll GET /api/v1/jobs/:id for progress.",
       ],
     });
   } catch (err) {
@@ -328,4 +363,4 @@ const getTemplateSchema = async (req, res) => {
   }
 };
 
-module.exports = { importLeads, getTemplateSchema };
+module.exports = { importLeads, importLeadsFile, detectImportColumns, getTemplateSchema };
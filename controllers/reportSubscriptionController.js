@@ -0,0 +1,336 @@
+// controllers/reportSubscriptionController.js
+const validator = require("validator");
+const { ReportSubscription, ReportDelivery, User } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+const { resolveExportColumns, buildExportWhere } = require("../utils/leadExportUtil");
+const { isMailConfigured } = require("../utils/mailUtil");
+const {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  CADENCES,
+  MAX_RECIPIENTS,
+  computeNextRunAt,
+  loadSubscriptionOwner,
+  deliverSubscription,
+} = require("../utils/reportSubscriptionUtil");
+const { getReportTimezone, isValidTimezone } = require("../utils/reportPeriodUtil");
+
+const OWNER_INCLUDE = { model: User, as: "owner", attributes: ["id", "full_name", "email"] };
+
+// Admins manage every subscription; managers only their own
+const canManage = (user, subscription) =>
+  user.role === "admin" || Number(subscription.owner_id) === Number(user.id);
+
+const findManageable = async (req) => {
+  const subscription = await ReportSubscription.findByPk(req.params.id, { include: [OWNER_INCLUDE] });
+  return subscription && canManage(req.user, subscription) ? subscription : null;
+};
+
+const sendSubscriptionError = (res, result) =>
+  res.status(result.status).json({
+    code: "ERROR",
+    error: result.error,
+    ...(result.details ? { details: result.details } : {}),
+  });
+
+const readInt = (value, min, max) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+// "a@x.com, b@y.com" or ["a@x.com", ...] -> unique lower-cased addresses, or { error }
+const parseRecipients = (input) => {
+  const list = (Array.isArray(input) ? input : String(input || "").split(","))
+    .map((e) => String(e).trim().toLowerCase())
+    .filter(Boolean);
+  const recipients = [...new Set(list)];
+  if (!recipients.length) return { error: "recipients must list at least one email address." };
+  if (recipients.length > MAX_RECIPIENTS) return { error: `At most ${MAX_RECIPIENTS} recipients.` };
+  const invalid = recipients.filter((e) => !validator.isEmail(e));
+  if (invalid.length) return { error: `Invalid recipient emails: ${invalid.join(", ")}.` };
+  return { recipients };
+};
+
+/**
+ * Validate subscription fields (merged with its current values on update).
+ * owner: { id, role } the subscription runs as (filters are checked with its scope).
+ * Returns { values } or { status, error, details? }
+ */
+const validateSubscriptionInput = async (input, current, owner) => {
+  const pick = (key) => (input[key] !== undefined ? input[key] : current[key]);
+  const values = {};
+
+  const name = String(pick("name") || "").trim();
+  if (!name) return { status: 400, error: "name is required." };
+  if (name.length > 120) return { status: 400, error: "name must be at most 120 characters." };
+  values.name = name;
+
+  const reportType = pick("report_type");
+  if (!REPORT_TYPES.includes(reportType)) {
+    return { status: 400, error: `report_type must be one of: ${REPORT_TYPES.join(", ")}.` };
+  }
+  values.report_type = reportType;
+
+  // No format given: keep the current one if it fits the report type, else the type's default
+  const formats = REPORT_FORMATS[reportType];
+  let format = input.format;
+  if (format === undefined || format === null) format = formats.includes(current.format) ? current.format : formats[0];
+  if (!formats.includes(format)) {
+    return { status: 400, error: `format must be one of: ${formats.join(", ")} for ${reportType}.` };
+  }
+  values.format = format;
+
+  const cadence = pick("cadence");
+  if (!CADENCES.includes(cadence)) return { status: 400, error: `cadence must be one of: ${CADENCES.join(", ")}.` };
+  values.cadence = cadence;
+
+  for (const [key, min, max, fallback] of [
+    ["send_hour", 0, 23, 7],
+    ["send_weekday", 0, 6, 1],
+    ["send_day", 1, 28, 1],
+  ]) {
+    const raw = pick(key);
+    values[key] = raw === undefined || raw === null ? fallback : readInt(raw, min, max);
+    if (values[key] === null) return { status: 400, error: `${key} must be an integer from ${min} to ${max}.` };
+  }
+
+  const timezone = String(pick("timezone") || getReportTimezone());
+  if (!isValidTimezone(timezone)) {
+    return { status: 400, error: "timezone must be an IANA timezone name, e.g. Europe/Berlin." };
+  }
+  values.timezone = timezone;
+
+  const parsed = parseRecipients(pick("recipients"));
+  if (parsed.error) return { status: 400, error: parsed.error };
+  values.recipients_json = parsed.recipients;
+
+  if (reportType === "leads_export") {
+    const customFields = await getActiveCustomFields();
+
+    const filters = input.filters !== undefined ? input.filters : current.filters_json;
+    if (filters != null && (typeof filters !== "object" || Array.isArray(filters))) {
+      return { status: 400, error: "filters must be an object (GET /leads filter params)." };
+    }
+    const built = await buildExportWhere(filters || {}, { user: owner, customFields });
+    if (built.error) return built;
+    values.filters_json = filters || null;
+
+    const columns = input.columns !== undefined ? input.columns : current.columns_json;
+    const picked = resolveExportColumns(columns, customFields);
+    if (picked.error) return { status: 400, error: picked.error, details: { unknown: picked.unknown } };
+    values.columns_json = columns && String(columns).trim() ? picked.columns.map((c) => c.key) : null;
+
+    values.new_leads_only = Boolean(pick("new_leads_only"));
+  } else {
+    Object.assign(values, { filters_json: null, columns_json: null, new_leads_only: false });
+  }
+
+  if (input.is_active !== undefined) values.is_active = Boolean(input.is_active);
+  return { values };
+};
+
+// ==========================
+// Report Subscriptions
+// ==========================
+
+/**
+ * GET /api/v1/reports/subscriptions
+ * Query: owner_id? (admin only)
+ * Admins see every subscription, managers their own. Also returns the allowed report types, formats and cadences.
+ */
+const listSubscriptions = async (req, res) => {
+  try {
+    const where = {};
+    if (req.user.role !== "admin") where.owner_id = req.user.id;
+    else if (req.query.owner_id) where.owner_id = req.query.owner_id;
+
+    const subscriptions = await ReportSubscription.findAll({
+      where,
+      include: [OWNER_INCLUDE],
+      order: [["id", "DESC"]],
+    });
+
+    return resSuccess(res, {
+      subscriptions,
+      report_types: REPORT_TYPES,
+      formats: REPORT_FORMATS,
+      cadences: CADENCES,
+      mail_configured: isMailConfigured(),
+    });
+  } catch (err) {
+    console.error("listSubscriptions Error:", err);
+    return resError(res, "Failed to list report subscriptions.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/reports/subscriptions/:id
+ */
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findManageable(req);
+    if (!subscription) return resError(res, "Report subscription not found.", 404);
+
+    return resSuccess(res, subscription);
+  } catch (err) {
+    console.error("getSubscription Error:", err);
+    return resError(res, "Failed to fetch report subscription.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/reports/subscriptions
+ * Body: {
+ *   name, report_type: monthly_report | leads_export, format? (monthly_report: pdf; leads_export: csv | xlsx | json
+ *   | ndjson, default the first), cadence: daily | weekly | monthly, send_hour? (0-23, default 7),
+ *   send_weekday? (weekly, 0 = Sunday, default 1), send_day? (monthly, 1-28, default 1),
+ *   timezone? (IANA name the send time and report periods are local to, default NODE_LEADHIVE_REPORT_TIMEZONE or UTC),
+ *   recipients: ["a@example.com"] | "a@example.com,b@example.com",
+ *   leads_export only: filters? (GET /leads filter params, filter_id included), columns? (see export download),
+ *   new_leads_only? (only leads created during the cadence period before each send),
+ *   is_active? (default true)
+ * }
+ * The subscription runs with the creator's role scope (managers: their teams).
+ * Monthly reports cover the month of the day before the send (a send on the 1st covers the previous month).
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const result = await validateSubscriptionInput(req.body || {}, {}, req.user);
+    if (result.error) return sendSubscriptionError(res, result);
+
+    const { values } = result;
+    const subscription = await ReportSubscription.create({
+      ...values,
+      owner_id: req.user.id,
+      next_run_at: values.is_active === false ? null : computeNextRunAt(values),
+    });
+    await subscription.reload({ include: [OWNER_INCLUDE] });
+
+    return resSuccess(res, subscription, 201);
+  } catch (err) {
+    console.error("createSubscription Error:", err);
+    return resError(res, "Failed to create report subscription.", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/reports/subscriptions/:id
+ * Body: any field of POST (the owner stays the same); the next send time is recomputed.
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findManageable(req);
+    if (!subscription) return resError(res, "Report subscription not found.", 404);
+
+    const owner = await loadSubscriptionOwner(subscription.owner_id);
+    if (!owner) return resError(res, "Subscription owner is inactive or no longer exists.", 409);
+
+    const current = { ...subscription.get({ plain: true }), recipients: subscription.recipients_json };
+    const result = await validateSubscriptionInput(req.body || {}, current, owner);
+    if (result.error) return sendSubscriptionError(res, result);
+
+    const { values } = result;
+    const isActive = values.is_active !== undefined ? values.is_active : subscription.is_active;
+    await subscription.update({
+      ...values,
+      next_run_at: isActive ? computeNextRunAt(values) : null,
+      updated_at: new Date(),
+    });
+
+    return resSuccess(res, subscription);
+  } catch (err) {
+    console.error("updateSubscription Error:", err);
+    return resError(res, "Failed to update report subscription.", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/reports/subscriptions/:id
+ * Removes the subscription and its delivery log
+ */
+const deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await findManageable(req);
+    if (!subscription) return resError(res, "Report subscription not found.", 404);
+
+    await ReportDelivery.destroy({ where: { subscription_id: subscription.id } });
+    await subscription.destroy();
+
+    return resSuccess(res, { id: subscription.id, deleted: true });
+  } catch (err) {
+    console.error("deleteSubscription Error:", err);
+    return resError(res, "Failed to delete report subscription.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/reports/subscriptions/:id/send
+ * Build and email the subscription right now (also when paused); the schedule is not changed.
+ * Response: the delivery log entry (502 when building or sending failed)
+ */
+const sendSubscriptionNow = async (req, res) => {
+  try {
+    const subscription = await findManageable(req);
+    if (!subscription) return resError(res, "Report subscription not found.", 404);
+
+    const delivery = await deliverSubscription(subscription, { trigger: "manual", triggeredBy: req.user.id });
+    if (delivery.status !== "sent") {
+      return res.status(502).json({ code: "ERROR", error: `Delivery failed: ${delivery.error}`, delivery });
+    }
+    return resSuccess(res, delivery);
+  } catch (err) {
+    console.error("sendSubscriptionNow Error:", err);
+    return resError(res, "Failed to send report subscription.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/reports/subscriptions/:id/deliveries
+ * Query: status? (sending | sent | failed), page=1, limit=20
+ * Delivery log, newest first
+ */
+const listDeliveries = async (req, res) => {
+  try {
+    const subscription = await findManageable(req);
+    if (!subscription) return resError(res, "Report subscription not found.", 404);
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const where = { subscription_id: subscription.id };
+    if (status) where.status = String(status);
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.max(1, parseInt(limit, 10) || 20);
+
+    const { count, rows } = await ReportDelivery.findAndCountAll({
+      where,
+      include: [{ model: User, as: "triggeredBy", attributes: ["id", "full_name", "email"] }],
+      order: [["id", "DESC"]],
+      limit: pageLimit,
+      offset: (pageNum - 1) * pageLimit,
+    });
+
+    return resSuccess(res, {
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(count / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("listDeliveries Error:", err);
+    return resError(res, "Failed to list report deliveries.", 500);
+  }
+};
+
+module.exports = {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendSubscriptionNow,
+  listDeliveries,
+};
@@ -1,103 +1,134 @@
 // controllers/reportsController.js
-const { Op, fn, col, literal } = require("sequelize");
-const {
-  Lead,
-  LeadStatus,
-  LeadSource,
-  LeadNote,
-  LeadAssignment,
-  User,
-  Role,
-  Team,
-  TeamMember,
-  TeamManager,
-} = require("../models");
+const { Op } = require("sequelize");
+const { LeadStatus } = require("../models");
+const { sequelize } = require("../config/database");
 const { resSuccess, resError } = require("../utils/responseUtil");
-
-// Subquery: latest assignment row id per lead
-const LATEST_ASSIGNMENT_IDS = literal(`(SELECT MAX(id) FROM lead_assignments GROUP BY lead_id)`);
+const { resolveReportScope } = require("../utils/teamScopeUtil");
+const { buildMonthlyReport } = require("../utils/monthlyReportUtil");
+const { describeReportScope, buildMonthlyReportView, renderReportPdf } = require("../utils/reportPdfUtil");
+const { STATUS_ATTRIBUTES, resolveFunnelStages, buildFunnelReport } = require("../utils/funnelReportUtil");
+const {
+  AGING_MEASURES,
+  parseAgingBuckets,
+  resolveClosedStatuses,
+  buildAgingReport,
+  listAgingLeads,
+} = require("../utils/agingReportUtil");
+const { parseReportPeriod, parseComparePeriod, computeDelta } = require("../utils/reportPeriodUtil");
 
 // =============================
-// Helpers
+// Controller: Monthly Reports
 // =============================
 
+// Deltas of rows matched by key (rows missing on one side count as 0): { ...describe(row), [field]: delta }
+const compareRows = (rows, previousRows, keyOf, fields, describe) => {
+  const previousByKey = new Map(previousRows.map((r) => [keyOf(r), r]));
+  const currentByKey = new Map(rows.map((r) => [keyOf(r), r]));
+  const dropped = previousRows.filter((r) => !currentByKey.has(keyOf(r)));
+  return [...rows, ...dropped].map((row) => {
+    const current = currentByKey.get(keyOf(row));
+    const previous = previousByKey.get(keyOf(row));
+    return {
+      ...describe(row),
+      ...Object.fromEntries(fields.map((f) => [f, computeDelta(current?.[f], previous?.[f])])),
+    };
+  });
+};
+
 /**
- * Parse the requested month/year from query string.
- * Accepted format:
- *   ?year=2026&month=3
- * If missing, defaults to *current* month (UTC).
- *
- * Restricts year to [2025, 2035] and month to [1..12].
+ * Per-card deltas of a monthly report against the same report for the comparison period: every figure becomes
+ * { current, previous, change, change_pct } (see reportPeriodUtil computeDelta)
  */
-function parseMonthRange(req) {
-  let year = parseInt(req.query.year, 10);
-  let month = parseInt(req.query.month, 10); // 1..12
-
-  const now = new Date();
-
-  if (!year || Number.isNaN(year)) {
-    year = now.getUTCFullYear();
-  }
-  if (!month || Number.isNaN(month)) {
-    month = now.getUTCMonth() + 1;
-  }
-
-  if (year < 2025 || year > 2035) {
-    throw new Error("Year must be between 2025 and 2035");
-  }
-  if (month < 1 || month > 12) {
-    throw new Error("Month must be between 1 and 12");
-  }
-
-  // Start of month (UTC)
-  const start = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0, 0));
-  // End of month (UTC) – day 0 of next month gives the last day of this month
-  const end = new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
-
-  return { year, month, start, end };
-}
+const compareMonthlyReportCards = (cards, previous) => {
+  const source = (r) => ({ source_id: r.source_id, label: r.label, value: r.value });
+  const agent = (r) => ({ user_id: r.user_id, full_name: r.full_name, email: r.email });
+
+  return {
+    callStatistics: {
+      totalCalls: computeDelta(cards.callStatistics.totalCalls, previous.callStatistics.totalCalls),
+      connectedCalls: computeDelta(cards.callStatistics.connectedCalls, previous.callStatistics.connectedCalls),
+      byOutcome: compareRows(
+        cards.callStatistics.byOutcome,
+        previous.callStatistics.byOutcome,
+        (r) => r.outcome,
+        ["count"],
+        (r) => ({ outcome: r.outcome }),
+      ),
+      byAgent: compareRows(
+        cards.callStatistics.byAgent,
+        previous.callStatistics.byAgent,
+        (r) => r.user_id,
+        ["call_count", "connected_count", "total_duration_seconds"],
+        agent,
+      ),
+    },
+    callsBySource: compareRows(cards.callsBySource, previous.callsBySource, (r) => r.source_id, ["call_count"], source),
+    salesFromCalls: {
+      totalCustomers: computeDelta(cards.salesFromCalls.totalCustomers, previous.salesFromCalls.totalCustomers),
+      bySource: compareRows(
+        cards.salesFromCalls.bySource,
+        previous.salesFromCalls.bySource,
+        (r) => r.source_id,
+        ["count"],
+        source,
+      ),
+    },
+    monthlyPerformance: {
+      agents: compareRows(
+        cards.monthlyPerformance.agents,
+        previous.monthlyPerformance.agents,
+        (r) => r.user_id,
+        ["calls_this_month", "notes_this_month", "conversion_rate"],
+        agent,
+      ),
+    },
+  };
+};
 
 /**
- * For a manager, resolve the "team scope":
- *  - self (manager)
- *  - all members of teams they manage
- *
- * Returns array of user_ids (unique).
+ * The monthly report for a request's period params (see parseReportPeriod), plus
+ * comparison: { period, deltas } when ?compare= is given.
+ * Returns the report or { status, error }
  */
-const resolveManagerAssignees = async (managerId) => {
-  const tmRows = await TeamManager.findAll({
-    where: { manager_id: managerId },
-    attributes: ["team_id"],
-    raw: true,
-  });
-
-  const teamIds = tmRows.map((r) => r.team_id);
-  if (!teamIds.length) return [managerId];
-
-  const memberRows = await TeamMember.findAll({
-    where: { team_id: { [Op.in]: teamIds } },
-    attributes: ["user_id"],
-    raw: true,
-  });
-
-  const memberIds = memberRows.map((r) => r.user_id);
+const buildMonthlyReportForQuery = async (user, query) => {
+  let period;
+  let comparePeriod;
+  try {
+    period = parseReportPeriod(query);
+    comparePeriod = parseComparePeriod(query, period);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
 
-  return Array.from(new Set([managerId, ...memberIds]));
+  const report = await buildMonthlyReport({ user, period });
+  if (report.error || !comparePeriod) return report;
+
+  const previous = await buildMonthlyReport({ user, period: comparePeriod });
+  if (previous.error) return previous;
+  return {
+    ...report,
+    comparison: {
+      period: comparePeriod,
+      deltas: compareMonthlyReportCards(report.cards, previous.cards),
+    },
+  };
 };
 
-// =============================
-// Controller: Monthly Reports
-// =============================
-
 /**
- * GET /api/v1/reports/monthly?year=2026&month=3
+ * GET /api/v1/reports/monthly?preset=last_30_days&timezone=Europe/Berlin&compare=previous_period
  *
- * Returns a single JSON payload for the Reports page, covering ONE month:
- *  - Call Statistics card (total + per-agent breakdown)
+ * Returns a single JSON payload for the Reports page, covering ONE period (default: the current calendar month):
+ *  - Call Statistics card (total + per-outcome + per-agent breakdown, from logged LeadCalls)
  *  - Calls by Source card
  *  - Sales from Calls card
  *  - Monthly Performance table
  *
+ * Period: preset (today, yesterday, this_week, last_week, last_7_days, last_30_days, last_90_days, this_month,
+ * last_month, this_quarter, last_quarter, year_to_date, last_year), from/to (YYYY-MM-DD, inclusive) or
+ * year/month, at most 366 days; timezone (IANA name, default NODE_LEADHIVE_REPORT_TIMEZONE or UTC) sets where
+ * days start. compare (previous_period | previous_year) adds comparison: { period, deltas } with the change of
+ * every card figure.
+ *
  * Role scoping:
  *  - admin     -> all sales reps
  *  - manager   -> sales reps in teams they manage (and within those teams)
@@ -105,451 +136,331 @@ const resolveManagerAssignees = async (managerId) => {
  */
 const getMonthlyReports = async (req, res) => {
   try {
-    const { id: userId, role } = req.user;
+    const report = await buildMonthlyReportForQuery(req.user, req.query);
+    if (report.error) return resError(res, report.error, report.status);
+
+    return resSuccess(res, report);
+  } catch (err) {
+    console.error("getMonthlyReports Error:", err);
+    return resError(res, "Failed to build monthly reports.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/reports/monthly/pdf?year=2026&month=3
+ *
+ * The monthly report (same period params, payload and role scoping as GET /api/v1/reports/monthly) as a branded
+ * PDF (views/report-pdf.ejs): period and scope in the header, summary figures (with their change when compare is
+ * given), call statistics, calls by source, sales from calls and the per-agent performance table.
+ * Response: application/pdf attachment monthly-report-YYYY-MM.pdf (a calendar month) or report-FROM_TO.pdf
+ */
+const getMonthlyReportPdf = async (req, res) => {
+  try {
+    const report = await buildMonthlyReportForQuery(req.user, req.query);
+    if (report.error) return resError(res, report.error, report.status);
+
+    const view = buildMonthlyReportView(report, { scopeLabel: await describeReportScope(report.scope) });
+    const pdf = await renderReportPdf(view);
+
+    const { period } = report;
+    const fname = period.month
+      ? `monthly-report-${period.year}-${String(period.month).padStart(2, "0")}.pdf`
+      : `report-${period.from}_${period.to}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fname}"`);
+    res.setHeader("Content-Length", pdf.length);
+    return res.end(pdf);
+  } catch (err) {
+    console.error("getMonthlyReportPdf Error:", err);
+    return resError(res, "Failed to build monthly report PDF.", 500);
+  }
+};
+
+// =============================
+// Controller: Funnel Report
+// =============================
 
-    // 1) Month range (2025–2035; defaults to current month)
+/**
+ * GET /api/v1/reports/funnel?from=2026-03-01&to=2026-03-31&stage_ids=1,2,5
+ *
+ * Sales funnel of the leads created in the period (same period params as GET /reports/monthly: preset, from/to
+ * or year/month, timezone; default: the current calendar month), from their status history:
+ * per stage (configured order, see GET /reports/funnel/stages; stage_ids overrides it) how many leads reached it,
+ * stage-to-stage conversion rates, drop-off and the median time spent in the stage.
+ *
+ * Role scoping (by current assignee):
+ *  - admin     -> all leads
+ *  - manager   -> leads assigned within teams they manage
+ *  - sales_rep -> leads assigned to self
+ */
+const getFunnelReport = async (req, res) => {
+  try {
     let range;
     try {
-      range = parseMonthRange(req);
+      range = parseReportPeriod(req.query);
     } catch (err) {
       return resError(res, err.message, 400);
     }
-    const { year, month, start, end } = range;
-
-    // 2) Determine role-based scope for "agents"
-    //    - admin   -> all sales reps (no further restriction)
-    //    - manager -> sales reps in teams they manage
-    //    - sales_rep -> self
-    let scopeType = "all";
-    let scopedUserIds = null; // used for role scoping of notes & sales
-
-    if (role === "admin") {
-      scopeType = "all";
-      scopedUserIds = null;
-    } else if (role === "manager") {
-      scopeType = "team";
-      scopedUserIds = await resolveManagerAssignees(userId); // manager + members
-    } else if (role === "sales_rep") {
-      scopeType = "self";
-      scopedUserIds = [userId];
-    } else {
-      return resError(res, "Forbidden for this role", 403);
+
+    let stageIds = null;
+    if (req.query.stage_ids) {
+      stageIds = String(req.query.stage_ids)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean)
+        .map(Number);
+      if (!stageIds.every((id) => Number.isInteger(id) && id > 0) || new Set(stageIds).size !== stageIds.length) {
+        return resError(res, "stage_ids must be distinct status ids (comma-separated).", 400);
+      }
     }
 
-    // 3) Load master lists: statuses & sources (for sales + performance table)
-    const allStatuses = await LeadStatus.findAll({
-      attributes: ["id", "value", "label"],
-      order: [["id", "ASC"]],
-    });
+    const scope = await resolveReportScope(req.user);
+    if (scope.error) return resError(res, scope.error, scope.status);
 
-    const allSources = await LeadSource.findAll({
-      attributes: ["id", "value", "label"],
-      order: [["id", "ASC"]],
-    });
+    const resolved = await resolveFunnelStages(stageIds);
+    if (resolved.error) return resError(res, resolved.error, 400);
 
-    // Find customer status (for sales)
-    const customerStatus = allStatuses.find((s) => {
-      const v = (s.value || "").toLowerCase();
-      const l = (s.label || "").toLowerCase();
-      return v === "customer" || l === "customer";
-    });
-
-    // 4) Find "agents" (sales reps) in scope
-    const agentWhere = { is_active: true };
-    if (scopeType === "self") {
-      agentWhere.id = userId;
-    } else if (scopeType === "team" && Array.isArray(scopedUserIds) && scopedUserIds.length) {
-      agentWhere.id = { [Op.in]: scopedUserIds };
-    }
+    const funnel = await buildFunnelReport({ scope, start: range.start, end: range.end, stages: resolved.stages });
 
-    const agentUsers = await User.findAll({
-      where: agentWhere,
-      include: [
-        {
-          model: Role,
-          attributes: [],
-          where: { value: "sales_rep" },
-        },
-      ],
-      attributes: ["id", "full_name", "email"],
-      order: [["full_name", "ASC"]],
+    return resSuccess(res, {
+      period: range,
+      scope: {
+        type: scope.type, // "all" | "team" | "self"
+        user_id: req.user.id,
+      },
+      stage_order: resolved.source, // "configured" | "default" | "query"
+      ...funnel,
     });
+  } catch (err) {
+    console.error("getFunnelReport Error:", err);
+    return resError(res, "Failed to build funnel report.", 500);
+  }
+};
 
-    const agentIds = agentUsers.map((u) => u.id);
+/**
+ * GET /api/v1/reports/funnel/stages
+ * The funnel stage order: { stages: [status ...], configured: bool } (every status by id when not configured)
+ */
+const getFunnelStages = async (req, res) => {
+  try {
+    const { stages, source } = await resolveFunnelStages();
+    return resSuccess(res, { stages, configured: source === "configured" });
+  } catch (err) {
+    console.error("getFunnelStages Error:", err);
+    return resError(res, "Failed to fetch funnel stages.", 500);
+  }
+};
 
-    // Common WHERE for LeadNote-based queries (calls for this month)
-    const notesWhere = {
-      created_at: {
-        [Op.gte]: start,
-        [Op.lte]: end,
-      },
-    };
+/**
+ * PUT /api/v1/reports/funnel/stages
+ * Body: { status_ids: [1, 2, 5, 3] } funnel stages in order; statuses left out are not funnel stages
+ * (e.g. "lost"). An empty list resets to every status by id.
+ */
+const updateFunnelStages = async (req, res) => {
+  const statusIds = req.body?.status_ids;
+  if (!Array.isArray(statusIds)) return resError(res, "status_ids must be an array of status ids.", 400);
+  const ids = statusIds.map(Number);
+  if (!ids.every((id) => Number.isInteger(id) && id > 0) || new Set(ids).size !== ids.length) {
+    return resError(res, "status_ids must be distinct status ids.", 400);
+  }
 
-    if (agentIds.length) {
-      notesWhere.author_id = { [Op.in]: agentIds };
-    } else if (scopeType !== "all") {
-      // No agents but scoped role -> force zero rows
-      notesWhere.author_id = { [Op.in]: [-1] };
+  const t = await sequelize.transaction();
+  try {
+    const statuses = await LeadStatus.findAll({ attributes: STATUS_ATTRIBUTES, transaction: t });
+    const known = new Set(statuses.map((s) => Number(s.id)));
+    const unknown = ids.filter((id) => !known.has(id));
+    if (unknown.length) {
+      await t.rollback();
+      return resError(res, `Unknown status ids: ${unknown.join(", ")}.`, 400);
     }
 
-    // =========================
-    // 6) Call Statistics card
-    // =========================
-    let callStatistics = {
-      totalCalls: 0,
-      byAgent: [],
-    };
-
-    let callCountsMap = new Map();
-
-    if (agentIds.length) {
-      const callStatsRows = await LeadNote.findAll({
-        where: notesWhere,
-        attributes: ["author_id", [fn("COUNT", col("LeadNote.id")), "call_count"]],
-        group: ["author_id"],
-        raw: true,
-      });
-
-      callCountsMap = new Map(callStatsRows.map((r) => [Number(r.author_id), Number(r.call_count || 0)]));
-
-      const byAgent = agentUsers.map((user) => {
-        const callCount = callCountsMap.get(user.id) || 0;
-        return {
-          user_id: user.id,
-          full_name: user.full_name,
-          email: user.email,
-          call_count: callCount,
-        };
-      });
-
-      const totalCalls = byAgent.reduce((sum, a) => sum + a.call_count, 0);
-
-      callStatistics = {
-        totalCalls,
-        byAgent: byAgent.sort((a, b) => b.call_count - a.call_count || a.full_name.localeCompare(b.full_name)),
-      };
+    await LeadStatus.update({ funnel_position: null }, { where: {}, transaction: t });
+    for (const [i, id] of ids.entries()) {
+      await LeadStatus.update({ funnel_position: i + 1 }, { where: { id }, transaction: t });
     }
+    await t.commit();
 
-    // =========================
-    // 7) Calls by Source card
-    // =========================
-    //
-    // Now additionally constrained by the lead's *last contacted* date
-    // (Lead.updated_at) being in [start, end].
-    let callsBySource = [];
-
-    if (agentIds.length) {
-      const callsBySourceRows = await LeadNote.findAll({
-        where: notesWhere,
-        attributes: [
-          [col("Lead.source_id"), "source_id"],
-          [fn("COUNT", col("LeadNote.id")), "call_count"],
-        ],
-        include: [
-          {
-            model: Lead,
-            attributes: [],
-            where: {
-              updated_at: {
-                [Op.gte]: start,
-                [Op.lte]: end,
-              },
-            },
-            include: [
-              {
-                model: LeadSource,
-                attributes: ["id", "label", "value"],
-              },
-            ],
-          },
-        ],
-        group: ["Lead.source_id", "Lead->LeadSource.id", "Lead->LeadSource.label", "Lead->LeadSource.value"],
-        raw: true,
-      });
-
-      callsBySource = callsBySourceRows.map((r) => ({
-        source_id: r.source_id,
-        label: r["Lead.LeadSource.label"] || null,
-        value: r["Lead.LeadSource.value"] || null,
-        call_count: Number(r.call_count || 0),
-      }));
-    }
+    const { stages, source } = await resolveFunnelStages();
+    return resSuccess(res, { stages, configured: source === "configured" });
+  } catch (err) {
+    console.error("updateFunnelStages Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Failed to update funnel stages.", 500);
+  }
+};
 
-    // =========================
-    // 8) Sales from Calls card
-    // =========================
-    //
-    // Now requires BOTH:
-    //  - Lead.status = CUSTOMER AND Lead.updated_at in [start, end] (i.e., last contacted this month)
-    //  - Lead has at least one LeadNote (call) this month by an in-scope agent.
-    let salesFromCalls = {
-      totalCustomers: 0,
-      bySource: [],
-    };
+// =============================
+// Controller: Aging Report
+// =============================
 
-    const conversionsMap = new Map(); // user_id -> conversions_this_month
+// Optional numeric id filter (0 = none / unassigned); undefined when absent, NaN when invalid
+const readIdFilter = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : NaN;
+};
 
-    // Precompute: which leads had calls this month (for "from calls" requirement)
-    let leadIdsWithCallsThisMonth = new Set();
-    if (agentIds.length) {
-      const leadsWithCallsRows = await LeadNote.findAll({
-        where: notesWhere,
-        attributes: [[fn("DISTINCT", col("lead_id")), "lead_id"]],
-        raw: true,
-      });
+/**
+ * GET /api/v1/reports/aging?buckets=7,14,30,60
+ *
+ * Open leads (not in a closed status, see GET /reports/aging/closed-statuses) bucketed by days since their last
+ * status change (status_age) and days since their last note or call (activity_age; no_activity = never), in total,
+ * per status and per assignee. Bucket counts follow `buckets` (default 0-6, 7-13, 14-29, 30-59, 60+ days).
+ * Drill down with GET /reports/aging/leads.
+ *
+ * Role scoping (by current assignee):
+ *  - admin   -> all open leads (unassigned included)
+ *  - manager -> leads assigned within teams they manage
+ */
+const getAgingReport = async (req, res) => {
+  try {
+    const parsed = parseAgingBuckets(req.query.buckets);
+    if (parsed.error) return resError(res, parsed.error, 400);
 
-      leadIdsWithCallsThisMonth = new Set(
-        leadsWithCallsRows.map((r) => Number(r.lead_id)).filter((id) => !Number.isNaN(id)),
-      );
-    }
+    const scope = await resolveReportScope(req.user);
+    if (scope.error) return resError(res, scope.error, scope.status);
 
-    if (customerStatus) {
-      const salesWhere = {
-        status_id: customerStatus.id,
-        updated_at: {
-          [Op.gte]: start,
-          [Op.lte]: end,
-        },
-      };
-
-      const assignmentWhere = {
-        id: { [Op.in]: LATEST_ASSIGNMENT_IDS },
-      };
-
-      if (scopeType === "team" && scopedUserIds && scopedUserIds.length) {
-        assignmentWhere.assignee_id = { [Op.in]: scopedUserIds };
-      } else if (scopeType === "self") {
-        assignmentWhere.assignee_id = userId;
-      }
+    const now = new Date();
+    const report = await buildAgingReport({ scope, buckets: parsed.buckets, now });
 
-      const customerLeadsRaw = await Lead.findAll({
-        where: salesWhere,
-        attributes: ["id", "source_id"],
-        include: [
-          {
-            model: LeadSource,
-            attributes: ["id", "label", "value"],
-          },
-          {
-            model: LeadAssignment,
-            as: "LeadAssignments",
-            attributes: ["assignee_id"],
-            required: true,
-            where: assignmentWhere,
-          },
-        ],
-      });
-
-      // Filter to only those leads that had at least one call (LeadNote) this month
-      const customerLeads = customerLeadsRaw.filter((lead) => leadIdsWithCallsThisMonth.has(lead.id));
-
-      const totalCustomers = customerLeads.length;
-
-      // Group customers by source
-      const bySourceMap = new Map();
-      for (const lead of customerLeads) {
-        const id = lead.source_id || 0;
-        const key = String(id);
-        const current = bySourceMap.get(key) || {
-          source_id: id,
-          label: lead.LeadSource ? lead.LeadSource.label : null,
-          value: lead.LeadSource ? lead.LeadSource.value : null,
-          count: 0,
-        };
-        current.count += 1;
-        bySourceMap.set(key, current);
-
-        // Attribute conversions to latest assignee (agent)
-        const latestAssignment = Array.isArray(lead.LeadAssignments) ? lead.LeadAssignments[0] : null;
-        const assigneeId = latestAssignment ? Number(latestAssignment.assignee_id) : null;
-
-        if (assigneeId && agentIds.includes(assigneeId)) {
-          const prev = conversionsMap.get(assigneeId) || 0;
-          conversionsMap.set(assigneeId, prev + 1);
-        }
-      }
+    return resSuccess(res, {
+      as_of: now,
+      scope: {
+        type: scope.type, // "all" | "team"
+        user_id: req.user.id,
+      },
+      ...report,
+    });
+  } catch (err) {
+    console.error("getAgingReport Error:", err);
+    return resError(res, "Failed to build aging report.", 500);
+  }
+};
 
-      const customersBySource = Array.from(bySourceMap.values()).sort((a, b) => b.count - a.count);
+/**
+ * GET /api/v1/reports/aging/leads?measure=status&bucket=30-59&status_id=3&assignee_id=12&buckets=7,14,30,60
+ *
+ * Drill-down of the aging report: the open leads in one bucket (a key from the report's `buckets`; all buckets
+ * when omitted) of a measure (status | activity, default status), optionally of one status / assignee
+ * (0 = no status / unassigned). Oldest first. Paging: page=1, limit=20 (max 100). Same scoping as the report.
+ */
+const getAgingLeads = async (req, res) => {
+  try {
+    const parsed = parseAgingBuckets(req.query.buckets);
+    if (parsed.error) return resError(res, parsed.error, 400);
+    const { buckets } = parsed;
 
-      salesFromCalls = {
-        totalCustomers,
-        bySource: customersBySource,
-      };
+    const measure = req.query.measure ? String(req.query.measure) : "status";
+    if (!AGING_MEASURES.includes(measure)) {
+      return resError(res, `measure must be one of: ${AGING_MEASURES.join(", ")}.`, 400);
+    }
+    const bucket = req.query.bucket ? String(req.query.bucket) : null;
+    if (bucket && !buckets.some((b) => b.key === bucket)) {
+      return resError(res, `bucket must be one of: ${buckets.map((b) => b.key).join(", ")}.`, 400);
+    }
+    const statusId = readIdFilter(req.query.status_id);
+    const assigneeId = readIdFilter(req.query.assignee_id);
+    if (Number.isNaN(statusId) || Number.isNaN(assigneeId)) {
+      return resError(res, "status_id and assignee_id must be ids (0 = none).", 400);
     }
 
-    // =========================
-    // 9) Monthly Performance table
-    // =========================
-    //
-    // Month-based:
-    //  - status_counts: only leads whose LATEST assignment's assigned_at
-    //    falls within [start, end].
-    //  - source_counts: same, but grouped by Lead.source_id.
-    //  - callsThisMonth: from LeadNote (already month-filtered above).
-    //  - conversionsThisMonth: from salesFromCalls (already month-filtered).
-    let monthlyPerformance = {
-      statuses: allStatuses.map((s) => ({
-        id: s.id,
-        value: s.value,
-        label: s.label,
-      })),
-      sources: allSources.map((src) => ({
-        id: src.id,
-        value: src.value,
-        label: src.label,
-      })),
-      agents: [],
-    };
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageLimit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const scope = await resolveReportScope(req.user);
+    if (scope.error) return resError(res, scope.error, scope.status);
+
+    const { total, leads } = await listAgingLeads({
+      scope,
+      buckets,
+      measure,
+      bucket,
+      statusId,
+      assigneeId,
+      page: pageNum,
+      limit: pageLimit,
+      now: new Date(),
+    });
 
-    if (agentIds.length) {
-      // 9.1 Status breakdown by agent (ONLY assignments in this month)
-      const statusRows = await LeadAssignment.findAll({
-        attributes: [
-          "assignee_id",
-          [col("Lead.status_id"), "status_id"],
-          [fn("COUNT", col("LeadAssignment.lead_id")), "lead_count"],
-        ],
-        where: {
-          id: { [Op.in]: LATEST_ASSIGNMENT_IDS },
-          assignee_id: { [Op.in]: agentIds },
-          assigned_at: {
-            [Op.gte]: start,
-            [Op.lte]: end,
-          },
-        },
-        include: [
-          {
-            model: Lead,
-            attributes: [],
-          },
-        ],
-        group: ["assignee_id", "Lead.status_id"],
-        raw: true,
-      });
-
-      const statusCountsByAgent = new Map(); // agentId -> Map(statusId -> count)
-      for (const row of statusRows) {
-        const aid = String(row.assignee_id);
-        const sid = String(row.status_id || 0);
-        const count = Number(row.lead_count || 0);
-
-        if (!statusCountsByAgent.has(aid)) {
-          statusCountsByAgent.set(aid, new Map());
-        }
-        const inner = statusCountsByAgent.get(aid);
-        inner.set(sid, (inner.get(sid) || 0) + count);
-      }
+    return resSuccess(res, {
+      measure,
+      bucket,
+      leads,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(total / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("getAgingLeads Error:", err);
+    return resError(res, "Failed to list aging leads.", 500);
+  }
+};
 
-      // 9.2 Source breakdown by agent (ONLY assignments in this month)
-      const sourceRows = await LeadAssignment.findAll({
-        attributes: [
-          "assignee_id",
-          [col("Lead.source_id"), "source_id"],
-          [fn("COUNT", col("LeadAssignment.lead_id")), "lead_count"],
-        ],
-        where: {
-          id: { [Op.in]: LATEST_ASSIGNMENT_IDS },
-          assignee_id: { [Op.in]: agentIds },
-          assigned_at: {
-            [Op.gte]: start,
-            [Op.lte]: end,
-          },
-        },
-        include: [
-          {
-            model: Lead,
-            attributes: [],
-          },
-        ],
-        group: ["assignee_id", "Lead.source_id"],
-        raw: true,
-      });
-
-      const sourceCountsByAgent = new Map(); // agentId -> Map(sourceId -> count)
-      for (const row of sourceRows) {
-        const aid = String(row.assignee_id);
-        const sid = String(row.source_id || 0);
-        const count = Number(row.lead_count || 0);
-
-        if (!sourceCountsByAgent.has(aid)) {
-          sourceCountsByAgent.set(aid, new Map());
-        }
-        const inner = sourceCountsByAgent.get(aid);
-        inner.set(sid, (inner.get(sid) || 0) + count);
-      }
+/**
+ * GET /api/v1/reports/aging/closed-statuses
+ * Statuses that close a lead (left out of the aging report): { statuses, configured } — when none is configured,
+ * the "customer" status
+ */
+const getClosedStatuses = async (req, res) => {
+  try {
+    return resSuccess(res, await resolveClosedStatuses());
+  } catch (err) {
+    console.error("getClosedStatuses Error:", err);
+    return resError(res, "Failed to fetch closed statuses.", 500);
+  }
+};
 
-      // 9.3 Build final per-agent rows
-      const agentsPerf = agentUsers.map((user) => {
-        const aid = user.id;
-
-        const statusMap = statusCountsByAgent.get(String(aid)) || new Map();
-        const sourceMap = sourceCountsByAgent.get(String(aid)) || new Map();
-
-        const statusCounts = allStatuses.map((s) => ({
-          status_id: s.id,
-          status_value: s.value,
-          status_label: s.label,
-          count: statusMap.get(String(s.id)) || 0,
-        }));
-
-        const sourceCounts = allSources.map((src) => ({
-          source_id: src.id,
-          source_value: src.value,
-          source_label: src.label,
-          count: sourceMap.get(String(src.id)) || 0,
-        }));
-
-        const callsThisMonth = callCountsMap.get(aid) || 0;
-        const conversionsThisMonth = conversionsMap.get(aid) || 0;
-        const conversionRate = callsThisMonth > 0 ? conversionsThisMonth / callsThisMonth : 0;
-
-        return {
-          user_id: aid,
-          full_name: user.full_name,
-          email: user.email,
-          calls_this_month: callsThisMonth,
-          conversion_rate: conversionRate,
-          status_counts: statusCounts,
-          source_counts: sourceCounts,
-        };
-      });
-
-      monthlyPerformance = {
-        statuses: monthlyPerformance.statuses,
-        sources: monthlyPerformance.sources,
-        agents: agentsPerf.sort(
-          (a, b) => b.calls_this_month - a.calls_this_month || a.full_name.localeCompare(b.full_name),
-        ),
-      };
+/**
+ * PUT /api/v1/reports/aging/closed-statuses
+ * Body: { status_ids: [4, 5] } the won/lost statuses; an empty list resets to the built-in "customer" status
+ */
+const updateClosedStatuses = async (req, res) => {
+  const statusIds = req.body?.status_ids;
+  if (!Array.isArray(statusIds)) return resError(res, "status_ids must be an array of status ids.", 400);
+  const ids = [...new Set(statusIds.map(Number))];
+  if (!ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return resError(res, "status_ids must be status ids.", 400);
+  }
+
+  const t = await sequelize.transaction();
+  try {
+    const statuses = await LeadStatus.findAll({ attributes: ["id"], transaction: t });
+    const known = new Set(statuses.map((s) => Number(s.id)));
+    const unknown = ids.filter((id) => !known.has(id));
+    if (unknown.length) {
+      await t.rollback();
+      return resError(res, `Unknown status ids: ${unknown.join(", ")}.`, 400);
     }
 
-    // =========================
-    // 10) Final payload
-    // =========================
-    return resSuccess(res, {
-      period: {
-        year,
-        month,
-        start,
-        end,
-      },
-      scope: {
-        type: scopeType, // "all" | "team" | "self"
-        user_id: userId,
-      },
-      cards: {
-        callStatistics,
-        callsBySource,
-        salesFromCalls,
-        monthlyPerformance,
-      },
-    });
+    await LeadStatus.update({ is_closed: false }, { where: {}, transaction: t });
+    if (ids.length) {
+      await LeadStatus.update({ is_closed: true }, { where: { id: { [Op.in]: ids } }, transaction: t });
+    }
+    await t.commit();
+
+    return resSuccess(res, await resolveClosedStatuses());
   } catch (err) {
-    console.error("getMonthlyReports Error:", err);
-    return resError(res, "Failed to build monthly reports.", 500);
+    console.error("updateClosedStatuses Error:", err);
+    try {
+      await t.rollback();
+    } catch (_) {}
+    return resError(res, "Failed to update closed statuses.", 500);
   }
 };
 
 module.exports = {
   getMonthlyReports,
+  getMonthlyReportPdf,
+  getFunnelReport,
+  getFunnelStages,
+  updateFunnelStages,
+  getAgingReport,
+  getAgingLeads,
+  getClosedStatuses,
+  updateClosedStatuses,
 };
@@ -0,0 +1,185 @@
+// controllers/routingRuleController.js
+const { RoutingRule, User, Team } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+const { ROUTING_ACTIONS, ROUTING_MATCH_KEYS, compileRoutingMatch } = require("../utils/leadRoutingUtil");
+
+const RULE_INCLUDE = [
+  { model: User, as: "targetUser", attributes: ["id", "full_name", "email", "is_active"] },
+  { model: Team, as: "targetTeam", attributes: ["id", "name"] },
+];
+
+// ---------- helpers ----------
+
+/**
+ * Validate action + target for a rule (merged with its current values on update).
+ * Returns { values } with the normalized columns, or { status, error, details? }
+ */
+const validateRuleInput = async (input, current = {}) => {
+  const action = input.action !== undefined ? input.action : current.action;
+  if (!ROUTING_ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of: ${ROUTING_ACTIONS.join(", ")}.` };
+  }
+
+  const values = { action };
+
+  if (action === "assign_user") {
+    const userId = input.target_user_id !== undefined ? input.target_user_id : current.target_user_id;
+    if (!userId) return { status: 400, error: "target_user_id is required for assign_user." };
+    const user = await User.findByPk(userId, { attributes: ["id", "is_active"] });
+    if (!user) return { status: 404, error: "Target user not found." };
+    if (!user.is_active && input.target_user_id !== undefined) {
+      return { status: 400, error: "Target user is inactive." };
+    }
+    Object.assign(values, { target_user_id: user.id, target_team_id: null, last_assignee_id: null });
+  } else {
+    const teamId = input.target_team_id !== undefined ? input.target_team_id : current.target_team_id;
+    if (!teamId) return { status: 400, error: `target_team_id is required for ${action}.` };
+    const team = await Team.findByPk(teamId, { attributes: ["id"] });
+    if (!team) return { status: 404, error: "Target team not found." };
+    Object.assign(values, { target_user_id: null, target_team_id: team.id });
+    if (team.id !== current.target_team_id || action !== current.action) values.last_assignee_id = null;
+  }
+
+  if (input.match_json !== undefined) {
+    const { errors } = compileRoutingMatch(input.match_json, await getActiveCustomFields());
+    if (errors.length) return { status: 400, error: "Invalid match_json.", details: errors };
+    values.match_json = input.match_json;
+  }
+
+  return { values };
+};
+
+const sendRuleError = (res, result) =>
+  res.status(result.status).json({
+    code: "ERROR",
+    error: result.error,
+    ...(result.details ? { details: result.details } : {}),
+  });
+
+// ==========================
+// Routing Rules
+// ==========================
+
+/**
+ * GET /api/v1/routing-rules
+ * - Ordered as evaluated (priority, then id)
+ */
+const listRoutingRules = async (req, res) => {
+  try {
+    const rules = await RoutingRule.findAll({
+      include: RULE_INCLUDE,
+      order: [
+        ["priority", "ASC"],
+        ["id", "ASC"],
+      ],
+    });
+    return resSuccess(res, { rules, actions: ROUTING_ACTIONS, match_keys: ROUTING_MATCH_KEYS });
+  } catch (err) {
+    console.error("listRoutingRules Error:", err);
+    return resError(res, "Failed to list routing rules.", 500);
+  }
+};
+
+/**
+ * GET /api/v1/routing-rules/:id
+ */
+const getRoutingRule = async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByPk(req.params.id, { include: RULE_INCLUDE });
+    if (!rule) return resError(res, "Routing rule not found.", 404);
+    return resSuccess(res, rule);
+  } catch (err) {
+    console.error("getRoutingRule Error:", err);
+    return resError(res, "Failed to fetch routing rule.", 500);
+  }
+};
+
+/**
+ * POST /api/v1/routing-rules
+ * Body: { name, action, match_json?, target_user_id?, target_team_id?, priority?, is_active? }
+ * - match_json uses the saved filter schema (status_ids, source_ids, value_min/max, search, conditions);
+ *   {} matches every lead
+ * - assign_user needs target_user_id; round_robin / least_loaded need target_team_id
+ */
+const createRoutingRule = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = body.name ? String(body.name).trim() : "";
+    if (!name) return resError(res, "Name is required.", 400);
+
+    const result = await validateRuleInput({ ...body, match_json: body.match_json ?? {} });
+    if (result.error) return sendRuleError(res, result);
+
+    const created = await RoutingRule.create({
+      ...result.values,
+      name: name.slice(0, 120),
+      priority: Number(body.priority) || 0,
+      is_active: body.is_active === undefined ? true : !!body.is_active,
+      created_by: req.user.id,
+    });
+    const rule = await RoutingRule.findByPk(created.id, { include: RULE_INCLUDE });
+    return resSuccess(res, rule, 201);
+  } catch (err) {
+    console.error("createRoutingRule Error:", err);
+    return resError(res, "Failed to create routing rule.", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/routing-rules/:id
+ * Body: { name?, action?, match_json?, target_user_id?, target_team_id?, priority?, is_active? }
+ * - Changing the action or team restarts the round-robin rotation
+ */
+const updateRoutingRule = async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByPk(req.params.id);
+    if (!rule) return resError(res, "Routing rule not found.", 404);
+
+    const body = req.body || {};
+    const result = await validateRuleInput(body, rule.get({ plain: true }));
+    if (result.error) return sendRuleError(res, result);
+    Object.assign(rule, result.values);
+
+    if (body.name !== undefined) {
+      const trimmed = String(body.name).trim();
+      if (!trimmed) return resError(res, "Name is required.", 400);
+      rule.name = trimmed.slice(0, 120);
+    }
+    if (body.priority !== undefined) rule.priority = Number(body.priority) || 0;
+    if (typeof body.is_active === "boolean") rule.is_active = body.is_active;
+    rule.updated_at = new Date();
+
+    await rule.save();
+    await rule.reload({ include: RULE_INCLUDE });
+    return resSuccess(res, rule);
+  } catch (err) {
+    console.error("updateRoutingRule Error:", err);
+    return resError(res, "Failed to update routing rule.", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/routing-rules/:id
+ * - Existing assignments made by the rule are kept
+ */
+const deleteRoutingRule = async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByPk(req.params.id);
+    if (!rule) return resError(res, "Routing rule not found.", 404);
+
+    await rule.destroy();
+    return resSuccess(res, { message: "Routing rule deleted." });
+  } catch (err) {
+    console.error("deleteRoutingRule Error:", err);
+    return resError(res, "Failed to delete routing rule.", 500);
+  }
+};
+
+module.exports = {
+  listRoutingRules,
+  getRoutingRule,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+};
@@ -1,6 +1,14 @@
 // controllers/savedFilterController.js
 const { SavedFilter, User } = require("../models");
 const { Op } = require("sequelize");
+const { compileFilterDefinition } = require("../utils/leadFilterUtil");
+const { getActiveCustomFields } = require("../utils/customFieldUtil");
+
+// Validate definition_json against the filter schema (see utils/leadFilterUtil); returns [{ path, error }]
+const validateDefinition = async (definition) => {
+  const customFields = await getActiveCustomFields();
+  return compileFilterDefinition(definition, customFields).errors;
+};
 
 // ==============================
 // Create a Saved Filter
@@ -16,6 +24,15 @@ const createSavedFilter = async (req, res) => {
       });
     }
 
+    const definitionErrors = await validateDefinition(definition_json);
+    if (definitionErrors.length) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid definition_json.",
+        details: definitionErrors,
+      });
+    }
+
     const savedFilter = await SavedFilter.create({
       user_id: req.user.id,
       name,
@@ -116,6 +133,17 @@ const updateSavedFilter = async (req, res) => {
       });
     }
 
+    if (definition_json) {
+      const definitionErrors = await validateDefinition(definition_json);
+      if (definitionErrors.length) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid definition_json.",
+          details: definitionErrors,
+        });
+      }
+    }
+
     filter.name = name || filter.name;
     filter.definition_json = definition_json || filter.definition_json;
     if (typeof is_shared === "boolean") {
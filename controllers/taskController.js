@@ -0,0 +1,281 @@
+// controllers/taskController.js
+const { Op } = require("sequelize");
+const { Task, Lead, User } = require("../models");
+const { resSuccess, resError } = require("../utils/responseUtil");
+const { TASK_TYPES, TASK_STATUSES, buildDueWhere, countOpenTasks } = require("../utils/taskUtil");
+
+// ---------- helpers ----------
+const TASK_INCLUDE = [
+  // Lead's default scope hides tasks of trashed leads
+  { model: Lead, attributes: ["id", "first_name", "last_name", "company", "email", "phone"] },
+  { model: User, as: "assignee", attributes: ["id", "full_name", "email"] },
+  { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
+];
+
+const parseDate = (v) => {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d;
+};
+
+/** Sales reps may only see/manage their own tasks */
+const canAccessTask = (user, task) => user.role !== "sales_rep" || task.assignee_id === user.id;
+
+/** Returns an error message, or null if the assignee is an active user */
+const validateAssignee = async (assigneeId) => {
+  const user = await User.findOne({ where: { id: assigneeId, is_active: true }, attributes: ["id"] });
+  return user ? null : "Assignee not found or inactive.";
+};
+
+const findTask = (id) => Task.findByPk(id, { include: TASK_INCLUDE });
+
+// ==========================
+// Tasks
+// ==========================
+
+/**
+ * GET /api/v1/tasks
+ * Query: lead_id?, assignee_id?, status?, type?, due_from?, due_to?, page=1, limit=20
+ * - Sales Rep: only tasks assigned to them (assignee_id is ignored)
+ * - Ordered by due_at ASC
+ */
+const getTasks = async (req, res) => {
+  try {
+    const { role, id: userId } = req.user;
+    const { lead_id, assignee_id, status, type, due_from, due_to, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (lead_id) where.lead_id = Number(lead_id);
+    if (role === "sales_rep") where.assignee_id = userId;
+    else if (assignee_id) where.assignee_id = Number(assignee_id);
+
+    if (status) {
+      if (!TASK_STATUSES.includes(status)) {
+        return resError(res, `status must be one of: ${TASK_STATUSES.join(", ")}.`, 400);
+      }
+      where.status = status;
+    }
+    if (type) {
+      if (!TASK_TYPES.includes(type)) return resError(res, `type must be one of: ${TASK_TYPES.join(", ")}.`, 400);
+      where.type = type;
+    }
+
+    const dueFrom = parseDate(due_from);
+    const dueTo = parseDate(due_to);
+    if (dueFrom || dueTo) {
+      where.due_at = {};
+      if (dueFrom) where.due_at[Op.gte] = dueFrom;
+      if (dueTo) where.due_at[Op.lte] = dueTo;
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageLimit = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const offset = (pageNum - 1) * pageLimit;
+
+    const { count, rows } = await Task.findAndCountAll({
+      where,
+      include: TASK_INCLUDE,
+      distinct: true,
+      col: "id",
+      order: [
+        ["due_at", "ASC"],
+        ["id", "ASC"],
+      ],
+      limit: pageLimit,
+      offset,
+    });
+
+    return resSuccess(res, {
+      tasks: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: pageLimit,
+        totalPages: Math.ceil(count / pageLimit),
+      },
+    });
+  } catch (err) {
+    console.error("GetTasks Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * GET /api/v1/tasks/my?limit=50
+ * Open tasks of the current user that are overdue or due today (for the sales rep dashboard).
+ * Returns: { overdue: Task[], today: Task[], counts: { open, dueToday, overdue } }
+ */
+const getMyTasks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const due = buildDueWhere();
+
+    const list = (where) =>
+      Task.findAll({
+        where: { assignee_id: userId, ...where },
+        include: TASK_INCLUDE,
+        order: [
+          ["due_at", "ASC"],
+          ["id", "ASC"],
+        ],
+        limit,
+      });
+
+    const [overdue, today, counts] = await Promise.all([
+      list(due.overdue),
+      list(due.today),
+      countOpenTasks([userId]),
+    ]);
+
+    return resSuccess(res, { overdue, today, counts });
+  } catch (err) {
+    console.error("GetMyTasks Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * GET /api/v1/tasks/:id
+ */
+const getTaskById = async (req, res) => {
+  try {
+    const task = await findTask(req.params.id);
+    if (!task || !canAccessTask(req.user, task)) return resError(res, "Task not found", 404);
+    return resSuccess(res, task);
+  } catch (err) {
+    console.error("GetTaskById Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * POST /api/v1/tasks
+ * Body: { lead_id, title, due_at, type?='call', description?, assignee_id? }
+ * - assignee defaults to the current user
+ * - Sales Rep: only on leads currently assigned to them, and only for themselves
+ */
+const createTask = async (req, res) => {
+  try {
+    const { role, id: userId } = req.user;
+    const { lead_id, title, description, type = "call" } = req.body || {};
+    const assigneeId = req.body?.assignee_id ? Number(req.body.assignee_id) : userId;
+    const dueAt = parseDate(req.body?.due_at);
+
+    if (!lead_id) return resError(res, "lead_id is required", 400);
+    if (!title || !String(title).trim()) return resError(res, "title is required", 400);
+    if (!dueAt) return resError(res, "due_at must be a valid date", 400);
+    if (!TASK_TYPES.includes(type)) return resError(res, `type must be one of: ${TASK_TYPES.join(", ")}.`, 400);
+
+    const lead = await Lead.findByPk(lead_id, { attributes: ["id", "current_assignee_id"] });
+    if (!lead) return resError(res, "Lead not found", 404);
+
+    if (role === "sales_rep") {
+      if (lead.current_assignee_id !== userId) {
+        return resError(res, "Sales rep can only add tasks to leads assigned to them", 403);
+      }
+      if (assigneeId !== userId) return resError(res, "Sales rep can only create tasks for themselves", 403);
+    }
+
+    if (assigneeId !== userId) {
+      const assigneeError = await validateAssignee(assigneeId);
+      if (assigneeError) return resError(res, assigneeError, 400);
+    }
+
+    const task = await Task.create({
+      lead_id: lead.id,
+      assignee_id: assigneeId,
+      created_by: userId,
+      type,
+      title: String(title).trim().slice(0, 200),
+      description: description ? String(description) : null,
+      due_at: dueAt,
+    });
+
+    return resSuccess(res, await findTask(task.id), 201);
+  } catch (err) {
+    console.error("CreateTask Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * PUT /api/v1/tasks/:id
+ * Body: { title?, description?, type?, due_at?, status?, assignee_id? }
+ * - status=completed stamps completed_at; moving back to open/cancelled clears it
+ * - Sales Rep: only their own tasks and cannot reassign them
+ */
+const updateTask = async (req, res) => {
+  try {
+    const task = await findTask(req.params.id);
+    if (!task || !canAccessTask(req.user, task)) return resError(res, "Task not found", 404);
+
+    const { title, description, type, due_at, status, assignee_id } = req.body || {};
+
+    if (title !== undefined) {
+      if (!String(title).trim()) return resError(res, "title is required", 400);
+      task.title = String(title).trim().slice(0, 200);
+    }
+    if (description !== undefined) task.description = description ? String(description) : null;
+
+    if (type !== undefined) {
+      if (!TASK_TYPES.includes(type)) return resError(res, `type must be one of: ${TASK_TYPES.join(", ")}.`, 400);
+      task.type = type;
+    }
+
+    if (due_at !== undefined) {
+      const dueAt = parseDate(due_at);
+      if (!dueAt) return resError(res, "due_at must be a valid date", 400);
+      task.due_at = dueAt;
+    }
+
+    if (assignee_id !== undefined && Number(assignee_id) !== task.assignee_id) {
+      if (req.user.role === "sales_rep") return resError(res, "Sales rep cannot reassign tasks", 403);
+      const assigneeError = await validateAssignee(Number(assignee_id));
+      if (assigneeError) return resError(res, assigneeError, 400);
+      task.assignee_id = Number(assignee_id);
+    }
+
+    if (status !== undefined && status !== task.status) {
+      if (!TASK_STATUSES.includes(status)) {
+        return resError(res, `status must be one of: ${TASK_STATUSES.join(", ")}.`, 400);
+      }
+      task.status = status;
+      task.completed_at = status === "completed" ? new Date() : null;
+    }
+
+    task.updated_at = new Date();
+    await task.save();
+
+    return resSuccess(res, await findTask(task.id));
+  } catch (err) {
+    console.error("UpdateTask Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+/**
+ * DELETE /api/v1/tasks/:id
+ * - Sales Rep: only their own tasks
+ */
+const deleteTask = async (req, res) => {
+  try {
+    const task = await findTask(req.params.id);
+    if (!task || !canAccessTask(req.user, task)) return resError(res, "Task not found", 404);
+
+    await task.destroy();
+    return resSuccess(res, { message: "Task deleted successfully" });
+  } catch (err) {
+    console.error("DeleteTask Error:", err);
+    return resError(res, "Internal server error", 500);
+  }
+};
+
+module.exports = {
+  getTasks,
+  getMyTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  deleteTask,
+};
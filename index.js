@@ -4,6 +4,8 @@ const colors = require("colors");
 const dotenv = require("dotenv");
 const cors = require("cors");
 const { connectDB } = require("./config/database");
+const { startJobWorker } = require("./utils/jobWorker");
+const { startReportScheduler } = require("./utils/reportScheduler");
 
 // ✅ Load env variables
 dotenv.config();
@@ -34,6 +36,7 @@ const authRoutes = require("./routes/authRoutes");
 const userRoutes = require("./routes/userRoutes");
 const teamRoutes = require("./routes/teamRoutes");
 const leadRoutes = require("./routes/leadRoutes");
+const leadTrashRoutes = require("./routes/leadTrashRoutes");
 const savedFilterRoutes = require("./routes/savedFilterRoutes");
 const supportingRoutes = require("./routes/supportingRoutes");
 const leadsUploadRoutes = require("./routes/leadsUploadRoutes");
@@ -42,11 +45,17 @@ const bulkLeadsRoutes = require("./routes/bulkLeadsRoutes");
 const sourceStatusRoutes = require("./routes/sourceStatusRoutes");
 const leadsExportRoutes = require("./routes/leadsExportRoutes");
 const reportsRoutes = require("./routes/reportsRoutes");
+const reportSubscriptionRoutes = require("./routes/reportSubscriptionRoutes");
+const customFieldRoutes = require("./routes/customFieldRoutes");
+const taskRoutes = require("./routes/taskRoutes");
+const routingRuleRoutes = require("./routes/routingRuleRoutes");
+const jobRoutes = require("./routes/jobRoutes");
 
 // ✅ Use Routes
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/teams", teamRoutes);
+app.use("/api/v1/leads/trash", leadTrashRoutes); // before leadRoutes so "/trash" is not taken as a lead id
 app.use("/api/v1/leads", leadRoutes);
 app.use("/api/v1/filters", savedFilterRoutes);
 app.use("/api/v1/supports", supportingRoutes);
@@ -55,13 +64,30 @@ app.use("/api/v1/dashboard", dashboardRoutes);
 app.use("/api/v1/bulk", bulkLeadsRoutes);
 app.use("/api/v1/lead", sourceStatusRoutes);
 app.use("/api/v1/leads/export", leadsExportRoutes);
+app.use("/api/v1/reports/subscriptions", reportSubscriptionRoutes);
 app.use("/api/v1/reports", reportsRoutes);
+app.use("/api/v1/custom-fields", customFieldRoutes);
+app.use("/api/v1/tasks", taskRoutes);
+app.use("/api/v1/routing-rules", routingRuleRoutes);
+app.use("/api/v1/jobs", jobRoutes);
 
 // ✅ Root Route
 app.get("/", (req, res) => {
   res.status(200).json({ message: "LeadHive API is running..." });
 });
 
+// ✅ Background job worker (imports, bulk actions); set NODE_LEADHIVE_JOB_WORKER=false to run
+// it as a separate process instead (npm run worker)
+if (process.env.NODE_LEADHIVE_JOB_WORKER !== "false") {
+  startJobWorker();
+}
+
+// ✅ Scheduled report emails (report subscriptions); set NODE_LEADHIVE_REPORT_SCHEDULER=false to turn it off,
+// e.g. on all but one API instance
+if (process.env.NODE_LEADHIVE_REPORT_SCHEDULER !== "false") {
+  startReportScheduler();
+}
+
 // ✅ Define Port
 const PORT = process.env.NODE_LEADHIVE_PORT || 8080;
 
@@ -0,0 +1,144 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const ImportBatch = sequelize.define(
+  "ImportBatch",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // Uploaded file name (JSON imports: body.file_name, if sent)
+    file_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // json | csv | xlsx
+    format: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: "json",
+    },
+    // importing (background job running) | completed | rejected (nothing imported) | partially_undone | undone
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "completed",
+    },
+    // Import options (see utils/leadImportUtil)
+    mode: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "skip",
+    },
+    match_by: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      defaultValue: "both",
+    },
+    // Background job that ran the import (null for imports run inside the request)
+    job_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: { model: "jobs", key: "id" },
+    },
+    preset_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "import_presets", key: "id" },
+    },
+    total_rows: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    inserted_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    updated_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    skipped_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    routed_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // The import's "notes" array (skipped rows: [{ index, note, email?, phone?, field?, lead_id?, ... }])
+    notes_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // CSV of the rejected rows (original columns + reason), stored under NODE_LEADHIVE_IMPORT_ERROR_DIR;
+    // removed once error_report_expires_at passes (npm run purge:import-errors)
+    error_report_file: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    error_report_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Leads moved to the trash by undo (POST /api/v1/leads/upload/batches/:id/undo)
+    undone_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    undone_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    undone_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "import_batches",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_import_batches_created_at",
+        fields: ["created_at"],
+      },
+    ],
+  }
+);
+
+module.exports = ImportBatch;
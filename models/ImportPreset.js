@@ -0,0 +1,50 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const ImportPreset = sequelize.define(
+  "ImportPreset",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      unique: true,
+    },
+    // Vendor the preset's file layout belongs to (free text)
+    vendor: {
+      type: DataTypes.STRING(120),
+      allowNull: true,
+    },
+    // { [target field]: column spec } (see utils/importMappingUtil)
+    mapping_json: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "import_presets",
+    timestamps: false,
+    underscored: true,
+  }
+);
+
+module.exports = ImportPreset;
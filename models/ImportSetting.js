@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// Admin-level import defaults: a single row (id 1); a missing row or null column means the built-in default
+const ImportSetting = sequelize.define(
+  "ImportSetting",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // Status for rows with a missing or unknown status (null = 'new')
+    fallback_status_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "lead_statuses", key: "id" },
+    },
+    // Source for rows without a source (null = 'facebook' if that source exists)
+    fallback_source_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "lead_sources", key: "id" },
+    },
+    // create | reject (rows naming a source that does not exist are skipped)
+    unknown_sources: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "create",
+    },
+    // Assignee of imported leads no routing rule matched (null = the importing user)
+    default_assignee_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    // skip (the row) | blank (import the row without the email)
+    invalid_email: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "skip",
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "import_settings",
+    timestamps: false,
+    underscored: true,
+  }
+);
+
+module.exports = ImportSetting;
@@ -0,0 +1,129 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const Job = sequelize.define(
+  "Job",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // import_leads | bulk_assign | bulk_status | bulk_source | bulk_delete (see utils/jobHandlers)
+    type: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+    },
+    // queued | running | completed | failed | cancelled
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "queued",
+    },
+    // Handler input, validated when the job is enqueued
+    payload_json: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    // Handler output once completed (same shape as the synchronous endpoint's response data)
+    result_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // Per-item failures [{ id | index, reason }] (capped, see MAX_JOB_FAILURES)
+    failures_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    total_items: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    processed_items: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    failed_items: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Items handled so far, saved in each chunk's transaction: a retried attempt resumes here
+    resume_offset: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Handler's running totals at resume_offset (carried into the retried attempt's result)
+    resume_state_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // Set by POST /api/v1/jobs/:id/cancel on a running job; handlers stop between chunks
+    cancel_requested: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    // Worker holding the job (host:pid) and its last heartbeat
+    locked_by: {
+      type: DataTypes.STRING(120),
+      allowNull: true,
+    },
+    locked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "jobs",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_jobs_status_id",
+        fields: ["status", "id"],
+      },
+      {
+        name: "idx_jobs_created_by",
+        fields: ["created_by", "created_at"],
+      },
+    ],
+  }
+);
+
+module.exports = Job;
@@ -1,4 +1,4 @@
-const { DataTypes } = require("sequelize");
+const { DataTypes, Op } = require("sequelize");
 const { sequelize } = require("../config/database");
 
 const Lead = sequelize.define(
@@ -59,6 +59,32 @@ const Lead = sequelize.define(
       allowNull: true,
       references: { model: "users", key: "id" },
     },
+    // Denormalized copy of the latest LeadAssignment (kept in sync by utils/leadAssignmentUtil)
+    current_assignee_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    current_assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Import run that created the lead (null for leads created by hand)
+    import_batch_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "import_batches", key: "id" },
+    },
+    // Soft delete (trash); see defaultScope below
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -74,6 +100,30 @@ const Lead = sequelize.define(
     tableName: "leads",
     timestamps: false,
     underscored: true,
+    // Trashed leads are hidden everywhere (queries, includes, updates) unless
+    // explicitly requested via Lead.scope("trashed") or Lead.unscoped()
+    defaultScope: {
+      where: { deleted_at: null },
+    },
+    scopes: {
+      trashed: {
+        where: { deleted_at: { [Op.ne]: null } },
+      },
+    },
+    indexes: [
+      {
+        name: "idx_leads_current_assignee",
+        fields: ["current_assignee_id", "current_assigned_at"],
+      },
+      {
+        name: "idx_leads_deleted_at",
+        fields: ["deleted_at"],
+      },
+      {
+        name: "idx_leads_import_batch",
+        fields: ["import_batch_id"],
+      },
+    ],
   }
 );
 
@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const LeadCall = sequelize.define(
+  "LeadCall",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    lead_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: { model: "leads", key: "id" },
+    },
+    caller_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    // outbound | inbound
+    direction: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: "outbound",
+    },
+    // no_answer | voicemail | connected | wrong_number
+    outcome: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    duration_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    called_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "lead_calls",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_lead_calls_lead_called_at",
+        fields: ["lead_id", "called_at"],
+      },
+      {
+        name: "idx_lead_calls_caller_called_at",
+        fields: ["caller_id", "called_at"],
+      },
+    ],
+  }
+);
+
+module.exports = LeadCall;
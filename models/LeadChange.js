@@ -0,0 +1,60 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const LeadChange = sequelize.define(
+  "LeadChange",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    lead_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: { model: "leads", key: "id" },
+    },
+    // Lead column name, or "custom:<key>" for custom fields
+    field: {
+      type: DataTypes.STRING(80),
+      allowNull: false,
+    },
+    old_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    new_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Write path that produced the change:
+    // create | update | bulk_status | bulk_source | bulk_assign | import | import_update | merge
+    origin: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+    },
+    changed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    changed_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "lead_changes",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_lead_changes_lead_changed_at",
+        fields: ["lead_id", "changed_at"],
+      },
+    ],
+  }
+);
+
+module.exports = LeadChange;
@@ -0,0 +1,65 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const LeadCustomField = sequelize.define(
+  "LeadCustomField",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    // Stable machine key (snake_case); used as import/export column and API property
+    key: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true,
+    },
+    label: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+    },
+    // text | number | date | select | multi_select | boolean
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // Allowed values for select / multi_select
+    options: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    is_required: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "lead_custom_fields",
+    timestamps: false,
+    underscored: true,
+  }
+);
+
+module.exports = LeadCustomField;
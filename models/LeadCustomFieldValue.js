@@ -0,0 +1,62 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+// One row per (lead, custom field); only the column matching the field type is set
+const LeadCustomFieldValue = sequelize.define(
+  "LeadCustomFieldValue",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    lead_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: { model: "leads", key: "id" },
+    },
+    field_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "lead_custom_fields", key: "id" },
+    },
+    value_text: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    value_number: {
+      type: DataTypes.DECIMAL(18, 4),
+      allowNull: true,
+    },
+    value_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+    },
+    value_bool: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+    },
+    value_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "lead_custom_field_values",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "uq_lead_custom_field_values_lead_field",
+        unique: true,
+        fields: ["lead_id", "field_id"],
+      },
+      {
+        name: "idx_lead_custom_field_values_field",
+        fields: ["field_id"],
+      },
+    ],
+  }
+);
+
+module.exports = LeadCustomFieldValue;
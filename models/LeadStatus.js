@@ -18,6 +18,17 @@ const LeadStatus = sequelize.define(
       type: DataTypes.STRING(80),
       allowNull: false,
     },
+    // Stage order in the sales funnel report (1 = first stage); null = not a funnel stage
+    funnel_position: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // Won/lost statuses: leads in them are not open (left out of the aging report)
+    is_closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
   },
   {
     tableName: "lead_statuses",
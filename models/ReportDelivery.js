@@ -0,0 +1,89 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const ReportDelivery = sequelize.define(
+  "ReportDelivery",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    subscription_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "report_subscriptions", key: "id" },
+    },
+    // schedule | manual (send now)
+    trigger: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // sending | sent | failed
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "sending",
+    },
+    // Recipients at the time of sending
+    recipients_json: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    // Report period covered: { start, end, label }
+    period_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    attachment_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    attachment_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // leads_export: exported leads
+    row_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // SMTP message id of a sent delivery
+    message_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // User who pressed "send now" (null for scheduled runs)
+    triggered_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "report_deliveries",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_report_deliveries_subscription",
+        fields: ["subscription_id", "id"],
+      },
+    ],
+  }
+);
+
+module.exports = ReportDelivery;
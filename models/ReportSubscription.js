@@ -0,0 +1,127 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const ReportSubscription = sequelize.define(
+  "ReportSubscription",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+    },
+    // The report runs with this user's role scope (admin: all, manager: their teams)
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "users", key: "id" },
+    },
+    // monthly_report | leads_export (see utils/reportSubscriptionUtil)
+    report_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // monthly_report: pdf; leads_export: csv | xlsx | json | ndjson
+    format: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // leads_export: the GET /leads filter set (see buildLeadListWhere)
+    filters_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // leads_export: picked export columns (null = default columns)
+    columns_json: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // leads_export: only leads created during the cadence period before each run
+    new_leads_only: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    // daily | weekly | monthly
+    cadence: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // Send time on the wall clock of `timezone`: hour of day, day of week for weekly (0 = Sunday), day of month
+    // for monthly
+    send_hour: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 7,
+    },
+    send_weekday: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    send_day: {
+      type: DataTypes.TINYINT,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    // IANA name the send time and the report periods are local to
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: "UTC",
+    },
+    // ["a@example.com", ...]
+    recipients_json: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    next_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_run_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Status of the latest delivery: sent | failed
+    last_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "report_subscriptions",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_report_subscriptions_due",
+        fields: ["is_active", "next_run_at"],
+      },
+      {
+        name: "idx_report_subscriptions_owner",
+        fields: ["owner_id"],
+      },
+    ],
+  }
+);
+
+module.exports = ReportSubscription;
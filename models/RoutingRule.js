@@ -0,0 +1,84 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const RoutingRule = sequelize.define(
+  "RoutingRule",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+    },
+    // Rules are evaluated in ascending priority (then id); the first match wins
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    // Lead match criteria, same schema as SavedFilter.definition_json (see utils/leadRoutingUtil)
+    match_json: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    // assign_user | round_robin | least_loaded
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    // assign_user target
+    target_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    // round_robin / least_loaded pool (active team members)
+    target_team_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "teams", key: "id" },
+    },
+    // round_robin: last user that received a lead from this rule
+    last_assignee_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "routing_rules",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_routing_rules_active_priority",
+        fields: ["is_active", "priority"],
+      },
+    ],
+  }
+);
+
+module.exports = RoutingRule;
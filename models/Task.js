@@ -0,0 +1,83 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const Task = sequelize.define(
+  "Task",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    lead_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: { model: "leads", key: "id" },
+    },
+    assignee_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "users", key: "id" },
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    },
+    // call | email | meeting
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "call",
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    due_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    // open | completed | cancelled
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "tasks",
+    timestamps: false,
+    underscored: true,
+    indexes: [
+      {
+        name: "idx_tasks_assignee_status_due",
+        fields: ["assignee_id", "status", "due_at"],
+      },
+      {
+        name: "idx_tasks_lead",
+        fields: ["lead_id"],
+      },
+    ],
+  }
+);
+
+module.exports = Task;
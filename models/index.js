@@ -9,6 +9,18 @@ const Lead = require("./Lead");
 const LeadAssignment = require("./LeadAssignment");
 const SavedFilter = require("./SavedFilter");
 const LeadNote = require("./LeadNote");
+const LeadChange = require("./LeadChange");
+const LeadCustomField = require("./LeadCustomField");
+const LeadCustomFieldValue = require("./LeadCustomFieldValue");
+const Task = require("./Task");
+const LeadCall = require("./LeadCall");
+const RoutingRule = require("./RoutingRule");
+const ImportPreset = require("./ImportPreset");
+const ImportBatch = require("./ImportBatch");
+const ImportSetting = require("./ImportSetting");
+const Job = require("./Job");
+const ReportSubscription = require("./ReportSubscription");
+const ReportDelivery = require("./ReportDelivery");
 
 // =============================
 // Associations
@@ -60,6 +72,13 @@ Lead.belongsTo(User, { foreignKey: "created_by", as: "creator" });
 User.hasMany(Lead, { foreignKey: "updated_by", as: "updatedLeads" });
 Lead.belongsTo(User, { foreignKey: "updated_by", as: "updater" });
 
+User.hasMany(Lead, { foreignKey: "deleted_by", as: "deletedLeads" });
+Lead.belongsTo(User, { foreignKey: "deleted_by", as: "deleter" });
+
+// --- Current assignee (denormalized latest assignment) ---
+User.hasMany(Lead, { foreignKey: "current_assignee_id", as: "currentLeads" });
+Lead.belongsTo(User, { foreignKey: "current_assignee_id", as: "currentAssignee" });
+
 // --- Lead Assignments ---
 Lead.hasMany(LeadAssignment, { foreignKey: "lead_id" });
 LeadAssignment.belongsTo(Lead, { foreignKey: "lead_id" });
@@ -81,6 +100,72 @@ LeadNote.belongsTo(Lead, { foreignKey: "lead_id" });
 User.hasMany(LeadNote, { foreignKey: "author_id", as: "authoredNotes" });
 LeadNote.belongsTo(User, { foreignKey: "author_id", as: "author" });
 
+// --- Lead Calls (structured call log; separate from notes) ---
+Lead.hasMany(LeadCall, { foreignKey: "lead_id", as: "calls" });
+LeadCall.belongsTo(Lead, { foreignKey: "lead_id" });
+
+User.hasMany(LeadCall, { foreignKey: "caller_id", as: "loggedCalls" });
+LeadCall.belongsTo(User, { foreignKey: "caller_id", as: "caller" });
+
+// --- Lead Changes (field-level audit trail) ---
+Lead.hasMany(LeadChange, { foreignKey: "lead_id", as: "changes" });
+LeadChange.belongsTo(Lead, { foreignKey: "lead_id" });
+
+User.hasMany(LeadChange, { foreignKey: "changed_by", as: "leadChanges" });
+LeadChange.belongsTo(User, { foreignKey: "changed_by", as: "actor" });
+
+// --- Custom Fields ---
+Lead.hasMany(LeadCustomFieldValue, { foreignKey: "lead_id", as: "customValues" });
+LeadCustomFieldValue.belongsTo(Lead, { foreignKey: "lead_id" });
+
+LeadCustomField.hasMany(LeadCustomFieldValue, { foreignKey: "field_id", as: "values" });
+LeadCustomFieldValue.belongsTo(LeadCustomField, { foreignKey: "field_id", as: "field" });
+
+// --- Tasks (follow-ups / reminders) ---
+Lead.hasMany(Task, { foreignKey: "lead_id", as: "tasks" });
+Task.belongsTo(Lead, { foreignKey: "lead_id" });
+
+User.hasMany(Task, { foreignKey: "assignee_id", as: "assignedTasks" });
+Task.belongsTo(User, { foreignKey: "assignee_id", as: "assignee" });
+
+User.hasMany(Task, { foreignKey: "created_by", as: "createdTasks" });
+Task.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
+// --- Routing Rules (automatic assignment on create/import) ---
+RoutingRule.belongsTo(User, { foreignKey: "target_user_id", as: "targetUser" });
+RoutingRule.belongsTo(Team, { foreignKey: "target_team_id", as: "targetTeam" });
+RoutingRule.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
+// --- Import Presets (column mappings per vendor) ---
+ImportPreset.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+
+// --- Import Batches (one per import run; leads keep their batch) ---
+ImportBatch.hasMany(Lead, { foreignKey: "import_batch_id", as: "leads" });
+Lead.belongsTo(ImportBatch, { foreignKey: "import_batch_id", as: "importBatch" });
+
+ImportBatch.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+ImportBatch.belongsTo(User, { foreignKey: "undone_by", as: "undoer" });
+ImportBatch.belongsTo(ImportPreset, { foreignKey: "preset_id", as: "preset" });
+
+// --- Import Settings (admin-level import defaults) ---
+ImportSetting.belongsTo(LeadStatus, { foreignKey: "fallback_status_id", as: "fallbackStatus" });
+ImportSetting.belongsTo(LeadSource, { foreignKey: "fallback_source_id", as: "fallbackSource" });
+ImportSetting.belongsTo(User, { foreignKey: "default_assignee_id", as: "defaultAssignee" });
+ImportSetting.belongsTo(User, { foreignKey: "updated_by", as: "updater" });
+
+// --- Background Jobs ---
+User.hasMany(Job, { foreignKey: "created_by", as: "jobs" });
+Job.belongsTo(User, { foreignKey: "created_by", as: "creator" });
+Job.hasOne(ImportBatch, { foreignKey: "job_id", as: "importBatch" });
+ImportBatch.belongsTo(Job, { foreignKey: "job_id", as: "job" });
+
+// --- Report Subscriptions (scheduled report/export emails) ---
+User.hasMany(ReportSubscription, { foreignKey: "owner_id", as: "reportSubscriptions" });
+ReportSubscription.belongsTo(User, { foreignKey: "owner_id", as: "owner" });
+ReportSubscription.hasMany(ReportDelivery, { foreignKey: "subscription_id", as: "deliveries", onDelete: "CASCADE" });
+ReportDelivery.belongsTo(ReportSubscription, { foreignKey: "subscription_id", as: "subscription" });
+ReportDelivery.belongsTo(User, { foreignKey: "triggered_by", as: "triggeredBy" });
+
 // =============================
 // Export all models
 // =============================
@@ -96,4 +181,16 @@ module.exports = {
   LeadAssignment,
   SavedFilter,
   LeadNote,
+  LeadChange,
+  LeadCustomField,
+  LeadCustomFieldValue,
+  Task,
+  LeadCall,
+  RoutingRule,
+  ImportPreset,
+  ImportBatch,
+  ImportSetting,
+  Job,
+  ReportSubscription,
+  ReportDelivery,
 };
@@ -0,0 +1,34 @@
+// routes/customFieldRoutes.js
+const express = require("express");
+const {
+  listCustomFields,
+  getCustomField,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+} = require("../controllers/customFieldController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+const router = express.Router();
+
+// ==============================
+// Lead Custom Field Routes
+// ==============================
+
+// ✅ List active custom field definitions (Admin, Manager, Sales Rep)
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), listCustomFields);
+
+// ✅ Get single custom field definition (Admin only)
+router.get("/:id", authMiddleware, roleMiddleware(["admin"]), getCustomField);
+
+// ✅ Create custom field definition (Admin only)
+router.post("/", authMiddleware, roleMiddleware(["admin"]), createCustomField);
+
+// ✅ Update custom field definition (Admin only)
+router.put("/:id", authMiddleware, roleMiddleware(["admin"]), updateCustomField);
+
+// ✅ Delete custom field definition (blocked if in use; Admin only)
+router.delete("/:id", authMiddleware, roleMiddleware(["admin"]), deleteCustomField);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// routes/jobRoutes.js
+const express = require("express");
+const { listJobs, getJob, cancelJob } = require("../controllers/jobController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+const router = express.Router();
+
+// ==============================
+// Background Job Routes (admins see all jobs, others their own)
+// ==============================
+
+router.use(authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]));
+
+// ✅ List jobs
+router.get("/", listJobs);
+
+// ✅ Get job status, progress, failures and result
+router.get("/:id", getJob);
+
+// ✅ Cancel a queued or running job
+router.post("/:id/cancel", cancelJob);
+
+module.exports = router;
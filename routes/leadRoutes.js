@@ -10,9 +10,16 @@ const {
   deleteLead,
   assignLead,
   getLeadAssignments,
+  getLeadHistory,
+  getLeadTimeline,
   deleteLeadNote,
+  getLeadCalls,
+  logLeadCall,
+  deleteLeadCall,
 } = require("../controllers/leadController");
 
+const { getDuplicateGroups, mergeLeads } = require("../controllers/leadDuplicateController");
+
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 
@@ -25,8 +32,19 @@ router.use(authMiddleware);
  * =============================
  */
 router.get("/", roleMiddleware(["admin", "manager", "sales_rep"]), getLeads);
+router.get("/duplicates", roleMiddleware(["admin", "manager"]), getDuplicateGroups); // before "/:id"
 router.get("/:id", roleMiddleware(["admin", "manager", "sales_rep"]), getLeadById);
 router.get("/:id/assignments", roleMiddleware(["admin", "manager", "sales_rep"]), getLeadAssignments);
+router.get("/:id/history", roleMiddleware(["admin", "manager", "sales_rep"]), getLeadHistory);
+router.get("/:id/timeline", roleMiddleware(["admin", "manager", "sales_rep"]), getLeadTimeline);
+router.get("/:id/calls", roleMiddleware(["admin", "manager", "sales_rep"]), getLeadCalls);
+
+/**
+ * =============================
+ * Call logging (sales reps: own leads only, checked in controller)
+ * =============================
+ */
+router.post("/:id/calls", roleMiddleware(["admin", "manager", "sales_rep"]), logLeadCall);
 
 /**
  * =============================
@@ -37,6 +55,8 @@ router.post("/", roleMiddleware(["admin", "manager"]), createLead);
 router.put("/:id", roleMiddleware(["admin", "manager", "sales_rep"]), updateLead);
 router.delete("/:id", roleMiddleware(["admin", "manager"]), deleteLead);
 router.post("/:id/assign", roleMiddleware(["admin", "manager"]), assignLead);
+router.post("/merge", roleMiddleware(["admin", "manager"]), mergeLeads);
 router.delete("/:leadId/notes/:noteId", roleMiddleware(["admin", "manager", "sales_rep"]), deleteLeadNote);
+router.delete("/:leadId/calls/:callId", roleMiddleware(["admin", "manager"]), deleteLeadCall);
 
 module.exports = router;
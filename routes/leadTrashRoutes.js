@@ -0,0 +1,27 @@
+// routes/leadTrashRoutes.js
+const express = require("express");
+const router = express.Router();
+
+const { getTrashedLeads, restoreLead, restoreLeads, purgeTrash } = require("../controllers/leadTrashController");
+
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+// ==============================
+// Lead Trash Routes (Admin only)
+// ==============================
+router.use(authMiddleware, roleMiddleware(["admin"]));
+
+// ✅ List trashed leads
+router.get("/", getTrashedLeads);
+
+// ✅ Restore many trashed leads
+router.post("/restore", restoreLeads);
+
+// ✅ Restore a single trashed lead
+router.post("/:id/restore", restoreLead);
+
+// ✅ Permanently delete trashed leads past the retention period
+router.delete("/purge", purgeTrash);
+
+module.exports = router;
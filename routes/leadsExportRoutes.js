@@ -6,8 +6,8 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 const { exportCount, exportDownload } = require("../controllers/leadsExportController");
 
-// Only admins/managers export; tweak if needed
-router.post("/count", authMiddleware, roleMiddleware(["admin"]), exportCount);
-router.post("/download", authMiddleware, roleMiddleware(["admin"]), exportDownload);
+// Admins export all leads, managers the leads assigned within their teams
+router.post("/count", authMiddleware, roleMiddleware(["admin", "manager"]), exportCount);
+router.post("/download", authMiddleware, roleMiddleware(["admin", "manager"]), exportDownload);
 
 module.exports = router;
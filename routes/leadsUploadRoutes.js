@@ -1,10 +1,47 @@
 const express = require("express");
-const { importLeads, getTemplateSchema } = require("../controllers/leadsUploadController");
+const multer = require("multer");
+const {
+  importLeads,
+  importLeadsFile,
+  detectImportColumns,
+  getTemplateSchema,
+} = require("../controllers/leadsUploadController");
+const {
+  listImportPresets,
+  getImportPreset,
+  createImportPreset,
+  updateImportPreset,
+  deleteImportPreset,
+} = require("../controllers/importPresetController");
+const {
+  listImportBatches,
+  getImportBatch,
+  downloadImportErrors,
+  undoImportBatch,
+} = require("../controllers/importBatchController");
+const { getImportSettings, updateImportSettings } = require("../controllers/importSettingsController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
+const { getMulterUpload } = require("../config/multerConfig");
+const { resError } = require("../utils/responseUtil");
+const { getImportUploadDir } = require("../utils/leadFileParser");
 
 const router = express.Router();
 
+// Uploaded import files (removed after processing) go to the import upload dir (see utils/leadFileParser);
+// max size NODE_LEADHIVE_IMPORT_MAX_FILE_MB (default 20)
+const maxFileMb = Number(process.env.NODE_LEADHIVE_IMPORT_MAX_FILE_MB) || 20;
+const importUpload = getMulterUpload(getImportUploadDir(), { limits: { fileSize: maxFileMb * 1024 * 1024, files: 1 } });
+
+// Single "file" upload; multer limit errors become JSON errors (413 too large, 400 otherwise)
+const uploadImportFile = (req, res, next) =>
+  importUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === "LIMIT_FILE_SIZE") return resError(res, `File is too large (max ${maxFileMb} MB).`, 413);
+    return resError(res, `Invalid upload: ${err.message}.`, 400);
+  });
+
 // ==============================
 // Lead Upload Routes
 // ==============================
@@ -15,4 +52,55 @@ router.get("/template", authMiddleware, roleMiddleware(["admin"]), getTemplateSc
 // ✅ Import leads in bulk (Admin only)
 router.post("/import", authMiddleware, roleMiddleware(["admin"]), importLeads);
 
+// ✅ Import leads from an uploaded CSV/XLSX file (Admin only)
+router.post("/file", authMiddleware, roleMiddleware(["admin"]), uploadImportFile, importLeadsFile);
+
+// ✅ Detect file headers + suggested column mapping, no import (Admin only)
+router.post("/detect", authMiddleware, roleMiddleware(["admin"]), uploadImportFile, detectImportColumns);
+
+// ==============================
+// Import Settings Routes (admin-level import defaults; Admin only)
+// ==============================
+
+// ✅ Get import defaults
+router.get("/settings", authMiddleware, roleMiddleware(["admin"]), getImportSettings);
+
+// ✅ Update import defaults
+router.put("/settings", authMiddleware, roleMiddleware(["admin"]), updateImportSettings);
+
+// ==============================
+// Import Preset Routes (saved column mappings per vendor; Admin only)
+// ==============================
+
+// ✅ List import presets
+router.get("/presets", authMiddleware, roleMiddleware(["admin"]), listImportPresets);
+
+// ✅ Get single import preset
+router.get("/presets/:id", authMiddleware, roleMiddleware(["admin"]), getImportPreset);
+
+// ✅ Create import preset
+router.post("/presets", authMiddleware, roleMiddleware(["admin"]), createImportPreset);
+
+// ✅ Update import preset
+router.put("/presets/:id", authMiddleware, roleMiddleware(["admin"]), updateImportPreset);
+
+// ✅ Delete import preset
+router.delete("/presets/:id", authMiddleware, roleMiddleware(["admin"]), deleteImportPreset);
+
+// ==============================
+// Import Batch Routes (import history + undo; Admin only)
+// ==============================
+
+// ✅ List import batches
+router.get("/batches", authMiddleware, roleMiddleware(["admin"]), listImportBatches);
+
+// ✅ Get single import batch (with skipped-row notes)
+router.get("/batches/:id", authMiddleware, roleMiddleware(["admin"]), getImportBatch);
+
+// ✅ Download the batch's rejected rows as CSV
+router.get("/batches/:id/errors", authMiddleware, roleMiddleware(["admin"]), downloadImportErrors);
+
+// ✅ Undo an import batch (moves its untouched leads to the trash)
+router.post("/batches/:id/undo", authMiddleware, roleMiddleware(["admin"]), undoImportBatch);
+
 module.exports = router;
@@ -0,0 +1,44 @@
+// routes/reportSubscriptionRoutes.js
+const express = require("express");
+const {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendSubscriptionNow,
+  listDeliveries,
+} = require("../controllers/reportSubscriptionController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+const router = express.Router();
+
+// ==============================
+// Report Subscription Routes (scheduled report/export emails; admins manage all, managers their own)
+// ==============================
+
+router.use(authMiddleware, roleMiddleware(["admin", "manager"]));
+
+// ✅ List subscriptions
+router.get("/", listSubscriptions);
+
+// ✅ Create a subscription
+router.post("/", createSubscription);
+
+// ✅ Get a subscription
+router.get("/:id", getSubscription);
+
+// ✅ Update a subscription (schedule, recipients, filters, pause/resume)
+router.put("/:id", updateSubscription);
+
+// ✅ Delete a subscription and its delivery log
+router.delete("/:id", deleteSubscription);
+
+// ✅ Send now
+router.post("/:id/send", sendSubscriptionNow);
+
+// ✅ Delivery log
+router.get("/:id/deliveries", listDeliveries);
+
+module.exports = router;
@@ -2,8 +2,26 @@ const express = require("express");
 const router = express.Router();
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
-const { getMonthlyReports } = require("../controllers/reportsController");
+const {
+  getMonthlyReports,
+  getMonthlyReportPdf,
+  getFunnelReport,
+  getFunnelStages,
+  updateFunnelStages,
+  getAgingReport,
+  getAgingLeads,
+  getClosedStatuses,
+  updateClosedStatuses,
+} = require("../controllers/reportsController");
 
 router.get("/monthly", authMiddleware, roleMiddleware(["admin", "manager"]), getMonthlyReports);
+router.get("/monthly/pdf", authMiddleware, roleMiddleware(["admin", "manager"]), getMonthlyReportPdf);
+router.get("/funnel", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), getFunnelReport);
+router.get("/funnel/stages", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), getFunnelStages);
+router.put("/funnel/stages", authMiddleware, roleMiddleware(["admin"]), updateFunnelStages);
+router.get("/aging", authMiddleware, roleMiddleware(["admin", "manager"]), getAgingReport);
+router.get("/aging/leads", authMiddleware, roleMiddleware(["admin", "manager"]), getAgingLeads);
+router.get("/aging/closed-statuses", authMiddleware, roleMiddleware(["admin", "manager"]), getClosedStatuses);
+router.put("/aging/closed-statuses", authMiddleware, roleMiddleware(["admin"]), updateClosedStatuses);
 
 module.exports = router;
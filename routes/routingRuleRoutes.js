@@ -0,0 +1,34 @@
+// routes/routingRuleRoutes.js
+const express = require("express");
+const {
+  listRoutingRules,
+  getRoutingRule,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+} = require("../controllers/routingRuleController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+const router = express.Router();
+
+// ==============================
+// Lead Routing Rule Routes
+// ==============================
+
+// ✅ List routing rules in evaluation order (Admin only)
+router.get("/", authMiddleware, roleMiddleware(["admin"]), listRoutingRules);
+
+// ✅ Get single routing rule (Admin only)
+router.get("/:id", authMiddleware, roleMiddleware(["admin"]), getRoutingRule);
+
+// ✅ Create routing rule (Admin only)
+router.post("/", authMiddleware, roleMiddleware(["admin"]), createRoutingRule);
+
+// ✅ Update routing rule (Admin only)
+router.put("/:id", authMiddleware, roleMiddleware(["admin"]), updateRoutingRule);
+
+// ✅ Delete routing rule (Admin only)
+router.delete("/:id", authMiddleware, roleMiddleware(["admin"]), deleteRoutingRule);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const {
   updateSavedFilter,
   deleteSavedFilter,
 } = require("../controllers/savedFilterController");
+const { getLeads } = require("../controllers/leadController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const roleMiddleware = require("../middlewares/roleMiddleware");
 
@@ -25,6 +26,9 @@ router.get("/", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]
 // ✅ Get a single filter by ID
 router.get("/:id", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), getSavedFilterById);
 
+// ✅ Leads matching a filter (same query params, paging and role scoping as GET /leads)
+router.get("/:filterId/leads", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), getLeads);
+
 // ✅ Update a filter
 router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]), updateSavedFilter);
 
@@ -0,0 +1,36 @@
+// routes/taskRoutes.js
+const express = require("express");
+const {
+  getTasks,
+  getMyTasks,
+  getTaskById,
+  createTask,
+  updateTask,
+  deleteTask,
+} = require("../controllers/taskController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const roleMiddleware = require("../middlewares/roleMiddleware");
+
+const router = express.Router();
+
+// ==============================
+// Task Routes (follow-ups / reminders on leads)
+// ==============================
+
+router.use(authMiddleware, roleMiddleware(["admin", "manager", "sales_rep"]));
+
+// ✅ My open tasks: overdue + due today
+router.get("/my", getMyTasks);
+
+// ✅ List tasks (sales reps only see their own)
+router.get("/", getTasks);
+
+// ✅ Create task on a lead
+router.post("/", createTask);
+
+// ✅ Get / update / delete task
+router.get("/:id", getTaskById);
+router.put("/:id", updateTask);
+router.delete("/:id", deleteTask);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// scripts/backfillCurrentAssignee.js
+//
+// Backfill / repair Lead.current_assignee_id + Lead.current_assigned_at from lead_assignments.
+//
+// Usage:
+//   npm run backfill:assignees            -> add missing columns/index, then fix every drifted lead
+//   npm run backfill:assignees -- --check -> only report how many leads are out of sync
+//
+// Safe to re-run: only rows that differ from their latest assignment (MAX(id) per lead) are touched.
+const colors = require("colors");
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/database");
+
+const CHECK_ONLY = process.argv.includes("--check");
+
+// Latest assignment per lead (same definition the controllers used before denormalizing)
+const LATEST_ASSIGNMENT_SQL = `
+  SELECT la.lead_id, la.assignee_id, la.assigned_at
+  FROM lead_assignments la
+  INNER JOIN (
+    SELECT lead_id, MAX(id) AS max_id
+    FROM lead_assignments
+    GROUP BY lead_id
+  ) t ON t.max_id = la.id
+`;
+
+const DRIFT_CONDITION = `
+  NOT (l.current_assignee_id <=> cur.assignee_id AND l.current_assigned_at <=> cur.assigned_at)
+`;
+
+const ensureColumns = async () => {
+  const qi = sequelize.getQueryInterface();
+  const columns = await qi.describeTable("leads");
+
+  if (!columns.current_assignee_id) {
+    await qi.addColumn("leads", "current_assignee_id", {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: "users", key: "id" },
+    });
+    console.log("Added column leads.current_assignee_id".cyan);
+  }
+
+  if (!columns.current_assigned_at) {
+    await qi.addColumn("leads", "current_assigned_at", {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+    console.log("Added column leads.current_assigned_at".cyan);
+  }
+
+  const indexes = await qi.showIndex("leads");
+  if (!indexes.some((i) => i.name === "idx_leads_current_assignee")) {
+    await qi.addIndex("leads", ["current_assignee_id", "current_assigned_at"], {
+      name: "idx_leads_current_assignee",
+    });
+    console.log("Added index idx_leads_current_assignee".cyan);
+  }
+};
+
+const countDrifted = async () => {
+  const [rows] = await sequelize.query(`
+    SELECT COUNT(*) AS drifted
+    FROM leads l
+    LEFT JOIN (${LATEST_ASSIGNMENT_SQL}) cur ON cur.lead_id = l.id
+    WHERE ${DRIFT_CONDITION}
+  `);
+  return Number(rows[0]?.drifted || 0);
+};
+
+const repairDrifted = async () => {
+  const [result] = await sequelize.query(`
+    UPDATE leads l
+    LEFT JOIN (${LATEST_ASSIGNMENT_SQL}) cur ON cur.lead_id = l.id
+    SET l.current_assignee_id = cur.assignee_id,
+        l.current_assigned_at = cur.assigned_at
+    WHERE ${DRIFT_CONDITION}
+  `);
+  return Number(result?.affectedRows || 0);
+};
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+
+    if (CHECK_ONLY) {
+      const drifted = await countDrifted();
+      console.log(`Leads out of sync with lead_assignments: ${drifted}`.bgCyan.white);
+      process.exit(drifted > 0 ? 1 : 0);
+    }
+
+    await ensureColumns();
+    const fixed = await repairDrifted();
+    console.log(`Current assignee backfill complete. Leads updated: ${fixed}`.bgGreen.white);
+    process.exit(0);
+  } catch (err) {
+    console.error(`Backfill Error: ${err.message}`.bgRed.white);
+    process.exit(1);
+  }
+};
+
+run();
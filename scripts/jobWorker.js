@@ -0,0 +1,32 @@
+// scripts/jobWorker.js
+//
+// Run background jobs (imports, bulk actions) in a separate process.
+// Start the API with NODE_LEADHIVE_JOB_WORKER=false so it only enqueues jobs.
+//
+// Usage:
+//   npm run worker
+const colors = require("colors");
+const { sequelize } = require("../config/database");
+const { startJobWorker } = require("../utils/jobWorker");
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+
+    const worker = startJobWorker();
+    console.log(`Job worker started (pid ${process.pid})`.bgCyan.white);
+
+    const shutdown = () => {
+      worker.stop();
+      console.log("Job worker stopping...".bgYellow.black);
+      sequelize.close().finally(() => process.exit(0));
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  } catch (err) {
+    console.error(`Job Worker Error: ${err.message}`.bgRed.white);
+    process.exit(1);
+  }
+};
+
+run();
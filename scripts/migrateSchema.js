@@ -0,0 +1,121 @@
+// scripts/migrateSchema.js
+//
+// Create the tables and columns the models define that an existing database is still missing (the app never
+// syncs).
+//
+// Usage:
+//   npm run db:migrate            -> create every missing table (with its indexes), then add missing columns
+//                                    and the model indexes over them
+//   npm run db:migrate -- --check -> only list what is missing
+//
+// Safe to re-run: tables, columns and indexes that already exist are left untouched.
+const colors = require("colors");
+const { sequelize } = require("../config/database");
+const {
+  Lead,
+  LeadChange,
+  LeadCustomField,
+  LeadCustomFieldValue,
+  Task,
+  LeadCall,
+  RoutingRule,
+  ImportPreset,
+  ImportBatch,
+  Job,
+  ImportSetting,
+  ReportSubscription,
+  ReportDelivery,
+  LeadStatus,
+} = require("../models");
+
+const CHECK_ONLY = process.argv.includes("--check");
+
+// Tables added on top of the original schema, referenced tables first
+const NEW_TABLES = [
+  LeadChange, // field-level lead history
+  LeadCustomField, // custom fields
+  LeadCustomFieldValue,
+  Task, // follow-up tasks
+  LeadCall, // structured call log
+  RoutingRule, // lead routing rules
+  ImportPreset, // import column mapping presets
+  Job, // background jobs (import batches point at them)
+  ImportBatch, // import history (batches)
+  ImportSetting, // admin import defaults
+  ReportSubscription, // scheduled report emails
+  ReportDelivery,
+];
+
+// Columns added to existing tables: [model, column names]
+const NEW_COLUMNS = [
+  [Lead, ["deleted_at", "deleted_by"]], // trash
+  [Lead, ["import_batch_id"]], // import batches
+  [ImportBatch, ["job_id"]], // imports run as background jobs
+  [Job, ["resume_offset", "resume_state_json"]], // job retries resume after the last committed chunk
+  [ImportBatch, ["error_report_file", "error_report_expires_at"]], // rejected-rows reports
+  [LeadStatus, ["funnel_position"]], // funnel stage order
+  [LeadStatus, ["is_closed"]], // closed (won/lost) statuses
+  [ReportSubscription, ["timezone"]], // scheduled report send times in a timezone (existing rows: UTC)
+];
+
+const ensureTables = async (qi, missing) => {
+  for (const model of NEW_TABLES) {
+    if (await qi.tableExists(model.tableName)) continue;
+    missing.push(`table ${model.tableName}`);
+    if (CHECK_ONLY) continue;
+    await model.sync();
+    console.log(`Created table ${model.tableName}`.cyan);
+  }
+};
+
+const ensureColumns = async (qi, missing) => {
+  for (const [model, names] of NEW_COLUMNS) {
+    const table = model.tableName;
+    if (missing.includes(`table ${table}`)) continue; // created (or, with --check, to be created) in full
+    const columns = await qi.describeTable(table);
+    const added = [];
+    for (const name of names) {
+      if (columns[name]) continue;
+      missing.push(`column ${table}.${name}`);
+      added.push(name);
+      if (CHECK_ONLY) continue;
+      const { type, allowNull, defaultValue, references } = model.rawAttributes[name];
+      await qi.addColumn(table, name, { type, allowNull, defaultValue, references });
+      console.log(`Added column ${table}.${name}`.cyan);
+    }
+    if (!added.length) continue;
+
+    // Model indexes over the new columns
+    const indexes = CHECK_ONLY ? [] : await qi.showIndex(table);
+    for (const index of model.options.indexes || []) {
+      if (!index.fields.some((f) => added.includes(f)) || indexes.some((i) => i.name === index.name)) continue;
+      missing.push(`index ${index.name}`);
+      if (CHECK_ONLY) continue;
+      await qi.addIndex(table, index.fields, { name: index.name });
+      console.log(`Added index ${index.name}`.cyan);
+    }
+  }
+};
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+    const qi = sequelize.getQueryInterface();
+    const missing = [];
+
+    await ensureTables(qi, missing);
+    await ensureColumns(qi, missing);
+
+    if (CHECK_ONLY) {
+      console.log(`Missing schema objects: ${missing.length ? missing.join(", ") : "none"}`.bgCyan.white);
+      process.exit(missing.length ? 1 : 0);
+    }
+    console.log(`Schema migration complete. Objects created: ${missing.length}`.bgGreen.white);
+    process.exit(0);
+  } catch (err) {
+    console.error(`Migration Error: ${err.message}`.bgRed.white);
+    process.exit(1);
+  }
+};
+
+run();
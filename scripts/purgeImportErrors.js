@@ -0,0 +1,28 @@
+// scripts/purgeImportErrors.js
+//
+// Delete rejected-rows reports of imports older than NODE_LEADHIVE_IMPORT_ERROR_RETENTION_DAYS (default 30).
+//
+// Usage (e.g. from a daily cron):
+//   npm run purge:import-errors
+const colors = require("colors");
+const { sequelize } = require("../config/database");
+const { getImportErrorRetentionDays, purgeExpiredImportErrorReports } = require("../utils/importBatchUtil");
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+
+    const { purged } = await purgeExpiredImportErrorReports();
+
+    console.log(
+      `Import error report purge complete. Reports purged: ${purged} (retention ${getImportErrorRetentionDays()} days)`
+        .bgGreen.white
+    );
+    process.exit(0);
+  } catch (err) {
+    console.error(`Purge Error: ${err.message}`.bgRed.white);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,28 @@
+// scripts/purgeTrash.js
+//
+// Permanently delete trashed leads older than NODE_LEADHIVE_TRASH_RETENTION_DAYS (default 30).
+//
+// Usage (e.g. from a daily cron):
+//   npm run purge:trash
+const colors = require("colors");
+const { sequelize } = require("../config/database");
+const { getTrashRetentionDays, purgeTrashedLeads } = require("../utils/leadTrashUtil");
+
+const run = async () => {
+  try {
+    await sequelize.authenticate();
+
+    const { purged, cutoff } = await sequelize.transaction((t) => purgeTrashedLeads({ transaction: t }));
+
+    console.log(
+      `Trash purge complete. Leads purged: ${purged} (retention ${getTrashRetentionDays()} days, cutoff ${cutoff.toISOString()})`
+        .bgGreen.white
+    );
+    process.exit(0);
+  } catch (err) {
+    console.error(`Purge Error: ${err.message}`.bgRed.white);
+    process.exit(1);
+  }
+};
+
+run();
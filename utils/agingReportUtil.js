@@ -0,0 +1,318 @@
+const { Op, fn, col, literal } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { Lead, LeadChange, LeadNote, LeadCall, LeadStatus, User } = require("../models");
+
+// Leads (and their latest status change / activity) loaded per query
+const PAGE_SIZE = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Bucket bounds in days: 0-6, 7-13, 14-29, 30-59, 60+ */
+const DEFAULT_AGING_BUCKETS = [7, 14, 30, 60];
+
+/** status: days since the last status change; activity: days since the last note or call */
+const AGING_MEASURES = ["status", "activity"];
+
+// Used when no status is flagged is_closed (same match as the monthly report's sales)
+const BUILTIN_CLOSED_STATUS = "customer";
+
+/**
+ * Bucket bounds from "7,14,30,60" (ascending whole days, at most 10); empty = DEFAULT_AGING_BUCKETS.
+ * Returns { buckets: [{ key, min_days, max_days }] } (max_days null = open-ended) or { error }
+ */
+const parseAgingBuckets = (input) => {
+  let bounds = DEFAULT_AGING_BUCKETS;
+  if (input !== undefined && input !== null && String(input).trim() !== "") {
+    bounds = String(input)
+      .split(",")
+      .map((v) => Number(v.trim()));
+    const ascending = bounds.every((b, i) => Number.isInteger(b) && b > 0 && (i === 0 || b > bounds[i - 1]));
+    if (!ascending || bounds.length > 10) {
+      return { error: "buckets must be up to 10 ascending day counts, e.g. 7,14,30,60." };
+    }
+  }
+  const buckets = [0, ...bounds].map((min, i) => {
+    const next = bounds[i];
+    return next === undefined
+      ? { key: `${min}+`, min_days: min, max_days: null }
+      : { key: `${min}-${next - 1}`, min_days: min, max_days: next - 1 };
+  });
+  return { buckets };
+};
+
+const bucketIndex = (buckets, days) => {
+  for (let i = buckets.length - 1; i >= 0; i--) if (days >= buckets[i].min_days) return i;
+  return 0;
+};
+
+/**
+ * Closed (won/lost) statuses: the ones flagged is_closed, or the built-in "customer" status when none is flagged.
+ * Returns { statuses, configured }
+ */
+const resolveClosedStatuses = async () => {
+  const statuses = await LeadStatus.findAll({
+    attributes: ["id", "value", "label", "is_closed"],
+    order: [["id", "ASC"]],
+  });
+  const flagged = statuses.filter((s) => s.is_closed);
+  if (flagged.length) return { statuses: flagged, configured: true };
+  const builtIn = statuses.filter(
+    (s) => [s.value, s.label].some((v) => String(v || "").toLowerCase() === BUILTIN_CLOSED_STATUS)
+  );
+  return { statuses: builtIn, configured: false };
+};
+
+// Open leads in scope (scope.userIds: current assignees; null = all leads, unassigned included)
+const buildOpenLeadWhere = (scope, closedIds) => {
+  const where = {};
+  if (closedIds.length) {
+    where[Op.or] = [{ status_id: null }, { status_id: { [Op.notIn]: closedIds } }];
+  }
+  if (scope.userIds) where.current_assignee_id = { [Op.in]: scope.userIds };
+  return where;
+};
+
+// leadId -> latest date, from a grouped MAX query
+const loadLatest = async (Model, dateColumn, leadIds, extraWhere = {}) => {
+  const rows = await Model.findAll({
+    where: { ...extraWhere, lead_id: { [Op.in]: leadIds } },
+    attributes: ["lead_id", [fn("MAX", col(dateColumn)), "latest"]],
+    group: ["lead_id"],
+    raw: true,
+  });
+  return new Map(rows.map((r) => [Number(r.lead_id), r.latest ? new Date(r.latest) : null]));
+};
+
+/**
+ * Call visit(entry) for every open lead in scope, page by page (id order):
+ * entry = { id, status_id, current_assignee_id, created_at, last_status_change_at, last_activity_at,
+ *           status_days, activity_days }
+ * Without a recorded status change the lead's creation counts as one; without a note or call
+ * last_activity_at is null and activity_days counts from creation.
+ */
+const forEachLeadAge = async ({ where, now }, visit) => {
+  let lastId = 0;
+  while (true) {
+    const leads = await Lead.findAll({
+      where: { ...where, id: { [Op.gt]: lastId } },
+      attributes: ["id", "status_id", "current_assignee_id", "created_at"],
+      order: [["id", "ASC"]],
+      limit: PAGE_SIZE,
+      raw: true,
+    });
+    if (!leads.length) break;
+    lastId = leads[leads.length - 1].id;
+
+    const leadIds = leads.map((l) => l.id);
+    const [statusChanges, notes, calls] = await Promise.all([
+      loadLatest(LeadChange, "changed_at", leadIds, { field: "status_id" }),
+      loadLatest(LeadNote, "created_at", leadIds),
+      loadLatest(LeadCall, "called_at", leadIds),
+    ]);
+
+    for (const lead of leads) {
+      const id = Number(lead.id);
+      const createdAt = new Date(lead.created_at);
+      const lastStatusChangeAt = statusChanges.get(id) || createdAt;
+      const activity = [notes.get(id), calls.get(id)].filter(Boolean);
+      const lastActivityAt = activity.length ? new Date(Math.max(...activity)) : null;
+
+      visit({
+        id,
+        status_id: lead.status_id,
+        current_assignee_id: lead.current_assignee_id,
+        created_at: createdAt,
+        last_status_change_at: lastStatusChangeAt,
+        last_activity_at: lastActivityAt,
+        status_days: Math.max(0, Math.floor((now - lastStatusChangeAt) / DAY_MS)),
+        activity_days: Math.max(0, Math.floor((now - (lastActivityAt || createdAt)) / DAY_MS)),
+      });
+    }
+  }
+};
+
+/**
+ * Aging of the open leads in scope: per status and per assignee, lead counts by bucket of days since the last
+ * status change (status_age) and days since the last note/call (activity_age), plus leads with no activity at all.
+ * Returns { buckets, closed_statuses, totals, by_status, by_assignee }
+ */
+const buildAgingReport = async ({ scope, buckets, now = new Date() }) => {
+  const closed = await resolveClosedStatuses();
+  const where = buildOpenLeadWhere(scope, closed.statuses.map((s) => s.id));
+
+  const newGroup = () => ({
+    total: 0,
+    status_age: buckets.map(() => 0),
+    activity_age: buckets.map(() => 0),
+    no_activity: 0,
+  });
+  const totals = newGroup();
+  const byStatus = new Map();
+  const byAssignee = new Map();
+  const add = (group, entry) => {
+    group.total++;
+    group.status_age[bucketIndex(buckets, entry.status_days)]++;
+    group.activity_age[bucketIndex(buckets, entry.activity_days)]++;
+    if (!entry.last_activity_at) group.no_activity++;
+  };
+
+  await forEachLeadAge({ where, now }, (entry) => {
+    const statusKey = entry.status_id === null ? 0 : Number(entry.status_id);
+    const assigneeKey = entry.current_assignee_id === null ? 0 : Number(entry.current_assignee_id);
+    if (!byStatus.has(statusKey)) byStatus.set(statusKey, newGroup());
+    if (!byAssignee.has(assigneeKey)) byAssignee.set(assigneeKey, newGroup());
+    add(totals, entry);
+    add(byStatus.get(statusKey), entry);
+    add(byAssignee.get(assigneeKey), entry);
+  });
+
+  const statusIds = [...byStatus.keys()].filter(Boolean);
+  const userIds = [...byAssignee.keys()].filter(Boolean);
+  const [statuses, users] = await Promise.all([
+    statusIds.length
+      ? LeadStatus.findAll({ where: { id: { [Op.in]: statusIds } }, attributes: ["id", "value", "label"] })
+      : [],
+    userIds.length
+      ? User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ["id", "full_name", "email"] })
+      : [],
+  ]);
+  const statusById = new Map(statuses.map((s) => [Number(s.id), s]));
+  const userById = new Map(users.map((u) => [Number(u.id), u]));
+
+  // Oldest first: most leads in the last status bucket, then most leads overall
+  const byAge = (a, b) =>
+    b.status_age[buckets.length - 1] - a.status_age[buckets.length - 1] || b.total - a.total;
+
+  return {
+    buckets,
+    closed_statuses: closed.statuses.map((s) => ({ id: s.id, value: s.value, label: s.label })),
+    totals,
+    by_status: [...byStatus.entries()]
+      .map(([id, group]) => ({
+        status_id: id || null,
+        value: statusById.get(id)?.value || null,
+        label: statusById.get(id)?.label || (id ? null : "No status"),
+        ...group,
+      }))
+      .sort(byAge),
+    by_assignee: [...byAssignee.entries()]
+      .map(([id, group]) => ({
+        user_id: id || null,
+        full_name: userById.get(id)?.full_name || (id ? null : "Unassigned"),
+        email: userById.get(id)?.email || null,
+        ...group,
+      }))
+      .sort(byAge),
+  };
+};
+
+// Latest status change / note / call of the outer Lead (correlated subqueries for listAgingLeads)
+const LAST_STATUS_CHANGE_SQL =
+  "(SELECT MAX(lc.changed_at) FROM lead_changes lc WHERE lc.lead_id = `Lead`.`id` AND lc.field = 'status_id')";
+const LAST_NOTE_SQL = "(SELECT MAX(ln.created_at) FROM lead_notes ln WHERE ln.lead_id = `Lead`.`id`)";
+const LAST_CALL_SQL = "(SELECT MAX(lca.called_at) FROM lead_calls lca WHERE lca.lead_id = `Lead`.`id`)";
+// GREATEST() is NULL when either side is, so each side falls back to the other
+const LAST_ACTIVITY_SQL =
+  `GREATEST(COALESCE(${LAST_NOTE_SQL}, ${LAST_CALL_SQL}), COALESCE(${LAST_CALL_SQL}, ${LAST_NOTE_SQL}))`;
+
+// The instant a measure's days count from (same fallbacks as forEachLeadAge)
+const AGE_FROM_SQL = {
+  status: `COALESCE(${LAST_STATUS_CHANGE_SQL}, \`Lead\`.\`created_at\`)`,
+  activity: `COALESCE(${LAST_ACTIVITY_SQL}, \`Lead\`.\`created_at\`)`,
+};
+
+// SQL conditions for "days since ageFrom falls in bucket" (days = whole days elapsed, as in forEachLeadAge)
+const bucketConditions = (ageFrom, bucket, now) => {
+  const daysAgo = (days) => sequelize.escape(new Date(now.getTime() - days * DAY_MS));
+  const conditions = [];
+  if (bucket.min_days > 0) conditions.push(literal(`${ageFrom} <= ${daysAgo(bucket.min_days)}`));
+  if (bucket.max_days !== null) conditions.push(literal(`${ageFrom} > ${daysAgo(bucket.max_days + 1)}`));
+  return conditions;
+};
+
+const toDate = (v) => (v ? new Date(v) : null);
+
+/**
+ * Drill-down: the open leads in scope in one bucket of a measure (status | activity), optionally of one status
+ * (statusId; 0 = no status) and/or one assignee (assigneeId; 0 = unassigned). Oldest first; the bucket filter,
+ * ordering and paging run in SQL.
+ * Returns { total, leads: [...] } for the page
+ */
+const listAgingLeads = async ({ scope, buckets, measure, bucket, statusId, assigneeId, page, limit, now }) => {
+  const closed = await resolveClosedStatuses();
+  const where = buildOpenLeadWhere(scope, closed.statuses.map((s) => s.id));
+  if (statusId !== undefined && statusId !== null) {
+    if (statusId === 0) where.status_id = null;
+    else if (closed.statuses.some((s) => Number(s.id) === statusId)) return { total: 0, leads: [] };
+    else where.status_id = statusId;
+  }
+  if (assigneeId !== undefined && assigneeId !== null) {
+    const allowed = !scope.userIds || scope.userIds.map(Number).includes(assigneeId);
+    if (!allowed) return { total: 0, leads: [] };
+    where.current_assignee_id = assigneeId === 0 ? null : assigneeId;
+  }
+
+  const ageFrom = AGE_FROM_SQL[measure === "activity" ? "activity" : "status"];
+  const target = buckets.find((b) => b.key === bucket);
+  if (target) where[Op.and] = bucketConditions(ageFrom, target, now);
+
+  const [total, rows] = await Promise.all([
+    Lead.count({ where }),
+    Lead.findAll({
+      where,
+      attributes: [
+        "id",
+        "first_name",
+        "last_name",
+        "company",
+        "email",
+        "phone",
+        "created_at",
+        [literal(AGE_FROM_SQL.status), "last_status_change_at"],
+        [literal(LAST_ACTIVITY_SQL), "last_activity_at"],
+      ],
+      include: [
+        { model: LeadStatus, attributes: ["id", "value", "label"] },
+        { model: User, as: "currentAssignee", attributes: ["id", "full_name", "email"] },
+      ],
+      order: [
+        [literal(ageFrom), "ASC"],
+        ["id", "ASC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    }),
+  ]);
+
+  return {
+    total,
+    leads: rows.map((lead) => {
+      const createdAt = new Date(lead.created_at);
+      const lastStatusChangeAt = toDate(lead.get("last_status_change_at")) || createdAt;
+      const lastActivityAt = toDate(lead.get("last_activity_at"));
+      return {
+        id: Number(lead.id),
+        first_name: lead.first_name ?? null,
+        last_name: lead.last_name ?? null,
+        company: lead.company ?? null,
+        email: lead.email ?? null,
+        phone: lead.phone ?? null,
+        status: lead.LeadStatus || null,
+        assignee: lead.currentAssignee || null,
+        created_at: createdAt,
+        last_status_change_at: lastStatusChangeAt,
+        last_activity_at: lastActivityAt,
+        status_days: Math.max(0, Math.floor((now - lastStatusChangeAt) / DAY_MS)),
+        activity_days: Math.max(0, Math.floor((now - (lastActivityAt || createdAt)) / DAY_MS)),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  AGING_MEASURES,
+  parseAgingBuckets,
+  resolveClosedStatuses,
+  buildAgingReport,
+  listAgingLeads,
+};
@@ -0,0 +1,177 @@
+const { Op } = require("sequelize");
+const { Lead } = require("../models");
+const { sequelize } = require("../config/database");
+const { assignLeads } = require("./leadAssignmentUtil");
+const { recordBulkFieldChange } = require("./leadChangeUtil");
+
+// Bulk lead actions shared by the /bulk endpoints (one call per request) and background jobs (one call per chunk).
+// Inputs are validated by the caller; each call runs in its own transaction, or in `transaction` when one is passed
+// (a job commits its resume point with the chunk).
+
+const withTransaction = (transaction, fn) => (transaction ? fn(transaction) : sequelize.transaction(fn));
+
+/**
+ * Assign leads to assignee_id (optionally setting status_id on the leads that got the assignment).
+ * - overwrite=false skips leads whose current assignee is someone else or already the target
+ * Returns { total_requested, updated, status_updated, skipped: [{ id, reason }], missing, assignee_id, overwrite,
+ *           status_id? }
+ */
+const runBulkAssign = async ({ leadIds, assigneeId, overwrite = false, statusId, actorId, transaction }) => {
+  const leads = await Lead.findAll({
+    where: { id: { [Op.in]: leadIds } },
+    attributes: ["id", "current_assignee_id", "status_id"],
+    transaction,
+  });
+  const foundIds = new Set(leads.map((l) => l.id));
+  const missing = leadIds.filter((id) => !foundIds.has(id));
+
+  // Current assignees for found leads
+  const latestMap = new Map(leads.map((l) => [l.id, l.current_assignee_id]));
+
+  // Build worklist (which leads will actually receive a new assignment row)
+  const idsToAffect = []; // IDs that will get the new assignment (and thus optional status update)
+  const skipped = []; // { id, reason }
+
+  for (const id of foundIds) {
+    const current = latestMap.get(id) ?? null;
+
+    // If overwrite=false and a different assignee exists, skip
+    if (!overwrite && current && current !== assigneeId) {
+      skipped.push({ id, reason: "already_assigned" });
+      continue;
+    }
+    // If overwrite=false and already assigned to target, skip (no-op)
+    if (!overwrite && current === assigneeId) {
+      skipped.push({ id, reason: "already_assigned_to_target" });
+      continue;
+    }
+
+    idsToAffect.push(id);
+  }
+
+  let created = 0;
+  let statusUpdated = 0;
+  const hasStatus = statusId !== undefined && statusId !== null;
+
+  if (idsToAffect.length) {
+    await withTransaction(transaction, async (t) => {
+      // 1) Insert assignment history rows + current assignee (chunked)
+      created = await assignLeads({
+        leadIds: idsToAffect,
+        assigneeId,
+        assignedBy: actorId,
+        transaction: t,
+      });
+
+      // 2) Optional: update status for exactly those leads we just assigned (+ history)
+      if (hasStatus) {
+        const affected = new Set(idsToAffect);
+        await recordBulkFieldChange({
+          leads: leads.filter((l) => affected.has(l.id)),
+          field: "status_id",
+          newValue: statusId,
+          origin: "bulk_assign",
+          actorId,
+          transaction: t,
+        });
+
+        const [count] = await Lead.update(
+          { status_id: statusId, updated_by: actorId },
+          { where: { id: { [Op.in]: idsToAffect } }, transaction: t }
+        );
+        statusUpdated = count;
+      }
+    });
+  }
+
+  return {
+    total_requested: leadIds.length,
+    updated: created,
+    status_updated: statusUpdated, // how many had status changed
+    skipped,
+    missing,
+    assignee_id: assigneeId,
+    overwrite: !!overwrite,
+    ...(statusId !== undefined ? { status_id: statusId } : {}),
+  };
+};
+
+/**
+ * Set one field (status_id | source_id) on leads, recording history with `origin`.
+ * Returns { requested, updated, missing, skipped: [{ id, reason: "already_set" }], [field]: value }
+ */
+const runBulkFieldUpdate = async ({ leadIds, field, value, origin, actorId, transaction }) =>
+  withTransaction(transaction, async (t) => {
+    // Load existing leads
+    const leads = await Lead.findAll({
+      where: { id: { [Op.in]: leadIds } },
+      attributes: ["id", field],
+      transaction: t,
+    });
+
+    const foundIds = new Set(leads.map((l) => l.id));
+    const missing = leadIds.filter((id) => !foundIds.has(id));
+
+    // Partition into already_set vs to_update
+    const byId = new Map(leads.map((l) => [l.id, l]));
+    const skipped = [];
+    const idsToUpdate = [];
+    for (const id of foundIds) {
+      if (Number(byId.get(id)[field]) === Number(value)) {
+        skipped.push({ id, reason: "already_set" });
+      } else {
+        idsToUpdate.push(id);
+      }
+    }
+
+    // Apply update (+ history)
+    let updated = 0;
+    if (idsToUpdate.length > 0) {
+      await recordBulkFieldChange({
+        leads: idsToUpdate.map((id) => byId.get(id)),
+        field,
+        newValue: value,
+        origin,
+        actorId,
+        transaction: t,
+      });
+
+      const [count] = await Lead.update(
+        { [field]: value, updated_by: actorId },
+        { where: { id: { [Op.in]: idsToUpdate } }, transaction: t }
+      );
+      updated = count;
+    }
+
+    return { requested: leadIds.length, updated, missing, skipped, [field]: value };
+  });
+
+/**
+ * Soft delete leads (move to the trash; assignments are kept for restore).
+ * Returns { requested, deleted, missing }
+ */
+const runBulkDelete = async ({ leadIds, actorId, transaction }) =>
+  withTransaction(transaction, async (t) => {
+    const leads = await Lead.findAll({
+      where: { id: { [Op.in]: leadIds } },
+      attributes: ["id"],
+      transaction: t,
+    });
+
+    const foundIds = new Set(leads.map((l) => l.id));
+    const missing = leadIds.filter((id) => !foundIds.has(id));
+    if (foundIds.size === 0) return { requested: leadIds.length, deleted: 0, missing };
+
+    // Soft-delete: move to trash (purged later by the trash retention job)
+    const [deleted] = await Lead.update(
+      { deleted_at: new Date(), deleted_by: actorId },
+      { where: { id: { [Op.in]: [...foundIds] } }, transaction: t }
+    );
+    return { requested: leadIds.length, deleted, missing };
+  });
+
+module.exports = {
+  runBulkAssign,
+  runBulkFieldUpdate,
+  runBulkDelete,
+};
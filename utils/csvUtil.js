@@ -0,0 +1,24 @@
+// CSV writing helpers (comma separated, CRLF line endings; files start with a UTF-8 BOM for Excel)
+const CSV_DELIM = ",";
+const CRLF = "\r\n";
+const UTF8_BOM = "\uFEFF";
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  if (s === "") return "";
+  const needsQuote = /[",\r\n]/.test(s);
+  const safe = s.replace(/"/g, '""');
+  return needsQuote ? `"${safe}"` : safe;
+}
+
+/** One CSV line (with line ending) from cell values */
+const toCsvLine = (cells) => cells.map(csvEscape).join(CSV_DELIM) + CRLF;
+
+module.exports = {
+  CSV_DELIM,
+  CRLF,
+  UTF8_BOM,
+  csvEscape,
+  toCsvLine,
+};
@@ -0,0 +1,418 @@
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/database");
+const { LeadCustomField, LeadCustomFieldValue } = require("../models");
+
+const CHUNK = 1000;
+
+const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select", "multi_select", "boolean"];
+
+/** Built-in lead/import columns a custom field key may not shadow */
+const RESERVED_KEYS = [
+  "id",
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "status",
+  "status_id",
+  "source",
+  "source_id",
+  "value_decimal",
+  "notes",
+  "custom_fields",
+  "full_name",
+  // lead export columns (see utils/leadExportUtil)
+  "assignee",
+  "assignee_email",
+  "assigned_at",
+  "creator",
+  "created_at",
+  "updated_at",
+  "note_count",
+  "latest_note",
+  "latest_note_at",
+];
+
+const VALUE_COLUMNS = ["value_text", "value_number", "value_date", "value_bool", "value_json"];
+
+/** LeadCustomFieldValue column holding each field type */
+const STORAGE_COLUMN_BY_TYPE = {
+  text: "value_text",
+  select: "value_text",
+  number: "value_number",
+  date: "value_date",
+  boolean: "value_bool",
+  multi_select: "value_json",
+};
+
+const TRUE_WORDS = ["true", "1", "yes", "y"];
+const FALSE_WORDS = ["false", "0", "no", "n"];
+
+// Separator for multi_select values in CSV cells / flat import rows
+const MULTI_SEPARATOR = ";";
+
+const getActiveCustomFields = ({ transaction } = {}) =>
+  LeadCustomField.findAll({
+    where: { is_active: true },
+    order: [
+      ["sort_order", "ASC"],
+      ["id", "ASC"],
+    ],
+    transaction,
+  });
+
+const isEmptyInput = (raw) =>
+  raw === undefined ||
+  raw === null ||
+  (typeof raw === "string" && raw.trim() === "") ||
+  (Array.isArray(raw) && raw.length === 0);
+
+const getOptions = (field) => (Array.isArray(field.options) ? field.options.map(String) : []);
+
+/** Case-insensitive option match; returns the canonical option or null */
+const matchOption = (field, raw) => {
+  const needle = String(raw).trim().toLowerCase();
+  return getOptions(field).find((o) => o.toLowerCase() === needle) || null;
+};
+
+/**
+ * Parse raw input for a field into its canonical JS value.
+ * Returns { value } or { error } (error is a short snake_case reason).
+ */
+const parseCustomValue = (field, raw) => {
+  switch (field.type) {
+    case "text": {
+      const s = String(raw).trim();
+      if (s.length > 2000) return { error: "too_long" };
+      return { value: s };
+    }
+    case "number": {
+      const n = typeof raw === "number" ? raw : Number(String(raw).replace(/[\s,]+/g, ""));
+      if (!Number.isFinite(n)) return { error: "invalid_number" };
+      return { value: n };
+    }
+    case "date": {
+      const d = raw instanceof Date ? raw : new Date(String(raw).trim());
+      if (isNaN(d)) return { error: "invalid_date" };
+      return { value: d.toISOString().slice(0, 10) };
+    }
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_WORDS.includes(s)) return { value: true };
+      if (FALSE_WORDS.includes(s)) return { value: false };
+      return { error: "invalid_boolean" };
+    }
+    case "select": {
+      const opt = matchOption(field, raw);
+      if (!opt) return { error: "invalid_option" };
+      return { value: opt };
+    }
+    case "multi_select": {
+      const parts = (Array.isArray(raw) ? raw : String(raw).split(MULTI_SEPARATOR))
+        .map((p) => String(p).trim())
+        .filter(Boolean);
+      const picked = [];
+      for (const p of parts) {
+        const opt = matchOption(field, p);
+        if (!opt) return { error: "invalid_option" };
+        if (!picked.includes(opt)) picked.push(opt);
+      }
+      return { value: picked };
+    }
+    default:
+      return { error: "unsupported_type" };
+  }
+};
+
+/** Canonical value -> LeadCustomFieldValue columns */
+const toStorageColumns = (field, value) => {
+  const cols = {};
+  for (const c of VALUE_COLUMNS) cols[c] = null;
+  cols[STORAGE_COLUMN_BY_TYPE[field.type] || "value_text"] = value;
+  return cols;
+};
+
+/** LeadCustomFieldValue row -> canonical value */
+const fromStorageRow = (field, row) => {
+  switch (field.type) {
+    case "number":
+      return row.value_number === null || row.value_number === undefined ? null : Number(row.value_number);
+    case "date":
+      return row.value_date || null;
+    case "boolean":
+      return row.value_bool === null || row.value_bool === undefined ? null : !!row.value_bool;
+    case "multi_select": {
+      const v = typeof row.value_json === "string" ? JSON.parse(row.value_json) : row.value_json;
+      return Array.isArray(v) ? v : [];
+    }
+    default:
+      return row.value_text ?? null;
+  }
+};
+
+/** Canonical value -> flat string (CSV cells, change history) */
+const formatCustomValue = (field, value) => {
+  if (value === null || value === undefined) return "";
+  if (field.type === "multi_select") return (Array.isArray(value) ? value : [value]).join(`${MULTI_SEPARATOR} `);
+  return String(value);
+};
+
+/**
+ * Validate user input keyed by custom field key.
+ * - requireAll: enforce is_required for fields missing from input (create/import)
+ * Returns { values: [{ field, value }], clears: [field], errors: [{ key, error }] }
+ */
+const validateCustomFieldInput = (fields, input, { requireAll = false } = {}) => {
+  const values = [];
+  const clears = [];
+  const errors = [];
+  const data = input && typeof input === "object" ? input : {};
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+
+  for (const key of Object.keys(data)) {
+    if (!byKey.has(key)) errors.push({ key, error: "unknown_field" });
+  }
+
+  for (const field of fields) {
+    const present = Object.prototype.hasOwnProperty.call(data, field.key);
+    const raw = present ? data[field.key] : undefined;
+
+    if (isEmptyInput(raw)) {
+      if (field.is_required && (present || requireAll)) {
+        errors.push({ key: field.key, error: "required" });
+      } else if (present) {
+        clears.push(field);
+      }
+      continue;
+    }
+
+    const parsed = parseCustomValue(field, raw);
+    if (parsed.error) errors.push({ key: field.key, error: parsed.error });
+    else values.push({ field, value: parsed.value });
+  }
+
+  return { values, clears, errors };
+};
+
+/**
+ * Upsert custom values for many leads.
+ * rows: [{ lead_id, field, value }]
+ */
+const bulkSaveCustomFieldValues = async (rows, { transaction } = {}) => {
+  const payload = (rows || []).map((r) => ({
+    lead_id: r.lead_id,
+    field_id: r.field.id,
+    ...toStorageColumns(r.field, r.value),
+  }));
+
+  for (let i = 0; i < payload.length; i += CHUNK) {
+    await LeadCustomFieldValue.bulkCreate(payload.slice(i, i + CHUNK), {
+      updateOnDuplicate: VALUE_COLUMNS,
+      transaction,
+    });
+  }
+  return payload.length;
+};
+
+/** Apply the result of validateCustomFieldInput to a single lead */
+const saveCustomFieldValues = async ({ leadId, values = [], clears = [], transaction }) => {
+  await bulkSaveCustomFieldValues(
+    values.map((v) => ({ lead_id: leadId, field: v.field, value: v.value })),
+    { transaction }
+  );
+
+  if (clears.length) {
+    await LeadCustomFieldValue.destroy({
+      where: { lead_id: leadId, field_id: { [Op.in]: clears.map((f) => f.id) } },
+      transaction,
+    });
+  }
+};
+
+/**
+ * Load custom values for leads.
+ * Returns Map(lead_id -> { [key]: value }) for the given field definitions.
+ */
+const loadCustomFieldMap = async (leadIds, fields, { transaction } = {}) => {
+  const map = new Map();
+  if (!leadIds.length || !fields.length) return map;
+
+  const byId = new Map(fields.map((f) => [f.id, f]));
+  const rows = await LeadCustomFieldValue.findAll({
+    where: { lead_id: { [Op.in]: leadIds }, field_id: { [Op.in]: [...byId.keys()] } },
+    transaction,
+  });
+
+  for (const row of rows) {
+    const field = byId.get(row.field_id);
+    const key = Number(row.lead_id);
+    if (!map.has(key)) map.set(key, {});
+    map.get(key)[field.key] = fromStorageRow(field, row);
+  }
+  return map;
+};
+
+/** Set `custom_fields` ({ key: value }) on each lead instance */
+const attachCustomFields = async (leads, fields, { transaction } = {}) => {
+  const list = (Array.isArray(leads) ? leads : [leads]).filter(Boolean);
+  const map = await loadCustomFieldMap(
+    list.map((l) => l.id),
+    fields,
+    { transaction }
+  );
+  for (const lead of list) {
+    lead.setDataValue("custom_fields", map.get(Number(lead.id)) || {});
+  }
+  return list;
+};
+
+const esc = (v) => sequelize.escape(v);
+
+/** EXISTS (or NOT EXISTS) a value row of `field` for the outer Lead matching `cond` */
+const customValueExists = (field, cond = "1 = 1", negate = false) =>
+  sequelize.literal(
+    `${negate ? "NOT " : ""}EXISTS (SELECT 1 FROM lead_custom_field_values cfv ` +
+      `WHERE cfv.lead_id = \`Lead\`.\`id\` AND cfv.field_id = ${Number(field.id)} AND ${cond})`
+  );
+
+/** Operators allowed per custom field type in saved-filter rules */
+const CUSTOM_RULE_OPS = {
+  text: ["eq", "neq", "contains", "is_empty", "is_not_empty"],
+  number: ["eq", "neq", "gt", "gte", "lt", "lte", "is_empty", "is_not_empty"],
+  date: ["eq", "neq", "gt", "gte", "lt", "lte", "is_empty", "is_not_empty"],
+  select: ["eq", "neq", "in", "not_in", "is_empty", "is_not_empty"],
+  multi_select: ["contains", "in", "not_in", "is_empty", "is_not_empty"],
+  boolean: ["eq", "is_empty", "is_not_empty"],
+};
+
+const COMPARISON_SQL = { eq: "=", gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+/**
+ * Build one saved-filter rule over a custom field.
+ * - neq / not_in also match leads without a value
+ * - multi_select: contains = has the option; in = has any of; not_in = has none of
+ * Returns { condition } or { error }
+ */
+const buildCustomFieldRule = (field, op, value) => {
+  if (!(CUSTOM_RULE_OPS[field.type] || []).includes(op)) return { error: "invalid_operator" };
+  if (op === "is_empty") return { condition: customValueExists(field, undefined, true) };
+  if (op === "is_not_empty") return { condition: customValueExists(field) };
+
+  const column = STORAGE_COLUMN_BY_TYPE[field.type];
+
+  if (field.type === "select" || field.type === "multi_select") {
+    const list = op === "in" || op === "not_in" ? (Array.isArray(value) ? value : [value]) : [value];
+    const opts = list.map((v) => (isEmptyInput(v) ? null : matchOption(field, v)));
+    if (!opts.length || opts.some((o) => !o)) return { error: "invalid_option" };
+
+    const cond =
+      field.type === "select"
+        ? `cfv.value_text IN (${opts.map(esc).join(", ")})`
+        : `(${opts.map((o) => `JSON_CONTAINS(cfv.value_json, ${esc(JSON.stringify(o))})`).join(" OR ")})`;
+    return { condition: customValueExists(field, cond, op === "neq" || op === "not_in") };
+  }
+
+  if (isEmptyInput(value)) return { error: "value_required" };
+
+  if (field.type === "text") {
+    const s = String(value).trim();
+    if (op === "contains") return { condition: customValueExists(field, `cfv.value_text LIKE ${esc(`%${s}%`)}`) };
+    return { condition: customValueExists(field, `cfv.value_text = ${esc(s)}`, op === "neq") };
+  }
+
+  const parsed = parseCustomValue(field, value);
+  if (parsed.error) return { error: parsed.error };
+  const sqlValue = field.type === "boolean" ? (parsed.value ? 1 : 0) : esc(parsed.value);
+
+  if (op === "neq") return { condition: customValueExists(field, `cfv.${column} = ${sqlValue}`, true) };
+  return { condition: customValueExists(field, `cfv.${column} ${COMPARISON_SQL[op]} ${sqlValue}`) };
+};
+
+/**
+ * Build Lead where-conditions from custom field query params:
+ *  - cf_<key>=value           text: contains; select: any of (comma-separated); multi_select: has any of;
+ *                             boolean: true/false; number/date: equals
+ *  - cf_<key>_from / _to      number/date range (inclusive)
+ * Returns { conditions: literal[], errors: [{ key, error }] }
+ */
+const buildCustomFieldConditions = (fields, query = {}) => {
+  const conditions = [];
+  const errors = [];
+  const exists = (field, cond) => customValueExists(field, cond);
+
+  for (const field of fields) {
+    const eq = query[`cf_${field.key}`];
+    const from = query[`cf_${field.key}_from`];
+    const to = query[`cf_${field.key}_to`];
+
+    if (!isEmptyInput(eq)) {
+      const list = String(eq)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+
+      if (field.type === "text") {
+        conditions.push(exists(field, `cfv.value_text LIKE ${esc(`%${String(eq).trim()}%`)}`));
+      } else if (field.type === "select" || field.type === "multi_select") {
+        const opts = list.map((v) => matchOption(field, v));
+        if (opts.some((o) => !o)) {
+          errors.push({ key: field.key, error: "invalid_option" });
+          continue;
+        }
+        const cond =
+          field.type === "select"
+            ? `cfv.value_text IN (${opts.map(esc).join(", ")})`
+            : `(${opts.map((o) => `JSON_CONTAINS(cfv.value_json, ${esc(JSON.stringify(o))})`).join(" OR ")})`;
+        conditions.push(exists(field, cond));
+      } else {
+        const parsed = parseCustomValue(field, eq);
+        if (parsed.error) {
+          errors.push({ key: field.key, error: parsed.error });
+          continue;
+        }
+        const column = STORAGE_COLUMN_BY_TYPE[field.type];
+        const value = field.type === "boolean" ? (parsed.value ? 1 : 0) : esc(parsed.value);
+        conditions.push(exists(field, `cfv.${column} = ${value}`));
+      }
+    }
+
+    if ((field.type === "number" || field.type === "date") && (!isEmptyInput(from) || !isEmptyInput(to))) {
+      const column = STORAGE_COLUMN_BY_TYPE[field.type];
+      const parts = [];
+      for (const [raw, operator] of [
+        [from, ">="],
+        [to, "<="],
+      ]) {
+        if (isEmptyInput(raw)) continue;
+        const parsed = parseCustomValue(field, raw);
+        if (parsed.error) {
+          errors.push({ key: field.key, error: parsed.error });
+          continue;
+        }
+        parts.push(`cfv.${column} ${operator} ${esc(parsed.value)}`);
+      }
+      if (parts.length) conditions.push(exists(field, parts.join(" AND ")));
+    }
+  }
+
+  return { conditions, errors };
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  RESERVED_KEYS,
+  MULTI_SEPARATOR,
+  getActiveCustomFields,
+  parseCustomValue,
+  formatCustomValue,
+  validateCustomFieldInput,
+  saveCustomFieldValues,
+  bulkSaveCustomFieldValues,
+  loadCustomFieldMap,
+  attachCustomFields,
+  buildCustomFieldConditions,
+  buildCustomFieldRule,
+};
@@ -0,0 +1,145 @@
+const { Op } = require("sequelize");
+const { Lead, LeadChange, LeadStatus } = require("../models");
+
+// Leads (and their status history) loaded per query
+const PAGE_SIZE = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const STATUS_ATTRIBUTES = ["id", "value", "label", "funnel_position"];
+
+/**
+ * Funnel stages in order: the statuses with a funnel_position (see PUT /reports/funnel/stages), or every status
+ * by id when none is configured. stageIds overrides the order for one report.
+ * Returns { stages, source: configured | default | query } or { error }
+ */
+const resolveFunnelStages = async (stageIds = null) => {
+  const statuses = await LeadStatus.findAll({ attributes: STATUS_ATTRIBUTES, order: [["id", "ASC"]] });
+
+  if (stageIds) {
+    const byId = new Map(statuses.map((s) => [Number(s.id), s]));
+    const unknown = stageIds.filter((id) => !byId.has(id));
+    if (unknown.length) return { error: `Unknown status ids: ${unknown.join(", ")}.` };
+    return { stages: stageIds.map((id) => byId.get(id)), source: "query" };
+  }
+
+  const configured = statuses
+    .filter((s) => s.funnel_position !== null && s.funnel_position !== undefined)
+    .sort((a, b) => a.funnel_position - b.funnel_position || a.id - b.id);
+  return configured.length ? { stages: configured, source: "configured" } : { stages: statuses, source: "default" };
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const rate = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : 0);
+
+/**
+ * Funnel of the leads created in [start, end] (scope.userIds: current assignees; null = all leads), from their
+ * status history (lead_changes, field status_id) plus their current status:
+ *  - reached: leads whose furthest stage is this one or a later one (skipped stages count as passed)
+ *  - entered: leads that actually had this status; current: leads in it now
+ *  - conversion_from_previous / conversion_from_first: reached / reached of the previous / first stage
+ *  - drop_off: reached here but not the next stage
+ *  - median_hours_in_stage: median time between entering the status and the next status change
+ *    (stays still open are not counted; completed_stays = the sample size)
+ * Returns { total_leads, stages: [...] }
+ */
+const buildFunnelReport = async ({ scope, start, end, stages }) => {
+  const leadWhere = { created_at: { [Op.gte]: start, [Op.lte]: end } };
+  if (scope.userIds) leadWhere.current_assignee_id = { [Op.in]: scope.userIds };
+
+  const stageIndex = new Map(stages.map((s, i) => [Number(s.id), i]));
+  const reached = stages.map(() => 0);
+  const entered = stages.map(() => 0);
+  const current = stages.map(() => 0);
+  const stays = stages.map(() => []);
+  let totalLeads = 0;
+  let lastId = 0;
+
+  while (true) {
+    const leads = await Lead.findAll({
+      where: { ...leadWhere, id: { [Op.gt]: lastId } },
+      attributes: ["id", "status_id"],
+      order: [["id", "ASC"]],
+      limit: PAGE_SIZE,
+      raw: true,
+    });
+    if (!leads.length) break;
+    lastId = leads[leads.length - 1].id;
+
+    const changes = await LeadChange.findAll({
+      where: { field: "status_id", lead_id: { [Op.in]: leads.map((l) => l.id) } },
+      attributes: ["lead_id", "new_value", "changed_at"],
+      order: [
+        ["lead_id", "ASC"],
+        ["changed_at", "ASC"],
+        ["id", "ASC"],
+      ],
+      raw: true,
+    });
+    const history = new Map(); // leadId -> [{ new_value, changed_at }] oldest first
+    for (const c of changes) {
+      const leadId = Number(c.lead_id);
+      if (!history.has(leadId)) history.set(leadId, []);
+      history.get(leadId).push(c);
+    }
+
+    for (const lead of leads) {
+      totalLeads++;
+      const steps = history.get(Number(lead.id)) || [];
+
+      // Leads from before status history was recorded only have their current status
+      const visited = new Set(steps.map((s) => Number(s.new_value)));
+      if (lead.status_id !== null) visited.add(Number(lead.status_id));
+
+      let furthest = -1;
+      for (const statusId of visited) {
+        const i = stageIndex.get(statusId);
+        if (i === undefined) continue;
+        entered[i]++;
+        furthest = Math.max(furthest, i);
+      }
+      for (let i = 0; i <= furthest; i++) reached[i]++;
+
+      const currentIndex = stageIndex.get(Number(lead.status_id));
+      if (currentIndex !== undefined) current[currentIndex]++;
+
+      for (let k = 0; k + 1 < steps.length; k++) {
+        const i = stageIndex.get(Number(steps[k].new_value));
+        if (i !== undefined) stays[i].push(new Date(steps[k + 1].changed_at) - new Date(steps[k].changed_at));
+      }
+    }
+  }
+
+  return {
+    total_leads: totalLeads,
+    stages: stages.map((s, i) => {
+      const medianMs = median(stays[i]);
+      return {
+        status_id: s.id,
+        value: s.value,
+        label: s.label,
+        position: i + 1,
+        reached: reached[i],
+        entered: entered[i],
+        current: current[i],
+        conversion_from_previous: i === 0 ? null : rate(reached[i], reached[i - 1]),
+        conversion_from_first: rate(reached[i], reached[0]),
+        drop_off: i + 1 < stages.length ? reached[i] - reached[i + 1] : null,
+        median_hours_in_stage: medianMs === null ? null : Number((medianMs / HOUR_MS).toFixed(1)),
+        completed_stays: stays[i].length,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  STATUS_ATTRIBUTES,
+  resolveFunnelStages,
+  buildFunnelReport,
+};
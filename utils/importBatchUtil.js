@@ -0,0 +1,197 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Op, fn, col, where } = require("sequelize");
+const { Lead, LeadAssignment, LeadNote, LeadCall, LeadChange, Task, ImportBatch } = require("../models");
+const { collectHeaders } = require("./importMappingUtil");
+const { UTF8_BOM, toCsvLine } = require("./csvUtil");
+
+const CHUNK = 1000;
+
+/** Columns appended to the original ones in a rejected-rows report */
+const ERROR_REPORT_COLUMNS = ["row_number", "reason", "existing_lead_id"];
+
+/** Days a rejected-rows report is kept (NODE_LEADHIVE_IMPORT_ERROR_RETENTION_DAYS, default 30) */
+const getImportErrorRetentionDays = () => {
+  const days = parseInt(process.env.NODE_LEADHIVE_IMPORT_ERROR_RETENTION_DAYS || "30", 10);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+/** Where rejected-rows reports are written (NODE_LEADHIVE_IMPORT_ERROR_DIR); kept out of the public uploads folder */
+const getImportErrorDir = () => path.resolve(process.env.NODE_LEADHIVE_IMPORT_ERROR_DIR || "storage/import-errors");
+
+/**
+ * Leads (of leadIds) that saw any activity after their import finished at `since`.
+ * Returns Map(leadId -> reasons[]) with reasons:
+ *  - edited: field change from any other write path than the import itself
+ *  - reassigned: more than the initial assignment
+ *  - note_added: note written after the import
+ *  - call_logged / task_added: any call or task
+ *  - updated: updated_at moved past the import
+ */
+const findTouchedLeads = async (leadIds, since, { transaction } = {}) => {
+  const touched = new Map();
+  const mark = (id, reason) => {
+    const key = Number(id);
+    if (!touched.has(key)) touched.set(key, []);
+    if (!touched.get(key).includes(reason)) touched.get(key).push(reason);
+  };
+
+  for (let i = 0; i < leadIds.length; i += CHUNK) {
+    const slice = leadIds.slice(i, i + CHUNK);
+    const byLead = { lead_id: { [Op.in]: slice } };
+
+    const [changes, assignments, notes, calls, tasks, updated] = await Promise.all([
+      LeadChange.findAll({
+        where: { ...byLead, origin: { [Op.ne]: "import" } },
+        attributes: ["lead_id"],
+        group: ["lead_id"],
+        transaction,
+      }),
+      LeadAssignment.findAll({
+        where: byLead,
+        attributes: ["lead_id"],
+        group: ["lead_id"],
+        having: where(fn("COUNT", col("id")), { [Op.gt]: 1 }),
+        transaction,
+      }),
+      LeadNote.findAll({
+        where: { ...byLead, created_at: { [Op.gt]: since } },
+        attributes: ["lead_id"],
+        group: ["lead_id"],
+        transaction,
+      }),
+      LeadCall.findAll({ where: byLead, attributes: ["lead_id"], group: ["lead_id"], transaction }),
+      Task.findAll({ where: byLead, attributes: ["lead_id"], group: ["lead_id"], transaction }),
+      Lead.findAll({
+        where: { id: { [Op.in]: slice }, updated_at: { [Op.gt]: since } },
+        attributes: ["id"],
+        transaction,
+      }),
+    ]);
+
+    for (const r of changes) mark(r.lead_id, "edited");
+    for (const r of assignments) mark(r.lead_id, "reassigned");
+    for (const r of notes) mark(r.lead_id, "note_added");
+    for (const r of calls) mark(r.lead_id, "call_logged");
+    for (const r of tasks) mark(r.lead_id, "task_added");
+    for (const r of updated) mark(r.id, "updated");
+  }
+  return touched;
+};
+
+/**
+ * Undo an import batch: move its leads to the trash unless they were touched since the import.
+ * - Touched leads are kept and reported; undo can be repeated later (already trashed leads are ignored)
+ * - Leads the batch updated (mode=update) are not reverted
+ * Returns { batch, removed, kept: [{ lead_id, reasons }] } or { error, status }
+ */
+const revertImportBatch = async ({ batchId, actorId, transaction }) => {
+  const batch = await ImportBatch.findByPk(batchId, { transaction, lock: transaction?.LOCK.UPDATE });
+  if (!batch) return { error: "Import batch not found.", status: 404 };
+  if (batch.status === "rejected") return { error: "This import did not create any leads.", status: 409 };
+  if (batch.status === "importing") return { error: "This import is still running.", status: 409 };
+
+  const leads = await Lead.findAll({ where: { import_batch_id: batch.id }, attributes: ["id"], transaction });
+  const ids = leads.map((l) => Number(l.id));
+  const touched = await findTouchedLeads(ids, batch.finished_at || batch.started_at, { transaction });
+  const removable = ids.filter((id) => !touched.has(id));
+
+  const now = new Date();
+  for (let i = 0; i < removable.length; i += CHUNK) {
+    await Lead.update(
+      { deleted_at: now, deleted_by: actorId },
+      { where: { id: { [Op.in]: removable.slice(i, i + CHUNK) } }, transaction }
+    );
+  }
+
+  await batch.update(
+    {
+      status: touched.size ? "partially_undone" : "undone",
+      undone_count: batch.undone_count + removable.length,
+      undone_by: actorId,
+      undone_at: now,
+      updated_at: now,
+    },
+    { transaction }
+  );
+
+  return {
+    batch,
+    removed: removable.length,
+    kept: [...touched].map(([leadId, reasons]) => ({ lead_id: leadId, reasons })),
+  };
+};
+
+const reportCell = (value) => (value !== null && typeof value === "object" ? JSON.stringify(value) : value);
+
+/**
+ * Write the rejected rows of an import as CSV and attach it to the batch (replacing an earlier report).
+ * Columns: the rows' original columns (headers, or every key seen), then row_number (1-based data row),
+ * reason (the note code) and existing_lead_id (DB duplicates; ambiguous matches list every id).
+ * - notes: the import's notes; rows: the rows as received (before any column mapping), by index
+ * Does nothing when there are no notes.
+ */
+const writeImportErrorReport = async ({ batch, notes, rows, headers = null }) => {
+  if (!notes.length) return batch;
+
+  const rejected = [...notes]
+    .sort((a, b) => a.index - b.index)
+    .map((note) => ({ note, row: rows[note.index] && typeof rows[note.index] === "object" ? rows[note.index] : {} }));
+  const columns = headers && headers.length ? headers : collectHeaders(rejected.map((r) => r.row));
+
+  let csv = UTF8_BOM + toCsvLine([...columns, ...ERROR_REPORT_COLUMNS]);
+  for (const { note, row } of rejected) {
+    const leadIds = note.lead_id ? [note.lead_id] : note.lead_ids || [];
+    csv += toCsvLine([...columns.map((c) => reportCell(row[c])), note.index + 1, note.note, leadIds.join(" ")]);
+  }
+
+  const dir = getImportErrorDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const fileName = `import-${batch.id}-${crypto.randomBytes(8).toString("hex")}.csv`;
+  await fs.promises.writeFile(path.join(dir, fileName), csv, "utf8");
+  if (batch.error_report_file) fs.promises.unlink(path.join(dir, batch.error_report_file)).catch(() => {});
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getImportErrorRetentionDays());
+  return batch.update({ error_report_file: fileName, error_report_expires_at: expiresAt, updated_at: new Date() });
+};
+
+/** Download route of a batch's rejected-rows report */
+const getImportErrorReportUrl = (batchId) => `/api/v1/leads/upload/batches/${batchId}/errors`;
+
+/** Absolute path of a batch's report file, or null if it has none */
+const getImportErrorReportPath = (batch) =>
+  batch.error_report_file ? path.join(getImportErrorDir(), batch.error_report_file) : null;
+
+/**
+ * Delete rejected-rows reports past their retention (the batch keeps error_report_expires_at).
+ * Returns { purged }
+ */
+const purgeExpiredImportErrorReports = async (now = new Date()) => {
+  const batches = await ImportBatch.findAll({
+    where: { error_report_file: { [Op.ne]: null }, error_report_expires_at: { [Op.lte]: now } },
+    attributes: ["id", "error_report_file"],
+  });
+
+  for (const batch of batches) {
+    await fs.promises.unlink(getImportErrorReportPath(batch)).catch(() => {});
+  }
+  if (batches.length) {
+    await ImportBatch.update(
+      { error_report_file: null, updated_at: now },
+      { where: { id: { [Op.in]: batches.map((b) => b.id) } } }
+    );
+  }
+  return { purged: batches.length };
+};
+
+module.exports = {
+  findTouchedLeads,
+  revertImportBatch,
+  getImportErrorRetentionDays,
+  writeImportErrorReport,
+  getImportErrorReportUrl,
+  getImportErrorReportPath,
+  purgeExpiredImportErrorReports,
+};
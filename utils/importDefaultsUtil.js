@@ -0,0 +1,114 @@
+const { Op, fn, col, where } = require("sequelize");
+const { ImportSetting, LeadStatus, LeadSource, User } = require("../models");
+
+/** Rows naming a source that does not exist: create the source, or skip the row (unknown_source) */
+const UNKNOWN_SOURCE_POLICIES = ["create", "reject"];
+
+/** Rows with an invalid email: skip the row (invalid_email_format), or import the row without the email */
+const INVALID_EMAIL_POLICIES = ["skip", "blank"];
+
+// Used when neither the import nor the admin settings name a fallback
+const BUILTIN_FALLBACK_STATUS = "new";
+const BUILTIN_FALLBACK_SOURCE = "facebook";
+
+// The admin settings are a single row
+const SETTINGS_ID = 1;
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/** The admin-level import settings, or null when they were never saved */
+const loadImportSettings = ({ transaction } = {}) => ImportSetting.findByPk(SETTINGS_ID, { transaction });
+
+/** A status or source by id, value or label (case-insensitive); null if none */
+const findLookupRow = async (Model, ref, { transaction } = {}) => {
+  const text = String(ref).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) {
+    const byId = await Model.findByPk(Number(text), { transaction });
+    if (byId) return byId;
+  }
+  const lower = text.toLowerCase();
+  return Model.findOne({
+    where: { [Op.or]: [where(fn("LOWER", col("value")), lower), where(fn("LOWER", col("label")), lower)] },
+    transaction,
+  });
+};
+
+/** An active user by id (attributes: id, full_name, email); null if none */
+const findActiveUser = async (id, { transaction } = {}) => {
+  const userId = Number(id);
+  if (!Number.isInteger(userId) || userId <= 0) return null;
+  return User.findOne({
+    where: { id: userId, is_active: true },
+    attributes: ["id", "full_name", "email"],
+    transaction,
+  });
+};
+
+/**
+ * Defaults of one import: the import's own options first, then the admin settings, then the built-ins.
+ * options: { fallback_status?, fallback_source? (id, value or label), unknown_sources?, default_assignee_id?,
+ *            invalid_email? }
+ * Returns { status, source, unknownSources, invalidEmail, assignee } (status/source/assignee may be null;
+ * assignee null = the importing user) or { error } for invalid options
+ */
+const resolveImportDefaults = async (options = {}, { transaction } = {}) => {
+  const settings = await loadImportSettings({ transaction });
+
+  const unknownSources = options.unknown_sources || settings?.unknown_sources || "create";
+  if (!UNKNOWN_SOURCE_POLICIES.includes(unknownSources)) {
+    return { error: `unknown_sources must be one of: ${UNKNOWN_SOURCE_POLICIES.join(", ")}.` };
+  }
+  const invalidEmail = options.invalid_email || settings?.invalid_email || "skip";
+  if (!INVALID_EMAIL_POLICIES.includes(invalidEmail)) {
+    return { error: `invalid_email must be one of: ${INVALID_EMAIL_POLICIES.join(", ")}.` };
+  }
+
+  let status = null;
+  if (!isBlank(options.fallback_status)) {
+    status = await findLookupRow(LeadStatus, options.fallback_status, { transaction });
+    if (!status) return { error: "fallback_status not found." };
+  } else if (settings?.fallback_status_id) {
+    status = await LeadStatus.findByPk(settings.fallback_status_id, { transaction });
+  }
+  if (!status) status = await findLookupRow(LeadStatus, BUILTIN_FALLBACK_STATUS, { transaction });
+
+  let source = null;
+  if (!isBlank(options.fallback_source)) {
+    source = await findLookupRow(LeadSource, options.fallback_source, { transaction });
+    if (!source) return { error: "fallback_source not found." };
+  } else if (settings?.fallback_source_id) {
+    source = await LeadSource.findByPk(settings.fallback_source_id, { transaction });
+  }
+  if (!source) source = await findLookupRow(LeadSource, BUILTIN_FALLBACK_SOURCE, { transaction });
+
+  // An admin default assignee who was deactivated since falls back to the importing user
+  let assignee = null;
+  if (!isBlank(options.default_assignee_id)) {
+    assignee = await findActiveUser(options.default_assignee_id, { transaction });
+    if (!assignee) return { error: "default_assignee_id must be an active user." };
+  } else if (settings?.default_assignee_id) {
+    assignee = await findActiveUser(settings.default_assignee_id, { transaction });
+  }
+
+  return { status, source, unknownSources, invalidEmail, assignee };
+};
+
+/** Response shape of resolved defaults (template schema, GET /settings) */
+const describeImportDefaults = ({ status, source, unknownSources, invalidEmail, assignee }) => ({
+  fallback_status: status ? { id: status.id, value: status.value, label: status.label } : null,
+  fallback_source: source ? { id: source.id, value: source.value, label: source.label } : null,
+  unknown_sources: unknownSources,
+  default_assignee: assignee ? { id: assignee.id, full_name: assignee.full_name } : null,
+  invalid_email: invalidEmail,
+});
+
+module.exports = {
+  UNKNOWN_SOURCE_POLICIES,
+  INVALID_EMAIL_POLICIES,
+  SETTINGS_ID,
+  loadImportSettings,
+  findActiveUser,
+  resolveImportDefaults,
+  describeImportDefaults,
+};
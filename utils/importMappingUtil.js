@@ -0,0 +1,187 @@
+/** Lead fields accepted by the import pipeline (custom field keys are accepted as well) */
+const IMPORT_FIELDS = [
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "status", // accepts label or value; fallback status (see utils/importDefaultsUtil)
+  "source", // accepts label or value; fallback source; unknown sources created or rejected
+  "value_decimal",
+  "notes", // optional: becomes an initial note attached to the lead (authored by the importing user)
+];
+
+/** Mapping-only target: split into first_name / last_name unless those are mapped themselves */
+const FULL_NAME = "full_name";
+
+/** Known vendor header spellings per target (compared lowercase, alphanumerics only) */
+const HEADER_SYNONYMS = {
+  first_name: ["firstname", "first", "givenname", "forename", "vorname"],
+  last_name: ["lastname", "last", "surname", "familyname", "nachname"],
+  full_name: ["fullname", "name", "contactname", "contact", "leadname"],
+  company: ["company", "companyname", "organization", "organisation", "business", "account", "firma"],
+  email: ["email", "emailaddress", "mail", "emailid"],
+  phone: ["phone", "phonenumber", "mobile", "mobilenumber", "mobilephone", "cell", "cellphone", "telephone", "tel"],
+  country: ["country", "countryname", "nation", "land"],
+  status: ["status", "leadstatus", "stage"],
+  source: ["source", "leadsource", "channel", "utmsource"],
+  value_decimal: ["valuedecimal", "value", "dealvalue", "amount", "budget"],
+  notes: ["notes", "note", "comment", "comments", "remarks", "message", "description"],
+};
+
+const normalizeHeader = (h) =>
+  String(h ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+
+/** Union of row keys in first-seen order */
+const collectHeaders = (rows) => {
+  const seen = new Set();
+  for (const row of rows || []) {
+    if (row && typeof row === "object") for (const k of Object.keys(row)) seen.add(k);
+  }
+  return [...seen];
+};
+
+const getTargets = (customFields) => [...IMPORT_FIELDS, FULL_NAME, ...customFields.map((f) => f.key)];
+
+/**
+ * Suggest a target per header: exact field name, known synonym, or custom field key/label.
+ * Each target is suggested at most once (first matching header wins).
+ * Returns { suggestions: { [header]: target | null }, mapping: { [target]: header } }
+ */
+const suggestMapping = (headers, customFields = []) => {
+  const lookup = new Map();
+  for (const target of getTargets(customFields)) lookup.set(normalizeHeader(target), target);
+  for (const [target, words] of Object.entries(HEADER_SYNONYMS)) {
+    for (const w of words) if (!lookup.has(w)) lookup.set(w, target);
+  }
+  for (const f of customFields) {
+    const label = normalizeHeader(f.label);
+    if (label && !lookup.has(label)) lookup.set(label, f.key);
+  }
+
+  const suggestions = {};
+  const mapping = {};
+  for (const header of headers) {
+    const target = lookup.get(normalizeHeader(header)) || null;
+    suggestions[header] = target && !mapping[target] ? target : null;
+    if (suggestions[header]) mapping[target] = header;
+  }
+
+  // a separate first/last name pair beats splitting a full name column
+  if (mapping.full_name && mapping.first_name && mapping.last_name) {
+    suggestions[mapping.full_name] = null;
+    delete mapping.full_name;
+  }
+  return { suggestions, mapping };
+};
+
+/**
+ * Validate a mapping { [target]: spec } where spec is one of:
+ *  - "Header"                                  copy a column
+ *  - { column: "Header" }                      same as above
+ *  - { value: "constant" }                     same value for every row
+ *  - { columns: ["A", "B"], separator?: " " }  join non-empty columns (default separator: single space)
+ * - headers: when given, referenced columns must exist
+ * Returns [{ target, error }]
+ */
+const validateMapping = (mapping, customFields = [], headers = null) => {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return [{ target: null, error: "must_be_object" }];
+  }
+
+  const targets = getTargets(customFields);
+  const known = headers ? new Set(headers) : null;
+  const errors = [];
+
+  for (const [target, spec] of Object.entries(mapping)) {
+    if (!targets.includes(target)) {
+      errors.push({ target, error: "unknown_target" });
+      continue;
+    }
+
+    let columns;
+    if (typeof spec === "string") columns = [spec];
+    else if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+      errors.push({ target, error: "invalid_spec" });
+      continue;
+    } else if (typeof spec.column === "string") columns = [spec.column];
+    else if (Array.isArray(spec.columns) && spec.columns.length) columns = spec.columns;
+    else if ("value" in spec) {
+      if (spec.value !== null && typeof spec.value === "object") errors.push({ target, error: "invalid_value" });
+      continue;
+    } else {
+      errors.push({ target, error: "invalid_spec" });
+      continue;
+    }
+
+    if (columns.some((c) => typeof c !== "string" || !c.trim())) {
+      errors.push({ target, error: "invalid_column" });
+    } else if (known) {
+      const missing = columns.filter((c) => !known.has(c));
+      if (missing.length) errors.push({ target, error: "unknown_column", columns: missing });
+    }
+    if (spec.separator !== undefined && typeof spec.separator !== "string") {
+      errors.push({ target, error: "invalid_separator" });
+    }
+  }
+  return errors;
+};
+
+const cellValue = (row, column) => {
+  const v = row[column];
+  return v === undefined || v === null ? "" : String(v).trim();
+};
+
+const resolveSpec = (row, spec) => {
+  if (typeof spec === "string") return row[spec];
+  if (typeof spec.column === "string") return row[spec.column];
+  if (Array.isArray(spec.columns)) {
+    return spec.columns
+      .map((c) => cellValue(row, c))
+      .filter(Boolean)
+      .join(spec.separator ?? " ");
+  }
+  return spec.value;
+};
+
+/** "John Peter Doe" -> John / Peter Doe; "Doe, John" -> John / Doe */
+const splitFullName = (full) => {
+  const s = String(full ?? "").trim().replace(/\s+/g, " ");
+  if (!s) return { first_name: "", last_name: "" };
+  const comma = s.indexOf(",");
+  if (comma > 0) return { first_name: s.slice(comma + 1).trim(), last_name: s.slice(0, comma).trim() };
+  const space = s.indexOf(" ");
+  if (space < 0) return { first_name: s, last_name: "" };
+  return { first_name: s.slice(0, space), last_name: s.slice(space + 1) };
+};
+
+/**
+ * Re-key source rows into import rows using a validated mapping; unmapped columns are dropped.
+ */
+const applyMapping = (rows, mapping) =>
+  rows.map((row) => {
+    const src = row || {};
+    const out = {};
+    for (const [target, spec] of Object.entries(mapping)) {
+      if (target === FULL_NAME) continue;
+      out[target] = resolveSpec(src, spec);
+    }
+    if (mapping[FULL_NAME] !== undefined) {
+      const parts = splitFullName(resolveSpec(src, mapping[FULL_NAME]));
+      if (mapping.first_name === undefined) out.first_name = parts.first_name;
+      if (mapping.last_name === undefined) out.last_name = parts.last_name;
+    }
+    return out;
+  });
+
+module.exports = {
+  IMPORT_FIELDS,
+  FULL_NAME,
+  collectHeaders,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+};
@@ -0,0 +1,231 @@
+const { Lead, ImportBatch } = require("../models");
+const { sequelize } = require("../config/database");
+const { getJobChunkSize } = require("./jobQueue");
+const { runBulkAssign, runBulkFieldUpdate, runBulkDelete } = require("./bulkLeadOpsUtil");
+const { resolveImportOptions } = require("./leadImportUtil");
+const { resolveImportDefaults } = require("./importDefaultsUtil");
+const { getActiveCustomFields } = require("./customFieldUtil");
+const { parseLeadFile } = require("./leadFileParser");
+const { applyMapping } = require("./importMappingUtil");
+const { importLeadRows } = require("./leadImportRowsUtil");
+const { writeImportErrorReport, getImportErrorReportUrl } = require("./importBatchUtil");
+
+// Counters summed across chunks; other scalars are taken from the first chunk, arrays are concatenated
+const SUMMED_KEYS = ["total_requested", "requested", "updated", "status_updated", "deleted"];
+
+const mergeChunkResults = (a, b) => {
+  if (!a) return b;
+  const merged = { ...a };
+  for (const [key, value] of Object.entries(b)) {
+    if (SUMMED_KEYS.includes(key)) merged[key] = (a[key] || 0) + value;
+    else if (Array.isArray(value)) merged[key] = [...(a[key] || []), ...value];
+  }
+  return merged;
+};
+
+/**
+ * Run a bulk action over payload.lead_ids chunk by chunk, each in one transaction that also saves the job's resume
+ * point (a retried job skips the chunks already committed). runChunk(leadIds, transaction) -> chunk result.
+ * Missing leads are reported as failures (not_found); a chunk that throws fails all of its leads (error).
+ */
+const runBulkInChunks = async (ctx, runChunk) => {
+  const leadIds = ctx.payload.lead_ids || [];
+  const size = getJobChunkSize();
+  let result = ctx.resume.state;
+
+  for (let i = ctx.resume.offset; i < leadIds.length; i += size) {
+    const slice = leadIds.slice(i, i + size);
+    const resumeAt = i + slice.length;
+    try {
+      result = await sequelize.transaction(async (t) => {
+        const part = await runChunk(slice, t);
+        const merged = mergeChunkResults(result, part);
+        const failures = (part.missing || []).map((id) => ({ id, reason: "not_found" }));
+        await ctx.record({ processed: slice.length, failures, resumeAt, state: merged }, { transaction: t });
+        return merged;
+      });
+    } catch (err) {
+      console.error(`Job ${ctx.job.id} chunk error:`, err);
+      const failures = slice.map((id) => ({ id, reason: "error" }));
+      await ctx.record({ processed: slice.length, failures, resumeAt, state: result });
+    }
+    if (!(await ctx.checkCancel())) break;
+  }
+  if (!result) return { requested: leadIds.length };
+  // chunks that failed or were never run (cancel) still count as requested
+  result["total_requested" in result ? "total_requested" : "requested"] = leadIds.length;
+  return result;
+};
+
+/**
+ * import_leads payload: { file: { path, name, format }, mapping?, options, batch_info, actor: { id, role } }
+ * (format csv | xlsx | json: JSON imports' rows are saved to disk; jobs queued before that carry them as rows)
+ * Rows are imported in chunks into one ImportBatch (linked to the job, reused when the job is retried; a retry
+ * resumes after the last committed chunk); rejected rows of all chunks end up in one error report.
+ * Rows repeating an earlier chunk's lead are reported as duplicate_*_in_db instead of duplicate_*_in_file.
+ */
+const importLeadsJob = async (ctx) => {
+  const { file, mapping, options = {}, batch_info: batchInfo, actor } = ctx.payload;
+
+  // sourceRows: as received (kept for the rejected-rows report), rows: re-keyed by the mapping
+  let sourceRows = ctx.payload.rows || [];
+  let headers = null;
+  // The file is kept for retries; it is removed once the job is final (see utils/jobQueue removeJobFile)
+  if (file) ({ rows: sourceRows, headers } = await parseLeadFile(file.path, file.format));
+  const rows = mapping ? applyMapping(sourceRows, mapping) : sourceRows;
+  await ctx.setTotal(rows.length);
+
+  const resolved = resolveImportOptions(options, await getActiveCustomFields());
+  if (resolved.error) throw new Error(resolved.error);
+  const defaults = await resolveImportDefaults(options);
+  if (defaults.error) throw new Error(defaults.error);
+
+  const batchValues = {
+    ...batchInfo,
+    status: "importing",
+    mode: resolved.mode,
+    match_by: resolved.matchBy,
+    total_rows: rows.length,
+    created_by: actor?.id || null,
+    started_at: new Date(),
+  };
+  let batch = await ImportBatch.findOne({ where: { job_id: ctx.job.id } });
+  if (batch) await batch.update({ ...batchValues, updated_at: new Date() });
+  else batch = await ImportBatch.create({ ...batchValues, job_id: ctx.job.id });
+
+  // Running totals, carried over from the attempt that stopped (see utils/jobQueue createJobContext resume)
+  let totals = { processed: 0, updated: 0, routed: 0, emails_blanked: 0, notes: [], ...ctx.resume.state };
+  const addChunk = (chunkLength, chunkNotes, summary = {}) => ({
+    processed: totals.processed + chunkLength,
+    updated: totals.updated + (summary.updated || 0),
+    routed: totals.routed + (summary.routed || 0),
+    emails_blanked: totals.emails_blanked + (summary.emails_blanked || 0),
+    notes: [...totals.notes, ...chunkNotes],
+  });
+  const toFailures = (chunkNotes) => chunkNotes.map(({ index, note }) => ({ index, reason: note }));
+  const size = getJobChunkSize();
+
+  // Chunks committed by an earlier attempt are skipped: the resume point is saved in each chunk's transaction
+  for (let offset = ctx.resume.offset; offset < rows.length; offset += size) {
+    const chunk = rows.slice(offset, offset + size);
+    const resumeAt = offset + chunk.length;
+    let next = null;
+    const { status, body } = await importLeadRows({
+      leads: chunk,
+      user: actor,
+      options,
+      batch,
+      rowOffset: offset,
+      beforeCommit: ({ transaction, summary, notes: chunkNotes }) => {
+        next = addChunk(chunk.length, chunkNotes, summary);
+        const failures = toFailures(chunkNotes);
+        return ctx.record({ processed: chunk.length, failures, resumeAt, state: next }, { transaction });
+      },
+    });
+
+    if (status === 201) {
+      totals = next;
+    } else {
+      // Nothing of the chunk was committed
+      const chunkNotes = body.details?.notes || chunk.map((_, i) => ({ index: offset + i, note: "import_error" }));
+      totals = addChunk(chunk.length, chunkNotes);
+      await ctx.record({ processed: chunk.length, failures: toFailures(chunkNotes), resumeAt, state: totals });
+    }
+    if (!(await ctx.checkCancel())) break;
+  }
+  const { notes, updated, routed, processed } = totals;
+
+  // Counted from the leads so rows committed by an earlier attempt of this job are included
+  const inserted = await Lead.count({ where: { import_batch_id: batch.id } });
+  await batch.update({
+    status: inserted ? "completed" : "rejected",
+    inserted_count: inserted,
+    updated_count: updated,
+    skipped_count: notes.length,
+    routed_count: routed,
+    notes_json: notes,
+    finished_at: new Date(),
+    updated_at: new Date(),
+  });
+  let report = {};
+  try {
+    if (notes.length) {
+      await writeImportErrorReport({ batch, notes, rows: sourceRows, headers });
+      report = { error_report_url: getImportErrorReportUrl(batch.id) };
+    }
+  } catch (err) {
+    console.error(`Job ${ctx.job.id} error report:`, err);
+  }
+
+  return {
+    batch_id: batch.id,
+    ...report,
+    summary: {
+      attempted: rows.length,
+      processed,
+      inserted,
+      updated,
+      duplicates_or_skipped: notes.length,
+      routed,
+      emails_blanked: totals.emails_blanked,
+      mode: resolved.mode,
+      match_by: resolved.matchBy,
+    },
+  };
+};
+
+/** Handlers by job type: (ctx) => result (see utils/jobQueue createJobContext) */
+const JOB_HANDLERS = {
+  import_leads: importLeadsJob,
+
+  bulk_assign: (ctx) => {
+    const { assignee_id, overwrite, status_id, actor } = ctx.payload;
+    return runBulkInChunks(ctx, (leadIds, transaction) =>
+      runBulkAssign({
+        leadIds,
+        assigneeId: assignee_id,
+        overwrite,
+        statusId: status_id,
+        actorId: actor.id,
+        transaction,
+      })
+    );
+  },
+
+  bulk_status: (ctx) => {
+    const { status_id, actor } = ctx.payload;
+    return runBulkInChunks(ctx, (leadIds, transaction) =>
+      runBulkFieldUpdate({
+        leadIds,
+        field: "status_id",
+        value: status_id,
+        origin: "bulk_status",
+        actorId: actor.id,
+        transaction,
+      })
+    );
+  },
+
+  bulk_source: (ctx) => {
+    const { source_id, actor } = ctx.payload;
+    return runBulkInChunks(ctx, (leadIds, transaction) =>
+      runBulkFieldUpdate({
+        leadIds,
+        field: "source_id",
+        value: source_id,
+        origin: "bulk_source",
+        actorId: actor.id,
+        transaction,
+      })
+    );
+  },
+
+  bulk_delete: (ctx) =>
+    runBulkInChunks(ctx, (leadIds, transaction) =>
+      runBulkDelete({ leadIds, actorId: ctx.payload.actor.id, transaction })
+    ),
+};
+
+module.exports = {
+  JOB_HANDLERS,
+};
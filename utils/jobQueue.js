@@ -0,0 +1,178 @@
+const fs = require("fs");
+const os = require("os");
+const { Op } = require("sequelize");
+const { Job } = require("../models");
+const { sequelize } = require("../config/database");
+
+/** Job types with a handler in utils/jobHandlers */
+const JOB_TYPES = ["import_leads", "bulk_assign", "bulk_status", "bulk_source", "bulk_delete"];
+
+/** Per-item failures kept on a job (failed_items keeps counting past this) */
+const MAX_JOB_FAILURES = 1000;
+
+/** A job whose worker stopped responding is retried this many times in total before it fails */
+const MAX_JOB_ATTEMPTS = 3;
+
+const readPositiveInt = (value, fallback) => {
+  const n = parseInt(value || "", 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/** Items per transaction inside a job (NODE_LEADHIVE_JOB_CHUNK_SIZE, default 1000) */
+const getJobChunkSize = () => readPositiveInt(process.env.NODE_LEADHIVE_JOB_CHUNK_SIZE, 1000);
+
+/** Running jobs without a heartbeat for this long are re-queued (NODE_LEADHIVE_JOB_STALE_MINUTES, default 15) */
+const getJobStaleMinutes = () => readPositiveInt(process.env.NODE_LEADHIVE_JOB_STALE_MINUTES, 15);
+
+const getWorkerId = () => `${os.hostname()}:${process.pid}`.slice(0, 120);
+
+/** Queue a job; payload must already be validated */
+const enqueueJob = ({ type, payload, totalItems = 0, userId }) =>
+  Job.create({
+    type,
+    payload_json: payload,
+    total_items: totalItems,
+    created_by: userId || null,
+  });
+
+/**
+ * Lock the oldest queued job for this worker (FOR UPDATE SKIP LOCKED, so several workers can poll).
+ * Progress and the resume point carry over from earlier attempts. Returns the job or null.
+ */
+const claimNextJob = (workerId = getWorkerId()) =>
+  sequelize.transaction(async (t) => {
+    const job = await Job.findOne({
+      where: { status: "queued" },
+      order: [["id", "ASC"]],
+      lock: t.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: t,
+    });
+    if (!job) return null;
+
+    const now = new Date();
+    await job.update(
+      {
+        status: "running",
+        locked_by: workerId,
+        locked_at: now,
+        started_at: now,
+        attempts: job.attempts + 1,
+        updated_at: now,
+      },
+      { transaction: t }
+    );
+    return job;
+  });
+
+/**
+ * Handler-facing view of a running job.
+ * - resume: { offset, state } saved by an earlier attempt (offset 0 / state null on the first one);
+ *   handlers skip the items before offset and continue from state
+ * - record({ processed, failures, resumeAt?, state? }, { transaction? }): add to the counters, refresh the
+ *   heartbeat and, with resumeAt, move the resume point. Pass the transaction that commits the items so the
+ *   resume point is saved with them (the in-memory counters follow once it commits)
+ * - checkCancel(): resolves to false once a cancel was requested (the handler should stop)
+ * - cancelled: true after checkCancel() saw a cancel request
+ */
+const createJobContext = (job) => {
+  let failures = job.failures_json || [];
+  const ctx = {
+    job,
+    payload: job.payload_json,
+    resume: { offset: job.resume_offset || 0, state: job.resume_state_json || null },
+    cancelled: false,
+    setTotal: (total) => job.update({ total_items: total, updated_at: new Date() }),
+    record: async (values = {}, { transaction } = {}) => {
+      const { processed = 0, failures: itemFailures = [], resumeAt, state = null } = values;
+      const kept = [...failures, ...itemFailures].slice(0, MAX_JOB_FAILURES);
+      const now = new Date();
+      const changes = {
+        processed_items: job.processed_items + processed,
+        failed_items: job.failed_items + itemFailures.length,
+        failures_json: kept,
+        locked_at: now,
+        updated_at: now,
+        ...(resumeAt !== undefined ? { resume_offset: resumeAt, resume_state_json: state } : {}),
+      };
+      await Job.update(changes, { where: { id: job.id }, transaction });
+      const apply = () => {
+        failures = kept;
+        job.set(changes);
+      };
+      if (transaction) transaction.afterCommit(apply);
+      else apply();
+    },
+    checkCancel: async () => {
+      const fresh = await Job.findByPk(job.id, { attributes: ["id", "cancel_requested"] });
+      ctx.cancelled = !!fresh?.cancel_requested;
+      return !ctx.cancelled;
+    },
+  };
+  return ctx;
+};
+
+/**
+ * Delete the uploaded file of a file import job (payload.file.path). Only once the job is final (completed, failed
+ * or cancelled): a re-queued attempt parses the file again
+ */
+const removeJobFile = async (job) => {
+  const filePath = job.payload_json?.file?.path;
+  if (filePath) await fs.promises.unlink(filePath).catch(() => {});
+};
+
+/** Final state of a job run: completed (or cancelled, keeping the partial result) / failed */
+const finishJob = async (job, { status, result = null, error = null }) => {
+  const now = new Date();
+  await job.update({
+    status,
+    result_json: result,
+    error: error ? String(error).slice(0, 2000) : null,
+    locked_by: null,
+    finished_at: now,
+    updated_at: now,
+  });
+  await removeJobFile(job);
+  return job;
+};
+
+/**
+ * Re-queue running jobs whose worker stopped sending heartbeats; after MAX_JOB_ATTEMPTS they fail.
+ * Returns { requeued, failed }
+ */
+const recoverStaleJobs = async () => {
+  const cutoff = new Date(Date.now() - getJobStaleMinutes() * 60 * 1000);
+  const stale = { status: "running", locked_at: { [Op.lt]: cutoff } };
+  const now = new Date();
+
+  const exhausted = await Job.findAll({
+    where: { ...stale, attempts: { [Op.gte]: MAX_JOB_ATTEMPTS } },
+    attributes: ["id", "payload_json"],
+  });
+  let failed = 0;
+  if (exhausted.length) {
+    [failed] = await Job.update(
+      { status: "failed", error: "Worker stopped responding.", locked_by: null, finished_at: now, updated_at: now },
+      { where: { ...stale, id: { [Op.in]: exhausted.map((j) => j.id) } } }
+    );
+    for (const job of exhausted) await removeJobFile(job);
+  }
+  const [requeued] = await Job.update(
+    { status: "queued", locked_by: null, updated_at: now },
+    { where: { ...stale, attempts: { [Op.lt]: MAX_JOB_ATTEMPTS } } }
+  );
+  return { requeued, failed };
+};
+
+module.exports = {
+  JOB_TYPES,
+  MAX_JOB_FAILURES,
+  getJobChunkSize,
+  getWorkerId,
+  enqueueJob,
+  claimNextJob,
+  createJobContext,
+  removeJobFile,
+  finishJob,
+  recoverStaleJobs,
+};
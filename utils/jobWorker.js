@@ -0,0 +1,70 @@
+const { claimNextJob, createJobContext, finishJob, recoverStaleJobs, getWorkerId } = require("./jobQueue");
+const { JOB_HANDLERS } = require("./jobHandlers");
+
+// How often stale running jobs are looked for
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+/** Idle poll interval (NODE_LEADHIVE_JOB_POLL_MS, default 2000) */
+const getJobPollMs = () => {
+  const ms = parseInt(process.env.NODE_LEADHIVE_JOB_POLL_MS || "2000", 10);
+  return Number.isFinite(ms) && ms > 0 ? ms : 2000;
+};
+
+/** Run one claimed job to its final state; handler errors fail the job */
+const runJob = async (job) => {
+  const handler = JOB_HANDLERS[job.type];
+  if (!handler) return finishJob(job, { status: "failed", error: `Unknown job type: ${job.type}` });
+
+  const ctx = createJobContext(job);
+  try {
+    const result = await handler(ctx);
+    return finishJob(job, { status: ctx.cancelled ? "cancelled" : "completed", result });
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) Error:`, err);
+    return finishJob(job, { status: "failed", error: err.message });
+  }
+};
+
+/**
+ * Poll the jobs table and run queued jobs one at a time (in this process).
+ * Used by index.js (unless NODE_LEADHIVE_JOB_WORKER=false) and scripts/jobWorker.js.
+ * Returns { stop } ; stop() lets the current job finish and ends polling.
+ */
+const startJobWorker = ({ pollMs = getJobPollMs() } = {}) => {
+  const workerId = getWorkerId();
+  let stopped = false;
+  let timer = null;
+  let lastRecovery = 0;
+
+  const tick = async () => {
+    try {
+      if (Date.now() - lastRecovery >= RECOVERY_INTERVAL_MS) {
+        lastRecovery = Date.now();
+        const { requeued, failed } = await recoverStaleJobs();
+        if (requeued || failed) console.log(`Stale jobs: ${requeued} re-queued, ${failed} failed`);
+      }
+
+      let job = stopped ? null : await claimNextJob(workerId);
+      while (job) {
+        await runJob(job);
+        job = stopped ? null : await claimNextJob(workerId);
+      }
+    } catch (err) {
+      console.error("Job Worker Error:", err.message);
+    }
+    if (!stopped) timer = setTimeout(tick, pollMs);
+  };
+
+  timer = setTimeout(tick, pollMs);
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+module.exports = {
+  runJob,
+  startJobWorker,
+};
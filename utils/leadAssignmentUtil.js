@@ -0,0 +1,47 @@
+const { Op } = require("sequelize");
+const { Lead, LeadAssignment } = require("../models");
+
+const CHUNK = 1000;
+
+/**
+ * Assign one or more leads to a user.
+ * - Appends a LeadAssignment history row per lead
+ * - Keeps Lead.current_assignee_id / current_assigned_at in sync with that latest row
+ *
+ * Every write path that creates assignments must go through here, otherwise the
+ * denormalized columns drift from lead_assignments (see scripts/backfillCurrentAssignee.js).
+ *
+ * Returns the number of assignment rows created.
+ */
+const assignLeads = async ({ leadIds, assigneeId, assignedBy, assignedAt = new Date(), transaction }) => {
+  const ids = Array.from(new Set((leadIds || []).map(Number).filter(Boolean)));
+  if (!ids.length || !assigneeId) return 0;
+
+  let created = 0;
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const slice = ids.slice(i, i + CHUNK);
+
+    await LeadAssignment.bulkCreate(
+      slice.map((lead_id) => ({
+        lead_id,
+        assignee_id: assigneeId,
+        assigned_by: assignedBy,
+        assigned_at: assignedAt,
+      })),
+      { transaction }
+    );
+
+    await Lead.update(
+      { current_assignee_id: assigneeId, current_assigned_at: assignedAt },
+      { where: { id: { [Op.in]: slice } }, transaction }
+    );
+
+    created += slice.length;
+  }
+
+  return created;
+};
+
+module.exports = {
+  assignLeads,
+};
@@ -0,0 +1,12 @@
+const CALL_DIRECTIONS = ["outbound", "inbound"];
+
+/** Call dispositions; only "connected" counts as a conversation */
+const CALL_OUTCOMES = ["no_answer", "voicemail", "connected", "wrong_number"];
+
+const CONNECTED_OUTCOME = "connected";
+
+module.exports = {
+  CALL_DIRECTIONS,
+  CALL_OUTCOMES,
+  CONNECTED_OUTCOME,
+};
@@ -0,0 +1,102 @@
+const { LeadChange } = require("../models");
+
+const CHUNK = 1000;
+
+/** Lead columns whose changes are recorded in lead_changes */
+const TRACKED_FIELDS = [
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "status_id",
+  "source_id",
+  "value_decimal",
+];
+
+/** Store every value as text (null stays null); decimals are compared/stored with 2 places */
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  if (field === "value_decimal") {
+    const num = Number(value);
+    return Number.isFinite(num) ? num.toFixed(2) : String(value);
+  }
+  return String(value);
+};
+
+/**
+ * Diff two snapshots of a lead over TRACKED_FIELDS.
+ * Returns [{ field, old_value, new_value }] for fields that actually changed.
+ */
+const diffLeadFields = (before = {}, after = {}) => {
+  const diffs = [];
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in after)) continue;
+    const oldValue = normalizeValue(field, before[field]);
+    const newValue = normalizeValue(field, after[field]);
+    if (oldValue !== newValue) {
+      diffs.push({ field, old_value: oldValue, new_value: newValue });
+    }
+  }
+  return diffs;
+};
+
+/**
+ * Persist change rows.
+ * changes: [{ lead_id, field, old_value, new_value }]
+ */
+const recordLeadChanges = async ({ changes, origin, actorId = null, changedAt = new Date(), transaction }) => {
+  const rows = (changes || []).map((c) => ({
+    lead_id: c.lead_id,
+    field: c.field,
+    old_value: normalizeValue(c.field, c.old_value),
+    new_value: normalizeValue(c.field, c.new_value),
+    origin,
+    changed_by: actorId,
+    changed_at: changedAt,
+  }));
+
+  for (let i = 0; i < rows.length; i += CHUNK) {
+    await LeadChange.bulkCreate(rows.slice(i, i + CHUNK), { transaction });
+  }
+
+  return rows.length;
+};
+
+/**
+ * Record the same single-field change across many leads (bulk status/source/assign).
+ * leads: [{ id, [field]: currentValue }] as loaded BEFORE the update
+ */
+const recordBulkFieldChange = async ({ leads, field, newValue, origin, actorId, transaction }) => {
+  const changes = [];
+  for (const lead of leads || []) {
+    const oldValue = lead[field];
+    if (normalizeValue(field, oldValue) === normalizeValue(field, newValue)) continue;
+    changes.push({ lead_id: lead.id, field, old_value: oldValue, new_value: newValue });
+  }
+  return recordLeadChanges({ changes, origin, actorId, transaction });
+};
+
+/**
+ * Record the initial values of newly created leads (old_value = null).
+ * Only status/source are recorded so status history starts at creation.
+ */
+const recordLeadCreation = async ({ leads, origin, actorId, transaction }) => {
+  const changes = [];
+  for (const lead of leads || []) {
+    for (const field of ["status_id", "source_id"]) {
+      if (lead[field] === undefined || lead[field] === null) continue;
+      changes.push({ lead_id: lead.id, field, old_value: null, new_value: lead[field] });
+    }
+  }
+  return recordLeadChanges({ changes, origin, actorId, transaction });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffLeadFields,
+  recordLeadChanges,
+  recordBulkFieldChange,
+  recordLeadCreation,
+};
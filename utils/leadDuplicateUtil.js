@@ -0,0 +1,65 @@
+const { sequelize } = require("../config/database");
+
+/** Ways leads can be matched as duplicates */
+const DUPLICATE_MATCHES = ["email", "phone", "name_company"];
+
+// Phones shorter than this (digits-only) are too ambiguous to match on
+const MIN_PHONE_DIGITS = 7;
+
+// Company words ignored when comparing companies ("Acme Inc." == "ACME")
+const COMPANY_SUFFIXES = ["inc", "llc", "ltd", "limited", "corp", "corporation", "co", "company", "gmbh"];
+
+const NAME_KEY_SQL = "REGEXP_REPLACE(LOWER(CONCAT_WS('', first_name, last_name)), '[^a-z0-9]', '')";
+const COMPANY_KEY_SQL =
+  "REPLACE(REGEXP_REPLACE(CONCAT(' ', REGEXP_REPLACE(LOWER(company), '[^a-z0-9]+', ' '), ' '), " +
+  `' (${COMPANY_SUFFIXES.join("|")}) ', ' '), ' ', '')`;
+
+/** Normalized match key per match type (MySQL 8 expressions over `leads`) */
+const DUPLICATE_KEY_SQL = {
+  email: "LOWER(TRIM(email))",
+  phone: "REGEXP_REPLACE(phone, '[^0-9]', '')",
+  name_company: `CONCAT(${NAME_KEY_SQL}, '|', ${COMPANY_KEY_SQL})`,
+};
+
+/** Extra conditions a key must satisfy to be matchable */
+const DUPLICATE_KEY_GUARD = {
+  email: "dup_key <> ''",
+  phone: `CHAR_LENGTH(dup_key) >= ${MIN_PHONE_DIGITS}`,
+  name_company: "dup_key NOT LIKE '|%' AND dup_key NOT LIKE '%|'",
+};
+
+const groupedSql = (match) => `
+  SELECT dup_key, COUNT(*) AS lead_count, JSON_ARRAYAGG(id) AS lead_ids
+  FROM (
+    SELECT id, ${DUPLICATE_KEY_SQL[match]} AS dup_key
+    FROM leads
+    WHERE deleted_at IS NULL
+  ) k
+  WHERE dup_key IS NOT NULL AND ${DUPLICATE_KEY_GUARD[match]}
+  GROUP BY dup_key
+  HAVING COUNT(*) > 1`;
+
+/**
+ * Groups of live (non-trashed) leads sharing the same normalized key.
+ * Returns { total, groups: [{ key, lead_ids: number[] }] } (largest groups first)
+ */
+const findDuplicateGroups = async ({ match, limit = 50, offset = 0 }) => {
+  const [[totalRow], [rows]] = await Promise.all([
+    sequelize.query(`SELECT COUNT(*) AS total FROM (${groupedSql(match)}) g`),
+    sequelize.query(`${groupedSql(match)} ORDER BY lead_count DESC, dup_key ASC LIMIT :limit OFFSET :offset`, {
+      replacements: { limit, offset },
+    }),
+  ]);
+
+  const groups = (rows || []).map((r) => {
+    const ids = typeof r.lead_ids === "string" ? JSON.parse(r.lead_ids) : r.lead_ids || [];
+    return { key: r.dup_key, lead_ids: ids.map(Number).sort((a, b) => a - b) };
+  });
+
+  return { total: Number(totalRow?.total || 0), groups };
+};
+
+module.exports = {
+  DUPLICATE_MATCHES,
+  findDuplicateGroups,
+};
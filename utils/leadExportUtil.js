@@ -0,0 +1,319 @@
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const { Op, fn, col } = require("sequelize");
+const { Lead, LeadNote, LeadStatus, LeadSource, User } = require("../models");
+const { MULTI_SEPARATOR, loadCustomFieldMap } = require("./customFieldUtil");
+const { buildLeadListWhere } = require("./leadFilterUtil");
+const { resolveManagerAssignees } = require("./teamScopeUtil");
+const { CSV_DELIM, CRLF, UTF8_BOM, csvEscape, toCsvLine } = require("./csvUtil");
+
+/** Lead export file formats */
+const EXPORT_FORMATS = ["csv", "xlsx", "json", "ndjson"];
+
+const FORMAT_INFO = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+// Value type of each custom field type:
+// string | integer | number (decimal) | date ("YYYY-MM-DD") | datetime (Date) | boolean | list (string[])
+const TYPE_BY_CUSTOM_TYPE = { number: "number", date: "date", boolean: "boolean", multi_select: "list" };
+
+const leadColumn = (key, type = "string") => ({ key, type, get: (l) => l[key] ?? null });
+
+/**
+ * Built-in export columns: { key, type, include?, notes?, get(lead, extra) -> typed value or null }
+ * - include: association the column reads (see EXPORT_INCLUDES); notes: needs the page's note stats
+ * - extra: { custom: { [key]: value }, note_count, latest_note, latest_note_at } (see loadExportExtras)
+ */
+const EXPORT_COLUMNS = [
+  leadColumn("id", "integer"),
+  ...["first_name", "last_name", "company", "email", "phone", "country"].map((key) => leadColumn(key)),
+  { key: "status", type: "string", include: "status", get: (l) => l?.LeadStatus?.label || null },
+  { key: "source", type: "string", include: "source", get: (l) => l?.LeadSource?.label || null },
+  { key: "value_decimal", type: "number", get: (l) => Number(l.value_decimal) || 0 },
+  { key: "assignee", type: "string", include: "assignee", get: (l) => l.currentAssignee?.full_name || null },
+  { key: "assignee_email", type: "string", include: "assignee", get: (l) => l.currentAssignee?.email || null },
+  { key: "assigned_at", type: "datetime", get: (l) => l.current_assigned_at || null },
+  { key: "creator", type: "string", include: "creator", get: (l) => l.creator?.full_name || null },
+  leadColumn("created_at", "datetime"),
+  leadColumn("updated_at", "datetime"),
+  { key: "note_count", type: "integer", notes: true, get: (l, x) => x.note_count || 0 },
+  { key: "latest_note", type: "string", notes: true, get: (l, x) => x.latest_note || null },
+  { key: "latest_note_at", type: "datetime", notes: true, get: (l, x) => x.latest_note_at || null },
+];
+
+// Associations loaded with each page, by column `include`
+const EXPORT_INCLUDES = {
+  status: { model: LeadStatus, attributes: ["id", "value", "label"] },
+  source: { model: LeadSource, attributes: ["id", "value", "label"] },
+  assignee: { model: User, as: "currentAssignee", attributes: ["id", "full_name", "email"] },
+  creator: { model: User, as: "creator", attributes: ["id", "full_name", "email"] },
+};
+
+/** Includes the picked columns need */
+const buildExportIncludes = (columns) =>
+  [...new Set(columns.map((c) => c.include).filter(Boolean))].map((name) => EXPORT_INCLUDES[name]);
+
+/** Columns exported when none are picked (custom fields follow) */
+const DEFAULT_EXPORT_COLUMNS = [
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "status",
+  "source",
+  "value_decimal",
+];
+
+const customColumn = (f) => ({
+  key: f.key,
+  custom: true,
+  type: TYPE_BY_CUSTOM_TYPE[f.type] || "string",
+  get: (l, x) => x.custom?.[f.key] ?? null,
+});
+
+/**
+ * Export columns in the picked order; keys are built-in column keys or custom field keys
+ * (a custom field sharing a built-in key is not selectable).
+ * keys: string[] or "a,b,c"; empty = DEFAULT_EXPORT_COLUMNS plus every active custom field.
+ * Returns { columns } or { error, unknown: string[] }
+ */
+const resolveExportColumns = (keys, customFields = []) => {
+  const list = (Array.isArray(keys) ? keys : String(keys || "").split(","))
+    .map((k) => String(k).trim())
+    .filter(Boolean);
+  if (!list.length) {
+    return {
+      columns: [
+        ...DEFAULT_EXPORT_COLUMNS.map((key) => EXPORT_COLUMNS.find((c) => c.key === key)),
+        ...customFields.map(customColumn),
+      ],
+    };
+  }
+
+  const columns = [];
+  const unknown = [];
+  for (const key of [...new Set(list)]) {
+    const builtIn = EXPORT_COLUMNS.find((c) => c.key === key);
+    const field = builtIn ? null : customFields.find((f) => f.key === key);
+    if (builtIn) columns.push(builtIn);
+    else if (field) columns.push(customColumn(field));
+    else unknown.push(key);
+  }
+  if (unknown.length) return { error: `Unknown export columns: ${unknown.join(", ")}.`, unknown };
+  return { columns };
+};
+
+/**
+ * Per-lead data for a page of leads beyond the lead row: custom values (for custom columns) and
+ * note count / latest note (when a notes column is picked). Returns Map(leadId -> extra)
+ */
+const loadExportExtras = async (leads, columns, customFields = []) => {
+  const leadIds = leads.map((l) => l.id);
+  const pickedFields = customFields.filter((f) => columns.some((c) => c.custom && c.key === f.key));
+  const customMap = await loadCustomFieldMap(leadIds, pickedFields);
+
+  const extras = new Map(leadIds.map((id) => [Number(id), { custom: customMap.get(Number(id)) || {} }]));
+  if (!columns.some((c) => c.notes) || !leadIds.length) return extras;
+
+  // Latest note = highest id per lead
+  const stats = await LeadNote.findAll({
+    where: { lead_id: { [Op.in]: leadIds } },
+    attributes: ["lead_id", [fn("COUNT", col("id")), "note_count"], [fn("MAX", col("id")), "latest_id"]],
+    group: ["lead_id"],
+    raw: true,
+  });
+  const latest = stats.length
+    ? await LeadNote.findAll({
+        where: { id: { [Op.in]: stats.map((r) => r.latest_id) } },
+        attributes: ["lead_id", "body", "created_at"],
+      })
+    : [];
+  for (const r of stats) extras.get(Number(r.lead_id)).note_count = Number(r.note_count) || 0;
+  for (const n of latest) {
+    Object.assign(extras.get(Number(n.lead_id)), { latest_note: n.body, latest_note_at: n.created_at });
+  }
+  return extras;
+};
+
+/**
+ * Lead where clause of an export: the GET /leads filter set (see buildLeadListWhere, filter_id included),
+ * scoped by role — managers export the leads currently assigned within their teams (themselves + team members).
+ * user: { id, role }. Returns { where } or { status, error, details? }
+ */
+const buildExportWhere = async (params, { user, customFields = [] }) => {
+  const built = await buildLeadListWhere(params, { user, customFields, filterId: params.filter_id || null });
+  if (built.error) return built;
+  const { where } = built;
+
+  if (user.role === "manager") {
+    const scope = { current_assignee_id: { [Op.in]: await resolveManagerAssignees(user.id) } };
+    where[Op.and] = [...(where[Op.and] || []), scope];
+  }
+  return { where };
+};
+
+const EXPORT_PAGE_SIZE = 5000;
+
+const EXPORT_LEAD_ATTRIBUTES = [
+  "id",
+  "first_name",
+  "last_name",
+  "company",
+  "email",
+  "phone",
+  "country",
+  "status_id",
+  "source_id",
+  "value_decimal",
+  "current_assignee_id",
+  "current_assigned_at",
+  "created_by",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Write every lead matching `where` to an export writer (see createExportWriter), page by page in id order.
+ * Does not end the writer. Returns the number of leads written
+ */
+const writeLeadExport = async (writer, { where, columns, customFields = [] }) => {
+  const include = buildExportIncludes(columns);
+  let offset = 0;
+  let written = 0;
+
+  while (true) {
+    const rows = await Lead.findAll({
+      where,
+      include,
+      order: [["id", "ASC"]], // stable paging
+      limit: EXPORT_PAGE_SIZE,
+      offset,
+      attributes: EXPORT_LEAD_ATTRIBUTES,
+    });
+
+    if (!rows.length) break;
+
+    await writer.write(rows, await loadExportExtras(rows, columns, customFields));
+    written += rows.length;
+
+    offset += EXPORT_PAGE_SIZE;
+  }
+  return written;
+};
+
+// Write and wait for the response to drain when its buffer is full (keeps memory flat on big exports)
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, "drain");
+};
+
+const csvCell = (column, value) => {
+  if (value === null || value === undefined) return "";
+  if (column.type === "number" || column.type === "integer") return value;
+  if (column.type === "datetime") return new Date(value).toISOString();
+  if (column.type === "list") return csvEscape(value.join(`${MULTI_SEPARATOR} `));
+  return csvEscape(value);
+};
+
+const xlsxCell = (column, value) => {
+  if (value === null || value === undefined) return null;
+  if (column.type === "date") return new Date(`${value}T00:00:00Z`);
+  if (column.type === "datetime") return new Date(value);
+  if (column.type === "list") return value.join(`${MULTI_SEPARATOR} `);
+  return value;
+};
+
+const XLSX_NUM_FMT = { integer: "0", number: "#,##0.00", date: "yyyy-mm-dd", datetime: "yyyy-mm-dd hh:mm" };
+
+/**
+ * Streaming writer for one export: write(leads, extras) per page (see loadExportExtras), then end()
+ * (also ends `stream`).
+ * - csv: UTF-8 BOM (for Excel), header row of column keys
+ * - xlsx: one "Leads" sheet; numbers and dates as typed cells
+ * - json: one array of objects keyed by column; ndjson: one object per line
+ */
+const createExportWriter = (format, stream, columns) => {
+  const { contentType, extension } = FORMAT_INFO[format];
+  const toRecord = (lead, extra = {}) => {
+    const record = {};
+    for (const c of columns) record[c.key] = c.get(lead, extra);
+    return record;
+  };
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet("Leads");
+    sheet.columns = columns.map((c) => ({
+      header: c.key,
+      key: c.key,
+      width: c.type === "string" || c.type === "list" ? 22 : 14,
+      style: XLSX_NUM_FMT[c.type] ? { numFmt: XLSX_NUM_FMT[c.type] } : {},
+    }));
+    return {
+      contentType,
+      extension,
+      write: async (leads, extras) => {
+        for (const l of leads) {
+          const extra = extras.get(Number(l.id)) || {};
+          sheet.addRow(columns.map((c) => xlsxCell(c, c.get(l, extra)))).commit();
+        }
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  let rowCount = 0;
+  let headerWritten = false;
+  const header = () => {
+    if (headerWritten) return "";
+    headerWritten = true;
+    if (format === "csv") return UTF8_BOM + toCsvLine(columns.map((c) => c.key));
+    return format === "json" ? "[" : "";
+  };
+  const line = (lead, extra = {}) => {
+    if (format === "csv") return columns.map((c) => csvCell(c, c.get(lead, extra))).join(CSV_DELIM) + CRLF;
+    const json = JSON.stringify(toRecord(lead, extra));
+    if (format === "ndjson") return json + "\n";
+    return (rowCount ? ",\n" : "\n") + json; // json: comma-separated array items
+  };
+
+  return {
+    contentType,
+    extension,
+    write: async (leads, extras) => {
+      let chunk = header();
+      for (const l of leads) {
+        chunk += line(l, extras.get(Number(l.id)));
+        rowCount++;
+      }
+      await writeChunk(stream, chunk);
+    },
+    end: async () => {
+      const rest = header();
+      stream.end(format === "json" ? `${rest}\n]\n` : rest);
+    },
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  resolveExportColumns,
+  buildExportIncludes,
+  loadExportExtras,
+  buildExportWhere,
+  writeLeadExport,
+  createExportWriter,
+};
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Where uploaded import files (and the rows of queued JSON imports) wait to be processed: they hold lead PII, so
+ * they are kept out of the public uploads folder (NODE_LEADHIVE_IMPORT_UPLOAD_DIR, default storage/imports)
+ */
+const getImportUploadDir = () => process.env.NODE_LEADHIVE_IMPORT_UPLOAD_DIR || "storage/imports";
+
+/** "csv" | "xlsx" by file extension, or null if unsupported */
+const detectLeadFileFormat = (fileName) => {
+  const ext = path.extname(String(fileName || "")).toLowerCase();
+  if (ext === ".csv" || ext === ".txt") return "csv";
+  if (ext === ".xlsx") return "xlsx";
+  return null;
+};
+
+/** Pick the delimiter that occurs most often (outside quotes) in the header line; defaults to "," */
+const sniffDelimiter = (text) => {
+  const counts = new Map(CSV_DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  let best = ",";
+  for (const [d, n] of counts) if (n > counts.get(best)) best = d;
+  return best;
+};
+
+const isEmptyRow = (row) => Object.values(row).every((v) => v === undefined || v === null || String(v).trim() === "");
+
+/** Header cells become row keys; blank headers are dropped */
+const toHeader = (h) => String(h ?? "").replace(/^\uFEFF/, "").trim();
+
+const parseCsv = async (filePath) => {
+  const text = (await fs.promises.readFile(filePath, "utf8")).replace(/^\uFEFF/, "");
+  let headers = [];
+  const rows = parse(text, {
+    delimiter: sniffDelimiter(text),
+    columns: (header) => {
+      headers = header.map(toHeader).filter(Boolean);
+      return header.map((h) => toHeader(h) || false);
+    },
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true,
+  });
+  return { headers, rows: rows.filter((r) => !isEmptyRow(r)) };
+};
+
+/** Plain string for an ExcelJS cell value (rich text, hyperlinks, formulas, dates) */
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map((p) => p.text).join("");
+  if (value.text !== undefined) return cellToString(value.text);
+  if (value.result !== undefined) return cellToString(value.result);
+  return "";
+};
+
+const parseXlsx = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber] = toHeader(cellToString(cell.value));
+  });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const obj = {};
+    row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      const key = headers[colNumber];
+      if (key) obj[key] = cellToString(cell.value);
+    });
+    if (!isEmptyRow(obj)) rows.push(obj);
+  });
+  return { headers: headers.filter(Boolean), rows };
+};
+
+/** Rows saved by writeLeadRowsFile; there is no header row (headers: null) */
+const parseJson = async (filePath) => {
+  const rows = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  return { headers: null, rows: Array.isArray(rows) ? rows : [] };
+};
+
+/**
+ * Parse an uploaded lead file into row objects keyed by the header row.
+ * Returns { headers, rows }
+ * - csv: delimiter auto-detected (, ; tab |), quoted fields, UTF-8 BOM
+ * - xlsx: first worksheet; cell values are returned as strings (dates as ISO 8601)
+ * - json: rows of a queued JSON import (see writeLeadRowsFile)
+ * Throws on malformed files.
+ */
+const parseLeadFile = (filePath, format) => {
+  if (format === "xlsx") return parseXlsx(filePath);
+  if (format === "json") return parseJson(filePath);
+  return parseCsv(filePath);
+};
+
+/** Save the rows of a JSON import queued as a background job to the import upload dir; returns the file's path */
+const writeLeadRowsFile = async (rows) => {
+  const dir = getImportUploadDir();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const filePath = path.join(dir, `import-rows-${crypto.randomBytes(8).toString("hex")}.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(rows), "utf8");
+  return filePath;
+};
+
+module.exports = {
+  getImportUploadDir,
+  detectLeadFileFormat,
+  parseLeadFile,
+  writeLeadRowsFile,
+};
@@ -0,0 +1,393 @@
+const { Op } = require("sequelize");
+const { SavedFilter } = require("../models");
+const { buildCustomFieldRule, buildCustomFieldConditions } = require("./customFieldUtil");
+
+/**
+ * Saved filter definition (SavedFilter.definition_json), all keys optional:
+ * {
+ *   status_ids: number[],          source_ids: number[],
+ *   assignee_ids: number[],        unassigned: boolean,        // current assignee
+ *   assigned_from: "YYYY-MM-DD",   assigned_to: "YYYY-MM-DD",  // current assignment date (inclusive, UTC)
+ *   created_from: "YYYY-MM-DD",    created_to: "YYYY-MM-DD",   // lead created_at (inclusive, UTC)
+ *   value_min: number,             value_max: number,          // value_decimal
+ *   search: string,                                            // same matching as GET /leads?search=
+ *   conditions: { logic: "and" | "or", rules: [ { field, op, value? } | <nested group> ] }
+ * }
+ * Rule fields are lead columns (LEAD_RULE_FIELDS) or "custom:<key>" for custom fields.
+ */
+const FILTER_KEYS = [
+  "status_ids",
+  "source_ids",
+  "assignee_ids",
+  "unassigned",
+  "assigned_from",
+  "assigned_to",
+  "created_from",
+  "created_to",
+  "value_min",
+  "value_max",
+  "search",
+  "conditions",
+];
+
+/** Lead columns usable in rules, by value type */
+const LEAD_RULE_FIELDS = {
+  first_name: "text",
+  last_name: "text",
+  company: "text",
+  email: "text",
+  phone: "text",
+  country: "text",
+  status_id: "id",
+  source_id: "id",
+  current_assignee_id: "id",
+  created_by: "id",
+  value_decimal: "number",
+  created_at: "date",
+  updated_at: "date",
+  current_assigned_at: "date",
+};
+
+const RULE_OPS = {
+  text: ["eq", "neq", "contains", "not_contains", "starts_with", "in", "is_empty", "is_not_empty"],
+  id: ["eq", "neq", "in", "not_in", "is_empty", "is_not_empty"],
+  number: ["eq", "neq", "gt", "gte", "lt", "lte", "is_empty", "is_not_empty"],
+  date: ["gt", "gte", "lt", "lte", "is_empty", "is_not_empty"],
+};
+
+const OP_MAP = { eq: Op.eq, neq: Op.ne, gt: Op.gt, gte: Op.gte, lt: Op.lt, lte: Op.lte, in: Op.in, not_in: Op.notIn };
+
+const MAX_CONDITION_DEPTH = 3;
+const MAX_RULES = 50;
+
+// ---------- value parsing ----------
+const isBlank = (v) => v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+
+/** Accepts [1, 2] or "1,2"; returns number[] or null if any entry is not a positive integer */
+const parseIdList = (v) => {
+  const list = Array.isArray(v) ? v : String(v).split(",");
+  const ids = list.map((s) => String(s).trim()).filter(Boolean).map(Number);
+  return ids.every((n) => Number.isInteger(n) && n > 0) ? ids : null;
+};
+
+const parseDay = (v, endOfDay = false) => {
+  const d = new Date(v);
+  if (isNaN(d)) return null;
+  return endOfDay
+    ? new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 23, 59, 59, 999))
+    : new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0, 0));
+};
+
+/**
+ * Free-text lead search (name/email/phone); 3-5 digit searches also match phone endings.
+ * Shared by GET /leads?search= and saved filters.
+ */
+const buildLeadSearchClause = (search) => {
+  const digitsOnly = String(search).replace(/\D+/g, "");
+  const orClauses = [
+    { first_name: { [Op.like]: `%${search}%` } },
+    { last_name: { [Op.like]: `%${search}%` } },
+    { email: { [Op.like]: `%${search}%` } },
+    { phone: { [Op.like]: `%${search}%` } },
+  ];
+  if (digitsOnly.length >= 3 && digitsOnly.length <= 5) {
+    orClauses.push({ phone: { [Op.like]: `%${digitsOnly}` } });
+  }
+  return { [Op.or]: orClauses };
+};
+
+// ---------- rules ----------
+/** Returns { where } or { error } */
+const compileLeadRule = (field, type, op, value) => {
+  if (op === "is_empty") {
+    return { where: type === "text" ? { [Op.or]: [{ [field]: null }, { [field]: "" }] } : { [field]: null } };
+  }
+  if (op === "is_not_empty") {
+    // `<> ''` is never true for NULL, so it also excludes missing text values
+    return { where: { [field]: type === "text" ? { [Op.ne]: "" } : { [Op.ne]: null } } };
+  }
+
+  if (op === "in" || op === "not_in") {
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length || list.some(isBlank)) return { error: "value_required" };
+    if (type === "id") {
+      const ids = parseIdList(list);
+      return ids ? { where: { [field]: { [OP_MAP[op]]: ids } } } : { error: "invalid_id" };
+    }
+    return { where: { [field]: { [OP_MAP[op]]: list.map((v) => String(v).trim()) } } };
+  }
+
+  if (isBlank(value)) return { error: "value_required" };
+
+  if (type === "text") {
+    const s = String(value).trim();
+    if (op === "contains") return { where: { [field]: { [Op.like]: `%${s}%` } } };
+    if (op === "not_contains") return { where: { [field]: { [Op.notLike]: `%${s}%` } } };
+    if (op === "starts_with") return { where: { [field]: { [Op.like]: `${s}%` } } };
+    return { where: { [field]: { [OP_MAP[op]]: s } } };
+  }
+  if (type === "id") {
+    const ids = parseIdList([value]);
+    return ids ? { where: { [field]: { [OP_MAP[op]]: ids[0] } } } : { error: "invalid_id" };
+  }
+  if (type === "number") {
+    const n = Number(value);
+    return Number.isFinite(n) ? { where: { [field]: { [OP_MAP[op]]: n } } } : { error: "invalid_number" };
+  }
+  const d = new Date(value);
+  return isNaN(d) ? { error: "invalid_date" } : { where: { [field]: { [OP_MAP[op]]: d } } };
+};
+
+/** Compile a { logic, rules } group; errors are collected as { path, error } */
+const compileConditionGroup = (group, customFields, path, depth, errors, counter) => {
+  if (!group || typeof group !== "object" || Array.isArray(group)) {
+    errors.push({ path, error: "must_be_object" });
+    return null;
+  }
+  const logic = group.logic === undefined ? "and" : group.logic;
+  if (logic !== "and" && logic !== "or") errors.push({ path: `${path}.logic`, error: "must_be_and_or" });
+  if (!Array.isArray(group.rules) || group.rules.length === 0) {
+    errors.push({ path: `${path}.rules`, error: "must_be_non_empty_array" });
+    return null;
+  }
+
+  const parts = [];
+  group.rules.forEach((rule, i) => {
+    const rulePath = `${path}.rules[${i}]`;
+
+    if (rule && typeof rule === "object" && "rules" in rule) {
+      if (depth >= MAX_CONDITION_DEPTH) {
+        errors.push({ path: rulePath, error: `max_depth_${MAX_CONDITION_DEPTH}` });
+        return;
+      }
+      const nested = compileConditionGroup(rule, customFields, rulePath, depth + 1, errors, counter);
+      if (nested) parts.push(nested);
+      return;
+    }
+
+    counter.rules += 1;
+    if (counter.rules > MAX_RULES) {
+      if (counter.rules === MAX_RULES + 1) errors.push({ path: rulePath, error: `max_rules_${MAX_RULES}` });
+      return;
+    }
+
+    const { field, op, value } = rule || {};
+    if (typeof field === "string" && field.startsWith("custom:")) {
+      const cf = customFields.find((f) => f.key === field.slice("custom:".length));
+      if (!cf) return errors.push({ path: `${rulePath}.field`, error: "unknown_custom_field" });
+      const built = buildCustomFieldRule(cf, op, value);
+      if (built.error) return errors.push({ path: rulePath, error: built.error });
+      return parts.push(built.condition);
+    }
+
+    const type = LEAD_RULE_FIELDS[field];
+    if (!type) return errors.push({ path: `${rulePath}.field`, error: "unknown_field" });
+    if (!RULE_OPS[type].includes(op)) return errors.push({ path: `${rulePath}.op`, error: "invalid_operator" });
+
+    const built = compileLeadRule(field, type, op, value);
+    if (built.error) return errors.push({ path: `${rulePath}.value`, error: built.error });
+    parts.push(built.where);
+  });
+
+  if (!parts.length) return null;
+  return { [logic === "or" ? Op.or : Op.and]: parts };
+};
+
+/**
+ * Validate a saved filter definition and compile it into a Lead where clause.
+ * - customFields: active custom field definitions (for "custom:<key>" rules)
+ * Returns { where, errors: [{ path, error }] } (where is only usable when errors is empty)
+ */
+const compileFilterDefinition = (definition, customFields = []) => {
+  const errors = [];
+  const and = [];
+
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    return { where: {}, errors: [{ path: "definition_json", error: "must_be_object" }] };
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!FILTER_KEYS.includes(key)) errors.push({ path: key, error: "unknown_key" });
+  }
+  const d = definition;
+
+  for (const [key, column] of [
+    ["status_ids", "status_id"],
+    ["source_ids", "source_id"],
+  ]) {
+    if (isBlank(d[key])) continue;
+    const ids = parseIdList(d[key]);
+    if (!ids) errors.push({ path: key, error: "invalid_id_list" });
+    else if (ids.length) and.push({ [column]: { [Op.in]: ids } });
+  }
+
+  if (d.unassigned !== undefined && typeof d.unassigned !== "boolean") {
+    errors.push({ path: "unassigned", error: "must_be_boolean" });
+  }
+  const assigneeIds = isBlank(d.assignee_ids) ? [] : parseIdList(d.assignee_ids);
+  if (!assigneeIds) errors.push({ path: "assignee_ids", error: "invalid_id_list" });
+  else if (d.unassigned === true && assigneeIds.length) {
+    and.push({ [Op.or]: [{ current_assignee_id: null }, { current_assignee_id: { [Op.in]: assigneeIds } }] });
+  } else if (d.unassigned === true) and.push({ current_assignee_id: null });
+  else if (assigneeIds.length) and.push({ current_assignee_id: { [Op.in]: assigneeIds } });
+
+  for (const [prefix, column] of [
+    ["assigned", "current_assigned_at"],
+    ["created", "created_at"],
+  ]) {
+    const range = {};
+    for (const [suffix, op, endOfDay] of [
+      ["from", Op.gte, false],
+      ["to", Op.lte, true],
+    ]) {
+      const key = `${prefix}_${suffix}`;
+      if (isBlank(d[key])) continue;
+      const day = parseDay(d[key], endOfDay);
+      if (!day) errors.push({ path: key, error: "invalid_date" });
+      else range[op] = day;
+    }
+    if (Object.getOwnPropertySymbols(range).length) and.push({ [column]: range });
+  }
+
+  const valueRange = {};
+  for (const [key, op] of [
+    ["value_min", Op.gte],
+    ["value_max", Op.lte],
+  ]) {
+    if (isBlank(d[key])) continue;
+    const n = Number(d[key]);
+    if (!Number.isFinite(n)) errors.push({ path: key, error: "invalid_number" });
+    else valueRange[op] = n;
+  }
+  if (Object.getOwnPropertySymbols(valueRange).length) and.push({ value_decimal: valueRange });
+
+  if (!isBlank(d.search)) {
+    if (typeof d.search !== "string") errors.push({ path: "search", error: "must_be_string" });
+    else and.push(buildLeadSearchClause(d.search.trim()));
+  }
+
+  if (d.conditions !== undefined && d.conditions !== null) {
+    const group = compileConditionGroup(d.conditions, customFields, "conditions", 1, errors, { rules: 0 });
+    if (group) and.push(group);
+  }
+
+  return { where: and.length ? { [Op.and]: and } : {}, errors };
+};
+
+/**
+ * Load a saved filter the user may use (own or shared) and compile it.
+ * Returns { filter, where } or { status, error, details? } for the caller to send.
+ */
+const resolveSavedFilter = async ({ filterId, user, customFields = [] }) => {
+  const filter = await SavedFilter.findByPk(filterId);
+  if (!filter) return { status: 404, error: "Saved filter not found." };
+  if (filter.user_id !== user.id && !filter.is_shared) {
+    return { status: 403, error: "You do not have access to this filter." };
+  }
+
+  const { where, errors } = compileFilterDefinition(filter.definition_json, customFields);
+  if (errors.length) {
+    return { status: 422, error: "Saved filter definition is invalid.", details: errors };
+  }
+  return { filter, where };
+};
+
+/**
+ * Apply current-assignee filters to a Lead where clause (uses Lead.current_assignee_id / current_assigned_at)
+ * - assigneeId: only leads currently assigned to this user
+ * - assignedFrom/assignedTo: current assignment date range
+ * - forceAssigned: exclude leads without any assignment
+ */
+const applyCurrentAssigneeFilter = (
+  where,
+  assigneeId = null,
+  assignedFrom = null,
+  assignedTo = null,
+  forceAssigned = false
+) => {
+  if (assigneeId) {
+    where.current_assignee_id = Number(assigneeId);
+  } else if (forceAssigned) {
+    where.current_assignee_id = { [Op.ne]: null };
+  }
+
+  if (assignedFrom || assignedTo) {
+    where.current_assigned_at = {};
+    if (assignedFrom) where.current_assigned_at[Op.gte] = assignedFrom;
+    if (assignedTo) where.current_assigned_at[Op.lte] = assignedTo;
+  }
+
+  return where;
+};
+
+/**
+ * Lead where clause from the GET /leads filter params (shared with lead exports):
+ *  - status_ids, source_ids (comma-separated), assignee_id, search, import_batch_id
+ *  - assigned_from=YYYY-MM-DD, assigned_to=YYYY-MM-DD (both inclusive)
+ *  - cf_<key>=value, cf_<key>_from / cf_<key>_to (see buildCustomFieldConditions)
+ *  - filterId: saved filter ANDed with the params above
+ * Sales reps only get leads currently assigned to them (assignee_id is ignored).
+ * Returns { where } or { status, error, details? } for the caller to send (see sendSavedFilterError)
+ */
+const buildLeadListWhere = async (params, { user, customFields = [], filterId = null }) => {
+  const { status_ids, source_ids, assignee_id, search, assigned_from, assigned_to, import_batch_id } = params;
+
+  const where = {};
+
+  // Leads created by one import run
+  if (import_batch_id) where.import_batch_id = import_batch_id;
+
+  for (const [list, column] of [
+    [status_ids, "status_id"],
+    [source_ids, "source_id"],
+  ]) {
+    if (!list) continue;
+    const ids = String(list)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (ids.length) where[column] = { [Op.in]: ids };
+  }
+
+  if (search) Object.assign(where, buildLeadSearchClause(search));
+
+  const { conditions, errors } = buildCustomFieldConditions(customFields, params);
+  if (errors.length) return { status: 400, error: "Invalid custom fields.", details: errors };
+
+  if (filterId) {
+    const resolved = await resolveSavedFilter({ filterId, user, customFields });
+    if (resolved.error) return resolved;
+    conditions.push(resolved.where);
+  }
+  if (conditions.length) where[Op.and] = conditions;
+
+  const assignedFrom = assigned_from ? parseDay(assigned_from) : null;
+  const assignedTo = assigned_to ? parseDay(assigned_to, true) : null;
+
+  if (user.role === "sales_rep") {
+    applyCurrentAssigneeFilter(where, user.id, assignedFrom, assignedTo, true);
+  } else {
+    applyCurrentAssigneeFilter(where, assignee_id || null, assignedFrom, assignedTo);
+  }
+  return { where };
+};
+
+/** Send the error returned by resolveSavedFilter or buildLeadListWhere */
+const sendSavedFilterError = (res, resolved) =>
+  res.status(resolved.status).json({
+    code: "ERROR",
+    error: resolved.error,
+    ...(resolved.details ? { details: resolved.details } : {}),
+  });
+
+module.exports = {
+  FILTER_KEYS,
+  LEAD_RULE_FIELDS,
+  RULE_OPS,
+  buildLeadSearchClause,
+  compileFilterDefinition,
+  resolveSavedFilter,
+  applyCurrentAssigneeFilter,
+  buildLeadListWhere,
+  sendSavedFilterError,
+};
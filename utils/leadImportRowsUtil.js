@@ -0,0 +1,616 @@
+const validator = require("validator");
+const { Op } = require("sequelize");
+const { Lead, LeadStatus, LeadSource, LeadNote, ImportBatch } = require("../models");
+const { routeNewLeads } = require("./leadRoutingUtil");
+const {
+  normalizePhoneDigits,
+  resolveImportOptions,
+  rowMatchKeys,
+  findExistingMatches,
+  applyImportUpdates,
+} = require("./leadImportUtil");
+const { recordLeadCreation } = require("./leadChangeUtil");
+const { writeImportErrorReport, getImportErrorReportUrl } = require("./importBatchUtil");
+const { resolveImportDefaults } = require("./importDefaultsUtil");
+const { getActiveCustomFields, validateCustomFieldInput, bulkSaveCustomFieldValues } = require("./customFieldUtil");
+
+const sanitizeStr = (v) =>
+  v === undefined || v === null
+    ? ""
+    : String(v)
+        .replace(/\u00A0/g, " ")
+        .trim();
+
+const toSnakeValue = (label) => {
+  if (!label) return null;
+  return String(label)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 40);
+};
+
+// Note fields identifying the value a row matched on
+const matchNoteFields = (row, { kind, value }, match) => {
+  if (kind === "email") return { email: row.email };
+  if (kind === "phone") return { phone: row.phone };
+  return { field: match.field.key, value };
+};
+
+// Custom field values of a row: flat columns named by key, or a nested "custom_fields" object (wins)
+const pickCustomInput = (row, customFields) => {
+  const nested = row.custom_fields && typeof row.custom_fields === "object" ? row.custom_fields : {};
+  const input = {};
+  for (const f of customFields) {
+    if (row[f.key] !== undefined) input[f.key] = row[f.key];
+    if (nested[f.key] !== undefined) input[f.key] = nested[f.key];
+  }
+  return input;
+};
+
+/**
+ * Dry-run result of importLeadRows: one entry per input row, in order.
+ * - insert: { index, outcome, status_id, source_id, status_fallback, source_fallback, source_created,
+ *             assignee_id, routing_rule_id }
+ * - update: { index, outcome, lead_id, matched_by, fields, note_added }
+ * - skip:   { index, outcome, reason, email? | phone? | field?,
+ *             lead_id? (DB duplicate), duplicate_of_index? (in-file duplicate), lead_ids? (ambiguous match) }
+ * createdLeads[i] corresponds to toInsert[i]; both are empty when nothing would be inserted.
+ */
+const buildImportPreview = ({
+  total,
+  notes,
+  toInsert,
+  createdLeads = [],
+  updates = [],
+  routing = new Map(),
+  fallbackAssigneeId = null,
+  newSourceValues,
+  sources,
+}) => {
+  const rows = new Array(total);
+
+  for (const { index, note, ...rest } of notes) {
+    rows[index] = { index, outcome: "skip", reason: note, ...rest };
+  }
+  for (const { index, ...rest } of updates) {
+    rows[index] = { index, outcome: "update", ...rest };
+  }
+  toInsert.forEach((p, i) => {
+    const routed = createdLeads[i] ? routing.get(Number(createdLeads[i].id)) : null;
+    rows[p._rowIndex] = {
+      index: p._rowIndex,
+      outcome: "insert",
+      status_id: p.status_id,
+      source_id: p.source_id,
+      status_fallback: p._statusFallback,
+      source_fallback: p._sourceFallback,
+      source_created: p._sourceCreated,
+      email_blanked: p._emailBlanked,
+      assignee_id: routed ? routed.assignee_id : fallbackAssigneeId,
+      routing_rule_id: routed ? routed.rule_id : null,
+    };
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      dry_run: true,
+      summary: {
+        attempted: total,
+        would_insert: toInsert.length,
+        would_update: updates.filter((u) => u.fields.length || u.note_added).length,
+        would_skip: notes.length,
+        routed: routing.size,
+        status_fallbacks: toInsert.filter((p) => p._statusFallback).length,
+        source_fallbacks: toInsert.filter((p) => p._sourceFallback).length,
+        emails_blanked: toInsert.filter((p) => p._emailBlanked).length,
+        sources_to_create: sources
+          .filter((s) => newSourceValues.has(s.value))
+          .map((s) => ({ value: s.value, label: s.label })),
+      },
+      rows,
+    },
+  };
+};
+
+/** Record an import run that imported nothing (all rows invalid or duplicates) */
+const saveRejectedBatch = async ({ batchInfo, user, mode, matchBy, total, notes, startedAt }) => {
+  const batch = await ImportBatch.create({
+    ...batchInfo,
+    status: "rejected",
+    mode,
+    match_by: matchBy,
+    total_rows: total,
+    skipped_count: notes.length,
+    notes_json: notes,
+    created_by: user?.id || null,
+    started_at: startedAt,
+    finished_at: new Date(),
+  });
+  return batch;
+};
+
+// Rejected-rows CSV of a finished run; returns { error_report_url } once written (a failure is only logged)
+const attachErrorReport = async ({ batch, notes, sourceRows, headers }) => {
+  if (!notes.length) return {};
+  try {
+    await writeImportErrorReport({ batch, notes, rows: sourceRows, headers });
+    return { error_report_url: getImportErrorReportUrl(batch.id) };
+  } catch (err) {
+    console.error("Import Error Report Error:", err);
+    return {};
+  }
+};
+
+/**
+ * Shared import pipeline for JSON rows (importLeads), uploaded files (importLeadsFile) and import jobs (jobHandlers).
+ * Row shape: { first_name?, last_name?, company?, email?, phone?, country?, status?, source?, value_decimal?,
+ *              notes?, <custom_field_key>?, custom_fields? }
+ * Rules (defaults: options, else the admin import settings, else built-in; see utils/importDefaultsUtil):
+ *  - status by label or value (case-insensitive); missing or unknown -> fallback status (built-in 'new')
+ *  - source by label or value (case-insensitive); missing -> fallback source (built-in 'facebook' if it exists);
+ *    unknown sources are created (unknown_sources=create) or their rows SKIPPED (unknown_sources=reject)
+ *  - duplicate detection -> by options.match_by: email OR phone (default; phone digits-only), email, phone or
+ *    custom:<key>; options.mode decides what happens to matches (skip | update | create_anyway, see leadImportUtil)
+ *  - invalid email rows -> SKIP (record note), or imported without the email (invalid_email=blank)
+ *  - initial LeadAssignment per inserted lead from the first matching routing rule, else to the default assignee
+ *    (built-in: the importing user)
+ *  - record initial status/source of each inserted lead in lead_changes
+ *  - if a row includes "notes", it becomes an initial LeadNote authored by the importing user
+ *  - custom field values are validated per field type; rows with invalid or missing required values are SKIPPED
+ * dryRun: run everything in a transaction that is rolled back and return per-row outcomes (buildImportPreview)
+ * options: { mode?, match_by?, update_strategy?, fallback_status?, fallback_source?, unknown_sources?,
+ *            default_assignee_id?, invalid_email? }
+ * batchInfo: { file_name?, format, preset_id? } stored on the run's ImportBatch (not created for dry runs);
+ *            inserted leads are linked to it via import_batch_id, runs that import nothing are kept as "rejected"
+ * batch + rowOffset: import one chunk of a larger file into an existing ImportBatch (background import job);
+ *            row indexes in notes are offset, and the caller keeps the batch's counts, notes and error report
+ * beforeCommit({ transaction, summary, notes }): called inside the import's transaction right before it commits
+ *            (a job saves its resume point with the chunk's rows)
+ * sourceRows/headers: the rows as received before column mapping (by index) and the file's header order,
+ *            used for the rejected-rows report (see writeImportErrorReport)
+ * Returns { status, body } for the caller to send.
+ */
+const importLeadRows = async ({
+  leads,
+  user,
+  dryRun = false,
+  options = {},
+  batchInfo = { format: "json" },
+  batch: chunkBatch = null,
+  rowOffset = 0,
+  beforeCommit = null,
+  sourceRows = leads,
+  headers = null,
+}) => {
+  let t;
+  const startedAt = new Date();
+  try {
+    if (!Array.isArray(leads) || leads.length === 0) {
+      return { status: 400, body: { success: false, error: "No leads provided." } };
+    }
+
+    const sequelizeInstance = Lead.sequelize;
+    t = await sequelizeInstance.transaction();
+
+    const defaults = await resolveImportDefaults(options, { transaction: t });
+    if (defaults.error) {
+      await t.rollback();
+      return { status: 400, body: { success: false, error: defaults.error } };
+    }
+
+    // ---- STEP 1: Ensure all referenced sources exist (unknown_sources=create)
+    const incomingSourceLabels = new Set();
+    const newSourceValues = new Set(); // sources this import creates
+    for (const r of leads) {
+      const src = sanitizeStr(r?.source);
+      if (src) incomingSourceLabels.add(src);
+    }
+
+    if (defaults.unknownSources === "create" && incomingSourceLabels.size) {
+      const candidateRows = Array.from(incomingSourceLabels)
+        .map((label) => ({
+          value: toSnakeValue(label),
+          label: String(label).trim().slice(0, 80),
+        }))
+        .filter((r) => r.value && r.label);
+
+      const seenVals = new Set();
+      const uniqueRows = [];
+      for (const r of candidateRows) {
+        if (!seenVals.has(r.value)) {
+          seenVals.add(r.value);
+          uniqueRows.push(r);
+        }
+      }
+
+      if (uniqueRows.length) {
+        const known = await LeadSource.findAll({
+          where: { value: { [Op.in]: uniqueRows.map((r) => r.value) } },
+          attributes: ["value"],
+          transaction: t,
+        });
+        const knownVals = new Set(known.map((s) => s.value));
+        for (const r of uniqueRows) if (!knownVals.has(r.value)) newSourceValues.add(r.value);
+
+        await LeadSource.bulkCreate(uniqueRows, {
+          ignoreDuplicates: true,
+          transaction: t,
+        });
+      }
+    }
+
+    // ---- STEP 2: Preload statuses/sources once (now that sources are ensured)
+    const [statuses, sources] = await Promise.all([
+      LeadStatus.findAll({ transaction: t }),
+      LeadSource.findAll({ transaction: t }),
+    ]);
+
+    const statusMap = new Map();
+    for (const s of statuses) {
+      if (s.label) statusMap.set(sanitizeStr(s.label).toLowerCase(), s);
+      if (s.value) statusMap.set(sanitizeStr(s.value).toLowerCase(), s);
+    }
+    const defaultStatus = defaults.status;
+
+    const sourceMap = new Map();
+    for (const s of sources) {
+      if (s.label) sourceMap.set(sanitizeStr(s.label).toLowerCase(), s);
+      if (s.value) sourceMap.set(sanitizeStr(s.value).toLowerCase(), s);
+    }
+    const defaultSource = defaults.source;
+
+    const customFields = await getActiveCustomFields({ transaction: t });
+
+    const importOptions = resolveImportOptions(options, customFields);
+    if (importOptions.error) {
+      await t.rollback();
+      return { status: 400, body: { success: false, error: importOptions.error } };
+    }
+    const { mode, strategy, matchBy, match } = importOptions;
+
+    // ---- STEP 3: Normalize inputs; in-file duplicate detection by the match key(s)
+    const prepared = [];
+    const notes = []; // [{ index, email?, phone?, field?, note }]
+    const seenKeys = new Map(); // "<kind>:<key>" -> first row index
+
+    leads.forEach((row, i) => {
+      const idx = rowOffset + i;
+      const r = row || {};
+
+      // sanitize & normalize fields
+      let email = sanitizeStr(r.email).toLowerCase();
+      if (email === "") email = null; // treat empty as null
+      let emailBlanked = false;
+
+      const phoneRaw = sanitizeStr(r.phone) || null;
+      const phoneNorm = phoneRaw ? normalizePhoneDigits(phoneRaw) : null;
+
+      // Email format check (if provided): skip the row, or drop the email (invalid_email=blank)
+      if (email && !validator.isEmail(email)) {
+        if (defaults.invalidEmail !== "blank") {
+          notes.push({ index: idx, email, note: "invalid_email_format" });
+          return;
+        }
+        email = null;
+        emailBlanked = true;
+      }
+
+      // Unknown source (unknown_sources=create: STEP 1 created it)
+      const rSource = sanitizeStr(r.source).toLowerCase();
+      if (defaults.unknownSources === "reject" && rSource && !sourceMap.has(rSource)) {
+        notes.push({ index: idx, source: sanitizeStr(r.source), note: "unknown_source" });
+        return;
+      }
+
+      // Custom fields (required ones must be present; update mode checks that only for rows that get inserted)
+      const custom = validateCustomFieldInput(customFields, pickCustomInput(r, customFields), {
+        requireAll: mode !== "update",
+      });
+      if (custom.errors.length) {
+        const { key, error } = custom.errors[0];
+        notes.push({
+          index: idx,
+          field: key,
+          note: error === "required" ? "missing_required_custom_field" : `invalid_custom_field:${error}`,
+        });
+        return;
+      }
+
+      // Resolve status (fallback status)
+      let st = null;
+      const rStatus = sanitizeStr(r.status).toLowerCase();
+      if (rStatus) st = statusMap.get(rStatus);
+      if (!st) st = defaultStatus;
+
+      // Resolve source (fallback source)
+      let src = null;
+      if (rSource) src = sourceMap.get(rSource);
+      if (!src) src = defaultSource;
+
+      // value_decimal normalization
+      let valueDecimal = 0;
+      let valueProvided = false;
+      if (r.value_decimal !== undefined && r.value_decimal !== null && String(r.value_decimal) !== "") {
+        const num = Number(r.value_decimal);
+        valueDecimal = Number.isFinite(num) ? num : 0;
+        valueProvided = Number.isFinite(num);
+      }
+
+      const noteBody = sanitizeStr(r.notes);
+      const p = {
+        _rowIndex: idx,
+        first_name: sanitizeStr(r.first_name) || null,
+        last_name: sanitizeStr(r.last_name) || null,
+        company: sanitizeStr(r.company) || null,
+        email, // may be null
+        phone: phoneRaw, // store original raw, compare using normalized set
+        _phoneNorm: phoneNorm, // internal use only
+        country: sanitizeStr(r.country) || null,
+        status_id: st ? st.id : null,
+        source_id: src ? src.id : null,
+        value_decimal: valueDecimal,
+        _valueProvided: valueProvided, // update mode: leave value_decimal alone when missing
+        _noteBody: noteBody, // keep separate; will become LeadNote later
+        _customValues: custom.values, // saved after insert
+        _missingRequired: customFields.find((f) => f.is_required && !custom.values.some((v) => v.field.id === f.id)),
+        _statusFallback: !st || st !== statusMap.get(rStatus), // missing or unknown status
+        _sourceFallback: !src || src !== sourceMap.get(rSource), // missing or unknown source
+        _sourceCreated: !!src && newSourceValues.has(src.value),
+        _emailBlanked: emailBlanked,
+        created_by: user?.id || null,
+        updated_by: user?.id || null,
+      };
+
+      // In-file duplicate by any match key (first row wins)
+      if (mode !== "create_anyway") {
+        const keys = rowMatchKeys(p, match);
+        const dup = keys.find((k) => seenKeys.has(`${k.kind}:${k.key}`));
+        if (dup) {
+          notes.push({
+            index: idx,
+            ...matchNoteFields(p, dup, match),
+            note: `duplicate_${dup.kind}_in_file`,
+            duplicate_of_index: seenKeys.get(`${dup.kind}:${dup.key}`),
+          });
+          return;
+        }
+        for (const k of keys) seenKeys.set(`${k.kind}:${k.key}`, idx);
+      }
+
+      prepared.push(p);
+    });
+
+    // Nothing imported: a "rejected" batch with its error report (a job's chunk reports into the job's batch)
+    const rejectedBatchFields = async () => {
+      if (chunkBatch) return { batch_id: chunkBatch.id };
+      const total = leads.length;
+      const rejected = await saveRejectedBatch({ batchInfo, user, mode, matchBy, total, notes, startedAt });
+      return { batch_id: rejected.id, ...(await attachErrorReport({ batch: rejected, notes, sourceRows, headers })) };
+    };
+
+    if (prepared.length === 0) {
+      await t.rollback();
+      if (dryRun) return buildImportPreview({ total: leads.length, notes, toInsert: [], newSourceValues, sources });
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: "No valid rows to import.",
+          ...(await rejectedBatchFields()),
+          details: { notes },
+        },
+      };
+    }
+
+    // ---- STEP 4: DB duplicate detection by the match key(s); update mode collects rows to update instead
+    const existing =
+      mode === "create_anyway" ? new Map() : await findExistingMatches(prepared, match, { transaction: t });
+
+    const toInsert = [];
+    const toUpdate = []; // [{ row, leadId, matchedBy }]
+    for (const p of prepared) {
+      const hits = rowMatchKeys(p, match)
+        .map((k) => ({ ...k, ids: existing.get(`${k.kind}:${k.key}`) || [] }))
+        .filter((h) => h.ids.length);
+      if (!hits.length) {
+        if (p._missingRequired) {
+          notes.push({ index: p._rowIndex, field: p._missingRequired.key, note: "missing_required_custom_field" });
+        } else {
+          toInsert.push(p);
+        }
+        continue;
+      }
+
+      if (mode === "update") {
+        const ids = [...new Set(hits.flatMap((h) => h.ids))];
+        if (ids.length > 1) {
+          notes.push({ index: p._rowIndex, note: "ambiguous_match_in_db", lead_ids: ids.sort((a, b) => a - b) });
+        } else {
+          toUpdate.push({ row: p, leadId: ids[0], matchedBy: hits[0].kind });
+        }
+        continue;
+      }
+
+      notes.push({
+        index: p._rowIndex,
+        ...matchNoteFields(p, hits[0], match),
+        note: `duplicate_${hits[0].kind}_in_db`,
+        lead_id: hits[0].ids[0],
+      });
+    }
+
+    if (toInsert.length === 0 && toUpdate.length === 0) {
+      await t.rollback();
+      if (dryRun) return buildImportPreview({ total: leads.length, notes, toInsert, newSourceValues, sources });
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: "All rows are duplicates or invalid.",
+          ...(await rejectedBatchFields()),
+          details: { notes },
+        },
+      };
+    }
+
+    // ---- STEP 4a: Batch record (inserted leads point to it; counts are filled in before commit)
+    let batch = chunkBatch;
+    if (!batch && !dryRun) {
+      batch = await ImportBatch.create(
+        {
+          ...batchInfo,
+          mode,
+          match_by: matchBy,
+          total_rows: leads.length,
+          created_by: user?.id || null,
+          started_at: startedAt,
+        },
+        { transaction: t }
+      );
+    }
+
+    // ---- STEP 4b: Update matched leads (update mode)
+    const updates = await applyImportUpdates({
+      updates: toUpdate,
+      strategy,
+      customFields,
+      actorId: user?.id || null,
+      transaction: t,
+    });
+
+    // ---- STEP 5: Insert leads (omit "_" internals: _noteBody, _customValues, preview flags, ...)
+    const createdLeads = toInsert.length
+      ? await Lead.bulkCreate(
+          toInsert.map((p) => ({
+            ...Object.fromEntries(Object.entries(p).filter(([k]) => !k.startsWith("_"))),
+            import_batch_id: batch ? batch.id : null,
+          })),
+          { validate: true, returning: true, transaction: t }
+        )
+      : [];
+
+    // ---- STEP 6: Custom field values (createdLeads[i] corresponds to toInsert[i]); saved before routing
+    const customRows = [];
+    for (let i = 0; i < createdLeads.length; i++) {
+      for (const { field, value } of toInsert[i]._customValues) {
+        customRows.push({ lead_id: createdLeads[i].id, field, value });
+      }
+    }
+    await bulkSaveCustomFieldValues(customRows, { transaction: t });
+
+    // ---- STEP 6b: Initial assignments: routing rules, else the importer (also sets current_assignee_id)
+    const routing = await routeNewLeads({
+      leadIds: createdLeads.map((l) => l.id),
+      fallbackAssigneeId: defaults.assignee ? defaults.assignee.id : user?.id || null,
+      assignedBy: user?.id || null,
+      transaction: t,
+    });
+
+    // ---- STEP 6c: History: initial status/source per inserted lead
+    await recordLeadCreation({
+      leads: createdLeads,
+      origin: "import",
+      actorId: user?.id || null,
+      transaction: t,
+    });
+
+    // ---- STEP 7: Create initial LeadNotes (if provided per row)
+    // Map in-order: createdLeads[i] corresponds to toInsert[i]
+    const notesPayload = [];
+    for (let i = 0; i < createdLeads.length; i++) {
+      const noteBody = toInsert[i]._noteBody;
+      if (typeof noteBody === "string" && noteBody.trim().length > 0) {
+        notesPayload.push({
+          lead_id: createdLeads[i].id,
+          author_id: user?.id || null,
+          body: noteBody.trim(),
+        });
+      }
+    }
+    if (notesPayload.length) {
+      await LeadNote.bulkCreate(notesPayload, { transaction: t });
+    }
+
+    if (dryRun) {
+      await t.rollback();
+      return buildImportPreview({
+        total: leads.length,
+        notes,
+        toInsert,
+        createdLeads,
+        updates,
+        routing,
+        fallbackAssigneeId: defaults.assignee ? defaults.assignee.id : user?.id || null,
+        newSourceValues,
+        sources,
+      });
+    }
+
+    const updatedCount = updates.filter((u) => u.fields.length || u.note_added).length;
+    if (!chunkBatch) {
+      await batch.update(
+        {
+          inserted_count: createdLeads.length,
+          updated_count: updatedCount,
+          skipped_count: notes.length,
+          routed_count: routing.size,
+          notes_json: notes,
+          finished_at: new Date(),
+          updated_at: new Date(),
+        },
+        { transaction: t }
+      );
+    }
+
+    const summary = {
+      attempted: leads.length,
+      inserted: createdLeads.length,
+      updated: updatedCount,
+      duplicates_or_skipped: notes.length,
+      routed: routing.size,
+      emails_blanked: toInsert.filter((p) => p._emailBlanked).length,
+      mode,
+      match_by: matchBy,
+    };
+    if (beforeCommit) await beforeCommit({ transaction: t, summary, notes });
+
+    await t.commit();
+    const report = chunkBatch ? {} : await attachErrorReport({ batch, notes, sourceRows, headers });
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        message:
+          mode === "update"
+            ? `${createdLeads.length} leads imported, ${updatedCount} updated.`
+            : `${createdLeads.length} leads imported successfully.`,
+        batch_id: batch.id,
+        ...report, // error_report_url: CSV of the rejected rows (see GET /batches/:id/errors)
+        summary,
+        // invalid_email_format, unknown_source, duplicate_*_in_file, duplicate_*_in_db, ambiguous_match_in_db,
+        // *_custom_field*
+        notes,
+        updates, // update mode: [{ index, lead_id, matched_by, fields, note_added }] (fields empty = nothing changed)
+        data: createdLeads,
+      },
+    };
+  } catch (err) {
+    console.error("Import Error:", err);
+    if (t) {
+      try {
+        await t.rollback();
+      } catch (_) {}
+    }
+    return { status: 500, body: { success: false, error: "Error importing leads." } };
+  }
+};
+
+module.exports = {
+  sanitizeStr,
+  importLeadRows,
+};
@@ -0,0 +1,238 @@
+const { Op, fn, col, where } = require("sequelize");
+const { Lead, LeadNote, LeadCustomFieldValue } = require("../models");
+const { TRACKED_FIELDS, diffLeadFields, recordLeadChanges } = require("./leadChangeUtil");
+const { loadCustomFieldMap, bulkSaveCustomFieldValues, formatCustomValue } = require("./customFieldUtil");
+
+/**
+ * How an import treats rows that match an existing lead:
+ *  - skip: report as duplicate (default)
+ *  - update: update the matched lead (fill empty fields or overwrite) and append the row's notes
+ *  - create_anyway: no duplicate checks, every valid row becomes a new lead
+ */
+const IMPORT_MODES = ["skip", "update", "create_anyway"];
+
+/** update mode: fill = only set fields that are empty on the lead; overwrite = replace with non-empty row values */
+const UPDATE_STRATEGIES = ["fill", "overwrite"];
+
+/** Matching key: email, phone (digits-only), both (email OR phone), or "custom:<key>" */
+const MATCH_BY = ["email", "phone", "both"];
+const MATCHABLE_CUSTOM_TYPES = ["text", "number", "date", "select"];
+
+const CUSTOM_VALUE_COLUMN = { text: "value_text", select: "value_text", number: "value_number", date: "value_date" };
+
+/** Lead columns an import row may update (status/source only when given explicitly, see pickRowValues) */
+const UPDATABLE_FIELDS = ["first_name", "last_name", "company", "email", "phone", "country", "value_decimal"];
+
+const normalizePhoneDigits = (p) => (p ? String(p) : "").replace(/\D+/g, "").slice(0, 32); // digits-only, capped
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+/**
+ * Validate import options (body.mode, body.match_by, body.update_strategy).
+ * Returns { mode, strategy, match: { email, phone, field } } or { error }
+ */
+const resolveImportOptions = (body = {}, customFields = []) => {
+  const mode = body.mode || "skip";
+  const strategy = body.update_strategy || "fill";
+  const matchBy = body.match_by || "both";
+
+  if (!IMPORT_MODES.includes(mode)) return { error: `mode must be one of: ${IMPORT_MODES.join(", ")}.` };
+  if (!UPDATE_STRATEGIES.includes(strategy)) {
+    return { error: `update_strategy must be one of: ${UPDATE_STRATEGIES.join(", ")}.` };
+  }
+
+  if (typeof matchBy === "string" && matchBy.startsWith("custom:")) {
+    const field = customFields.find((f) => f.key === matchBy.slice("custom:".length));
+    if (!field) return { error: `Unknown custom field in match_by: ${matchBy}.` };
+    if (!MATCHABLE_CUSTOM_TYPES.includes(field.type)) {
+      return { error: `match_by custom field must be of type ${MATCHABLE_CUSTOM_TYPES.join(", ")}.` };
+    }
+    return { mode, strategy, matchBy, match: { email: false, phone: false, field } };
+  }
+  if (!MATCH_BY.includes(matchBy)) {
+    return { error: `match_by must be one of: ${MATCH_BY.join(", ")}, custom:<key>.` };
+  }
+  return {
+    mode,
+    strategy,
+    matchBy,
+    match: { email: matchBy !== "phone", phone: matchBy !== "email", field: null },
+  };
+};
+
+/** Comparable form of a custom value (case-insensitive text, numbers without trailing zeros) */
+const customMatchKey = (field, value) => {
+  if (isBlank(value)) return null;
+  if (field.type === "number") return String(Number(value));
+  return String(value).trim().toLowerCase();
+};
+
+/**
+ * Match keys of a prepared import row, in priority order: [{ kind: "email" | "phone" | "custom", key, value }]
+ * (email is lowercased, phone digits-only)
+ */
+const rowMatchKeys = (row, match) => {
+  const keys = [];
+  if (match.email && row.email) keys.push({ kind: "email", key: row.email, value: row.email });
+  if (match.phone && row._phoneNorm) keys.push({ kind: "phone", key: row._phoneNorm, value: row.phone });
+  if (match.field) {
+    const cv = row._customValues.find((c) => c.field.id === match.field.id);
+    const key = cv ? customMatchKey(match.field, cv.value) : null;
+    if (key) keys.push({ kind: "custom", key, value: cv.value });
+  }
+  return keys;
+};
+
+/**
+ * Existing (non-trashed) leads for the match keys of `rows`.
+ * Returns Map("<kind>:<key>" -> lead id[] ascending)
+ */
+const findExistingMatches = async (rows, match, { transaction } = {}) => {
+  const found = new Map();
+  const add = (kind, key, id) => {
+    if (!key) return;
+    const k = `${kind}:${key}`;
+    if (!found.has(k)) found.set(k, []);
+    if (!found.get(k).includes(Number(id))) found.get(k).push(Number(id));
+  };
+
+  const keys = rows.flatMap((r) => rowMatchKeys(r, match));
+  const valuesOf = (kind) => [...new Set(keys.filter((k) => k.kind === kind).map((k) => k.value))];
+
+  const emails = valuesOf("email");
+  if (emails.length) {
+    const leads = await Lead.findAll({
+      where: { email: { [Op.in]: emails } },
+      attributes: ["id", "email"],
+      order: [["id", "ASC"]],
+      transaction,
+    });
+    for (const l of leads) add("email", String(l.email).toLowerCase(), l.id);
+  }
+
+  const phoneNorms = [...new Set(keys.filter((k) => k.kind === "phone").map((k) => k.key))];
+  if (phoneNorms.length) {
+    // MySQL 8+: REGEXP_REPLACE(phone, '[^0-9]', '') IN (:phoneNorms)
+    const normalizedDbPhone = fn("REGEXP_REPLACE", col("phone"), "[^0-9]", "");
+    const leads = await Lead.findAll({
+      where: where(normalizedDbPhone, { [Op.in]: phoneNorms }),
+      attributes: ["id", "phone"],
+      order: [["id", "ASC"]],
+      transaction,
+    });
+    for (const l of leads) add("phone", normalizePhoneDigits(l.phone), l.id);
+  }
+
+  const customValues = valuesOf("custom");
+  if (match.field && customValues.length) {
+    const column = CUSTOM_VALUE_COLUMN[match.field.type];
+    const rowsFound = await LeadCustomFieldValue.findAll({
+      where: { field_id: match.field.id, [column]: { [Op.in]: customValues } },
+      attributes: ["lead_id", column],
+      include: [{ model: Lead, attributes: [] }], // default scope: skips trashed leads
+      order: [["lead_id", "ASC"]],
+      transaction,
+    });
+    for (const r of rowsFound) add("custom", customMatchKey(match.field, r[column]), r.lead_id);
+  }
+
+  return found;
+};
+
+/** Values a prepared row brings to an existing lead (status/source only if the row named a known one) */
+const pickRowValues = (row) => {
+  const values = {};
+  for (const f of UPDATABLE_FIELDS) values[f] = row[f];
+  if (!row._valueProvided) delete values.value_decimal;
+  if (!row._statusFallback) values.status_id = row.status_id;
+  if (!row._sourceFallback) values.source_id = row.source_id;
+  return values;
+};
+
+const isEmptyLeadValue = (field, v) => isBlank(v) || (field === "value_decimal" && Number(v) === 0);
+
+/**
+ * Apply update-mode rows to their matched leads (in row order; later rows see earlier updates).
+ * updates: [{ row, leadId, matchedBy }]; row is a prepared import row
+ * - Changed lead fields and custom values are recorded in lead_changes (origin "import_update")
+ * - The row's notes are appended as a new LeadNote
+ * Returns [{ index, lead_id, matched_by, fields: string[], note_added }]
+ */
+const applyImportUpdates = async ({ updates, strategy, customFields, actorId, transaction }) => {
+  if (!updates.length) return [];
+
+  const ids = [...new Set(updates.map((u) => u.leadId))];
+  const leads = await Lead.findAll({ where: { id: { [Op.in]: ids } }, transaction });
+  const byId = new Map(leads.map((l) => [Number(l.id), l]));
+  const customByLead = await loadCustomFieldMap(ids, customFields, { transaction });
+
+  const report = [];
+  for (const { row, leadId, matchedBy } of updates) {
+    const lead = byId.get(leadId);
+    if (!lead) continue;
+
+    const before = {};
+    for (const field of TRACKED_FIELDS) before[field] = lead.get(field);
+
+    for (const [field, value] of Object.entries(pickRowValues(row))) {
+      if (isBlank(value)) continue;
+      if (strategy === "fill" && !isEmptyLeadValue(field, before[field])) continue;
+      lead.set(field, value);
+    }
+    const diffs = diffLeadFields(before, lead.get({ plain: true }));
+
+    if (!customByLead.has(leadId)) customByLead.set(leadId, {});
+    const current = customByLead.get(leadId);
+    const customRows = [];
+    for (const { field, value } of row._customValues) {
+      if (strategy === "fill" && !isBlank(formatCustomValue(field, current[field.key]))) continue;
+      const oldValue = formatCustomValue(field, current[field.key]) || null;
+      const newValue = formatCustomValue(field, value) || null;
+      if (oldValue === newValue) continue;
+      customRows.push({ lead_id: leadId, field, value });
+      diffs.push({ field: `custom:${field.key}`, old_value: oldValue, new_value: newValue });
+      current[field.key] = value;
+    }
+
+    if (diffs.length) {
+      lead.updated_by = actorId;
+      lead.updated_at = new Date();
+      await lead.save({ transaction });
+      await bulkSaveCustomFieldValues(customRows, { transaction });
+      await recordLeadChanges({
+        changes: diffs.map((d) => ({ lead_id: leadId, ...d })),
+        origin: "import_update",
+        actorId,
+        transaction,
+      });
+    }
+
+    let noteAdded = false;
+    if (row._noteBody) {
+      const note = await LeadNote.create({ lead_id: leadId, author_id: actorId, body: row._noteBody }, { transaction });
+      await lead.update({ updated_at: note.created_at }, { transaction });
+      noteAdded = true;
+    }
+
+    report.push({
+      index: row._rowIndex,
+      lead_id: leadId,
+      matched_by: matchedBy,
+      fields: diffs.map((d) => d.field),
+      note_added: noteAdded,
+    });
+  }
+  return report;
+};
+
+module.exports = {
+  IMPORT_MODES,
+  UPDATE_STRATEGIES,
+  MATCH_BY,
+  MATCHABLE_CUSTOM_TYPES,
+  normalizePhoneDigits,
+  resolveImportOptions,
+  rowMatchKeys,
+  findExistingMatches,
+  applyImportUpdates,
+};
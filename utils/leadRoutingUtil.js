@@ -0,0 +1,216 @@
+const { Op, fn, col } = require("sequelize");
+const { Lead, RoutingRule, TeamMember, User } = require("../models");
+const { assignLeads } = require("./leadAssignmentUtil");
+const { getActiveCustomFields } = require("./customFieldUtil");
+const { compileFilterDefinition } = require("./leadFilterUtil");
+
+const ROUTING_ACTIONS = ["assign_user", "round_robin", "least_loaded"];
+
+/**
+ * Saved filter keys a routing rule may match on (lead attributes known at creation time).
+ * Country and other lead columns, value ranges and custom fields go through "conditions".
+ */
+const ROUTING_MATCH_KEYS = ["status_ids", "source_ids", "value_min", "value_max", "search", "conditions"];
+
+/**
+ * Validate a rule's match_json; returns { where, errors: [{ path, error }] }.
+ * An empty object matches every lead (catch-all rule).
+ */
+const compileRoutingMatch = (match, customFields = []) => {
+  const { where, errors } = compileFilterDefinition(match, customFields);
+  if (match && typeof match === "object" && !Array.isArray(match)) {
+    for (const key of Object.keys(match)) {
+      if (!ROUTING_MATCH_KEYS.includes(key) && !errors.some((e) => e.path === key)) {
+        errors.push({ path: key, error: "not_allowed_in_routing_rule" });
+      }
+    }
+  }
+  return { where, errors };
+};
+
+/** Active users a rule can assign to, ordered by id */
+const getRulePool = async (rule, { transaction } = {}) => {
+  if (rule.action === "assign_user") {
+    const user = await User.findOne({
+      where: { id: rule.target_user_id, is_active: true },
+      attributes: ["id"],
+      transaction,
+    });
+    return user ? [user.id] : [];
+  }
+
+  const members = await TeamMember.findAll({
+    where: { team_id: rule.target_team_id },
+    attributes: ["user_id"],
+    transaction,
+  });
+  if (!members.length) return [];
+
+  const users = await User.findAll({
+    where: { id: { [Op.in]: members.map((m) => m.user_id) }, is_active: true },
+    attributes: ["id"],
+    order: [["id", "ASC"]],
+    transaction,
+  });
+  return users.map((u) => u.id);
+};
+
+/** Current (non-trashed) lead count per user, for least_loaded */
+const countCurrentLeads = async (userIds, { transaction } = {}) => {
+  const rows = await Lead.findAll({
+    where: { current_assignee_id: { [Op.in]: userIds } },
+    attributes: ["current_assignee_id", [fn("COUNT", col("id")), "lead_count"]],
+    group: ["current_assignee_id"],
+    raw: true,
+    transaction,
+  });
+  const counts = new Map(userIds.map((id) => [id, 0]));
+  for (const r of rows) counts.set(Number(r.current_assignee_id), Number(r.lead_count) || 0);
+  return counts;
+};
+
+/** Pick an assignee per lead id (leadIds in ascending order); returns Map(leadId -> userId) */
+const distribute = async (rule, pool, leadIds, { transaction } = {}) => {
+  const picks = new Map();
+
+  if (rule.action === "assign_user") {
+    for (const id of leadIds) picks.set(id, pool[0]);
+    return picks;
+  }
+
+  if (rule.action === "round_robin") {
+    // continue after the last user this rule assigned to
+    let i = rule.last_assignee_id ? pool.findIndex((id) => id > rule.last_assignee_id) : 0;
+    if (i < 0) i = 0;
+    for (const id of leadIds) {
+      picks.set(id, pool[i]);
+      i = (i + 1) % pool.length;
+    }
+    return picks;
+  }
+
+  // least_loaded: fewest current leads wins, ties go to the lowest user id
+  const counts = await countCurrentLeads(pool, { transaction });
+  for (const id of leadIds) {
+    let best = pool[0];
+    for (const userId of pool) if (counts.get(userId) < counts.get(best)) best = userId;
+    picks.set(id, best);
+    counts.set(best, counts.get(best) + 1);
+  }
+  return picks;
+};
+
+/**
+ * Evaluate active routing rules against leads (must already be visible in `transaction`,
+ * including their custom field values) and pick an assignee for each matched lead.
+ * - Rules run in priority order; a lead is taken by the first rule that matches it
+ * - Rules with an invalid match_json or no eligible users are skipped
+ * - round_robin rules persist their position (last_assignee_id); rules are read without locks, only a round_robin
+ *   rule that takes leads is locked (FOR UPDATE) until `transaction` ends
+ * Returns Map(leadId -> { rule_id, assignee_id }); unmatched leads are absent.
+ */
+const planLeadRouting = async ({ leadIds, transaction }) => {
+  const plan = new Map();
+  let remaining = Array.from(new Set((leadIds || []).map(Number).filter(Boolean)));
+  if (!remaining.length) return plan;
+
+  const rules = await RoutingRule.findAll({
+    where: { is_active: true },
+    order: [
+      ["priority", "ASC"],
+      ["id", "ASC"],
+    ],
+    transaction,
+  });
+  if (!rules.length) return plan;
+
+  const customFields = await getActiveCustomFields({ transaction });
+
+  for (const rule of rules) {
+    if (!remaining.length) break;
+
+    const { where, errors } = compileRoutingMatch(rule.match_json, customFields);
+    if (errors.length) {
+      console.warn(`Routing rule ${rule.id} skipped: invalid match_json`, errors);
+      continue;
+    }
+
+    const pool = await getRulePool(rule, { transaction });
+    if (!pool.length) continue;
+
+    const matched = await Lead.findAll({
+      where: { [Op.and]: [{ id: { [Op.in]: remaining } }, where] },
+      attributes: ["id"],
+      order: [["id", "ASC"]],
+      transaction,
+    });
+    if (!matched.length) continue;
+
+    // round_robin: lock the rule (only once it takes leads) and continue from its committed position
+    if (rule.action === "round_robin" && transaction) {
+      const locked = await RoutingRule.findByPk(rule.id, {
+        attributes: ["id", "last_assignee_id"],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!locked) continue;
+      rule.last_assignee_id = locked.last_assignee_id;
+    }
+
+    const matchedIds = matched.map((l) => Number(l.id));
+    const picks = await distribute(rule, pool, matchedIds, { transaction });
+    for (const [leadId, assigneeId] of picks) plan.set(leadId, { rule_id: rule.id, assignee_id: assigneeId });
+
+    if (rule.action === "round_robin") {
+      await rule.update({ last_assignee_id: picks.get(matchedIds[matchedIds.length - 1]) }, { transaction });
+    }
+
+    const taken = new Set(matchedIds);
+    remaining = remaining.filter((id) => !taken.has(id));
+  }
+
+  return plan;
+};
+
+/**
+ * Write a routing plan as assignments (one assignLeads call per assignee).
+ * Returns [{ rule_id, assignee_id, lead_ids }]
+ */
+const applyLeadRouting = async (plan, { assignedBy, transaction }) => {
+  const groups = new Map();
+  for (const [leadId, { rule_id, assignee_id }] of plan) {
+    const key = `${rule_id}:${assignee_id}`;
+    if (!groups.has(key)) groups.set(key, { rule_id, assignee_id, lead_ids: [] });
+    groups.get(key).lead_ids.push(leadId);
+  }
+
+  for (const g of groups.values()) {
+    await assignLeads({ leadIds: g.lead_ids, assigneeId: g.assignee_id, assignedBy, transaction });
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Initial assignment of newly created leads: routed leads go to the rule's pick,
+ * the rest fall back to `fallbackAssigneeId` (the creator).
+ * Returns Map(leadId -> { rule_id, assignee_id }) of routed leads.
+ */
+const routeNewLeads = async ({ leadIds, fallbackAssigneeId, assignedBy, transaction }) => {
+  const plan = await planLeadRouting({ leadIds, transaction });
+  await applyLeadRouting(plan, { assignedBy, transaction });
+
+  const unrouted = leadIds.filter((id) => !plan.has(Number(id)));
+  if (unrouted.length && fallbackAssigneeId) {
+    await assignLeads({ leadIds: unrouted, assigneeId: fallbackAssigneeId, assignedBy, transaction });
+  }
+  return plan;
+};
+
+module.exports = {
+  ROUTING_ACTIONS,
+  ROUTING_MATCH_KEYS,
+  compileRoutingMatch,
+  planLeadRouting,
+  applyLeadRouting,
+  routeNewLeads,
+};
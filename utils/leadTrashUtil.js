@@ -0,0 +1,54 @@
+const { Op } = require("sequelize");
+const { Lead, LeadAssignment, LeadNote, LeadCall, LeadChange, LeadCustomFieldValue, Task } = require("../models");
+
+const CHUNK = 1000;
+
+/** Days a lead stays in the trash before it may be purged (NODE_LEADHIVE_TRASH_RETENTION_DAYS, default 30) */
+const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.NODE_LEADHIVE_TRASH_RETENTION_DAYS || "30", 10);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+/** Leads trashed at or before this date are past retention */
+const getPurgeCutoff = (now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - getTrashRetentionDays());
+  return cutoff;
+};
+
+/**
+ * Permanently delete trashed leads that are past the retention period
+ * (and their notes, calls, assignments, change history, custom field values and tasks).
+ * - leadIds: optional; restrict the purge to these leads
+ * Returns { purged, lead_ids, cutoff }
+ */
+const purgeTrashedLeads = async ({ leadIds = null, transaction } = {}) => {
+  const cutoff = getPurgeCutoff();
+
+  const where = { deleted_at: { [Op.ne]: null, [Op.lte]: cutoff } };
+  if (Array.isArray(leadIds)) where.id = { [Op.in]: leadIds };
+
+  const rows = await Lead.unscoped().findAll({ where, attributes: ["id"], transaction });
+  const ids = rows.map((r) => r.id);
+
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const slice = ids.slice(i, i + CHUNK);
+    const byLead = { where: { lead_id: { [Op.in]: slice } }, transaction };
+
+    await LeadNote.destroy(byLead);
+    await LeadCall.destroy(byLead);
+    await LeadAssignment.destroy(byLead);
+    await LeadChange.destroy(byLead);
+    await LeadCustomFieldValue.destroy(byLead);
+    await Task.destroy(byLead);
+    await Lead.unscoped().destroy({ where: { id: { [Op.in]: slice } }, transaction });
+  }
+
+  return { purged: ids.length, lead_ids: ids, cutoff };
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeCutoff,
+  purgeTrashedLeads,
+};
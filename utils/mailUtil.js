@@ -0,0 +1,43 @@
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+/** Outgoing mail needs NODE_LEADHIVE_SMTP_HOST */
+const isMailConfigured = () => Boolean(process.env.NODE_LEADHIVE_SMTP_HOST);
+
+const getMailFrom = () =>
+  process.env.NODE_LEADHIVE_MAIL_FROM || process.env.NODE_LEADHIVE_SMTP_USER || "LeadHive <no-reply@leadhive.local>";
+
+/**
+ * SMTP transport from env (created once):
+ *  - NODE_LEADHIVE_SMTP_HOST, NODE_LEADHIVE_SMTP_PORT (default 587), NODE_LEADHIVE_SMTP_SECURE=true for TLS on connect
+ *  - NODE_LEADHIVE_SMTP_USER / NODE_LEADHIVE_SMTP_PASSWORD (no auth when unset, e.g. a local test SMTP server)
+ *  - NODE_LEADHIVE_SMTP_TLS_REJECT_UNAUTHORIZED=false to accept self-signed certificates
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const user = process.env.NODE_LEADHIVE_SMTP_USER;
+    transporter = nodemailer.createTransport({
+      host: process.env.NODE_LEADHIVE_SMTP_HOST,
+      port: parseInt(process.env.NODE_LEADHIVE_SMTP_PORT || "587", 10),
+      secure: process.env.NODE_LEADHIVE_SMTP_SECURE === "true",
+      auth: user ? { user, pass: process.env.NODE_LEADHIVE_SMTP_PASSWORD } : undefined,
+      tls: { rejectUnauthorized: process.env.NODE_LEADHIVE_SMTP_TLS_REJECT_UNAUTHORIZED !== "false" },
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send one email: { to: string[], subject, text, html?, attachments?: [{ filename, content, contentType }] }
+ * Returns nodemailer's info ({ messageId, accepted, rejected, ... }); throws when SMTP is not configured
+ */
+const sendMail = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!isMailConfigured()) throw new Error("SMTP is not configured (NODE_LEADHIVE_SMTP_HOST).");
+  return getTransporter().sendMail({ from: getMailFrom(), to, subject, text, html, attachments });
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+};
@@ -0,0 +1,442 @@
+const { Op, fn, col } = require("sequelize");
+const { Lead, LeadStatus, LeadSource, LeadNote, LeadCall, User, Role } = require("../models");
+const { resolveReportScope } = require("./teamScopeUtil");
+const { CALL_OUTCOMES, CONNECTED_OUTCOME } = require("./leadCallUtil");
+
+/**
+ * Build the monthly report payload (see GET /api/v1/reports/monthly in reportsController) for one period.
+ * user: { id, role } (role scoping as below); period: parseReportPeriod() result.
+ * Returns { period, scope, cards } or { status, error } for roles without a report scope
+ */
+const buildMonthlyReport = async ({ user, period }) => {
+  const { id: userId } = user;
+  const { start, end } = period;
+
+  // 1) Determine role-based scope for "agents"
+  //    - admin   -> all sales reps (no further restriction)
+  //    - manager -> sales reps in teams they manage (manager + members)
+  //    - sales_rep -> self
+  const scope = await resolveReportScope(user);
+  if (scope.error) return scope;
+  const scopeType = scope.type;
+  const scopedUserIds = scope.userIds; // used for role scoping of notes & sales
+
+  // 3) Load master lists: statuses & sources (for sales + performance table)
+  const allStatuses = await LeadStatus.findAll({
+    attributes: ["id", "value", "label"],
+    order: [["id", "ASC"]],
+  });
+
+  const allSources = await LeadSource.findAll({
+    attributes: ["id", "value", "label"],
+    order: [["id", "ASC"]],
+  });
+
+  // Find customer status (for sales)
+  const customerStatus = allStatuses.find((s) => {
+    const v = (s.value || "").toLowerCase();
+    const l = (s.label || "").toLowerCase();
+    return v === "customer" || l === "customer";
+  });
+
+  // 4) Find "agents" (sales reps) in scope
+  const agentWhere = { is_active: true };
+  if (scopeType === "self") {
+    agentWhere.id = userId;
+  } else if (scopeType === "team" && Array.isArray(scopedUserIds) && scopedUserIds.length) {
+    agentWhere.id = { [Op.in]: scopedUserIds };
+  }
+
+  const agentUsers = await User.findAll({
+    where: agentWhere,
+    include: [
+      {
+        model: Role,
+        attributes: [],
+        where: { value: "sales_rep" },
+      },
+    ],
+    attributes: ["id", "full_name", "email"],
+    order: [["full_name", "ASC"]],
+  });
+
+  const agentIds = agentUsers.map((u) => u.id);
+
+  // Common WHERE for LeadCall-based queries (calls logged this month by in-scope agents)
+  const callsWhere = {
+    called_at: {
+      [Op.gte]: start,
+      [Op.lte]: end,
+    },
+  };
+
+  if (agentIds.length) {
+    callsWhere.caller_id = { [Op.in]: agentIds };
+  } else if (scopeType !== "all") {
+    // No agents but scoped role -> force zero rows
+    callsWhere.caller_id = { [Op.in]: [-1] };
+  }
+
+  // Notes are tracked separately (they are no longer counted as calls)
+  const notesWhere = {
+    created_at: {
+      [Op.gte]: start,
+      [Op.lte]: end,
+    },
+  };
+  if (callsWhere.caller_id) notesWhere.author_id = callsWhere.caller_id;
+
+  // =========================
+  // 6) Call Statistics card
+  // =========================
+  let callStatistics = {
+    totalCalls: 0,
+    connectedCalls: 0,
+    byOutcome: CALL_OUTCOMES.map((outcome) => ({ outcome, count: 0 })),
+    byAgent: [],
+  };
+
+  let callCountsMap = new Map();
+
+  if (agentIds.length) {
+    const callStatsRows = await LeadCall.findAll({
+      where: callsWhere,
+      attributes: [
+        "caller_id",
+        "outcome",
+        [fn("COUNT", col("LeadCall.id")), "call_count"],
+        [fn("SUM", col("LeadCall.duration_seconds")), "total_duration"],
+      ],
+      include: [{ model: Lead, attributes: [] }], // excludes calls on trashed leads
+      group: ["caller_id", "outcome"],
+      raw: true,
+    });
+
+    // agentId -> { calls, connected, duration }
+    const outcomeCounts = new Map();
+    for (const r of callStatsRows) {
+      const aid = Number(r.caller_id);
+      const count = Number(r.call_count || 0);
+      const current = callCountsMap.get(aid) || { calls: 0, connected: 0, duration: 0 };
+      current.calls += count;
+      current.duration += Number(r.total_duration || 0);
+      if (r.outcome === CONNECTED_OUTCOME) current.connected += count;
+      callCountsMap.set(aid, current);
+      outcomeCounts.set(r.outcome, (outcomeCounts.get(r.outcome) || 0) + count);
+    }
+
+    const byAgent = agentUsers.map((user) => {
+      const counts = callCountsMap.get(user.id) || { calls: 0, connected: 0, duration: 0 };
+      return {
+        user_id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        call_count: counts.calls,
+        connected_count: counts.connected,
+        total_duration_seconds: counts.duration,
+      };
+    });
+
+    callStatistics = {
+      totalCalls: byAgent.reduce((sum, a) => sum + a.call_count, 0),
+      connectedCalls: byAgent.reduce((sum, a) => sum + a.connected_count, 0),
+      byOutcome: CALL_OUTCOMES.map((outcome) => ({ outcome, count: outcomeCounts.get(outcome) || 0 })),
+      byAgent: byAgent.sort((a, b) => b.call_count - a.call_count || a.full_name.localeCompare(b.full_name)),
+    };
+  }
+
+  // =========================
+  // 7) Calls by Source card
+  // =========================
+  //
+  // Calls logged this month, grouped by the called lead's source.
+  let callsBySource = [];
+
+  if (agentIds.length) {
+    const callsBySourceRows = await LeadCall.findAll({
+      where: callsWhere,
+      attributes: [
+        [col("Lead.source_id"), "source_id"],
+        [fn("COUNT", col("LeadCall.id")), "call_count"],
+      ],
+      include: [
+        {
+          model: Lead,
+          attributes: [],
+          include: [
+            {
+              model: LeadSource,
+              attributes: ["id", "label", "value"],
+            },
+          ],
+        },
+      ],
+      group: ["Lead.source_id", "Lead->LeadSource.id", "Lead->LeadSource.label", "Lead->LeadSource.value"],
+      raw: true,
+    });
+
+    callsBySource = callsBySourceRows.map((r) => ({
+      source_id: r.source_id,
+      label: r["Lead.LeadSource.label"] || null,
+      value: r["Lead.LeadSource.value"] || null,
+      call_count: Number(r.call_count || 0),
+    }));
+  }
+
+  // =========================
+  // 8) Sales from Calls card
+  // =========================
+  //
+  // Now requires BOTH:
+  //  - Lead.status = CUSTOMER AND Lead.updated_at in [start, end] (i.e., last contacted this month)
+  //  - Lead has at least one LeadCall this month by an in-scope agent.
+  let salesFromCalls = {
+    totalCustomers: 0,
+    bySource: [],
+  };
+
+  const conversionsMap = new Map(); // user_id -> conversions_this_month
+
+  // Precompute: which leads had calls this month (for "from calls" requirement)
+  let leadIdsWithCallsThisMonth = new Set();
+  if (agentIds.length) {
+    const leadsWithCallsRows = await LeadCall.findAll({
+      where: callsWhere,
+      attributes: [[fn("DISTINCT", col("lead_id")), "lead_id"]],
+      include: [{ model: Lead, attributes: [] }],
+      raw: true,
+    });
+
+    leadIdsWithCallsThisMonth = new Set(
+      leadsWithCallsRows.map((r) => Number(r.lead_id)).filter((id) => !Number.isNaN(id)),
+    );
+  }
+
+  if (customerStatus) {
+    const salesWhere = {
+      status_id: customerStatus.id,
+      updated_at: {
+        [Op.gte]: start,
+        [Op.lte]: end,
+      },
+      current_assignee_id: { [Op.ne]: null },
+    };
+
+    if (scopeType === "team" && scopedUserIds && scopedUserIds.length) {
+      salesWhere.current_assignee_id = { [Op.in]: scopedUserIds };
+    } else if (scopeType === "self") {
+      salesWhere.current_assignee_id = userId;
+    }
+
+    const customerLeadsRaw = await Lead.findAll({
+      where: salesWhere,
+      attributes: ["id", "source_id", "current_assignee_id"],
+      include: [
+        {
+          model: LeadSource,
+          attributes: ["id", "label", "value"],
+        },
+      ],
+    });
+
+    // Filter to only those leads that had at least one logged call this month
+    const customerLeads = customerLeadsRaw.filter((lead) => leadIdsWithCallsThisMonth.has(lead.id));
+
+    const totalCustomers = customerLeads.length;
+
+    // Group customers by source
+    const bySourceMap = new Map();
+    for (const lead of customerLeads) {
+      const id = lead.source_id || 0;
+      const key = String(id);
+      const current = bySourceMap.get(key) || {
+        source_id: id,
+        label: lead.LeadSource ? lead.LeadSource.label : null,
+        value: lead.LeadSource ? lead.LeadSource.value : null,
+        count: 0,
+      };
+      current.count += 1;
+      bySourceMap.set(key, current);
+
+      // Attribute conversions to current assignee (agent)
+      const assigneeId = lead.current_assignee_id ? Number(lead.current_assignee_id) : null;
+
+      if (assigneeId && agentIds.includes(assigneeId)) {
+        const prev = conversionsMap.get(assigneeId) || 0;
+        conversionsMap.set(assigneeId, prev + 1);
+      }
+    }
+
+    const customersBySource = Array.from(bySourceMap.values()).sort((a, b) => b.count - a.count);
+
+    salesFromCalls = {
+      totalCustomers,
+      bySource: customersBySource,
+    };
+  }
+
+  // =========================
+  // 9) Monthly Performance table
+  // =========================
+  //
+  // Month-based:
+  //  - status_counts: only leads whose current assignment (current_assigned_at)
+  //    falls within [start, end].
+  //  - source_counts: same, but grouped by Lead.source_id.
+  //  - callsThisMonth: from LeadCall (already month-filtered above).
+  //  - conversionsThisMonth: from salesFromCalls (already month-filtered).
+  //  - notesThisMonth: LeadNotes written this month (informational; not calls).
+  // "Month" is the report period; the *_this_month keys are kept for the Reports page.
+  let monthlyPerformance = {
+    statuses: allStatuses.map((s) => ({
+      id: s.id,
+      value: s.value,
+      label: s.label,
+    })),
+    sources: allSources.map((src) => ({
+      id: src.id,
+      value: src.value,
+      label: src.label,
+    })),
+    agents: [],
+  };
+
+  if (agentIds.length) {
+    const noteRows = await LeadNote.findAll({
+      where: notesWhere,
+      attributes: ["author_id", [fn("COUNT", col("LeadNote.id")), "note_count"]],
+      include: [{ model: Lead, attributes: [] }], // excludes notes on trashed leads
+      group: ["author_id"],
+      raw: true,
+    });
+    const noteCountsMap = new Map(noteRows.map((r) => [Number(r.author_id), Number(r.note_count || 0)]));
+
+    // 9.1 Status breakdown by agent (ONLY assignments in this month)
+    const statusRows = await Lead.findAll({
+      attributes: [
+        [col("current_assignee_id"), "assignee_id"],
+        "status_id",
+        [fn("COUNT", col("Lead.id")), "lead_count"],
+      ],
+      where: {
+        current_assignee_id: { [Op.in]: agentIds },
+        current_assigned_at: {
+          [Op.gte]: start,
+          [Op.lte]: end,
+        },
+      },
+      group: ["current_assignee_id", "status_id"],
+      raw: true,
+    });
+
+    const statusCountsByAgent = new Map(); // agentId -> Map(statusId -> count)
+    for (const row of statusRows) {
+      const aid = String(row.assignee_id);
+      const sid = String(row.status_id || 0);
+      const count = Number(row.lead_count || 0);
+
+      if (!statusCountsByAgent.has(aid)) {
+        statusCountsByAgent.set(aid, new Map());
+      }
+      const inner = statusCountsByAgent.get(aid);
+      inner.set(sid, (inner.get(sid) || 0) + count);
+    }
+
+    // 9.2 Source breakdown by agent (ONLY assignments in this month)
+    const sourceRows = await Lead.findAll({
+      attributes: [
+        [col("current_assignee_id"), "assignee_id"],
+        "source_id",
+        [fn("COUNT", col("Lead.id")), "lead_count"],
+      ],
+      where: {
+        current_assignee_id: { [Op.in]: agentIds },
+        current_assigned_at: {
+          [Op.gte]: start,
+          [Op.lte]: end,
+        },
+      },
+      group: ["current_assignee_id", "source_id"],
+      raw: true,
+    });
+
+    const sourceCountsByAgent = new Map(); // agentId -> Map(sourceId -> count)
+    for (const row of sourceRows) {
+      const aid = String(row.assignee_id);
+      const sid = String(row.source_id || 0);
+      const count = Number(row.lead_count || 0);
+
+      if (!sourceCountsByAgent.has(aid)) {
+        sourceCountsByAgent.set(aid, new Map());
+      }
+      const inner = sourceCountsByAgent.get(aid);
+      inner.set(sid, (inner.get(sid) || 0) + count);
+    }
+
+    // 9.3 Build final per-agent rows
+    const agentsPerf = agentUsers.map((user) => {
+      const aid = user.id;
+
+      const statusMap = statusCountsByAgent.get(String(aid)) || new Map();
+      const sourceMap = sourceCountsByAgent.get(String(aid)) || new Map();
+
+      const statusCounts = allStatuses.map((s) => ({
+        status_id: s.id,
+        status_value: s.value,
+        status_label: s.label,
+        count: statusMap.get(String(s.id)) || 0,
+      }));
+
+      const sourceCounts = allSources.map((src) => ({
+        source_id: src.id,
+        source_value: src.value,
+        source_label: src.label,
+        count: sourceMap.get(String(src.id)) || 0,
+      }));
+
+      const callsThisMonth = callCountsMap.get(aid)?.calls || 0;
+      const conversionsThisMonth = conversionsMap.get(aid) || 0;
+      const conversionRate = callsThisMonth > 0 ? conversionsThisMonth / callsThisMonth : 0;
+
+      return {
+        user_id: aid,
+        full_name: user.full_name,
+        email: user.email,
+        calls_this_month: callsThisMonth,
+        notes_this_month: noteCountsMap.get(aid) || 0,
+        conversion_rate: conversionRate,
+        status_counts: statusCounts,
+        source_counts: sourceCounts,
+      };
+    });
+
+    monthlyPerformance = {
+      statuses: monthlyPerformance.statuses,
+      sources: monthlyPerformance.sources,
+      agents: agentsPerf.sort(
+        (a, b) => b.calls_this_month - a.calls_this_month || a.full_name.localeCompare(b.full_name),
+      ),
+    };
+  }
+
+  // =========================
+  // 10) Final payload
+  // =========================
+  return {
+    period,
+    scope: {
+      type: scopeType, // "all" | "team" | "self"
+      user_id: userId,
+    },
+    cards: {
+      callStatistics,
+      callsBySource,
+      salesFromCalls,
+      monthlyPerformance,
+    },
+  };
+};
+
+module.exports = {
+  buildMonthlyReport,
+};
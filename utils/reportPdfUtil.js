@@ -0,0 +1,185 @@
+const path = require("path");
+const ejs = require("ejs");
+const puppeteer = require("puppeteer");
+const { User } = require("../models");
+
+const REPORT_VIEW = path.join(__dirname, "..", "views", "report-pdf.ejs");
+
+/** Brand name shown in the report header and page footer */
+const getReportBrand = () => process.env.NODE_LEADHIVE_REPORT_BRAND || "LeadHive";
+
+const escapeHtml = (v) =>
+  String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const formatDuration = (seconds) => {
+  const total = Math.round(Number(seconds) || 0);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m ${total % 60}s`;
+};
+
+const formatPercent = (rate) => `${((Number(rate) || 0) * 100).toFixed(1)}%`;
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00.000Z`).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * Label of a report period (see reportPeriodUtil parseReportPeriod): "March 2026" for a calendar month, else
+ * "Oct 1, 2026 – Oct 19, 2026"; the timezone is appended when it is not UTC
+ */
+const formatReportPeriod = ({ year, month, from, to, timezone }) => {
+  let label = from === to ? formatDay(from) : `${formatDay(from)} – ${formatDay(to)}`;
+  if (month) {
+    label = new Date(Date.UTC(year, month - 1, 1)).toLocaleString("en-US", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+  return timezone && timezone !== "UTC" ? `${label} (${timezone})` : label;
+};
+
+// "+12 (+8.3%) vs September 2026" for a computeDelta result
+const formatChange = (delta, comparedWith) => {
+  const sign = delta.change > 0 ? "+" : "";
+  const pct = delta.change_pct === null ? "" : ` (${sign}${delta.change_pct}%)`;
+  return `${sign}${delta.change}${pct} vs ${comparedWith}`;
+};
+
+/** Human label of a report scope { type, user_id }: all sales reps, a manager's teams or one rep */
+const describeReportScope = async (scope) => {
+  if (scope.type === "all") return "All sales reps";
+  const user = await User.findByPk(scope.user_id, { attributes: ["id", "full_name"] });
+  const name = user?.full_name || `User #${scope.user_id}`;
+  return scope.type === "team" ? `Teams managed by ${name}` : name;
+};
+
+/**
+ * Template data (see views/report-pdf.ejs) of a monthly report payload (see reportsController buildMonthlyReport):
+ * summary figures (with their change when the report has a comparison), then one table per card; the agent
+ * performance table has a column per lead status.
+ */
+const buildMonthlyReportView = (report, { scopeLabel }) => {
+  const { callStatistics, callsBySource, salesFromCalls, monthlyPerformance } = report.cards;
+  const period = formatReportPeriod(report.period);
+  const sourceLabel = (r) => r.label || r.value || "Unknown";
+
+  const deltas = report.comparison?.deltas;
+  const change = (card, key) =>
+    deltas ? formatChange(deltas[card][key], formatReportPeriod(report.comparison.period)) : null;
+
+  return {
+    title: `${report.period.month ? "Monthly report" : "Report"} – ${period}`,
+    brand: getReportBrand(),
+    period,
+    scopeLabel,
+    generatedAt: new Date().toISOString().slice(0, 16).replace("T", " ") + " UTC",
+    summary: [
+      { label: "Total calls", value: callStatistics.totalCalls, change: change("callStatistics", "totalCalls") },
+      {
+        label: "Connected calls",
+        value: callStatistics.connectedCalls,
+        change: change("callStatistics", "connectedCalls"),
+      },
+      {
+        label: "Customers from calls",
+        value: salesFromCalls.totalCustomers,
+        change: change("salesFromCalls", "totalCustomers"),
+      },
+      { label: "Agents", value: monthlyPerformance.agents.length },
+    ],
+    sections: [
+      {
+        title: "Calls by outcome",
+        columns: [
+          { key: "outcome", label: "Outcome" },
+          { key: "count", label: "Calls", numeric: true },
+        ],
+        rows: callStatistics.byOutcome,
+      },
+      {
+        title: "Calls by agent",
+        columns: [
+          { key: "full_name", label: "Agent" },
+          { key: "email", label: "Email" },
+          { key: "call_count", label: "Calls", numeric: true },
+          { key: "connected_count", label: "Connected", numeric: true },
+          { key: "talk_time", label: "Talk time", numeric: true },
+        ],
+        rows: callStatistics.byAgent.map((a) => ({ ...a, talk_time: formatDuration(a.total_duration_seconds) })),
+      },
+      {
+        title: "Calls by source",
+        columns: [
+          { key: "source", label: "Source" },
+          { key: "call_count", label: "Calls", numeric: true },
+        ],
+        rows: callsBySource.map((r) => ({ source: sourceLabel(r), call_count: r.call_count })),
+      },
+      {
+        title: "Sales from calls by source",
+        columns: [
+          { key: "source", label: "Source" },
+          { key: "count", label: "Customers", numeric: true },
+        ],
+        rows: salesFromCalls.bySource.map((r) => ({ source: sourceLabel(r), count: r.count })),
+      },
+      {
+        title: "Agent performance",
+        note: "Status counts cover leads assigned in the period.",
+        columns: [
+          { key: "full_name", label: "Agent" },
+          { key: "calls_this_month", label: "Calls", numeric: true },
+          { key: "notes_this_month", label: "Notes", numeric: true },
+          { key: "conversion", label: "Conversion", numeric: true },
+          ...monthlyPerformance.statuses.map((s) => ({ key: `status_${s.id}`, label: s.label, numeric: true })),
+        ],
+        rows: monthlyPerformance.agents.map((a) => ({
+          ...a,
+          conversion: formatPercent(a.conversion_rate),
+          ...Object.fromEntries(a.status_counts.map((c) => [`status_${c.status_id}`, c.count])),
+        })),
+      },
+    ],
+  };
+};
+
+/**
+ * Render views/report-pdf.ejs with `view` and print it to an A4 landscape PDF (headless Chrome).
+ * Returns a Buffer
+ */
+const renderReportPdf = async (view) => {
+  const html = await ejs.renderFile(REPORT_VIEW, view);
+  const browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox", "--disable-setuid-sandbox"] });
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "load" });
+    const pdf = await page.pdf({
+      format: "A4",
+      landscape: true,
+      printBackground: true,
+      margin: { top: "15mm", bottom: "15mm", left: "12mm", right: "12mm" },
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: `<div style="width:100%;font-size:8px;color:#888;padding:0 12mm;text-align:right">
+        ${escapeHtml(view.brand || "")} · Page <span class="pageNumber"></span> of <span class="totalPages"></span>
+      </div>`,
+    });
+    return Buffer.from(pdf);
+  } finally {
+    await browser.close();
+  }
+};
+
+module.exports = {
+  getReportBrand,
+  formatReportPeriod,
+  describeReportScope,
+  buildMonthlyReportView,
+  renderReportPdf,
+};
@@ -0,0 +1,284 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Longest period a report covers (days) */
+const MAX_PERIOD_DAYS = 366;
+
+/** Named periods, relative to today in the report timezone (weeks start on Monday; "this_*" run up to today) */
+const PERIOD_PRESETS = [
+  "today",
+  "yesterday",
+  "this_week",
+  "last_week",
+  "last_7_days",
+  "last_30_days",
+  "last_90_days",
+  "this_month",
+  "last_month",
+  "this_quarter",
+  "last_quarter",
+  "year_to_date",
+  "last_year",
+];
+
+/** previous_period: the period just before (same length, or same months); previous_year: a year earlier */
+const COMPARE_MODES = ["previous_period", "previous_year"];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Default report timezone (NODE_LEADHIVE_REPORT_TIMEZONE, IANA name, default UTC) */
+const getReportTimezone = () => process.env.NODE_LEADHIVE_REPORT_TIMEZONE || "UTC";
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+// Calendar days are handled as "YYYY-MM-DD" strings; arithmetic on their UTC midnight
+const pad = (n) => String(n).padStart(2, "0");
+const dayOf = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+const partsOf = (day) => day.split("-").map(Number);
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const isLastDayOfMonth = (day) => {
+  const [y, m, d] = partsOf(day);
+  return d === daysInMonth(y, m);
+};
+
+const isValidDay = (day) => {
+  if (!DAY_RE.test(day)) return false;
+  const [y, m, d] = partsOf(day);
+  return m >= 1 && m <= 12 && d >= 1 && d <= daysInMonth(y, m);
+};
+
+const addDays = (day, n) => {
+  const [y, m, d] = partsOf(day);
+  return dayOf(y, m, d + n);
+};
+
+// Same day n months later, clamped to the month's length (Mar 31 - 1 month = Feb 28)
+const addMonths = (day, n) => {
+  const [y, m, d] = partsOf(day);
+  const first = new Date(Date.UTC(y, m - 1 + n, 1));
+  const ty = first.getUTCFullYear();
+  const tm = first.getUTCMonth() + 1;
+  return dayOf(ty, tm, Math.min(d, daysInMonth(ty, tm)));
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Wall-clock fields of an instant in a timezone
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: get("year"), m: get("month"), d: get("day"), h: get("hour"), min: get("minute"), s: get("second") };
+};
+
+/** Today's date (YYYY-MM-DD) in a timezone */
+const zonedToday = (now, timezone) => {
+  const { y, m, d } = zonedParts(now, timezone);
+  return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+// Offset (ms) of a timezone from UTC at an instant
+const zoneOffsetMs = (instant, timezone) => {
+  const p = zonedParts(new Date(instant), timezone);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.min, p.s) - Math.floor(instant / 1000) * 1000;
+};
+
+/** The instant local `hour`:00 of `day` happens in a timezone (DST-aware) */
+const startOfZonedHour = (day, hour, timezone) => {
+  const wallClock = Date.parse(`${day}T${pad(hour)}:00:00.000Z`);
+  let utc = wallClock - zoneOffsetMs(wallClock, timezone);
+  utc = wallClock - zoneOffsetMs(utc, timezone);
+  return new Date(utc);
+};
+
+/** The instant local midnight of `day` happens in a timezone (DST-aware) */
+const startOfZonedDay = (day, timezone) => startOfZonedHour(day, 0, timezone);
+
+// [from, to] days of a preset, relative to `today`
+const presetDays = (preset, today) => {
+  const [y, m] = partsOf(today);
+  const weekday = (new Date(`${today}T00:00:00.000Z`).getUTCDay() + 6) % 7; // 0 = Monday
+  const monday = addDays(today, -weekday);
+  const quarterMonth = m - ((m - 1) % 3);
+
+  switch (preset) {
+    case "today":
+      return [today, today];
+    case "yesterday":
+      return [addDays(today, -1), addDays(today, -1)];
+    case "this_week":
+      return [monday, today];
+    case "last_week":
+      return [addDays(monday, -7), addDays(monday, -1)];
+    case "last_7_days":
+      return [addDays(today, -6), today];
+    case "last_30_days":
+      return [addDays(today, -29), today];
+    case "last_90_days":
+      return [addDays(today, -89), today];
+    case "this_month":
+      return [dayOf(y, m, 1), today];
+    case "last_month":
+      return [dayOf(y, m - 1, 1), dayOf(y, m, 0)];
+    case "this_quarter":
+      return [dayOf(y, quarterMonth, 1), today];
+    case "last_quarter":
+      return [dayOf(y, quarterMonth - 3, 1), dayOf(y, quarterMonth, 0)];
+    case "year_to_date":
+      return [dayOf(y, 1, 1), today];
+    case "last_year":
+      return [dayOf(y - 1, 1, 1), dayOf(y - 1, 12, 31)];
+    default:
+      return null;
+  }
+};
+
+// Months a preset spans for previous_period (null = compare by day count)
+const PRESET_MONTHS = {
+  this_month: 1,
+  last_month: 1,
+  this_quarter: 3,
+  last_quarter: 3,
+  year_to_date: 12,
+  last_year: 12,
+};
+
+// Build the period object for [from, to] (both days inclusive, local to timezone)
+const makePeriod = ({ preset = null, from, to, timezone }) => {
+  const [y, m, d] = partsOf(from);
+  const wholeMonth = d === 1 && to === dayOf(y, m + 1, 0);
+  return {
+    preset,
+    from,
+    to,
+    timezone,
+    year: wholeMonth ? y : null,
+    month: wholeMonth ? m : null,
+    days: daysBetween(from, to) + 1,
+    start: startOfZonedDay(from, timezone),
+    end: new Date(startOfZonedDay(addDays(to, 1), timezone).getTime() - 1),
+  };
+};
+
+/**
+ * Parse a report period from query params. One of (checked in this order):
+ *   ?preset=last_30_days                  (see PERIOD_PRESETS)
+ *   ?from=2026-03-01&to=2026-03-31        (both days inclusive; from defaults to the 1st of this month, to to today)
+ *   ?year=2026&month=3                    (a calendar month; year defaults to this year, month to this month)
+ * plus &timezone=Europe/Berlin (IANA name, default getReportTimezone()): days start at local midnight.
+ * Without any of them: the whole current calendar month. Spans at most MAX_PERIOD_DAYS.
+ * Returns { preset, from, to, timezone, year, month, days, start, end } (year/month only for a whole calendar
+ * month, else null); throws an Error with a user-facing message on invalid input
+ */
+function parseReportPeriod(query = {}, { now = new Date() } = {}) {
+  const timezone = query.timezone ? String(query.timezone) : getReportTimezone();
+  if (!isValidTimezone(timezone)) throw new Error("timezone must be an IANA timezone name, e.g. Europe/Berlin");
+  const today = zonedToday(now, timezone);
+  const [thisYear, thisMonth] = partsOf(today);
+
+  const hasRange = Boolean(query.from || query.to);
+  const hasMonth = Boolean(query.year || query.month);
+  if (query.preset && (hasRange || hasMonth)) throw new Error("Use either preset, from/to or year/month");
+  if (hasRange && hasMonth) throw new Error("Use either from/to or year/month");
+
+  let preset = null;
+  let from;
+  let to;
+  if (hasRange) {
+    from = query.from ? String(query.from) : `${today.slice(0, 8)}01`;
+    to = query.to ? String(query.to) : today;
+    if (!isValidDay(from)) throw new Error("from must be a date (YYYY-MM-DD)");
+    if (!isValidDay(to)) throw new Error("to must be a date (YYYY-MM-DD)");
+  } else if (hasMonth || !query.preset) {
+    const year = query.year ? Number(query.year) : thisYear;
+    const month = query.month ? Number(query.month) : thisMonth;
+    if (!Number.isInteger(year) || year < 1970 || year > 9999) throw new Error("year must be a year, e.g. 2026");
+    if (!Number.isInteger(month) || month < 1 || month > 12) throw new Error("Month must be between 1 and 12");
+    from = dayOf(year, month, 1);
+    to = dayOf(year, month + 1, 0);
+  } else {
+    preset = String(query.preset);
+    if (!PERIOD_PRESETS.includes(preset)) throw new Error(`preset must be one of: ${PERIOD_PRESETS.join(", ")}`);
+    [from, to] = presetDays(preset, today);
+  }
+
+  if (from > to) throw new Error("from must not be after to");
+  if (daysBetween(from, to) + 1 > MAX_PERIOD_DAYS) {
+    throw new Error(`The period can span at most ${MAX_PERIOD_DAYS} days`);
+  }
+
+  return makePeriod({ preset, from, to, timezone });
+}
+
+// Shift [from, to] by whole months; a period ending on a month's last day keeps ending on one
+const shiftMonths = (period, n) => {
+  const [y, m] = partsOf(period.to);
+  return {
+    from: addMonths(period.from, n),
+    to: isLastDayOfMonth(period.to) ? dayOf(y, m + n + 1, 0) : addMonths(period.to, n),
+  };
+};
+
+/**
+ * The period to compare `period` with (query ?compare=previous_period | previous_year), or null without compare.
+ * previous_period steps back by whole months for month-aligned periods (this_month compares with the same days of
+ * last month, a quarter with the previous quarter) and by the period's length otherwise.
+ * Throws an Error on an unknown mode
+ */
+function parseComparePeriod(query = {}, period) {
+  if (!query.compare) return null;
+  const mode = String(query.compare);
+  if (!COMPARE_MODES.includes(mode)) throw new Error(`compare must be one of: ${COMPARE_MODES.join(", ")}`);
+
+  let months = mode === "previous_year" ? 12 : PRESET_MONTHS[period.preset] || null;
+  if (!months && !period.preset && period.from.endsWith("-01") && isLastDayOfMonth(period.to)) {
+    const [fy, fm] = partsOf(period.from);
+    const [ty, tm] = partsOf(period.to);
+    months = (ty - fy) * 12 + (tm - fm) + 1;
+  }
+
+  const shifted = months
+    ? shiftMonths(period, -months)
+    : { from: addDays(period.from, -period.days), to: addDays(period.to, -period.days) };
+  return { compare: mode, ...makePeriod({ from: shifted.from, to: shifted.to, timezone: period.timezone }) };
+}
+
+/** { current, previous, change, change_pct } of one figure (change_pct: null when previous is 0) */
+const computeDelta = (current, previous) => {
+  const c = Number(current) || 0;
+  const p = Number(previous) || 0;
+  return {
+    current: c,
+    previous: p,
+    change: Number((c - p).toFixed(4)),
+    change_pct: p ? Number((((c - p) / Math.abs(p)) * 100).toFixed(1)) : null,
+  };
+};
+
+module.exports = {
+  MAX_PERIOD_DAYS,
+  PERIOD_PRESETS,
+  COMPARE_MODES,
+  getReportTimezone,
+  isValidTimezone,
+  addDays,
+  zonedToday,
+  startOfZonedHour,
+  parseReportPeriod,
+  parseComparePeriod,
+  computeDelta,
+};
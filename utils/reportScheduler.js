@@ -0,0 +1,70 @@
+const { Op } = require("sequelize");
+const { ReportSubscription } = require("../models");
+const { computeNextRunAt, deliverSubscription } = require("./reportSubscriptionUtil");
+
+// Subscriptions picked up per tick (the rest wait for the next one)
+const DUE_BATCH_SIZE = 20;
+
+/** Poll interval (NODE_LEADHIVE_REPORT_POLL_MS, default 60000) */
+const getReportPollMs = () => {
+  const ms = parseInt(process.env.NODE_LEADHIVE_REPORT_POLL_MS || "60000", 10);
+  return Number.isFinite(ms) && ms > 0 ? ms : 60000;
+};
+
+/**
+ * Deliver the active subscriptions whose next_run_at has passed. Each one is claimed first by moving its
+ * next_run_at to the following slot (only if nobody moved it since), so two API processes never send the same run;
+ * runs missed while the server was down are sent once. Returns the number of deliveries attempted
+ */
+const runDueSubscriptions = async (now = new Date()) => {
+  const due = await ReportSubscription.findAll({
+    where: { is_active: true, next_run_at: { [Op.lte]: now } },
+    order: [["next_run_at", "ASC"]],
+    limit: DUE_BATCH_SIZE,
+  });
+
+  let attempted = 0;
+  for (const subscription of due) {
+    const runAt = new Date(subscription.next_run_at);
+    const [claimed] = await ReportSubscription.update(
+      { next_run_at: computeNextRunAt(subscription, now) },
+      { where: { id: subscription.id, next_run_at: subscription.next_run_at } }
+    );
+    if (!claimed) continue;
+
+    await deliverSubscription(subscription, { trigger: "schedule", runAt });
+    attempted++;
+  }
+  return attempted;
+};
+
+/**
+ * Check for due report subscriptions every poll interval (in this process).
+ * Used by index.js unless NODE_LEADHIVE_REPORT_SCHEDULER=false. Returns { stop }
+ */
+const startReportScheduler = ({ pollMs = getReportPollMs() } = {}) => {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      await runDueSubscriptions();
+    } catch (err) {
+      console.error("Report Scheduler Error:", err.message);
+    }
+    if (!stopped) timer = setTimeout(tick, pollMs);
+  };
+
+  timer = setTimeout(tick, pollMs);
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
+
+module.exports = {
+  runDueSubscriptions,
+  startReportScheduler,
+};
@@ -0,0 +1,260 @@
+const { once } = require("events");
+const { PassThrough } = require("stream");
+const { Op } = require("sequelize");
+const { Lead, User, Role, ReportDelivery } = require("../models");
+const { getActiveCustomFields } = require("./customFieldUtil");
+const {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  buildExportWhere,
+  writeLeadExport,
+  createExportWriter,
+} = require("./leadExportUtil");
+const { getReportBrand, describeReportScope, buildMonthlyReportView, renderReportPdf } = require("./reportPdfUtil");
+const { sendMail } = require("./mailUtil");
+const {
+  getReportTimezone,
+  addDays,
+  zonedToday,
+  startOfZonedHour,
+  parseReportPeriod,
+} = require("./reportPeriodUtil");
+const { buildMonthlyReport } = require("./monthlyReportUtil");
+
+/** What a subscription sends: the monthly report (see GET /reports/monthly) or a lead export (see /leads/export) */
+const REPORT_TYPES = ["monthly_report", "leads_export"];
+
+/** Attachment formats by report type (first = default) */
+const REPORT_FORMATS = {
+  monthly_report: ["pdf"],
+  leads_export: EXPORT_FORMATS,
+};
+
+const CADENCES = ["daily", "weekly", "monthly"];
+
+const MAX_RECIPIENTS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Most leads a leads_export delivery attaches (NODE_LEADHIVE_REPORT_EXPORT_MAX_ROWS, default 50000) */
+const getExportMaxRows = () => parseInt(process.env.NODE_LEADHIVE_REPORT_EXPORT_MAX_ROWS || "50000", 10) || 50000;
+
+/** Largest attachment a delivery sends, in MB (NODE_LEADHIVE_REPORT_ATTACHMENT_MAX_MB, default 20) */
+const getAttachmentMaxMb = () => Number(process.env.NODE_LEADHIVE_REPORT_ATTACHMENT_MAX_MB) || 20;
+
+const pad = (n) => String(n).padStart(2, "0");
+const formatDay = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/** A subscription's timezone (IANA name; subscriptions saved before it was stored: the default report timezone) */
+const subscriptionTimezone = (subscription) => subscription.timezone || getReportTimezone();
+
+/**
+ * First send time of a subscription strictly after `after`: send_hour every day, on send_weekday (0 = Sunday)
+ * for weekly, on send_day (1-28) for monthly, all on the wall clock of the subscription's timezone (DST-aware)
+ */
+const computeNextRunAt = (subscription, after = new Date()) => {
+  const { cadence, send_hour: hour, send_weekday: weekday, send_day: day } = subscription;
+  const timezone = subscriptionTimezone(subscription);
+  const sendAt = (date) => startOfZonedHour(date, hour, timezone);
+  const today = zonedToday(after, timezone);
+
+  if (cadence === "monthly") {
+    const [y, m] = today.split("-").map(Number);
+    const thisMonth = sendAt(`${today.slice(0, 8)}${pad(day)}`);
+    return thisMonth > after ? thisMonth : sendAt(formatDay(new Date(Date.UTC(y, m, day))));
+  }
+
+  let date = today;
+  if (sendAt(date) <= after) date = addDays(date, 1);
+  if (cadence === "weekly") {
+    while (new Date(`${date}T00:00:00.000Z`).getUTCDay() !== Number(weekday)) date = addDays(date, 1);
+  }
+  return sendAt(date);
+};
+
+// Start of the cadence period ending at runAt: 1 day, 7 days or 1 calendar month earlier
+const cadencePeriodStart = (cadence, runAt) => {
+  if (cadence === "weekly") return new Date(runAt.getTime() - 7 * DAY_MS);
+  if (cadence === "monthly") {
+    const start = new Date(runAt);
+    start.setUTCMonth(start.getUTCMonth() - 1);
+    return start;
+  }
+  return new Date(runAt.getTime() - DAY_MS);
+};
+
+/** The user a subscription runs as: { id, role, full_name }; null when the owner is inactive or gone */
+const loadSubscriptionOwner = async (ownerId) => {
+  const user = await User.findOne({
+    where: { id: ownerId, is_active: true },
+    attributes: ["id", "full_name"],
+    include: [{ model: Role, attributes: ["value"] }],
+  });
+  return user ? { id: user.id, role: user.Role ? user.Role.value : null, full_name: user.full_name } : null;
+};
+
+// Run an export into memory: produce(writer) writes the pages, the writer is ended here.
+// Throws once the output grows past getAttachmentMaxMb()
+const collectExport = async (format, columns, produce) => {
+  const maxMb = getAttachmentMaxMb();
+  const maxBytes = maxMb * 1024 * 1024;
+  const stream = new PassThrough();
+  const chunks = [];
+  let bytes = 0;
+  stream.on("data", (chunk) => {
+    bytes += chunk.length;
+    if (bytes <= maxBytes) chunks.push(chunk);
+  });
+  const ended = once(stream, "end");
+  const checkSize = () => {
+    if (bytes > maxBytes) throw new Error(`The export is larger than ${maxMb} MB; narrow the filters.`);
+  };
+
+  const writer = createExportWriter(format, stream, columns);
+  const rowCount = await produce({
+    ...writer,
+    write: async (leads, extras) => {
+      checkSize();
+      await writer.write(leads, extras);
+    },
+  });
+  await writer.end();
+  await ended;
+  checkSize();
+  return { writer, rowCount, content: Buffer.concat(chunks) };
+};
+
+/**
+ * The monthly report of the month the day before runAt falls in (a run on the 1st sends the previous month),
+ * scoped to the owner's role; months follow the subscription's timezone
+ */
+const buildMonthlyReportAttachment = async (subscription, owner, runAt) => {
+  const timezone = subscriptionTimezone(subscription);
+  const dayBefore = zonedToday(new Date(runAt.getTime() - DAY_MS), timezone);
+  const period = parseReportPeriod({ year: dayBefore.slice(0, 4), month: dayBefore.slice(5, 7), timezone });
+  const report = await buildMonthlyReport({ user: owner, period });
+  if (report.error) throw new Error(report.error);
+
+  const view = buildMonthlyReportView(report, { scopeLabel: await describeReportScope(report.scope) });
+  return {
+    filename: `monthly-report-${period.year}-${pad(period.month)}.pdf`,
+    contentType: "application/pdf",
+    content: await renderReportPdf(view),
+    period: { start: period.start, end: period.end, label: view.period },
+    rowCount: null,
+    lines: [view.title, `Scope: ${view.scopeLabel}`, ...view.summary.map((s) => `${s.label}: ${s.value}`)],
+  };
+};
+
+/**
+ * Leads matching the subscription filters (owner's role scope); new_leads_only limits them to leads created
+ * during the cadence period before runAt. Throws (a failed delivery) past getExportMaxRows() leads
+ */
+const buildLeadExportAttachment = async (subscription, owner, runAt) => {
+  const customFields = await getActiveCustomFields();
+  const picked = resolveExportColumns(subscription.columns_json, customFields);
+  if (picked.error) throw new Error(picked.error);
+  const { columns } = picked;
+
+  const built = await buildExportWhere(subscription.filters_json || {}, { user: owner, customFields });
+  if (built.error) throw new Error(built.error);
+
+  // Days in labels and the file name are local to the subscription's timezone
+  const timezone = subscriptionTimezone(subscription);
+  const runDay = zonedToday(runAt, timezone);
+  let { where } = built;
+  let period = { start: null, end: runAt, label: `until ${runDay}` };
+  if (subscription.new_leads_only) {
+    const start = cadencePeriodStart(subscription.cadence, runAt);
+    where = { [Op.and]: [where, { created_at: { [Op.gte]: start, [Op.lt]: runAt } }] };
+    period = { start, end: runAt, label: `${zonedToday(start, timezone)} to ${runDay}` };
+  }
+
+  const maxRows = getExportMaxRows();
+  const count = await Lead.count({ where });
+  if (count > maxRows) {
+    throw new Error(`${count} leads match; an emailed export holds at most ${maxRows}. Narrow the filters.`);
+  }
+
+  const { writer, rowCount, content } = await collectExport(subscription.format, columns, (w) =>
+    writeLeadExport(w, { where, columns, customFields })
+  );
+  return {
+    filename: `leads-export-${runDay}.${writer.extension}`,
+    contentType: writer.contentType,
+    content,
+    period,
+    rowCount,
+    lines: [`${rowCount} ${subscription.new_leads_only ? "new " : ""}leads (${period.label})`],
+  };
+};
+
+const ATTACHMENT_BUILDERS = {
+  monthly_report: buildMonthlyReportAttachment,
+  leads_export: buildLeadExportAttachment,
+};
+
+/**
+ * Build a subscription's attachment and email it to its recipients; every attempt is logged as a ReportDelivery
+ * (sending -> sent | failed) and the subscription's last_run_at / last_status are updated.
+ * trigger: schedule | manual; runAt: the time the delivery is for (periods are relative to it).
+ * Never throws for delivery errors; returns the ReportDelivery
+ */
+const deliverSubscription = async (subscription, { trigger = "schedule", triggeredBy = null, runAt = new Date() }) => {
+  const recipients = subscription.recipients_json || [];
+  const delivery = await ReportDelivery.create({
+    subscription_id: subscription.id,
+    trigger,
+    status: "sending",
+    recipients_json: recipients,
+    triggered_by: triggeredBy,
+    started_at: new Date(),
+  });
+
+  const values = {};
+  try {
+    const owner = await loadSubscriptionOwner(subscription.owner_id);
+    if (!owner) throw new Error("Subscription owner is inactive or no longer exists.");
+
+    const attachment = await ATTACHMENT_BUILDERS[subscription.report_type](subscription, owner, runAt);
+    Object.assign(values, {
+      period_json: attachment.period,
+      attachment_name: attachment.filename,
+      attachment_bytes: attachment.content.length,
+      row_count: attachment.rowCount,
+    });
+
+    const info = await sendMail({
+      to: recipients,
+      subject: `${getReportBrand()}: ${subscription.name} – ${attachment.period.label}`,
+      text: [
+        `${subscription.name} (${subscription.cadence})`,
+        "",
+        ...attachment.lines,
+        "",
+        `Attached: ${attachment.filename}`,
+      ].join("\n"),
+      attachments: [
+        { filename: attachment.filename, content: attachment.content, contentType: attachment.contentType },
+      ],
+    });
+    Object.assign(values, { status: "sent", message_id: info.messageId || null });
+  } catch (err) {
+    console.error(`Report subscription ${subscription.id} delivery Error:`, err);
+    Object.assign(values, { status: "failed", error: err.message });
+  }
+
+  await delivery.update({ ...values, finished_at: new Date() });
+  await subscription.update({ last_run_at: runAt, last_status: delivery.status });
+  return delivery;
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  CADENCES,
+  MAX_RECIPIENTS,
+  computeNextRunAt,
+  loadSubscriptionOwner,
+  deliverSubscription,
+};
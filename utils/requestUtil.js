@@ -0,0 +1,10 @@
+/** Boolean flag from the body (JSON boolean or multipart string) or the query string: "true" / "1" */
+const readFlag = (req, name) => ["true", "1"].includes(String(req.body?.[name] ?? req.query?.[name]).toLowerCase());
+
+/** async flag: run the request as a background job (see utils/jobQueue) */
+const isAsync = (req) => readFlag(req, "async");
+
+module.exports = {
+  readFlag,
+  isAsync,
+};
@@ -0,0 +1,55 @@
+const { Op } = require("sequelize");
+const { Lead, Task } = require("../models");
+
+const TASK_TYPES = ["call", "email", "meeting"];
+const TASK_STATUSES = ["open", "completed", "cancelled"];
+
+/** Start/end of the server-local day containing `now` */
+const getDayBounds = (now = new Date()) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Where-clauses for open tasks by due window (disjoint):
+ *  - overdue: due before now
+ *  - today:   due from now until the end of today
+ */
+const buildDueWhere = (now = new Date()) => {
+  const { end } = getDayBounds(now);
+  return {
+    overdue: { status: "open", due_at: { [Op.lt]: now } },
+    today: { status: "open", due_at: { [Op.gte]: now, [Op.lte]: end } },
+  };
+};
+
+/** Trashed leads are excluded through Lead's default scope */
+const LIVE_LEAD_INCLUDE = { model: Lead, attributes: [] };
+
+/**
+ * Open task counts for the given assignees (null = everyone).
+ * Returns { open, dueToday, overdue }
+ */
+const countOpenTasks = async (assigneeIds = null) => {
+  const scope = assigneeIds ? { assignee_id: { [Op.in]: assigneeIds } } : {};
+  const due = buildDueWhere();
+  const count = (where) => Task.count({ where: { ...scope, ...where }, include: [LIVE_LEAD_INCLUDE] });
+
+  const [open, dueToday, overdue] = await Promise.all([
+    count({ status: "open" }),
+    count(due.today),
+    count(due.overdue),
+  ]);
+  return { open, dueToday, overdue };
+};
+
+module.exports = {
+  TASK_TYPES,
+  TASK_STATUSES,
+  getDayBounds,
+  buildDueWhere,
+  countOpenTasks,
+};
@@ -0,0 +1,46 @@
+const { Op } = require("sequelize");
+const { TeamMember, TeamManager } = require("../models");
+
+/**
+ * A manager's "team scope": the manager plus all members of the teams they manage (via TeamManager).
+ * Returns array of user_ids (unique).
+ */
+const resolveManagerAssignees = async (managerId) => {
+  const tmRows = await TeamManager.findAll({
+    where: { manager_id: managerId },
+    attributes: ["team_id"],
+    raw: true,
+  });
+
+  const teamIds = tmRows.map((r) => r.team_id);
+  if (!teamIds.length) return [managerId];
+
+  const memberRows = await TeamMember.findAll({
+    where: { team_id: { [Op.in]: teamIds } },
+    attributes: ["user_id"],
+    raw: true,
+  });
+
+  const memberIds = memberRows.map((r) => r.user_id);
+
+  return Array.from(new Set([managerId, ...memberIds]));
+};
+
+/**
+ * Role scope of a report for user { id, role }:
+ *  - admin     -> { type: "all", userIds: null }
+ *  - manager   -> { type: "team", userIds: manager + members of the teams they manage }
+ *  - sales_rep -> { type: "self", userIds: [id] }
+ * Returns { status: 403, error } for other roles
+ */
+const resolveReportScope = async ({ id, role }) => {
+  if (role === "admin") return { type: "all", userIds: null };
+  if (role === "manager") return { type: "team", userIds: await resolveManagerAssignees(id) };
+  if (role === "sales_rep") return { type: "self", userIds: [id] };
+  return { status: 403, error: "Forbidden for this role" };
+};
+
+module.exports = {
+  resolveManagerAssignees,
+  resolveReportScope,
+};